@@ -0,0 +1,184 @@
+// lineup/index.js
+// Lineup provider registry: picks the backend that turns an event description into raw artist entries
+//
+// Every provider exposes:
+//   name               - Provider name (for logs)
+//   extractLineup(text) - Resolves to raw entries { name, time, soundcloud, stage, performance_mode, collaboration }
+//                         that are validated by utils/lineup.js before reaching the database
+//
+// Selection (LINEUP_PROVIDER env variable):
+//   openai     - OpenAI API (default when OPENAI_API_KEY is set), model LINEUP_MODEL (default gpt-4o-mini)
+//   local      - OpenAI-compatible endpoint at LINEUP_LOCAL_BASE_URL serving LINEUP_LOCAL_MODEL
+//   rule-based - Deterministic line parser (default without API key)
+//   recorded   - Replays LINEUP_RECORDINGS_FILE (tests)
+// LLM providers fall back to the rule-based parser when the call fails.
+//
+// Flyer providers read the lineup printed on the event cover image:
+//   extractLineupFromImage(imageUrl) - Resolves to raw entries (same shape as extractLineup)
+// Selection (FLYER_PROVIDER env variable, or --flyer=<provider> in import_event.js): flyers are only
+// analysed when a provider is chosen explicitly, since every import with a cover image would call it
+//   vision    - Vision chat model (OPENAI_API_KEY), model FLYER_MODEL (default gpt-4o-mini)
+//   local     - Vision model on the OpenAI-compatible endpoint LINEUP_LOCAL_BASE_URL, model FLYER_LOCAL_MODEL
+//   tesseract - Local Tesseract OCR (TESSERACT_BIN, TESSERACT_LANG) followed by the rule-based parser
+//   none      - Flyers are not analysed (default)
+
+import { createOpenAIProvider, createOpenAICompatibleProvider } from './openai.js';
+import { createRuleBasedProvider } from './rule-based.js';
+import { createRecordedProvider, recordProvider } from './recorded.js';
+import { createVisionProvider, createOpenAIVisionProvider } from './vision.js';
+import { createTesseractProvider } from './ocr.js';
+import OpenAI from 'openai';
+
+/**
+ * Wraps a provider so that errors (network, quota, missing key) fall back to another provider.
+ * @param {{name: string, extractLineup: Function}} primary
+ * @param {{name: string, extractLineup: Function}} fallback
+ * @returns {{name: string, extractLineup: Function}}
+ */
+export function withFallback(primary, fallback) {
+    return {
+        name: primary.name,
+        async extractLineup(text) {
+            try {
+                return await primary.extractLineup(text);
+            } catch (error) {
+                console.error(`❌ Lineup provider ${primary.name} failed (${error.message}), falling back to ${fallback.name}`);
+                return await fallback.extractLineup(text);
+            }
+        }
+    };
+}
+
+/**
+ * Creates the lineup provider configured by the environment.
+ * @param {Object} params
+ * @param {Object|null} params.openai - Existing OpenAI client to reuse
+ * @param {object} params.env - Environment variables (default: process.env)
+ * @returns {{name: string, extractLineup: Function}}
+ */
+export function createLineupProvider({ openai = null, env = process.env } = {}) {
+    const ruleBased = createRuleBasedProvider();
+    const providerName = env.LINEUP_PROVIDER || (openai || env.OPENAI_API_KEY ? 'openai' : 'rule-based');
+
+    let provider;
+    switch (providerName) {
+        case 'openai':
+            if (!openai && !env.OPENAI_API_KEY) {
+                console.warn('⚠️ LINEUP_PROVIDER=openai but OPENAI_API_KEY is not set, using the rule-based parser');
+                return ruleBased;
+            }
+            provider = withFallback(createOpenAIProvider({
+                client: openai,
+                apiKey: env.OPENAI_API_KEY,
+                model: env.LINEUP_MODEL || 'gpt-4o-mini'
+            }), ruleBased);
+            break;
+        case 'local':
+            provider = withFallback(createOpenAICompatibleProvider({
+                baseURL: env.LINEUP_LOCAL_BASE_URL,
+                model: env.LINEUP_LOCAL_MODEL,
+                apiKey: env.LINEUP_LOCAL_API_KEY || 'local',
+                structuredOutputs: env.LINEUP_LOCAL_STRUCTURED_OUTPUTS !== 'false'
+            }), ruleBased);
+            break;
+        case 'rule-based':
+            return ruleBased;
+        case 'recorded':
+            return createRecordedProvider({ filePath: env.LINEUP_RECORDINGS_FILE });
+        default:
+            throw new Error(`Unknown lineup provider: ${providerName}`);
+    }
+
+    // Record live answers so they can be replayed with LINEUP_PROVIDER=recorded
+    if (env.LINEUP_RECORD_FILE) {
+        provider = recordProvider(provider, env.LINEUP_RECORD_FILE);
+    }
+    return provider;
+}
+
+/**
+ * Creates the flyer provider configured by the environment.
+ * Flyer errors never abort an import: the provider returns no artists instead.
+ * @param {Object} params
+ * @param {Object|null} params.openai - Existing OpenAI client to reuse
+ * @param {object} params.env - Environment variables (default: process.env)
+ * @returns {{name: string, extractLineupFromImage: Function}|null} Provider, or null when flyers are not analysed
+ */
+export function createFlyerProvider({ openai = null, env = process.env } = {}) {
+    const providerName = env.FLYER_PROVIDER || 'none';
+
+    let provider;
+    switch (providerName) {
+        case 'vision':
+            if (!openai && !env.OPENAI_API_KEY) {
+                console.warn('⚠️ FLYER_PROVIDER=vision but OPENAI_API_KEY is not set, flyers will not be analysed');
+                return null;
+            }
+            provider = createOpenAIVisionProvider({
+                client: openai,
+                apiKey: env.OPENAI_API_KEY,
+                model: env.FLYER_MODEL || 'gpt-4o-mini'
+            });
+            break;
+        case 'local':
+            provider = createVisionProvider({
+                name: `local-vision (${env.FLYER_LOCAL_MODEL})`,
+                client: new OpenAI({ apiKey: env.LINEUP_LOCAL_API_KEY || 'local', baseURL: env.LINEUP_LOCAL_BASE_URL }),
+                model: env.FLYER_LOCAL_MODEL,
+                structuredOutputs: env.LINEUP_LOCAL_STRUCTURED_OUTPUTS !== 'false'
+            });
+            break;
+        case 'tesseract':
+            provider = createTesseractProvider({
+                textProvider: createRuleBasedProvider(),
+                binary: env.TESSERACT_BIN || 'tesseract',
+                language: env.TESSERACT_LANG || 'eng'
+            });
+            break;
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Unknown flyer provider: ${providerName}`);
+    }
+
+    return {
+        name: provider.name,
+        async extractLineupFromImage(imageUrl) {
+            try {
+                return await provider.extractLineupFromImage(imageUrl);
+            } catch (error) {
+                console.error(`❌ Flyer provider ${provider.name} failed: ${error.message}`);
+                return [];
+            }
+        }
+    };
+}
+
+/**
+ * Accepts a lineup provider or a bare OpenAI client (legacy callers) and returns a provider.
+ * @param {object|null} providerOrClient
+ * @returns {{name: string, extractLineup: Function}}
+ */
+export function resolveLineupProvider(providerOrClient) {
+    if (providerOrClient && typeof providerOrClient.extractLineup === 'function') {
+        return providerOrClient;
+    }
+    return createLineupProvider({ openai: providerOrClient || null });
+}
+
+export {
+    createOpenAIVisionProvider,
+    createTesseractProvider,
+    createOpenAIProvider,
+    createOpenAICompatibleProvider,
+    createRuleBasedProvider,
+    createRecordedProvider,
+    recordProvider
+};
+
+export default {
+    createLineupProvider,
+    createFlyerProvider,
+    resolveLineupProvider,
+    withFallback
+};
@@ -0,0 +1,68 @@
+// lineup/ocr.js
+// Local flyer provider: Tesseract OCR (CLI) followed by a text lineup provider
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import fetch from 'node-fetch';
+import { withApiRetry } from '../utils/retry.js';
+
+const execFileAsync = promisify(execFile);
+const OCR_TIMEOUT_MS = 60000;
+
+/**
+ * Downloads an image to a temporary file.
+ * @param {string} imageUrl
+ * @returns {Promise<string>} Temporary file path (to be removed by the caller)
+ */
+async function downloadImage(imageUrl) {
+    const response = await withApiRetry(async () => await fetch(imageUrl));
+    if (!response.ok) throw new Error(`Failed to download flyer ${imageUrl}: HTTP ${response.status}`);
+    const filePath = path.join(os.tmpdir(), `flyer_${Date.now()}_${Math.random().toString(36).slice(2)}`);
+    fs.writeFileSync(filePath, Buffer.from(await response.arrayBuffer()));
+    return filePath;
+}
+
+/**
+ * Runs Tesseract on an image and returns the recognized text.
+ * @param {string} imageUrl - Image URL
+ * @param {Object} options
+ * @param {string} options.binary - Tesseract executable
+ * @param {string} options.language - Tesseract language codes (e.g. "eng+fra+nld")
+ * @returns {Promise<string>}
+ */
+export async function ocrImage(imageUrl, { binary = 'tesseract', language = 'eng' } = {}) {
+    const filePath = await downloadImage(imageUrl);
+    try {
+        const { stdout } = await execFileAsync(binary, [filePath, 'stdout', '-l', language], {
+            timeout: OCR_TIMEOUT_MS,
+            maxBuffer: 5 * 1024 * 1024
+        });
+        return stdout;
+    } finally {
+        fs.rmSync(filePath, { force: true });
+    }
+}
+
+/**
+ * Creates the Tesseract flyer provider. The OCR text goes through a text lineup
+ * provider (rule-based by default), like an event description would.
+ * @param {Object} params
+ * @param {{name: string, extractLineup: Function}} params.textProvider - Provider parsing the OCR text
+ * @param {string} params.binary - Tesseract executable
+ * @param {string} params.language - Tesseract language codes
+ * @returns {{name: string, extractLineupFromImage: Function}}
+ */
+export function createTesseractProvider({ textProvider, binary = 'tesseract', language = 'eng' }) {
+    return {
+        name: 'tesseract',
+        async extractLineupFromImage(imageUrl) {
+            const text = await ocrImage(imageUrl, { binary, language });
+            if (!text.trim()) return [];
+            console.log(`🔠 OCR read ${text.split('\n').filter(l => l.trim()).length} lines from the flyer`);
+            return await textProvider.extractLineup(text);
+        }
+    };
+}
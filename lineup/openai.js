@@ -0,0 +1,137 @@
+// lineup/openai.js
+// Lineup provider backed by the OpenAI chat completions API (JSON-schema structured outputs)
+
+import OpenAI from 'openai';
+import { LINEUP_JSON_SCHEMA, chunkDescription } from '../utils/lineup.js';
+import { withApiLimit } from '../utils/concurrency.js';
+
+export const LINEUP_SYSTEM_PROMPT = `You are an expert at extracting structured data from Facebook Event descriptions. Your task is to analyze the provided text and extract information solely about the artists. Assume that each line of the text (separated by line breaks) represents one artist's entry, unless it clearly contains a collaboration (such as "A B2B B", "A F2F B", "A B3B B B3B C", "A VS B", "A & B" or "A x B"), in which case treat each artist separately. Featurings ("A feat. B", "A with B") and band names ("Earth, Wind & Fire") are a single artist. 
+
+            For each artist identified, extract the following elements if they are present:
+            - name: The name of the artist. IMPORTANT: Remove any trailing suffixes such as "A/V". In a line where the text starts with a numeric identifier followed by additional text (for example, "999999999 DOMINION A/V"), output only the numeric identifier. For other names, simply remove suffixes like " A/V" so that "I HATE MODELS A/V" becomes "I HATE MODELS".
+            - time: The performance time exactly as written (for example "18:00" or "23h-01h"), if mentioned.
+            - soundcloud: The SoundCloud link for the artist, if provided.
+            - stage: The stage associated with the artist (only one stage per artist).
+            - performance_mode: The performance mode associated with the artist. Look for collaboration indicators (B2B, F2F, B3B, VS). If an artist is involved in a collaborative performance, record the specific mode here ("&", "x" or "and" between artists count as B2B); otherwise leave this value empty.
+            - collaboration: For an artist playing in a collaboration, the whole collaboration exactly as written (for example "Ben Klock B2B Marcel Dettmann"), the same for every artist of it; otherwise leave this value empty. Duos and bands known under one name (such as "Chase & Status" or "Florence and the Machine") are a single artist, not a collaboration.
+
+            Additional Instructions:
+            - Use only the provided text for extraction.
+            - Treat each line as a separate artist entry unless a collaboration indicator suggests multiple names.
+            - If any piece of information (time, SoundCloud link, stage, performance_mode, collaboration) is missing, use an empty string.
+            - Do not return venues, promoters, ticket information or headings as artists.
+            - The output should be in English.`;
+
+const LINEUP_CHUNK_MAX_CHARS = 6000; // Longer descriptions are parsed in several requests
+const LINEUP_MAX_SPLIT_DEPTH = 2; // Times a truncated chunk is split in half and retried
+
+/**
+ * Creates a lineup provider on top of any OpenAI-API client.
+ * @param {Object} params
+ * @param {string} params.name - Provider name (for logs)
+ * @param {Object} params.client - OpenAI client instance (or any client exposing chat.completions.create)
+ * @param {string} params.model - Chat model
+ * @param {boolean} params.structuredOutputs - Use json_schema (true) or plain json_object (false) responses
+ * @param {string|null} params.api - Shared concurrency budget the requests count against (see utils/concurrency.js), none when null
+ * @returns {{name: string, extractLineup: Function}} Lineup provider
+ */
+export function createChatCompletionProvider({ name, client, model, structuredOutputs = true, api = null }) {
+    const responseFormat = structuredOutputs
+        ? { type: "json_schema", json_schema: { name: "lineup", strict: true, schema: LINEUP_JSON_SCHEMA } }
+        : { type: "json_object" };
+    const systemPrompt = structuredOutputs
+        ? LINEUP_SYSTEM_PROMPT
+        : `${LINEUP_SYSTEM_PROMPT}\n\n            Answer with a JSON object of the form {"artists": [{"name": "", "time": "", "soundcloud": "", "stage": "", "performance_mode": "", "collaboration": ""}]}.`;
+
+    /**
+     * Asks the model for the lineup of one description chunk.
+     * A truncated or unparseable answer is retried on both halves of the chunk.
+     */
+    async function extractChunk(chunk, depth = 0) {
+        const response = await withApiLimit(api, () => client.chat.completions.create({
+            model,
+            messages: [
+                { role: "system", content: systemPrompt },
+                { role: "user", content: `Parse artist names from this event description:\n\n${chunk}` }
+            ],
+            response_format: responseFormat,
+            temperature: 0.1,
+            max_tokens: 4000
+        }));
+
+        const choice = response.choices[0];
+        if (choice.message.refusal) {
+            console.log(`⚠️ ${name} refused to parse this chunk: ${choice.message.refusal}`);
+            return [];
+        }
+
+        try {
+            if (choice.finish_reason === 'length') throw new Error('response truncated');
+            const parsed = JSON.parse(choice.message.content);
+            return Array.isArray(parsed.artists) ? parsed.artists : [];
+        } catch (error) {
+            const lines = chunk.split('\n');
+            if (depth >= LINEUP_MAX_SPLIT_DEPTH || lines.length < 2) {
+                console.log(`❌ Could not parse ${name} lineup response (${error.message}), skipping chunk`);
+                return [];
+            }
+            console.log(`⚠️ ${name} lineup response unusable (${error.message}), retrying on two halves...`);
+            const middle = Math.ceil(lines.length / 2);
+            const first = await extractChunk(lines.slice(0, middle).join('\n'), depth + 1);
+            const second = await extractChunk(lines.slice(middle).join('\n'), depth + 1);
+            return [...first, ...second];
+        }
+    }
+
+    return {
+        name,
+        async extractLineup(text) {
+            const chunks = chunkDescription(text, LINEUP_CHUNK_MAX_CHARS);
+            if (chunks.length > 1) {
+                console.log(`✂️ Long description split into ${chunks.length} chunks`);
+            }
+            const artists = [];
+            for (const chunk of chunks) {
+                artists.push(...await extractChunk(chunk));
+            }
+            return artists;
+        }
+    };
+}
+
+/**
+ * Creates the OpenAI lineup provider.
+ * @param {Object} params
+ * @param {Object} params.client - Existing OpenAI client (created from apiKey otherwise)
+ * @param {string} params.apiKey - OpenAI API key
+ * @param {string} params.model - Chat model (default: gpt-4o-mini)
+ * @returns {{name: string, extractLineup: Function}}
+ */
+export function createOpenAIProvider({ client = null, apiKey = process.env.OPENAI_API_KEY, model = 'gpt-4o-mini' } = {}) {
+    return createChatCompletionProvider({
+        name: 'openai',
+        client: client || new OpenAI({ apiKey }),
+        model,
+        api: 'openai'
+    });
+}
+
+/**
+ * Creates a provider for a local OpenAI-compatible endpoint (Ollama, LM Studio, vLLM, llama.cpp server...).
+ * @param {Object} params
+ * @param {string} params.baseURL - Endpoint base URL, e.g. http://localhost:11434/v1
+ * @param {string} params.model - Model served by the endpoint
+ * @param {string} params.apiKey - API key if the endpoint requires one
+ * @param {boolean} params.structuredOutputs - Whether the endpoint supports json_schema responses
+ * @returns {{name: string, extractLineup: Function}}
+ */
+export function createOpenAICompatibleProvider({ baseURL, model, apiKey = 'local', structuredOutputs = true }) {
+    if (!baseURL) throw new Error('baseURL is required for an OpenAI-compatible lineup provider');
+    if (!model) throw new Error('model is required for an OpenAI-compatible lineup provider');
+    return createChatCompletionProvider({
+        name: `local (${model})`,
+        client: new OpenAI({ apiKey, baseURL }),
+        model,
+        structuredOutputs
+    });
+}
@@ -0,0 +1,57 @@
+// lineup/recorded.js
+// Recorded-response lineup provider: replays saved answers so parsing can be tested without a model
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+/**
+ * Returns the key under which the answer for a description is recorded.
+ * @param {string} text - Event description
+ * @returns {string} SHA-1 of the text
+ */
+export function getRecordingKey(text) {
+    return crypto.createHash('sha1').update(text || '').digest('hex');
+}
+
+/**
+ * Creates a provider that replays recorded answers.
+ * @param {Object} params
+ * @param {string} params.filePath - JSON file of { [recordingKey]: artists[] }
+ * @param {object} params.responses - Recordings passed inline instead of a file
+ * @param {object|null} params.fallback - Provider used for descriptions without recording (throws when null)
+ * @returns {{name: string, extractLineup: Function}}
+ */
+export function createRecordedProvider({ filePath = null, responses = null, fallback = null } = {}) {
+    const recordings = responses || (filePath && fs.existsSync(filePath)
+        ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+        : {});
+    return {
+        name: 'recorded',
+        async extractLineup(text) {
+            const key = getRecordingKey(text);
+            if (recordings[key]) return recordings[key];
+            if (fallback) return fallback.extractLineup(text);
+            throw new Error(`No recorded lineup response for description ${key}`);
+        }
+    };
+}
+
+/**
+ * Wraps a provider and saves each of its answers to a recordings file,
+ * which can then be replayed with createRecordedProvider.
+ * @param {{name: string, extractLineup: Function}} provider - Provider to record
+ * @param {string} filePath - JSON recordings file (created or extended)
+ * @returns {{name: string, extractLineup: Function}}
+ */
+export function recordProvider(provider, filePath) {
+    return {
+        name: `${provider.name} (recording)`,
+        async extractLineup(text) {
+            const artists = await provider.extractLineup(text);
+            const recordings = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+            recordings[getRecordingKey(text)] = artists;
+            fs.writeFileSync(filePath, JSON.stringify(recordings, null, 2));
+            return artists;
+        }
+    };
+}
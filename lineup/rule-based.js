@@ -0,0 +1,19 @@
+// lineup/rule-based.js
+// Deterministic lineup provider backed by artistModel.parseLineupRuleBased
+// (one artist per line, times, stage headers and B2B/VS detection).
+// Used when no LLM is configured or reachable, so imports keep working without an API key.
+
+/**
+ * Creates the rule-based lineup provider.
+ * @returns {{name: string, extractLineup: Function}}
+ */
+export function createRuleBasedProvider() {
+    return {
+        name: 'rule-based',
+        async extractLineup(text) {
+            // Dynamic import: models/artist.js itself depends on the lineup providers
+            const { default: artistModel } = await import('../models/artist.js');
+            return artistModel.parseLineupRuleBased(text).artists;
+        }
+    };
+}
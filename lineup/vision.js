@@ -0,0 +1,81 @@
+// lineup/vision.js
+// Flyer provider backed by a vision chat model (OpenAI or any OpenAI-compatible endpoint)
+
+import OpenAI from 'openai';
+import { LINEUP_JSON_SCHEMA } from '../utils/lineup.js';
+import { withApiLimit } from '../utils/concurrency.js';
+
+const FLYER_SYSTEM_PROMPT = `You read event flyers and posters. Extract every artist name printed on the flyer, together with the performance time, stage and collaboration indicator (B2B, F2F, B3B, VS) when they are printed next to the name.
+            - Ignore the event title, venue, promoter, sponsors, dates, prices and ticket information.
+            - Split collaborations ("A B2B B", "A & B", "A x B") into one entry per artist with the same performance_mode, and the whole collaboration as printed in collaboration. Duos known under one name ("Chase & Status") are a single artist.
+            - Remove suffixes such as "A/V", "(live)" or "DJ set" from names.
+            - Use an empty string for any missing value.`;
+
+/**
+ * Creates a flyer provider on top of a vision-capable chat model.
+ * @param {Object} params
+ * @param {string} params.name - Provider name (for logs)
+ * @param {Object} params.client - OpenAI client instance (or any client exposing chat.completions.create)
+ * @param {string} params.model - Vision-capable chat model
+ * @param {boolean} params.structuredOutputs - Use json_schema (true) or plain json_object (false) responses
+ * @param {string|null} params.api - Shared concurrency budget the requests count against (see utils/concurrency.js), none when null
+ * @returns {{name: string, extractLineupFromImage: Function}} Flyer provider
+ */
+export function createVisionProvider({ name = 'openai-vision', client, model = 'gpt-4o-mini', structuredOutputs = true, api = null }) {
+    return {
+        name,
+        async extractLineupFromImage(imageUrl) {
+            const response = await withApiLimit(api, () => client.chat.completions.create({
+                model,
+                messages: [
+                    { role: "system", content: FLYER_SYSTEM_PROMPT },
+                    {
+                        role: "user",
+                        content: [
+                            { type: "text", text: "Extract the lineup printed on this event flyer." },
+                            { type: "image_url", image_url: { url: imageUrl } }
+                        ]
+                    }
+                ],
+                response_format: structuredOutputs
+                    ? { type: "json_schema", json_schema: { name: "lineup", strict: true, schema: LINEUP_JSON_SCHEMA } }
+                    : { type: "json_object" },
+                temperature: 0.1,
+                max_tokens: 2000
+            }));
+
+            const choice = response.choices[0];
+            if (choice.message.refusal) {
+                console.log(`⚠️ ${name} refused to read the flyer: ${choice.message.refusal}`);
+                return [];
+            }
+            if (choice.finish_reason === 'length') {
+                console.log(`⚠️ ${name} flyer response truncated, keeping the complete entries only`);
+            }
+            try {
+                const parsed = JSON.parse(choice.message.content);
+                return Array.isArray(parsed.artists) ? parsed.artists : [];
+            } catch (error) {
+                console.log(`❌ Could not parse ${name} flyer response: ${error.message}`);
+                return [];
+            }
+        }
+    };
+}
+
+/**
+ * Creates the OpenAI vision flyer provider.
+ * @param {Object} params
+ * @param {Object} params.client - Existing OpenAI client (created from apiKey otherwise)
+ * @param {string} params.apiKey - OpenAI API key
+ * @param {string} params.model - Vision-capable model (default: gpt-4o-mini)
+ * @returns {{name: string, extractLineupFromImage: Function}}
+ */
+export function createOpenAIVisionProvider({ client = null, apiKey = process.env.OPENAI_API_KEY, model = 'gpt-4o-mini' } = {}) {
+    return createVisionProvider({
+        name: 'openai-vision',
+        client: client || new OpenAI({ apiKey }),
+        model,
+        api: 'openai'
+    });
+}
@@ -7,8 +7,15 @@ import { getAccessToken } from '../utils/token.js';
 import { enrichArtistData } from '../utils/enrichment.js';
 import { withApiRetry } from '../utils/retry.js';
 import genreModel from './genre.js';
+import databaseUtils from '../utils/database.js';
 import fetch from 'node-fetch';
 import stringSimilarity from 'string-similarity';
+import { ARTIST_MERGE_SIMILARITY, DEFAULT_TIMEZONE, LINEUP_CITY_NAMES, RULE_BASED_LINEUP_CONFIDENCE } from '../utils/constants.js';
+import { validateLineup } from '../utils/lineup.js';
+import { parseCollaboration, groupCollaborations, getCollaborationLookupNames } from '../utils/collaboration.js';
+import { resolveLineupProvider, createFlyerProvider } from '../lineup/index.js';
+import { toCountryCode } from '../utils/timezone.js';
+import { TIME_RANGE_SEPARATOR_SOURCE } from '../utils/date.js';
 
 // Global access token management for automatic refresh
 let GLOBAL_ACCESS_TOKEN = null;
@@ -44,6 +51,7 @@ async function searchArtist(artistName, accessToken) {
                 headers: { "Authorization": `OAuth ${currentToken}` }
             });
         }, {
+            api: 'soundcloud',
             onAuthFailure: async () => {
                 console.log('🔑 SoundCloud token expired, refreshing automatically...');
                 GLOBAL_ACCESS_TOKEN = await getAccessToken();
@@ -326,141 +334,390 @@ async function insertOrUpdateArtist(supabase, artistData, soundCloudData = null,
     }
 }
 
+// --- Rule-based lineup parsing ---
+
+const LINEUP_HEADER_REGEX = /^(line[\s-]?up|lineup|artists?|artistes?|künstler|kunstenaars|timetable|time\s?table|programm?e?|programmation|programma|affiche|cartel|running order)\b[^\p{L}\p{N}]*$/iu;
+const STAGE_WORDS_REGEX = /\b(stage|room|floor|dancefloor|area|tent|arena|hall|zaal|salle|sc[eè]ne|b[üu]hne|buehne|sala|escenario|palco|podium|garden|terrace|terras|terrasse|cave|kelder|basement|patio)\b/i;
+const LINEUP_TIME_REGEX = new RegExp(String.raw`(\d{1,2}(?:[:hH.]\d{2}|[hH])?(?:${TIME_RANGE_SEPARATOR_SOURCE})\d{1,2}(?:[:hH.]\d{2}|[hH])?|\d{1,2}[:hH.]\d{2}|\d{1,2}[hH]\b|\d{1,2}\s?[ap]m\b)`, 'i');
+const LINEUP_SOUNDCLOUD_REGEX = /https?:\/\/(?:www\.|m\.)?soundcloud\.com\/\S+/i;
+const LINEUP_BULLET_REGEX = /^(?:[\s\-–—•*·>|►▶▸→⇒~+]|\d{1,2}[.)]\s)+/u;
+const LINEUP_EMOJI_REGEX = /\d\uFE0F?\u20E3|[\p{Extended_Pictographic}\uFE0F\u200D]/gu;
+const LINEUP_PROSE_REGEX = /(https?:\/\/|www\.|@|€|\$|£|\b(tickets?|tix|doors?|entr[ée]e|entry|presale|prévente|info|address|adresse|free|gratis|age|\d{2}\+|ages?|rsvp|presents|pr[ée]sente|presenteert|pr[äa]sentiert|invites|hosted by)\b)/i;
+// Preceded by whitespace or a bracket: "Olive" and "Clive" keep their "live"
+const LINEUP_NAME_SUFFIX_REGEX = /(?:^|\s+|\s*[\(\[]\s*)(?:a\/v|live(?:\s+set)?|dj\s*set|hybrid)\s*[\)\]]?\s*$/i;
+const LINEUP_MAX_NAME_WORDS = 6;
+const LINEUP_WEEKDAY_REGEX = /\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday|lundi|mardi|mercredi|jeudi|vendredi|samedi|dimanche|maandag|dinsdag|woensdag|donderdag|vrijdag|zaterdag|zondag|montag|dienstag|mittwoch|donnerstag|freitag|samstag|sonntag|lunes|martes|miércoles|jueves|viernes|sábado|domingo)\b/giu;
+// Abbreviated weekdays and months only count next to a number ("Sat 15", "15 mar")
+const LINEUP_DATE_WORD_REGEX = /\b(mon|tue|tues|wed|thu|thur|thurs|fri|sat|sun|january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sep|sept|oct|nov|dec|janvier|février|fevrier|mars|avril|mai|juin|juillet|août|aout|septembre|octobre|novembre|décembre|decembre|januari|februari|maart|mei|juni|juli|augustus|oktober|januar|februar|märz|dezember|okt|dez|mrt)\b\.?/giu;
+const LINEUP_NUMERIC_DATE_REGEX = /\b\d{1,2}[./-]\d{1,2}(?:[./-]\d{2,4})?\b/g;
+const LINEUP_DATE_FILLER_REGEX = /\b(the|of|le|la|du|de|au|en|and|et|und|from|to|till|until|tot|van|vom|bis|jusqu'au)\b/giu;
+const LINEUP_CITY_SET = new Set(LINEUP_CITY_NAMES.map(city => city.toLowerCase()));
+
+/**
+ * Removes emoji, bullets and numbering from a description line.
+ * @param {string} line
+ * @returns {string}
+ */
+function cleanLineupLine(line) {
+    return line
+        .replace(LINEUP_EMOJI_REGEX, ' ')
+        .replace(LINEUP_BULLET_REGEX, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Whether a line only holds a date or a day ("Saturday 15 March", "Vendredi 14/03 - 23h", "Fri 15.03.2025").
+ * @param {string} line - Cleaned line
+ * @returns {boolean}
+ */
+function isLineupDateLine(line) {
+    const hasDigit = /\d/.test(line);
+    let rest = line.toLowerCase();
+    let found = false;
+    const strip = (regex) => {
+        rest = rest.replace(regex, () => {
+            found = true;
+            return ' ';
+        });
+    };
+
+    strip(LINEUP_WEEKDAY_REGEX);
+    if (hasDigit) {
+        strip(LINEUP_DATE_WORD_REGEX);
+        strip(LINEUP_NUMERIC_DATE_REGEX);
+    }
+    if (!found) return false;
+
+    rest = rest
+        .replace(new RegExp(LINEUP_TIME_REGEX.source, 'gi'), ' ')
+        .replace(/\d+(st|nd|rd|th|er|e|ste|de)?\b/g, ' ')
+        .replace(LINEUP_DATE_FILLER_REGEX, ' ')
+        .replace(/[^\p{L}]+/gu, '');
+    return rest === '';
+}
+
+/**
+ * Whether a line only holds a place: cities of LINEUP_CITY_NAMES or of the event, and country names
+ * ("Brussels", "Gent, Belgium", "Paris (FR)").
+ * @param {string} line - Cleaned line
+ * @param {Set<string>} cities - Lowercased city names
+ * @returns {boolean}
+ */
+function isLineupPlaceLine(line, cities) {
+    const parts = line.toLowerCase().split(/\s*[,|/()\-–—]\s*/).map(part => part.trim()).filter(Boolean);
+    // Two-letter country codes ("BE") only count next to a city or country name: "DJ" alone is not Djibouti
+    if (!parts.some(part => cities.has(part) || part.length > 2)) return false;
+    return parts.every(part => cities.has(part) || Boolean(toCountryCode(part)));
+}
+
+/**
+ * Lowercases a line and keeps only its letters and digits, to compare it with the event title.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeLineupComparison(text) {
+    return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Returns the stage name when a line is a stage header ("Main Stage", "ROOM 2:", "[Salle Noire]", "— Zaal 1 —").
+ * @param {string} line - Cleaned line
+ * @returns {string|null}
+ */
+function parseStageHeader(line) {
+    if (LINEUP_TIME_REGEX.test(line)) return null;
+    const wrapped = line.match(/^(?:[\[(=#*_\-–—]+)\s*(.+?)\s*(?:[\])=#*_\-–—]+)$/);
+    const candidate = (wrapped ? wrapped[1] : line).replace(/:$/, '').trim();
+    if (!candidate || candidate.split(/\s+/).length > 4) return null;
+    if (wrapped || STAGE_WORDS_REGEX.test(candidate) || (line.endsWith(':') && !LINEUP_HEADER_REGEX.test(line))) {
+        return candidate;
+    }
+    return null;
+}
+
+/**
+ * Deterministic lineup parser for the common layouts of event descriptions:
+ * one artist per line, optional times ("23:00 - 01:00", "23h"), stage headers
+ * (multilingual), emoji bullets and collaborations ("A B2B B", "A x B", see utils/collaboration.js).
+ *
+ * When a lineup header ("Line-up:", "Affiche", "Programma"...) is present, only
+ * the lines after it are parsed; otherwise the first line is the event title unless it has a time.
+ * Lines holding only a date or day, a place, or the event title are never artists.
+ * The confidence is the share of parsed lines that look like artist entries, boosted by
+ * structure (headers, stages, times). Without a lineup header or slot times it stays
+ * below RULE_BASED_LINEUP_CONFIDENCE: the lines may as well be titles or taglines.
+ * @param {string} text - Event description
+ * @param {Object} options
+ * @param {string|null} options.title - Event title
+ * @param {string|null} options.city - City of the event venue
+ * @returns {{artists: Array<{name: string, time: string, soundcloud: string, stage: string, performance_mode: string, collaboration: string}>, confidence: number}}
+ */
+function parseLineupRuleBased(text, { title = null, city = null } = {}) {
+    if (!text) return { artists: [], confidence: 0 };
+
+    let lines = text.split('\n').map(cleanLineupLine);
+    const headerIndex = lines.findIndex(line => LINEUP_HEADER_REGEX.test(line));
+    if (headerIndex !== -1) {
+        lines = lines.slice(headerIndex + 1);
+    } else {
+        const titleIndex = lines.findIndex(Boolean);
+        if (titleIndex !== -1 && !LINEUP_TIME_REGEX.test(lines[titleIndex])) lines = lines.slice(titleIndex + 1);
+    }
+    const normalizedTitle = normalizeLineupComparison(title);
+    const cities = city ? new Set([...LINEUP_CITY_SET, city.toLowerCase().trim()]) : LINEUP_CITY_SET;
+
+    const artists = [];
+    let currentStage = '';
+    let acceptedLines = 0;
+    let rejectedLines = 0;
+    let stageHeaders = 0;
+    let timedEntries = 0;
+
+    for (const rawLine of lines) {
+        if (!rawLine) continue;
+
+        // Dates and day headers, places and the title: recognized, so they do not lower the confidence
+        if (isLineupDateLine(rawLine) || isLineupPlaceLine(rawLine, cities)
+            || (normalizedTitle && normalizeLineupComparison(rawLine) === normalizedTitle)) {
+            continue;
+        }
+
+        const stage = parseStageHeader(rawLine);
+        if (stage) {
+            currentStage = stage;
+            stageHeaders++;
+            continue;
+        }
+
+        let line = rawLine;
+        const soundcloud = line.match(LINEUP_SOUNDCLOUD_REGEX)?.[0] || '';
+        line = line.replace(LINEUP_SOUNDCLOUD_REGEX, '').trim();
+
+        if (LINEUP_PROSE_REGEX.test(line) || /[.!?]$/.test(line)) {
+            rejectedLines++;
+            continue;
+        }
+
+        const time = line.match(LINEUP_TIME_REGEX)?.[0] || '';
+        line = line.replace(LINEUP_TIME_REGEX, '')
+            .replace(LINEUP_BULLET_REGEX, '')
+            .replace(/^[\s:|,]+|[\s\-–—:|,]+$/g, '')
+            .trim();
+
+        const collaboration = parseCollaboration(line);
+        const names = collaboration.names
+            .map(name => name.replace(LINEUP_NAME_SUFFIX_REGEX, '').trim())
+            .filter(Boolean);
+
+        if (names.length === 0 || names.some(name => name.split(/\s+/).length > LINEUP_MAX_NAME_WORDS)) {
+            rejectedLines++;
+            continue;
+        }
+
+        acceptedLines++;
+        if (time) timedEntries++;
+        const combinedName = collaboration.isCollaboration ? collaboration.original : '';
+        for (const name of names) {
+            artists.push({ name, time, soundcloud, stage: currentStage, performance_mode: collaboration.mode, collaboration: combinedName });
+        }
+    }
+
+    if (acceptedLines === 0) return { artists: [], confidence: 0 };
+
+    const hasSlotTimes = timedEntries / acceptedLines >= 0.5;
+    let confidence = acceptedLines / (acceptedLines + rejectedLines);
+    if (headerIndex !== -1) confidence += 0.15;
+    if (stageHeaders > 0) confidence += 0.05;
+    if (hasSlotTimes) confidence += 0.1;
+    // A lone line is as likely to be a title as an artist
+    if (acceptedLines === 1 && headerIndex === -1) confidence -= 0.3;
+    if (headerIndex === -1 && !hasSlotTimes) confidence = Math.min(confidence, RULE_BASED_LINEUP_CONFIDENCE - 0.1);
+
+    return { artists, confidence: Math.max(0, Math.min(1, confidence)) };
+}
+
+/**
+ * Number of artists in a description, when the rule-based parser recognizes its lineup.
+ * Used by festival detection; no lineup provider is called.
+ * @param {string} text - Event description
+ * @returns {number|null} Artist count, or null when the lineup is not recognized
+ */
+function estimateLineupSize(text) {
+    const { artists, confidence } = parseLineupRuleBased(text || '');
+    return confidence >= RULE_BASED_LINEUP_CONFIDENCE ? artists.length : null;
+}
+
+/**
+ * Artists of an incoming event that are already stored, known before its artists are imported:
+ * the lineup published by the platform, or the description lineup when the rule-based parser
+ * recognizes it. Used by event deduplication; no lineup provider is called and nothing is inserted.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client
+ * @param {Object} params
+ * @param {Array<string>} params.lineup - Artist names published by the source platform
+ * @param {string|null} params.description - Event description
+ * @returns {Promise<Array<number>>} IDs of the stored artists
+ */
+async function findKnownLineupArtistIds(supabase, { lineup = [], description = null }) {
+    let names = lineup || [];
+    if (names.length === 0) {
+        const { artists, confidence } = parseLineupRuleBased(description || '');
+        if (confidence < RULE_BASED_LINEUP_CONFIDENCE) return [];
+        names = artists.map(artist => artist.name);
+    }
+    names = [...new Set(names.map(name => normalizeNameEnhanced((name || '').trim())).filter(Boolean))];
+    if (names.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from('artists')
+        .select('id')
+        .in('name', names);
+    if (error) throw error;
+    return (data || []).map(artist => artist.id);
+}
+
+/**
+ * Merges the lineups read from the description and from the flyer.
+ * Artists are matched on their merge key (accents, case and "(live)"-like suffixes ignored);
+ * an artist found in both keeps the description entry, completed with the flyer time and stage.
+ * @param {Array<object>} textArtists - Validated entries from the description
+ * @param {Array<object>} flyerArtists - Validated entries from the flyer
+ * @returns {Array<object>} Entries with a `source` field: 'description', 'flyer' or 'description+flyer'
+ */
+function mergeLineupSources(textArtists, flyerArtists) {
+    const merged = textArtists.map(artist => ({ ...artist, source: 'description' }));
+    const byKey = new Map(merged.map(artist => [getArtistMergeKey(artist.name), artist]));
+    for (const flyerArtist of flyerArtists) {
+        const key = getArtistMergeKey(flyerArtist.name);
+        const existing = byKey.get(key);
+        if (existing) {
+            existing.source = 'description+flyer';
+            existing.time = existing.time || flyerArtist.time;
+            existing.end_time = existing.end_time || flyerArtist.end_time;
+            existing.stage = existing.stage || flyerArtist.stage;
+            existing.performance_mode = existing.performance_mode || flyerArtist.performance_mode;
+            if (!existing.custom_name && flyerArtist.custom_name) existing.custom_name = flyerArtist.custom_name;
+        } else {
+            const entry = { ...flyerArtist, source: 'flyer' };
+            merged.push(entry);
+            byKey.set(key, entry);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Returns the stored artists among the combined names and their parts: a combined name stored as a
+ * single artist ("Camo & Krooked") is not split, and "&"/"and" only split between stored artists.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client
+ * @param {Array<string>} names - Act names as written in the lineup or timetable
+ * @returns {Promise<Array<string>>} Stored artist names among the combined names and their parts
+ */
+async function findStoredCollaborationNames(supabase, names) {
+    const lookupNames = [...new Set((names || []).flatMap(getCollaborationLookupNames))];
+    if (lookupNames.length === 0) return [];
+
+    const { data, error } = await supabase
+        .from('artists')
+        .select('name')
+        .in('name', lookupNames);
+    if (error) throw error;
+    return (data || []).map(artist => artist.name);
+}
+
 /**
- * Processes simple event artists using OpenAI parsing from description
+ * Processes simple event artists parsed from the description by the configured lineup provider
+ * (OpenAI, local OpenAI-compatible model, rule-based parser or recorded responses),
+ * merged with the lineup read from the cover image by the flyer provider when available
  * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client
- * @param {Object} openai - OpenAI client instance
+ * @param {Object} lineupProvider - Lineup provider from lineup/index.js, or an OpenAI client instance
  * @param {number} eventId - The event ID in the database
  * @param {string} eventDescription - The event description to parse
  * @param {boolean} dryRun - Whether to perform actual database operations
+ * @param {Object} options
+ * @param {number|string|null} options.eventStart - Event start (Unix seconds or ISO), used to date performance times
+ * @param {string} options.timezone - IANA timezone of the event
+ * @param {string|null} options.imageUrl - Event cover image (flyer)
+ * @param {Object|null} options.flyerProvider - Flyer provider from lineup/index.js (configured by FLYER_PROVIDER when omitted, null to skip)
+ * @param {string|null} options.title - Event title, never read as an artist by the rule-based parser
+ * @param {string|null} options.city - City of the event venue, same
  * @returns {Promise<Array>} Array of processed artist IDs
  */
-async function processSimpleEventArtists(supabase, openai, eventId, eventDescription, dryRun = false) {
-    console.log("\n💬 Processing simple event - calling OpenAI to parse artists from description...");
-    let parsedArtists = [];
-    
+async function processSimpleEventArtists(supabase, lineupProvider, eventId, eventDescription, dryRun = false, {
+    eventStart = null,
+    timezone = DEFAULT_TIMEZONE,
+    imageUrl = null,
+    flyerProvider = undefined,
+    title = null,
+    city = null
+} = {}) {
+    const provider = resolveLineupProvider(lineupProvider);
+    console.log(`\n💬 Processing simple event - parsing artists from description with ${provider.name}...`);
+    let textArtists = [];
+
     if (eventDescription) {
         try {
-            const response = await openai.chat.completions.create({
-                model: "gpt-4o-mini",
-                messages: [
-                    {
-                        role: "system",
-                        content: `You are an expert at extracting structured data from Facebook Event descriptions. Your task is to analyze the provided text and extract information solely about the artists. Assume that each line of the text (separated by line breaks) represents one artist's entry, unless it clearly contains a collaboration indicator (such as "B2B", "F2F", "B3B", or "VS"), in which case treat each artist separately. 
-
-            For each artist identified, extract the following elements if they are present:
-            - name: The name of the artist. IMPORTANT: Remove any trailing suffixes such as "A/V". In a line where the text starts with a numeric identifier followed by additional text (for example, "999999999 DOMINION A/V"), output only the numeric identifier. For other names, simply remove suffixes like " A/V" so that "I HATE MODELS A/V" becomes "I HATE MODELS".
-            - time: The performance time, if mentioned.
-            - soundcloud: The SoundCloud link for the artist, if provided.
-            - stage: The stage associated with the artist (only one stage per artist).
-            - performance_mode: The performance mode associated with the artist. Look for collaboration indicators (B2B, F2F, B3B, VS). If an artist is involved in a collaborative performance, record the specific mode here; otherwise leave this value empty.
-
-            The output must be a valid JSON array where each artist is represented as an object with these keys. For example:
-            [
-            {
-                "name": "Reinier Zonneveld",
-                "time": "18:00",
-                "soundcloud": "",
-                "stage": "KARROSSERIE",
-                "performance_mode": ""
-            }
-            ]
-
-            Additional Instructions:
-            - Use only the provided text for extraction.
-            - Treat each line as a separate artist entry unless a collaboration indicator suggests multiple names.
-            - If any piece of information (time, SoundCloud link, stage, performance_mode) is missing, use an empty string.
-            - The generated JSON must be valid and strictly follow the structure requested.
-            - The output should be in English.`
-                    },
-                    {
-                        role: "user",
-                        content: `Parse artist names from this event description:\n\n${eventDescription}`
-                    }
-                ],
-                temperature: 0.1,
-                max_tokens: 4000
-            });
-
-            const content = response.choices[0].message.content.trim();
-            console.log("Raw OpenAI response:", content);
-
-            // Extract JSON from response
-            const jsonMatch = content.match(/\[[\s\S]*\]/);
-            if (jsonMatch) {
-                try {
-                    parsedArtists = JSON.parse(jsonMatch[0]);
-                    console.log(`✅ OpenAI parsed ${parsedArtists.length} artists with enhanced data:`);
-                    parsedArtists.forEach((artist, i) => {
-                        const extraInfo = [];
-                        if (artist.time) extraInfo.push(`time: ${artist.time}`);
-                        if (artist.stage) extraInfo.push(`stage: ${artist.stage}`);
-                        if (artist.performance_mode) extraInfo.push(`mode: ${artist.performance_mode}`);
-                        if (artist.soundcloud) extraInfo.push(`soundcloud: yes`);
-                        
-                        const infoStr = extraInfo.length > 0 ? ` (${extraInfo.join(', ')})` : '';
-                        console.log(`  ${i + 1}. ${artist.name}${infoStr}`);
-                    });
-                } catch (jsonError) {
-                    console.log("❌ JSON parsing failed, attempting to fix truncated response...");
-                    // Try to fix truncated JSON by adding closing brackets
-                    let fixedJson = jsonMatch[0];
-                    
-                    // If it ends with an incomplete object name, remove it
-                    if (fixedJson.includes('"name":') && !fixedJson.endsWith('}]')) {
-                        // Find last complete object
-                        const lastCompleteIndex = fixedJson.lastIndexOf('}');
-                        if (lastCompleteIndex > 0) {
-                            fixedJson = fixedJson.substring(0, lastCompleteIndex + 1) + ']';
-                        }
-                    }
-                    
-                    if (!fixedJson.endsWith(']')) {
-                        // Count unclosed objects
-                        const openBraces = (fixedJson.match(/\{/g) || []).length;
-                        const closeBraces = (fixedJson.match(/\}/g) || []).length;
-                        const missingClosing = openBraces - closeBraces;
-                        
-                        // Add missing closing braces and array bracket
-                        fixedJson += '}'.repeat(missingClosing) + ']';
-                    }
-                    
-                    try {
-                        parsedArtists = JSON.parse(fixedJson);
-                        console.log(`✅ Fixed and parsed ${parsedArtists.length} artists with enhanced data:`);
-                        parsedArtists.forEach((artist, i) => {
-                            const extraInfo = [];
-                            if (artist.time) extraInfo.push(`time: ${artist.time}`);
-                            if (artist.stage) extraInfo.push(`stage: ${artist.stage}`);
-                            if (artist.performance_mode) extraInfo.push(`mode: ${artist.performance_mode}`);
-                            if (artist.soundcloud) extraInfo.push(`soundcloud: yes`);
-                            
-                            const infoStr = extraInfo.length > 0 ? ` (${extraInfo.join(', ')})` : '';
-                            console.log(`  ${i + 1}. ${artist.name}${infoStr}`);
-                        });
-                    } catch (finalError) {
-                        console.log("❌ Could not fix JSON, using empty array");
-                        parsedArtists = [];
-                    }
-                }
+            // Deterministic first pass: the provider is only called when the layout is not recognized
+            const firstPass = parseLineupRuleBased(eventDescription, { title, city });
+            let rawArtists;
+            if (firstPass.confidence >= RULE_BASED_LINEUP_CONFIDENCE) {
+                console.log(`📋 Lineup recognized by the rule-based parser (confidence ${firstPass.confidence.toFixed(2)}), skipping ${provider.name}`);
+                rawArtists = firstPass.artists;
             } else {
-                console.log("❌ No valid JSON array found in OpenAI response");
-                parsedArtists = [];
+                console.log(`📋 Rule-based parser confidence too low (${firstPass.confidence.toFixed(2)}), using ${provider.name}`);
+                rawArtists = await provider.extractLineup(eventDescription);
             }
+
+            textArtists = validateLineup(rawArtists, { eventStart, timezone });
+            const rejectedCount = rawArtists.length - textArtists.length;
+            console.log(`✅ Parsed ${textArtists.length} artists from the description${rejectedCount > 0 ? ` (${rejectedCount} invalid or duplicate entries dropped)` : ''}`);
         } catch (error) {
-            console.error("❌ Error calling OpenAI:", error);
-            parsedArtists = [];
+            console.error(`❌ Error parsing lineup with ${provider.name}:`, error);
+            textArtists = [];
         }
     } else {
         console.log("⚠️ No event description provided for parsing");
-        parsedArtists = [];
     }
 
-    // Import artists and create relations
+    // Flyer (cover image) lineup
+    let flyerArtists = [];
+    const flyer = flyerProvider === undefined
+        ? createFlyerProvider({ openai: lineupProvider && !lineupProvider.extractLineup ? lineupProvider : null })
+        : flyerProvider;
+    if (imageUrl && flyer) {
+        console.log(`\n🖼️ Reading the lineup from the event flyer with ${flyer.name}...`);
+        const rawFlyerArtists = await flyer.extractLineupFromImage(imageUrl);
+        flyerArtists = validateLineup(rawFlyerArtists, { eventStart, timezone });
+        console.log(`✅ Read ${flyerArtists.length} artists from the flyer`);
+    }
+
+    const parsedArtists = mergeLineupSources(textArtists, flyerArtists);
+    if (parsedArtists.length > 0) {
+        console.log(`🎤 Lineup (${parsedArtists.length} artists):`);
+        parsedArtists.forEach((artist, i) => {
+            const extraInfo = [];
+            if (artist.time) extraInfo.push(`time: ${artist.time}`);
+            if (artist.end_time) extraInfo.push(`end: ${artist.end_time}`);
+            if (artist.stage) extraInfo.push(`stage: ${artist.stage}`);
+            if (artist.performance_mode) extraInfo.push(`mode: ${artist.performance_mode}`);
+            if (artist.custom_name) extraInfo.push(`act: ${artist.custom_name}`);
+            if (artist.soundcloud) extraInfo.push(`soundcloud: yes`);
+            if (artist.source !== 'description') extraInfo.push(`from: ${artist.source}`);
+
+            const infoStr = extraInfo.length > 0 ? ` (${extraInfo.join(', ')})` : '';
+            console.log(`  ${i + 1}. ${artist.name}${infoStr}`);
+        });
+    }
+
+    // Import artists and create relations: one event_artist row per act, shared by the artists of a collaboration
     const processedArtistIds = [];
     if (!dryRun && eventId && parsedArtists.length > 0) {
-        for (const artistObj of parsedArtists) {
-            if (artistObj.name && artistObj.name.trim()) {
+        const knownNames = await findStoredCollaborationNames(supabase, parsedArtists.map(artist => artist.name));
+        const acts = groupCollaborations(parsedArtists.filter(artist => artist.name && artist.name.trim()), { knownNames });
+        const { linkArtistsToEvent } = await import('./event.js');
+        for (const act of acts) {
+            const artistIds = [];
+            for (const artistObj of act) {
                 try {
                     // Use the enhanced artist object with additional fields
                     const enhancedArtistObj = {
@@ -477,19 +734,27 @@ async function processSimpleEventArtists(supabase, openai, eventId, eventDescrip
                     const artistId = await findOrInsertArtist(supabase, enhancedArtistObj, process.env.LASTFM_API_KEY, []);
                     if (artistId) {
                         processedArtistIds.push(artistId);
-                        
-                        // Link artist to event with performance details if available
-                        const { linkArtistsToEvent } = await import('./event.js');
-                        await linkArtistsToEvent(supabase, eventId, [artistId], {
-                            stage: artistObj.stage || null,
-                            time: artistObj.time || null,
-                            end_time: null
-                        }, dryRun);
+                        artistIds.push(artistId);
                     }
                 } catch (error) {
                     console.error(`❌ Error processing artist "${artistObj.name}": ${error.message}`);
                 }
             }
+            if (artistIds.length === 0) continue;
+
+            // Link the act to the event with performance details if available
+            const reference = act[0];
+            try {
+                await linkArtistsToEvent(supabase, eventId, artistIds, {
+                    stage: reference.stage,
+                    time: reference.time,
+                    end_time: reference.end_time,
+                    custom_name: reference.custom_name || null,
+                    source: reference.source
+                }, dryRun);
+            } catch (error) {
+                console.error(`❌ Error linking "${act.map(artist => artist.name).join(', ')}" to the event: ${error.message}`);
+            }
         }
         console.log(`✅ Simple event import complete: ${processedArtistIds.length} artists processed`);
     } else if (dryRun) {
@@ -501,6 +766,337 @@ async function processSimpleEventArtists(supabase, openai, eventId, eventDescrip
     return processedArtistIds;
 }
 
+// --- Duplicate artist merging ---
+
+// Tables linking an artist to another entity: [table, other key] (same list as merge_artists in SQL)
+const ARTIST_LINK_TABLES = [
+    ['artist_genre', 'genre_id'],
+    ['user_follow_artist', 'user_id'],
+    ['promoter_resident_artists', 'promoter_id'],
+    ['venue_resident_artists', 'venue_id']
+];
+
+// Performance suffixes that do not change the artist identity ("Amelie Lens (live)", "X DJ set", "Y A/V"),
+// after a space or a bracket only: "Clive" and "Mirav" are not "C" and "Mir"
+const PERFORMANCE_SUFFIX_REGEX = /(?:\s+|\s*[\(\[]\s*)(?:live(?:\s+set)?|dj\s*set|a\/?v|hybrid(?:\s+set)?)\s*[\)\]]?\s*$/i;
+
+/**
+ * Builds the comparison key used to cluster artist names.
+ * Accents, case, surrounding punctuation and performance suffixes are ignored.
+ * @param {string} name - Artist name
+ * @returns {string}
+ */
+function getArtistMergeKey(name) {
+    let key = normalizeNameEnhanced(name || '').toLowerCase();
+    let previous;
+    do {
+        previous = key;
+        key = key.replace(PERFORMANCE_SUFFIX_REGEX, '').trim();
+    } while (key !== previous && key.length > 0);
+    return normalizeNameEnhanced(key).replace(/\s+/g, ' ');
+}
+
+/**
+ * Returns comparable identifiers for the external links of an artist
+ * (platform IDs and URLs without protocol, "www." or trailing slash).
+ * @param {object|null} externalLinks - artists.external_links
+ * @returns {string[]}
+ */
+function getExternalLinkKeys(externalLinks) {
+    if (!externalLinks || typeof externalLinks !== 'object') return [];
+    const keys = [];
+    for (const [platform, data] of Object.entries(externalLinks)) {
+        const link = typeof data === 'string' ? data : data?.link;
+        if (link) {
+            keys.push(link.trim().toLowerCase()
+                .replace(/^https?:\/\//, '')
+                .replace(/^(www\.|m\.)/, '')
+                .replace(/[?#].*$/, '')
+                .replace(/\/+$/, ''));
+        }
+        if (data && typeof data === 'object' && data.id) {
+            keys.push(`${platform}:${String(data.id)}`);
+        }
+    }
+    return keys;
+}
+
+/**
+ * Groups artists that are likely the same act.
+ * Two artists are clustered when their merge keys are equal, when they share
+ * an external link, or when their merge keys are at least `similarityThreshold` similar.
+ * @param {Array<object>} artists - Rows of the artists table (id, name, external_links)
+ * @param {Object} options
+ * @param {number} options.similarityThreshold - Minimum name similarity (0-1)
+ * @returns {Array<{artists: Array<object>, reasons: string[]}>} Clusters of two or more artists
+ */
+function findArtistDuplicateClusters(artists, { similarityThreshold = ARTIST_MERGE_SIMILARITY } = {}) {
+    const parent = artists.map((_, i) => i);
+    const reasons = artists.map(() => new Set());
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+    const union = (a, b, reason) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        if (rootA !== rootB) parent[rootB] = rootA;
+        reasons[find(a)].add(reason);
+    };
+
+    const keys = artists.map(a => getArtistMergeKey(a.name));
+    const byKey = new Map();
+    const byLink = new Map();
+    keys.forEach((key, i) => {
+        if (!key) return;
+        if (byKey.has(key)) union(byKey.get(key), i, 'name');
+        else byKey.set(key, i);
+
+        for (const linkKey of getExternalLinkKeys(artists[i].external_links)) {
+            if (byLink.has(linkKey)) union(byLink.get(linkKey), i, 'external_link');
+            else byLink.set(linkKey, i);
+        }
+    });
+
+    // Fuzzy comparison between distinct keys sharing the same first character
+    const buckets = new Map();
+    for (const [key, index] of byKey.entries()) {
+        const bucket = key[0];
+        if (!buckets.has(bucket)) buckets.set(bucket, []);
+        buckets.get(bucket).push({ key, index });
+    }
+    for (const entries of buckets.values()) {
+        for (let i = 0; i < entries.length; i++) {
+            for (let j = i + 1; j < entries.length; j++) {
+                const a = entries[i].key;
+                const b = entries[j].key;
+                if (Math.min(a.length, b.length) < 4) continue;
+                if (Math.abs(a.length - b.length) > Math.max(a.length, b.length) * (1 - similarityThreshold) + 1) continue;
+                if (stringSimilarity.compareTwoStrings(a, b) >= similarityThreshold) {
+                    union(entries[i].index, entries[j].index, 'similarity');
+                }
+            }
+        }
+    }
+
+    const clusters = new Map();
+    artists.forEach((artist, i) => {
+        const root = find(i);
+        if (!clusters.has(root)) clusters.set(root, { artists: [], reasons: new Set() });
+        clusters.get(root).artists.push(artist);
+        reasons[i].forEach(r => clusters.get(root).reasons.add(r));
+    });
+
+    return [...clusters.values()]
+        .filter(c => c.artists.length > 1)
+        .map(c => ({
+            artists: c.artists.sort((a, b) => a.id - b.id),
+            reasons: [...c.reasons]
+        }));
+}
+
+/**
+ * Whether an artist name ends with a performance suffix such as "(live)" or "DJ set".
+ * @param {object} artist - Artist row
+ * @returns {boolean}
+ */
+function hasPerformanceSuffix(artist) {
+    return PERFORMANCE_SUFFIX_REGEX.test(normalizeNameEnhanced(artist.name || ''));
+}
+
+/**
+ * Picks the artist row kept by a merge: the most complete row wins
+ * (SoundCloud ID, external links, image, description), then the name without
+ * performance suffix, then the oldest row.
+ * @param {Array<object>} artists - Artists of one cluster
+ * @returns {object} Survivor artist row
+ */
+function pickSurvivorArtist(artists) {
+    const completeness = (artist) => {
+        const links = artist.external_links || {};
+        return (links.soundcloud?.id ? 4 : 0)
+            + Object.keys(links).length
+            + (artist.image_url ? 1 : 0)
+            + (artist.description ? 1 : 0);
+    };
+    return [...artists].sort((a, b) =>
+        completeness(b) - completeness(a)
+        || Number(hasPerformanceSuffix(a)) - Number(hasPerformanceSuffix(b))
+        || a.id - b.id
+    )[0];
+}
+
+/**
+ * Unions external links; on conflicting platforms the survivor's link is kept.
+ * @param {object|null} survivorLinks - external_links of the survivor
+ * @param {Array<object|null>} duplicateLinks - external_links of the merged artists
+ * @returns {object|null}
+ */
+function mergeExternalLinks(survivorLinks, duplicateLinks) {
+    const merged = { ...(survivorLinks || {}) };
+    for (const links of duplicateLinks) {
+        for (const [platform, data] of Object.entries(links || {})) {
+            if (merged[platform] === undefined || merged[platform] === null) {
+                merged[platform] = data;
+            }
+        }
+    }
+    return Object.keys(merged).length > 0 ? merged : null;
+}
+
+/**
+ * Computes every database change needed to merge a cluster into its survivor.
+ * Nothing is written; the plan doubles as the dry-run diff and as the undo log entry.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client
+ * @param {{artists: Array<object>, reasons: string[]}} cluster - Cluster from findArtistDuplicateClusters
+ * @returns {Promise<object>} Merge plan
+ */
+async function planArtistMerge(supabase, cluster) {
+    const survivor = pickSurvivorArtist(cluster.artists);
+    const duplicates = cluster.artists.filter(a => a.id !== survivor.id);
+    const duplicateIds = duplicates.map(a => String(a.id));
+    const survivorId = String(survivor.id);
+
+    const { data: eventArtists, error: eaError } = await supabase
+        .from('event_artist')
+        .select('id, event_id, artist_id')
+        .overlaps('artist_id', duplicateIds);
+    if (eaError) throw eaError;
+
+    const eventArtistUpdates = (eventArtists || []).map(row => {
+        const after = [];
+        for (const aid of row.artist_id) {
+            const mapped = duplicateIds.includes(String(aid)) ? survivorId : String(aid);
+            if (!after.includes(mapped)) after.push(mapped);
+        }
+        return { id: row.id, event_id: row.event_id, before: row.artist_id, after };
+    });
+
+    // Genres, follows and residencies: links the survivor already has are deleted instead of moved
+    const links = {};
+    for (const [table, otherKey] of ARTIST_LINK_TABLES) {
+        links[table] = await databaseUtils.planLinkMerge(supabase, table, 'artist_id', otherKey, survivor.id, duplicates.map(a => a.id));
+    }
+
+    // A "(live)" survivor takes the plain name of the act when one of the duplicates has it
+    const plainDuplicate = hasPerformanceSuffix(survivor) ? duplicates.find(a => !hasPerformanceSuffix(a)) : null;
+
+    return {
+        survivor,
+        duplicates,
+        reasons: cluster.reasons,
+        name: {
+            before: survivor.name,
+            after: plainDuplicate ? plainDuplicate.name : survivor.name
+        },
+        eventArtistUpdates,
+        links,
+        externalLinks: {
+            before: survivor.external_links || null,
+            after: mergeExternalLinks(survivor.external_links, duplicates.map(a => a.external_links))
+        }
+    };
+}
+
+/**
+ * Prints a merge plan as a readable diff.
+ * @param {object} plan - Plan from planArtistMerge
+ */
+function logArtistMergePlan(plan) {
+    console.log(`\n🔗 Merge into "${plan.survivor.name}" (id=${plan.survivor.id}) [${plan.reasons.join(', ')}]`);
+    for (const dup of plan.duplicates) {
+        console.log(`   - artist "${dup.name}" (id=${dup.id})`);
+    }
+    for (const update of plan.eventArtistUpdates) {
+        console.log(`   ~ event_artist ${update.id} (event ${update.event_id}): [${update.before.join(', ')}] -> [${update.after.join(', ')}]`);
+    }
+    for (const [table, otherKey] of ARTIST_LINK_TABLES) {
+        const { moved = [], deleted = [] } = plan.links[table] || {};
+        for (const row of moved) {
+            console.log(`   ~ ${table} ${otherKey}=${row[otherKey]}: artist ${row.artist_id} -> artist ${plan.survivor.id}`);
+        }
+        for (const row of deleted) {
+            console.log(`   ~ ${table} ${otherKey}=${row[otherKey]}: artist ${row.artist_id} -> deleted (survivor already linked)`);
+        }
+    }
+    if (plan.name.after !== plan.name.before) {
+        console.log(`   ~ name: "${plan.name.before}" -> "${plan.name.after}"`);
+    }
+    const addedPlatforms = Object.keys(plan.externalLinks.after || {})
+        .filter(p => !(plan.externalLinks.before || {})[p]);
+    if (addedPlatforms.length > 0) {
+        console.log(`   + external_links: ${addedPlatforms.join(', ')}`);
+    }
+}
+
+/**
+ * Applies a merge plan in one transaction (merge_artists RPC): rewrites event_artist arrays, repoints
+ * genres, follows and residencies, unions external links and deletes the duplicate artists.
+ * plan.links is replaced by the link rows the RPC actually moved or deleted, for the undo log.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client
+ * @param {object} plan - Plan from planArtistMerge
+ * @param {boolean} dryRun - Whether to perform actual database operations
+ */
+async function applyArtistMerge(supabase, plan, dryRun = false) {
+    if (dryRun) {
+        console.log(`[DRY_RUN] Would have merged ${plan.duplicates.length} artist(s) into "${plan.survivor.name}" (id=${plan.survivor.id})`);
+        return;
+    }
+
+    const { data: links, error } = await supabase.rpc('merge_artists', {
+        survivor_id: plan.survivor.id,
+        duplicate_ids: plan.duplicates.map(a => a.id),
+        survivor_name: plan.name.after,
+        survivor_external_links: plan.externalLinks.after,
+        event_artist_updates: plan.eventArtistUpdates.map(({ id, after }) => ({ id, after }))
+    });
+    if (error) throw error;
+    plan.links = links;
+
+    console.log(`✅ Merged ${plan.duplicates.length} artist(s) into "${plan.survivor.name}" (id=${plan.survivor.id})`);
+}
+
+/**
+ * Reverts an applied merge plan (as stored in the undo log).
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client
+ * @param {object} plan - Plan from planArtistMerge
+ * @param {boolean} dryRun - Whether to perform actual database operations
+ */
+async function undoArtistMerge(supabase, plan, dryRun = false) {
+    if (dryRun) {
+        console.log(`[DRY_RUN] Would have restored ${plan.duplicates.length} artist(s) merged into "${plan.survivor.name}" (id=${plan.survivor.id})`);
+        return;
+    }
+
+    const { error: survivorError } = await supabase
+        .from('artists')
+        .update({ name: plan.name.before, external_links: plan.externalLinks.before })
+        .eq('id', plan.survivor.id);
+    if (survivorError) throw survivorError;
+
+    const { error: insertError } = await supabase
+        .from('artists')
+        .upsert(plan.duplicates, { onConflict: 'id' });
+    if (insertError) throw insertError;
+
+    for (const [table, otherKey] of ARTIST_LINK_TABLES) {
+        await databaseUtils.undoLinkMerge(supabase, table, 'artist_id', otherKey, plan.survivor.id, plan.links[table] || {});
+    }
+
+    for (const update of plan.eventArtistUpdates) {
+        const { error } = await supabase
+            .from('event_artist')
+            .update({ artist_id: update.before })
+            .eq('id', update.id);
+        if (error) throw error;
+    }
+
+    console.log(`↩️ Restored ${plan.duplicates.length} artist(s) merged into "${plan.survivor.name}" (id=${plan.survivor.id})`);
+}
+
 /**
  * Initialize global access token for automatic refresh
  * @param {string} token - SoundCloud access token 
@@ -515,6 +1111,19 @@ export default {
     insertOrUpdateArtist,
     searchArtist,
     extractArtistInfo,
+    parseLineupRuleBased,
+    estimateLineupSize,
+    findKnownLineupArtistIds,
+    mergeLineupSources,
+    findStoredCollaborationNames,
     processSimpleEventArtists,
     initializeGlobalToken,
+    getArtistMergeKey,
+    findArtistDuplicateClusters,
+    pickSurvivorArtist,
+    mergeExternalLinks,
+    planArtistMerge,
+    logArtistMergePlan,
+    applyArtistMerge,
+    undoArtistMerge,
 };
@@ -1,8 +1,46 @@
 // models/event.js
 // Event-related utility functions
 
+import stringSimilarity from 'string-similarity';
 import { logMessage } from '../utils/logger.js';
 import { validateTimestamp } from '../utils/date.js';
+import { normalizeNameEnhanced } from '../utils/name.js';
+import { analyzeFestivalDays } from '../utils/festival-detection.js';
+import databaseUtils from '../utils/database.js';
+import { EVENT_DUPLICATE_THRESHOLD, EVENT_REVIEW_THRESHOLD, EVENT_DEDUP_WINDOW_HOURS, EVENT_MIN_TITLE_SIMILARITY, DEFAULT_TIMEZONE } from '../utils/constants.js';
+
+// Weights of each criterion in the duplicate score (sum = 1)
+const DEDUP_WEIGHTS = {
+    title: 0.35,
+    venue: 0.25,
+    time: 0.25,
+    lineup: 0.15
+};
+
+/**
+ * Finds the events imported from a source URL: metadata.source_urls lists the URL of the event
+ * and the URLs of the duplicates merged into it (indexed), the source key covers older events.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} sourceUrl - Event URL on the source platform
+ * @param {string} urlMetadataKey - Metadata key of the source URL ('facebook_url', 'dice_url'...)
+ * @param {string} columns - Columns to select
+ * @returns {Promise<Array<object>>} Matching events
+ */
+export async function findEventsBySourceUrl(supabase, sourceUrl, urlMetadataKey = 'facebook_url', columns = 'id, metadata') {
+    const { data: eventsBySourceUrls, error: sourceUrlsError } = await supabase
+        .from('events')
+        .select(columns)
+        .filter('metadata->source_urls', 'cs', JSON.stringify([sourceUrl]));
+    if (sourceUrlsError) throw sourceUrlsError;
+    if (eventsBySourceUrls && eventsBySourceUrls.length > 0) return eventsBySourceUrls;
+
+    const { data: eventsByKey, error: keyError } = await supabase
+        .from('events')
+        .select(columns)
+        .ilike(`metadata->>${urlMetadataKey}`, sourceUrl);
+    if (keyError) throw keyError;
+    return eventsByKey || [];
+}
 
 /**
  * Finds an event in Supabase by Facebook URL, then by title if not found.
@@ -15,12 +53,8 @@ import { validateTimestamp } from '../utils/date.js';
 export async function findEvent(supabase, { facebookUrl, title }) {
     // Try by Facebook URL
     if (facebookUrl) {
-        const { data: eventsByUrl, error: urlError } = await supabase
-            .from('events')
-            .select('id, title, metadata, date_time')
-            .ilike('metadata->>facebook_url', facebookUrl);
-        if (urlError) throw urlError;
-        if (eventsByUrl && eventsByUrl.length > 0) {
+        const eventsByUrl = await findEventsBySourceUrl(supabase, facebookUrl, 'facebook_url', 'id, title, metadata, date_time');
+        if (eventsByUrl.length > 0) {
             return eventsByUrl[0];
         }
     }
@@ -38,6 +72,29 @@ export async function findEvent(supabase, { facebookUrl, title }) {
     return null;
 }
 
+/**
+ * Returns the timezone stored on the venue of an event.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {number} eventId
+ * @returns {Promise<string|null>} IANA timezone or null when the venue has none
+ */
+export async function getEventTimezone(supabase, eventId) {
+    const { data: links, error } = await supabase
+        .from('event_venue')
+        .select('venue_id')
+        .eq('event_id', eventId)
+        .limit(1);
+    if (error) throw error;
+    if (!links || links.length === 0) return null;
+    const { data: venue, error: venueError } = await supabase
+        .from('venues')
+        .select('timezone')
+        .eq('id', links[0].venue_id)
+        .maybeSingle();
+    if (venueError) throw venueError;
+    return venue ? venue.timezone || null : null;
+}
+
 /**
  * Updates event metadata with stages and festival days
  * @param {import('@supabase/supabase-js').SupabaseClient} supabase
@@ -162,6 +219,10 @@ export async function linkArtistsToEvent(supabase, eventId, artistIds, performan
             custom_name: performanceData.custom_name || null,
             created_at: new Date().toISOString(),
         };
+        // Provenance of the link ('description', 'flyer', 'description+flyer'...), when known
+        if (performanceData.source) {
+            linkRecord.source = performanceData.source;
+        }
         
         const { data, error } = await supabase
             .from('event_artist')
@@ -180,8 +241,493 @@ export async function linkArtistsToEvent(supabase, eventId, artistIds, performan
     }
 }
 
+/**
+ * Normalizes an event title for fuzzy comparison (accents, case, years, punctuation).
+ * @param {string} title
+ * @returns {string}
+ */
+function normalizeEventTitle(title) {
+    return normalizeNameEnhanced(title || '')
+        .toLowerCase()
+        .replace(/\b(19|20)\d{2}\b/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Scores how likely an existing event and an incoming event are the same party.
+ * Unknown criteria (no venue, no lineup on one side) count as neutral (0.5).
+ * The same venue and time only say that both events share a slot (two rooms of a club): a pair is
+ * `comparable`, i.e. may be merged or flagged, when its titles reach EVENT_MIN_TITLE_SIMILARITY or
+ * its lineups share an artist.
+ * @param {Object} candidate - Existing event { title, date_time, venueIds, artistIds }
+ * @param {Object} incoming - Incoming event { title, date_time, venueId, artistIds }
+ * @returns {{score: number, criteria: Object, comparable: boolean}} Weighted score (0-1), per-criterion details
+ */
+export function scoreEventDuplicate(candidate, incoming) {
+    const criteria = {};
+
+    const titleA = normalizeEventTitle(candidate.title);
+    const titleB = normalizeEventTitle(incoming.title);
+    criteria.title = (titleA && titleB) ? stringSimilarity.compareTwoStrings(titleA, titleB) : 0;
+
+    const candidateVenues = candidate.venueIds || [];
+    if (incoming.venueId && candidateVenues.length > 0) {
+        criteria.venue = candidateVenues.map(String).includes(String(incoming.venueId)) ? 1 : 0;
+    } else {
+        criteria.venue = 0.5;
+    }
+
+    if (candidate.date_time && incoming.date_time) {
+        const diffHours = Math.abs(Date.parse(candidate.date_time) - Date.parse(incoming.date_time)) / 3600000;
+        // Full score within 1h, linear decay to 0 at the end of the window
+        criteria.time = diffHours <= 1 ? 1 : Math.max(0, 1 - (diffHours - 1) / (EVENT_DEDUP_WINDOW_HOURS - 1));
+    } else {
+        criteria.time = 0.5;
+    }
+
+    const lineupA = new Set((candidate.artistIds || []).map(String));
+    const lineupB = new Set((incoming.artistIds || []).map(String));
+    let sharedArtists = 0;
+    if (lineupA.size > 0 && lineupB.size > 0) {
+        sharedArtists = [...lineupA].filter(id => lineupB.has(id)).length;
+        criteria.lineup = sharedArtists / new Set([...lineupA, ...lineupB]).size;
+    } else {
+        criteria.lineup = 0.5;
+    }
+
+    const score = Object.entries(DEDUP_WEIGHTS)
+        .reduce((sum, [key, weight]) => sum + criteria[key] * weight, 0);
+
+    return {
+        score: Math.round(score * 1000) / 1000,
+        criteria,
+        comparable: criteria.title >= EVENT_MIN_TITLE_SIMILARITY || sharedArtists > 0
+    };
+}
+
+/**
+ * Finds existing events that may be the same party as an incoming event, from any source.
+ * Candidates start within EVENT_DEDUP_WINDOW_HOURS of the incoming event.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {Object} incoming - { title, date_time, venueId, artistIds }
+ * @returns {Promise<{decision: string, match: Object|null, candidates: Array}>}
+ *   decision is 'duplicate' (merge into match), 'ambiguous' (keep both, flag for review) or 'distinct'
+ */
+export async function findDuplicateEvent(supabase, incoming) {
+    if (!incoming.date_time) {
+        return { decision: 'distinct', match: null, candidates: [] };
+    }
+
+    const start = Date.parse(incoming.date_time);
+    const windowMs = EVENT_DEDUP_WINDOW_HOURS * 3600000;
+    const { data: events, error } = await supabase
+        .from('events')
+        .select('id, title, date_time, metadata')
+        .is('parent_event_id', null) // Festival day events are never duplicates of an import
+        .gte('date_time', new Date(start - windowMs).toISOString())
+        .lte('date_time', new Date(start + windowMs).toISOString());
+    if (error) throw error;
+    if (!events || events.length === 0) {
+        return { decision: 'distinct', match: null, candidates: [] };
+    }
+
+    const eventIds = events.map(e => e.id);
+    const { data: venueLinks, error: venueError } = await supabase
+        .from('event_venue')
+        .select('event_id, venue_id')
+        .in('event_id', eventIds);
+    if (venueError) throw venueError;
+    const { data: artistLinks, error: artistError } = await supabase
+        .from('event_artist')
+        .select('event_id, artist_id')
+        .in('event_id', eventIds);
+    if (artistError) throw artistError;
+
+    const candidates = events.map(event => {
+        const venueIds = (venueLinks || []).filter(l => l.event_id === event.id).map(l => l.venue_id);
+        const artistIds = (artistLinks || [])
+            .filter(l => l.event_id === event.id)
+            .flatMap(l => Array.isArray(l.artist_id) ? l.artist_id : [l.artist_id]);
+        const { score, criteria, comparable } = scoreEventDuplicate({ ...event, venueIds, artistIds }, incoming);
+        return { event, score, criteria, comparable };
+    }).sort((a, b) => b.score - a.score);
+
+    // Venue and time alone never make a duplicate: unrelated titles need a shared artist
+    const best = candidates.find(candidate => candidate.comparable);
+    let decision = 'distinct';
+    if (best?.score >= EVENT_DUPLICATE_THRESHOLD) {
+        decision = 'duplicate';
+    } else if (best?.score >= EVENT_REVIEW_THRESHOLD) {
+        decision = 'ambiguous';
+    }
+
+    return { decision, match: decision === 'distinct' ? null : best, candidates };
+}
+
+/**
+ * Merges the metadata of a duplicate into the canonical event metadata.
+ * Existing keys of the canonical event are never overwritten; the source URLs of the duplicate are
+ * added to source_urls, so that its next import finds the event by URL, and the merge is recorded
+ * in merged_sources (one entry per duplicate, replaced when the same source is merged again).
+ * @param {Object} canonicalMetadata - Metadata of the event kept
+ * @param {Object} duplicateMetadata - Metadata of the duplicate
+ * @param {Object} report - Confidence report { score, criteria, source }
+ * @returns {Object} Merged metadata
+ */
+export function mergeEventMetadata(canonicalMetadata, duplicateMetadata, report) {
+    const merged = { ...(canonicalMetadata || {}) };
+    for (const [key, value] of Object.entries(duplicateMetadata || {})) {
+        if (['merged_sources', 'duplicate_review', 'source', 'source_urls'].includes(key)) continue;
+        if (merged[key] === undefined || merged[key] === null || merged[key] === '') {
+            merged[key] = value;
+        }
+    }
+
+    const duplicateUrls = duplicateMetadata?.source_urls || [];
+    merged.source_urls = [...new Set([...(merged.source_urls || []), ...duplicateUrls])];
+    const isSameDuplicate = (entry) => duplicateUrls.length > 0 &&
+        (entry.metadata?.source_urls || []).some(url => duplicateUrls.includes(url));
+
+    merged.merged_sources = [
+        ...(merged.merged_sources || []).filter(entry => !isSameDuplicate(entry)),
+        {
+            source: duplicateMetadata?.source || 'facebook',
+            metadata: duplicateMetadata,
+            score: report.score,
+            criteria: report.criteria,
+            merged_at: new Date().toISOString()
+        }
+    ];
+    return merged;
+}
+
+/**
+ * Merges an incoming duplicate into an existing event and logs the confidence report.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {Object} match - Best candidate returned by findDuplicateEvent
+ * @param {Object} incomingMetadata - Metadata the incoming event would have been inserted with
+ * @param {boolean} dryRun - Whether to perform actual database updates
+ * @returns {Promise<Object>} Merged metadata
+ */
+export async function mergeDuplicateEvent(supabase, match, incomingMetadata, dryRun = false) {
+    const merged = mergeEventMetadata(match.event.metadata, incomingMetadata, match);
+    logMessage(`🔀 Merging duplicate into event ${match.event.id} "${match.event.title}" (score: ${match.score}, ` +
+        `title: ${match.criteria.title.toFixed(2)}, venue: ${match.criteria.venue}, time: ${match.criteria.time.toFixed(2)}, lineup: ${match.criteria.lineup.toFixed(2)})`);
+    if (!dryRun) {
+        const { error } = await supabase
+            .from('events')
+            .update({ metadata: merged })
+            .eq('id', match.event.id);
+        if (error) throw error;
+    }
+    return merged;
+}
+
+/**
+ * Flags two events as possible duplicates so that a reviewer can decide.
+ * Both events get a duplicate_review entry pointing to the other one.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {number} eventId - Newly inserted event
+ * @param {Object} match - Best candidate returned by findDuplicateEvent
+ * @param {boolean} dryRun - Whether to perform actual database updates
+ */
+export async function flagPossibleDuplicate(supabase, eventId, match, dryRun = false) {
+    logMessage(`⚠️ Event ${eventId} may duplicate event ${match.event.id} "${match.event.title}" (score: ${match.score}) - flagged for review`);
+    if (dryRun) return;
+
+    const review = (otherId) => ({
+        event_id: otherId,
+        score: match.score,
+        criteria: match.criteria,
+        status: 'pending',
+        flagged_at: new Date().toISOString()
+    });
+
+    const { data: rows, error } = await supabase
+        .from('events')
+        .select('id, metadata')
+        .in('id', [eventId, match.event.id]);
+    if (error) throw error;
+
+    for (const row of rows || []) {
+        const otherId = row.id === eventId ? match.event.id : eventId;
+        const metadata = { ...(row.metadata || {}) };
+        const reviews = (metadata.duplicate_review || []).filter(r => r.event_id !== otherId);
+        metadata.duplicate_review = [...reviews, review(otherId)];
+        const { error: updateError } = await supabase
+            .from('events')
+            .update({ metadata })
+            .eq('id', row.id);
+        if (updateError) throw updateError;
+    }
+}
+
+/**
+ * Days to split a festival into: metadata.festival_days (from the timetable) when present,
+ * otherwise the days estimated from the event duration (analyzeFestivalDays).
+ * @param {Object} event - Event row { date_time, end_date_time, metadata }
+ * @param {string} timezone - IANA timezone of the venue
+ * @returns {Array<{name: string, start: string, end: string}>}
+ */
+export function getFestivalDays(event, timezone = DEFAULT_TIMEZONE) {
+    const storedDays = Array.isArray(event.metadata?.festival_days) ? event.metadata.festival_days : [];
+    if (storedDays.length > 0) return storedDays;
+    if (!event.date_time || !event.end_date_time) return [];
+    return analyzeFestivalDays({
+        startTimestamp: Date.parse(event.date_time) / 1000,
+        endTimestamp: Date.parse(event.end_date_time) / 1000
+    }, timezone);
+}
+
+/**
+ * Assigns event_artist rows to the festival day their performance starts in.
+ * @param {Array<{start_time: string|null}>} rows - event_artist rows of the festival
+ * @param {Array<{name: string, start: string, end: string}>} festivalDays
+ * @returns {{byDay: Array<Array<object>>, unassigned: Array<object>}} Rows of each day (same order as festivalDays), rows without time or outside every day
+ */
+export function assignRowsToFestivalDays(rows, festivalDays) {
+    const days = festivalDays.map(day => ({ start: Date.parse(day.start), end: Date.parse(day.end) }));
+    const byDay = days.map(() => []);
+    const unassigned = [];
+    for (const row of rows || []) {
+        const start = row.start_time ? Date.parse(row.start_time) : NaN;
+        const index = Number.isNaN(start) ? -1 : days.findIndex(day => start >= day.start && start < day.end);
+        if (index === -1) {
+            unassigned.push(row);
+        } else {
+            byDay[index].push(row);
+        }
+    }
+    return { byDay, unassigned };
+}
+
+/**
+ * Identity of an event_artist row within an event: stage, slot and artists.
+ * @param {Object} row
+ * @returns {string}
+ */
+function getLineupRowKey(row) {
+    const time = value => (value ? new Date(value).toISOString() : '');
+    const artistIds = (Array.isArray(row.artist_id) ? row.artist_id : [row.artist_id]).map(String).sort();
+    return `${row.stage || ''}|${time(row.start_time)}|${time(row.end_time)}|${artistIds.join(',')}`;
+}
+
+/**
+ * Copies the lineup of a festival day to its day event: missing rows are inserted, status and
+ * custom_name changes applied, rows no longer in the festival lineup deleted.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {number} dayEventId
+ * @param {Array<object>} dayRows - event_artist rows of the festival starting this day
+ * @returns {Promise<{inserted: number, updated: number, removed: number}>}
+ */
+async function syncFestivalDayLineup(supabase, dayEventId, dayRows) {
+    const { data: existingRows, error } = await supabase
+        .from('event_artist')
+        .select('id, artist_id, stage, start_time, end_time, status, custom_name')
+        .eq('event_id', dayEventId);
+    if (error) throw error;
+
+    const existingByKey = new Map((existingRows || []).map(row => [getLineupRowKey(row), row]));
+    const result = { inserted: 0, updated: 0, removed: 0 };
+    for (const row of dayRows) {
+        const key = getLineupRowKey(row);
+        const existing = existingByKey.get(key);
+        existingByKey.delete(key);
+        if (!existing) {
+            const { error: insertError } = await supabase
+                .from('event_artist')
+                .insert({
+                    event_id: dayEventId,
+                    artist_id: row.artist_id,
+                    start_time: row.start_time,
+                    end_time: row.end_time,
+                    status: row.status || 'confirmed',
+                    stage: row.stage,
+                    custom_name: row.custom_name,
+                    ...(row.source ? { source: row.source } : {}),
+                    created_at: new Date().toISOString()
+                });
+            if (insertError) throw insertError;
+            result.inserted++;
+        } else if ((existing.status || 'confirmed') !== (row.status || 'confirmed') || (existing.custom_name || null) !== (row.custom_name || null)) {
+            const { error: updateError } = await supabase
+                .from('event_artist')
+                .update({ status: row.status || 'confirmed', custom_name: row.custom_name || null })
+                .eq('id', existing.id);
+            if (updateError) throw updateError;
+            result.updated++;
+        }
+    }
+    // Left over: removed from the festival lineup or moved to another day
+    const staleIds = [...existingByKey.values()].map(row => row.id);
+    if (staleIds.length > 0) {
+        const { error: deleteError } = await supabase
+            .from('event_artist')
+            .delete()
+            .in('id', staleIds);
+        if (deleteError) throw deleteError;
+        result.removed = staleIds.length;
+    }
+    return result;
+}
+
+/**
+ * Materializes each day of a multi-day festival as a child event (events.parent_event_id), with its
+ * own date_time / end_date_time and the lineup of the event_artist slots starting that day.
+ * Day events copy the title, type, description, image, ticket link, venue and promoters of the festival.
+ * Running it again updates the day events in place; days that disappeared are flagged
+ * (metadata.festival_day.removed) rather than deleted, since they may already be linked to tickets.
+ * Performances without time stay on the festival only.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {number} eventId - Festival (parent) event
+ * @param {Object} options
+ * @param {string} options.timezone - IANA timezone of the venue, used when the days are estimated from the duration
+ * @param {boolean} options.dryRun - Whether to perform actual database updates
+ * @returns {Promise<{days: Array<{name: string, start: string, end: string, eventId: number|null, action: string, lineup: Object}>, unassigned: number, removedDays: number[]}>}
+ */
+export async function materializeFestivalDays(supabase, eventId, { timezone = DEFAULT_TIMEZONE, dryRun = false } = {}) {
+    const { data: festival, error } = await supabase
+        .from('events')
+        .select('id, title, type, description, image_url, date_time, end_date_time, metadata, parent_event_id')
+        .eq('id', eventId)
+        .single();
+    if (error) throw error;
+    if (festival.parent_event_id) {
+        throw new Error(`Event ${eventId} is a festival day of event ${festival.parent_event_id}, split the festival instead`);
+    }
+
+    const festivalDays = getFestivalDays(festival, timezone);
+    const result = { days: [], unassigned: 0, removedDays: [] };
+    if (festivalDays.length < 2) {
+        logMessage(`ℹ️ Event ${eventId} spans ${festivalDays.length} day(s), nothing to split`);
+        return result;
+    }
+
+    const { data: rows, error: rowsError } = await supabase
+        .from('event_artist')
+        .select('id, artist_id, stage, start_time, end_time, status, custom_name, source')
+        .eq('event_id', eventId);
+    if (rowsError) throw rowsError;
+    const { byDay, unassigned } = assignRowsToFestivalDays(rows, festivalDays);
+    result.unassigned = unassigned.length;
+
+    const { data: children, error: childrenError } = await supabase
+        .from('events')
+        .select('id, metadata')
+        .eq('parent_event_id', eventId);
+    if (childrenError) throw childrenError;
+    // A day event follows its dates (tickets are sold for a date): match on overlap first, then on the day index
+    const unmatchedChildren = new Set(children || []);
+    const findDayEvent = (day, index) => {
+        const start = Date.parse(day.start);
+        const end = Date.parse(day.end);
+        const candidates = [...unmatchedChildren];
+        const match = candidates.find(child => Date.parse(child.metadata?.festival_day?.start) < end && Date.parse(child.metadata?.festival_day?.end) > start)
+            || candidates.find(child => child.metadata?.festival_day?.index === index);
+        unmatchedChildren.delete(match);
+        return match;
+    };
+
+    const { data: venueLinks, error: venueError } = await supabase
+        .from('event_venue')
+        .select('venue_id')
+        .eq('event_id', eventId);
+    if (venueError) throw venueError;
+    const { data: promoterLinks, error: promoterError } = await supabase
+        .from('event_promoter')
+        .select('promoter_id')
+        .eq('event_id', eventId);
+    if (promoterError) throw promoterError;
+
+    for (const [i, day] of festivalDays.entries()) {
+        const index = i + 1;
+        const existing = findDayEvent(day, index);
+        const dayRows = byDay[i];
+        const festivalDay = { index, name: day.name, start: day.start, end: day.end };
+        const record = {
+            title: `${festival.title} - ${day.name}`,
+            type: festival.type,
+            date_time: day.start,
+            end_date_time: day.end,
+            description: festival.description,
+            image_url: festival.image_url,
+            parent_event_id: eventId
+        };
+        const metadata = {
+            ...(existing?.metadata || {}),
+            ...(festival.metadata?.ticket_link ? { ticket_link: festival.metadata.ticket_link } : {}),
+            stages: festival.metadata?.stages || [],
+            festival_day: festivalDay
+        };
+        const summary = { ...festivalDay, eventId: existing ? existing.id : null, action: existing ? 'updated' : 'created', lineup: { total: dayRows.length } };
+        result.days.push(summary);
+
+        if (dryRun) {
+            logMessage(`[DRY_RUN] Would have ${summary.action} day event "${record.title}" (${day.start} → ${day.end}) with ${dayRows.length} performance(s)`);
+            continue;
+        }
+
+        let dayEventId = existing?.id;
+        if (existing) {
+            const { error: updateError } = await supabase
+                .from('events')
+                .update({ ...record, metadata })
+                .eq('id', existing.id);
+            if (updateError) throw updateError;
+        } else {
+            const { data: inserted, error: insertError } = await supabase
+                .from('events')
+                .insert({ ...record, metadata })
+                .select('id')
+                .single();
+            if (insertError) throw insertError;
+            dayEventId = inserted.id;
+            summary.eventId = dayEventId;
+        }
+
+        for (const link of venueLinks || []) {
+            await databaseUtils.ensureRelation(supabase, 'event_venue', { event_id: dayEventId, venue_id: link.venue_id }, 'event_venue');
+        }
+        for (const link of promoterLinks || []) {
+            await databaseUtils.ensureRelation(supabase, 'event_promoter', { event_id: dayEventId, promoter_id: link.promoter_id }, 'event_promoter');
+        }
+        summary.lineup = { total: dayRows.length, ...await syncFestivalDayLineup(supabase, dayEventId, dayRows) };
+        logMessage(`✅ Day event ${summary.action} "${record.title}" (id=${dayEventId}): ${dayRows.length} performance(s), ` +
+            `+${summary.lineup.inserted} ~${summary.lineup.updated} -${summary.lineup.removed}`);
+    }
+
+    // Day events of days that no longer exist (shorter festival, regrouped timetable)
+    for (const child of unmatchedChildren) {
+        result.removedDays.push(child.id);
+        if (child.metadata?.festival_day?.removed) continue;
+        logMessage(`⚠️ Day event ${child.id} "${child.metadata?.festival_day?.name}" no longer matches a festival day${dryRun ? ' [DRY_RUN]' : ''} - flagged as removed`);
+        if (dryRun) continue;
+        const { error: flagError } = await supabase
+            .from('events')
+            .update({ metadata: { ...child.metadata, festival_day: { ...child.metadata.festival_day, removed: true } } })
+            .eq('id', child.id);
+        if (flagError) throw flagError;
+    }
+
+    if (unassigned.length > 0) {
+        logMessage(`ℹ️ ${unassigned.length} performance(s) without time or outside the festival days stay on the festival only`);
+    }
+    return result;
+}
+
 export default {
+    findEventsBySourceUrl,
     findEvent,
+    getEventTimezone,
     updateEventMetadata,
-    linkArtistsToEvent
+    linkArtistsToEvent,
+    scoreEventDuplicate,
+    findDuplicateEvent,
+    mergeEventMetadata,
+    mergeDuplicateEvent,
+    flagPossibleDuplicate,
+    getFestivalDays,
+    assignRowsToFestivalDays,
+    materializeFestivalDays
 };
@@ -5,6 +5,7 @@ import fetch from 'node-fetch';
 import databaseUtils from '../utils/database.js';
 import { MIN_GENRE_OCCURRENCE, MAX_GENRES_REGULAR, MAX_GENRES_FESTIVAL, FESTIVAL_FALLBACK_GENRES } from '../utils/constants.js';
 import { getAccessToken } from '../utils/token.js';
+import { withApiLimit } from '../utils/concurrency.js';
 
 /**
  * refineGenreName
@@ -89,9 +90,9 @@ async function getBannedGenreIds(supabase, bannedGenres) {
 async function fetchArtistTracks(soundcloudUserId, token) {
     try {
         const url = `https://api.soundcloud.com/users/${soundcloudUserId}/tracks?limit=10`;
-        const response = await fetch(url, {
+        const response = await withApiLimit('soundcloud', () => fetch(url, {
             headers: { "Authorization": `OAuth ${token}` }
-        });
+        }));
         const data = await response.json();
         if (!Array.isArray(data)) {
             console.error(`[Genres] Expected tracks to be an array but got: ${JSON.stringify(data)}`);
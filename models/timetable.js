@@ -3,31 +3,47 @@
 
 import { DateTime } from 'luxon';
 import { logMessage } from '../utils/logger.js';
+import { DEFAULT_TIMEZONE } from '../utils/constants.js';
+import { resolvePerformanceTimes, toUtcTimestamp, toZonedDateTime } from '../utils/date.js';
+import { parseCancellation } from '../timetable/normalize.js';
+import { diffTimetable, formatTimetableChangelog } from '../timetable/diff.js';
+import { buildTimetableSlots, filterTimetableSlots, writeTimetable } from '../timetable/export.js';
+import { expandCollaborations, groupCollaborations } from '../utils/collaboration.js';
 
 /**
- * Groups performances by time slot and stage for B2B detection
+ * Groups performances by time slot and stage for B2B detection.
+ * Combined names ("A b2b B", "A x B", "A & B" between known artists) are split first, known duos excepted (see utils/collaboration.js).
  * @param {Array} jsonData - Array of performance objects
+ * @param {Object} options
+ * @param {Iterable<string>} options.knownNames - Stored artist names (see findStoredCollaborationNames in models/artist.js)
  * @returns {Array} Array of grouped performances
  */
-export function groupPerformancesForB2B(jsonData) {
+export function groupPerformancesForB2B(jsonData, { knownNames = [] } = {}) {
     // Key: stage|time|end_time|performance_mode
-    const groups = {};
-    for (const perf of jsonData) {
-        if (!perf.name || !perf.stage || !perf.time || !perf.end_time) continue;
-        const key = `${perf.stage}|${perf.time}|${perf.end_time}|${perf.performance_mode || ''}`;
-        if (!groups[key]) groups[key] = [];
-        groups[key].push(perf);
-    }
-    return Object.values(groups);
+    const performances = jsonData.filter(perf => perf.name && perf.stage && perf.time && perf.end_time);
+    return groupCollaborations(performances, { knownNames });
+}
+
+/**
+ * Marks the performances announced as cancelled ("Artist (cancelled)") and strips the marker from their name.
+ * @param {Array} jsonData - Array of performance objects
+ * @returns {Array} Performances, cancelled ones with status 'cancelled'
+ */
+function markCancelledPerformances(jsonData) {
+    return jsonData.map(perf => {
+        if (perf.status === 'cancelled') return perf;
+        const { name, cancelled } = parseCancellation(perf.name);
+        return cancelled ? { ...perf, name, status: 'cancelled' } : perf;
+    });
 }
 
 /**
  * Extracts unique stages and festival days from performances
  * @param {Array} performances - Array of performance objects
- * @param {string} timezone - Timezone for date calculations (default: 'Europe/Brussels')
+ * @param {string} timezone - Timezone of the venue for date calculations (default: DEFAULT_TIMEZONE)
  * @returns {Object} Object with stages and festival_days arrays
  */
-export function extractStagesAndDaysFromPerformances(performances, timezone = 'Europe/Brussels') {
+export function extractStagesAndDaysFromPerformances(performances, timezone = DEFAULT_TIMEZONE) {
     // Extract unique stages
     const stagesSet = new Set();
     performances.forEach(p => {
@@ -216,10 +232,10 @@ export function logTimetableStatistics(stats, logFunction = logMessage) {
 /**
  * Processes and analyzes a complete timetable import
  * @param {Array} jsonData - Array of performance objects
- * @param {string} timezone - Timezone for processing
+ * @param {string} timezone - Timezone of the venue for processing
  * @returns {Object} Complete timetable analysis
  */
-export function processTimetableData(jsonData, timezone = 'Europe/Brussels') {
+export function processTimetableData(jsonData, timezone = DEFAULT_TIMEZONE) {
     const stats = generateTimetableStatistics(jsonData);
     const { stages, festival_days } = extractStagesAndDaysFromPerformances(jsonData, timezone);
     const groupedPerformances = groupPerformancesForB2B(jsonData);
@@ -252,6 +268,9 @@ export function processTimetableData(jsonData, timezone = 'Europe/Brussels') {
  * @param {string} options.soundCloudClientSecret - SoundCloud client secret
  * @param {Function} options.logMessage - Logging function
  * @param {Function} options.delay - Delay function for rate limiting
+ * @param {string} options.timezone - IANA timezone of the venue (timetable times are local wall-clock times)
+ * @param {number|string|null} options.eventStart - Event start, anchors "HH:MM" times
+ * @param {boolean} options.sync - Diff against the stored performances first: move, cancel and remove them (see syncTimetableLinks)
  * @returns {Promise<Object>} Processing results with statistics
  */
 async function processFestivalTimetable(supabase, eventId, timetableData, clashfinderResult, options = {}) {
@@ -260,19 +279,39 @@ async function processFestivalTimetable(supabase, eventId, timetableData, clashf
         soundCloudClientId,
         soundCloudClientSecret,
         logMessage = console.log,
-        delay = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+        delay = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+        timezone = DEFAULT_TIMEZONE,
+        eventStart = null,
+        sync = false
     } = options;
 
+    // One performance per artist: "A b2b B" becomes A and B sharing the slot (custom_name "A b2b B").
+    // Cancellation markers go first so "A b2b B (cancelled)" cancels both.
+    const { findStoredCollaborationNames } = (await import('./artist.js')).default;
+    timetableData = markCancelledPerformances(timetableData);
+    const knownNames = await findStoredCollaborationNames(supabase, timetableData.map(perf => perf.name));
+    timetableData = expandCollaborations(timetableData, { knownNames });
+
+    let timetableDiff = null;
+    if (sync) {
+        const syncResult = await syncTimetableLinks(supabase, eventId, timetableData, { dryRun, timezone, eventStart, logMessage });
+        timetableDiff = syncResult.diff;
+        // Added performances are created below like a regular import; cancelled ones are not linked
+        timetableData = syncResult.performances;
+    } else {
+        timetableData = timetableData.filter(perf => perf.status !== 'cancelled');
+    }
+
     if (dryRun) {
         console.log(`(DRY_RUN) Would process festival timetable with ${timetableData.length} performances`);
-        return { processedCount: 0, successCount: 0, soundCloudFoundCount: 0 };
+        return { processedCount: 0, successCount: 0, soundCloudFoundCount: 0, timetableDiff };
     }
 
     console.log(`\n🎪 Processing festival timetable with ${timetableData.length} performances...`);
     logMessage(`Starting festival timetable import for event ${eventId}`);
     
-    // Set default timezone
-    const timezone = 'Europe/Brussels';
+    // Timetable times are local to the venue; the database stores them in UTC
+    const resolveTimes = (perf) => resolvePerformanceTimes(perf.time, perf.end_time, { eventStart, timezone });
     
     // Generate statistics and extract metadata
     const stats = generateTimetableStatistics(timetableData);
@@ -348,7 +387,10 @@ async function processFestivalTimetable(supabase, eventId, timetableData, clashf
         existingEventArtists.forEach(link => {
             const artistIds = Array.isArray(link.artist_id) ? link.artist_id : [link.artist_id];
             artistIds.forEach(artistId => {
-                const key = `${artistId}_${link.stage || 'null'}_${link.start_time || 'null'}_${link.end_time || 'null'}`;
+                // Stored timestamps come back as "...+00:00": normalize them to the format built below
+                const start = toUtcTimestamp(toZonedDateTime(link.start_time, 'UTC'));
+                const end = toUtcTimestamp(toZonedDateTime(link.end_time, 'UTC'));
+                const key = `${artistId}_${link.stage || 'null'}_${start || 'null'}_${end || 'null'}`;
                 existingPerformanceMap.set(key, true);
             });
         });
@@ -370,11 +412,9 @@ async function processFestivalTimetable(supabase, eventId, timetableData, clashf
                 break;
             }
             
-            // Use the correct field names: perf.time maps to start_time, perf.end_time maps to end_time
-            // Database stores times in local timezone (Europe/Brussels), so don't convert to UTC
-            const startTime = perf.time + ':00+00:00'; // Convert to PostgreSQL timestamp format
-            const endTime = perf.end_time + ':00+00:00'; // Convert to PostgreSQL timestamp format  
-            const linkKey = `${artistId}_${perf.stage || 'null'}_${startTime}_${endTime}`;
+            // perf.time maps to start_time, perf.end_time maps to end_time (both resolved to UTC)
+            const { start: startTime, end: endTime } = resolveTimes(perf);
+            const linkKey = `${artistId}_${perf.stage || 'null'}_${startTime || 'null'}_${endTime || 'null'}`;
             if (!existingPerformanceMap.has(linkKey)) {
                 // Debug: Log why link wasn't found
                 if (group.length === 1) { // Only log for single performances to avoid spam
@@ -490,7 +530,8 @@ async function processFestivalTimetable(supabase, eventId, timetableData, clashf
         // Link artists to event with performance details
         if (artistIds.length > 0) {
             const refPerf = group[0];
-            await linkArtistsToEvent(supabase, eventId, artistIds, refPerf, dryRun);
+            const { start, end } = resolveTimes(refPerf);
+            await linkArtistsToEvent(supabase, eventId, artistIds, { ...refPerf, time: start, end_time: end }, dryRun);
             
             successCount += group.length;
             processedCount += group.length;
@@ -559,10 +600,197 @@ async function processFestivalTimetable(supabase, eventId, timetableData, clashf
         stats,
         stages,
         festival_days,
-        detectedEndTime: detectedEndTime
+        detectedEndTime: detectedEndTime,
+        timetableDiff
     };
 }
 
+/**
+ * Diffs a timetable against the event_artist rows of the event and applies the changes to stored rows:
+ * moved performances get their new stage/times, cancelled ones status 'cancelled', reappearing ones
+ * status 'confirmed' again, and rows absent from the timetable are deleted. Added performances are
+ * only reported: the caller imports them (artist creation, SoundCloud search, link).
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client
+ * @param {number} eventId - The event ID in the database
+ * @param {Array} timetableData - Performances with local times (a "(cancelled)" name or status: 'cancelled' marks a cancellation)
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Print the changelog without writing
+ * @param {string} options.timezone - IANA timezone of the venue
+ * @param {number|string|null} options.eventStart - Event start, anchors "HH:MM" times
+ * @param {Function} options.logMessage - Logging function
+ * @returns {Promise<{diff: Object, performances: Array}>} The diff and the performances left to import (cancelled ones removed)
+ */
+export async function syncTimetableLinks(supabase, eventId, timetableData, {
+    dryRun = false,
+    timezone = DEFAULT_TIMEZONE,
+    eventStart = null,
+    logMessage: log = logMessage
+} = {}) {
+    const performances = expandCollaborations(markCancelledPerformances(timetableData));
+
+    // Artist IDs of the incoming names (same lookup as processFestivalTimetable)
+    const names = [...new Set(performances.map(p => p.name && p.name.trim()).filter(Boolean))];
+    const artistIdByName = new Map();
+    if (names.length > 0) {
+        const { data: artists, error } = await supabase
+            .from('artists')
+            .select('id, name')
+            .in('name', names);
+        if (error) throw error;
+        (artists || []).forEach(artist => artistIdByName.set(artist.name.toLowerCase(), String(artist.id)));
+    }
+
+    const acts = groupPerformancesForB2B(performances).map(group => {
+        const active = group.filter(p => p.status !== 'cancelled');
+        const members = active.length > 0 ? active : group;
+        const { start, end } = resolvePerformanceTimes(group[0].time, group[0].end_time, { eventStart, timezone });
+        return {
+            names: members.map(p => p.name.trim()),
+            artistIds: members.map(p => artistIdByName.get(p.name.trim().toLowerCase()) || null),
+            stage: group[0].stage || null,
+            start,
+            end,
+            cancelled: active.length === 0,
+            custom_name: members[0].custom_name || null
+        };
+    });
+
+    const { data: rows, error: rowsError } = await supabase
+        .from('event_artist')
+        .select('id, artist_id, stage, start_time, end_time, status')
+        .eq('event_id', eventId);
+    if (rowsError) throw rowsError;
+
+    // Names of the stored artists, for the changelog
+    const storedIds = [...new Set((rows || []).flatMap(row => (Array.isArray(row.artist_id) ? row.artist_id : [row.artist_id])))];
+    const nameById = new Map();
+    if (storedIds.length > 0) {
+        const { data: storedArtists, error } = await supabase
+            .from('artists')
+            .select('id, name')
+            .in('id', storedIds);
+        if (error) throw error;
+        (storedArtists || []).forEach(artist => nameById.set(String(artist.id), artist.name));
+    }
+    const namedRows = (rows || []).map(row => ({
+        ...row,
+        names: (Array.isArray(row.artist_id) ? row.artist_id : [row.artist_id]).map(id => nameById.get(String(id)) || `#${id}`)
+    }));
+
+    const diff = diffTimetable(namedRows, acts);
+    log(`\n📝 Timetable changelog for event ${eventId}${dryRun ? ' (DRY_RUN)' : ''}:`);
+    formatTimetableChangelog(diff, timezone).forEach(line => log(`   ${line}`));
+
+    if (!dryRun) {
+        for (const change of diff.moved) {
+            const update = {
+                stage: change.after.stage,
+                start_time: change.after.start_time,
+                end_time: change.after.end_time,
+                status: 'confirmed'
+            };
+            if (change.after.custom_name) update.custom_name = change.after.custom_name;
+            const { error } = await supabase.from('event_artist').update(update).eq('id', change.before.id);
+            if (error) throw error;
+        }
+        for (const [changes, status] of [[diff.cancelled, 'cancelled'], [diff.restored, 'confirmed']]) {
+            const ids = changes.map(change => change.before.id);
+            if (ids.length === 0) continue;
+            const { error } = await supabase.from('event_artist').update({ status }).in('id', ids);
+            if (error) throw error;
+        }
+        const removedIds = diff.removed.map(change => change.before.id);
+        if (removedIds.length > 0) {
+            const { error } = await supabase.from('event_artist').delete().in('id', removedIds);
+            if (error) throw error;
+        }
+        log(`✅ Timetable sync applied: ${diff.moved.length} moved, ${diff.cancelled.length} cancelled, ${diff.restored.length} restored, ${diff.removed.length} removed (${diff.added.length} to add)`);
+    }
+
+    return { diff, performances: performances.filter(p => p.status !== 'cancelled') };
+}
+
+/**
+ * Loads the timetable of an event: its event_artist rows as slots (B2B as one slot), with the
+ * stages and festival days of the event metadata and the venue timezone.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client
+ * @param {number} eventId - The event ID in the database
+ * @returns {Promise<{event: Object, timezone: string, stages: Array, festivalDays: Array, slots: Array}>}
+ */
+export async function getEventTimetable(supabase, eventId) {
+    const { data: event, error: eventError } = await supabase
+        .from('events')
+        .select('id, title, metadata, date_time')
+        .eq('id', eventId)
+        .single();
+    if (eventError) throw eventError;
+
+    let metadata = event.metadata || {};
+    if (typeof metadata === 'string') {
+        try {
+            metadata = JSON.parse(metadata);
+        } catch {
+            metadata = {};
+        }
+    }
+    const stages = Array.isArray(metadata.stages) ? metadata.stages : [];
+    const festivalDays = Array.isArray(metadata.festival_days) ? metadata.festival_days : [];
+
+    const { getEventTimezone } = await import('./event.js');
+    const timezone = await getEventTimezone(supabase, eventId) || DEFAULT_TIMEZONE;
+
+    const { data: rows, error: rowsError } = await supabase
+        .from('event_artist')
+        .select('id, artist_id, stage, start_time, end_time, status, custom_name')
+        .eq('event_id', eventId);
+    if (rowsError) throw rowsError;
+
+    const artistIds = [...new Set((rows || []).flatMap(row => (Array.isArray(row.artist_id) ? row.artist_id : [row.artist_id])))];
+    const artistsById = new Map();
+    if (artistIds.length > 0) {
+        const { data: artists, error } = await supabase
+            .from('artists')
+            .select('id, name, external_links')
+            .in('id', artistIds);
+        if (error) throw error;
+        (artists || []).forEach(artist => artistsById.set(String(artist.id), artist));
+    }
+
+    return {
+        event: { id: event.id, title: event.title, date_time: event.date_time },
+        timezone,
+        stages,
+        festivalDays,
+        slots: buildTimetableSlots(rows || [], artistsById, { festivalDays, stages })
+    };
+}
+
+/**
+ * Exports the timetable of an event as iCal, Clashfinder CSV or JSON.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client
+ * @param {number} eventId - The event ID in the database
+ * @param {Object} options
+ * @param {string} options.format - 'ics', 'csv' or 'json'
+ * @param {string|null} options.stage - Only this stage
+ * @param {string|null} options.artist - Only the slots of this artist
+ * @param {boolean} options.includeCancelled - Keep cancelled slots (STATUS:CANCELLED in iCal)
+ * @param {Object|null} options.timetable - Timetable already loaded with getEventTimetable
+ * @returns {Promise<{content: string, slots: Array, timetable: Object}>}
+ */
+export async function exportEventTimetable(supabase, eventId, {
+    format = 'ics',
+    stage = null,
+    artist = null,
+    includeCancelled = false,
+    timetable = null
+} = {}) {
+    const loaded = timetable || await getEventTimetable(supabase, eventId);
+    const slots = filterTimetableSlots(loaded.slots, { stage, artist, includeCancelled });
+    const calendarName = [loaded.event.title, stage, artist].filter(Boolean).join(' - ');
+    const content = writeTimetable(slots, format, { ...loaded, calendarName });
+    return { content, slots, timetable: loaded };
+}
+
 export default {
     groupPerformancesForB2B,
     extractStagesAndDaysFromPerformances,
@@ -570,6 +798,9 @@ export default {
     logTimetableStatistics,
     processTimetableData,
     processFestivalTimetable,
+    syncTimetableLinks,
+    getEventTimetable,
+    exportEventTimetable,
     processFestivalArtistGenres,
     detectEventEndTimeFromTimetable
 };
@@ -686,11 +917,11 @@ async function processFestivalArtistGenres(supabase, artistNameToId, options) {
  * 3. Returns the latest end time found across all performances
  * 
  * @param {Array} timetableData - Array of performance objects with time/end_time
- * @param {Object} options - Options including logMessage function
- * @returns {string|null} ISO 8601 date string of latest end time, or null if no valid times found
+ * @param {Object} options - Options including logMessage function, timezone and eventStart
+ * @returns {string|null} UTC ISO 8601 date string of latest end time, or null if no valid times found
  */
 function detectEventEndTimeFromTimetable(timetableData, options = {}) {
-    const { logMessage = console.log } = options;
+    const { logMessage = console.log, timezone = DEFAULT_TIMEZONE, eventStart = null } = options;
     
     try {
         if (!timetableData || !Array.isArray(timetableData) || timetableData.length === 0) {
@@ -710,16 +941,17 @@ function detectEventEndTimeFromTimetable(timetableData, options = {}) {
         
         for (const performance of timetableData) {
             let endTime = null;
+            const resolved = resolvePerformanceTimes(performance.time, performance.end_time, { eventStart, timezone });
             
             // Case 1: Performance has explicit end_time
-            if (performance.end_time && performance.end_time.trim() !== '') {
-                endTime = performance.end_time;
+            if (resolved.end) {
+                endTime = resolved.end;
                 performancesWithEndTimes++;
             }
             // Case 2: Performance has start time but no end_time - estimate 1 hour duration
-            else if (performance.time && performance.time.trim() !== '') {
+            else if (resolved.start) {
                 try {
-                    const startTime = new Date(performance.time);
+                    const startTime = new Date(resolved.start);
                     if (!isNaN(startTime.getTime())) {
                         // Add 1 hour (default performance duration)
                         const estimatedEndTime = new Date(startTime.getTime() + (60 * 60 * 1000));
@@ -1,5 +1,23 @@
 import fetch from 'node-fetch';
+import stringSimilarity from 'string-similarity';
 import { withApiRetry } from '../utils/retry.js';
+import { normalizeNameEnhanced, getNormalizedName } from '../utils/name.js';
+import {
+    VENUE_DISTANCE_THRESHOLD_M,
+    VENUE_MATCH_THRESHOLD,
+    VENUE_MERGE_THRESHOLD
+} from '../utils/constants.js';
+import geoUtils from '../utils/geo.js';
+import databaseUtils from '../utils/database.js';
+
+// Tables linking a venue to another entity: [table, other key] (same list as merge_venues in SQL)
+const VENUE_LINK_TABLES = [
+    ['event_venue', 'event_id'],
+    ['venue_promoter', 'promoter_id'],
+    ['user_follow_venue', 'user_id'],
+    ['venue_genre', 'genre_id'],
+    ['venue_resident_artists', 'artist_id']
+];
 
 /**
  * Retrieves the URL of a Google Places photo for a given address.
@@ -13,7 +31,7 @@ async function fetchGoogleVenuePhoto(name, address) {
         return await fetch(
             `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(address)}&key=${process.env.GOOGLE_API_KEY}`
         );
-    });
+    }, { api: 'google' });
     const geoJson = await geoRes.json();
     if (!geoJson.results?.length) throw new Error('No geocoding results');
     // lat, lng are not used elsewhere
@@ -25,7 +43,7 @@ async function fetchGoogleVenuePhoto(name, address) {
             `?input=${encodeURIComponent(name + ' ' + address)}` +
             `&inputtype=textquery&fields=place_id&key=${process.env.GOOGLE_API_KEY}`
         );
-    });
+    }, { api: 'google' });
     const findJson = await findRes.json();
     if (!findJson.candidates?.length) throw new Error('No place_id found');
     const placeId = findJson.candidates[0].place_id;
@@ -36,7 +54,7 @@ async function fetchGoogleVenuePhoto(name, address) {
             `https://maps.googleapis.com/maps/api/place/details/json` +
             `?place_id=${placeId}&fields=photos&key=${process.env.GOOGLE_API_KEY}`
         );
-    });
+    }, { api: 'google' });
     const detailJson = await detailRes.json();
     const photoRef = detailJson.result.photos?.[0]?.photo_reference;
     if (!photoRef) throw new Error('No photo available');
@@ -57,7 +75,7 @@ async function fetchAddressFromGoogle(venueName, googleApiKey, geocodingExceptio
         const correctedName = geocodingExceptions[venueName] || venueName;
         const response = await withApiRetry(async () => {
             return await fetch(`https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(correctedName)}&key=${googleApiKey}`);
-        });
+        }, { api: 'google' });
         const data = await response.json();
         if (data.status === "OK" && data.results && data.results.length > 0) {
             return data.results[0];
@@ -70,7 +88,509 @@ async function fetchAddressFromGoogle(venueName, googleApiKey, geocodingExceptio
     return null;
 }
 
+// --- Venue matching ---
+
+const VENUE_MATCH_WEIGHTS = { name: 0.45, distance: 0.4, address: 0.15 };
+
+/**
+ * Normalizes an address for equality checks (case, accents, punctuation, spacing).
+ * @param {string|null} address
+ * @returns {string}
+ */
+function normalizeAddress(address) {
+    return normalizeNameEnhanced(address || '')
+        .toLowerCase()
+        .replace(/[.,;]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Returns the Google place_id stored on a venue row (venues.geo.place_id).
+ * @param {object} venue - Venue row
+ * @returns {string|null}
+ */
+function getVenuePlaceId(venue) {
+    return venue?.placeId || venue?.geo?.place_id || null;
+}
+
+/**
+ * Returns the coordinates of a venue row or of incoming venue fields.
+ * @param {object} venue - Venue row (location_point) or venue fields (latitude, longitude)
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+function getVenueCoordinates(venue) {
+    if (venue?.latitude != null && venue?.longitude != null) {
+        return { latitude: Number(venue.latitude), longitude: Number(venue.longitude) };
+    }
+    return geoUtils.parseLocationPoint(venue?.location_point);
+}
+
+/**
+ * Scores how likely two venues are the same place.
+ * A shared Google place_id is decisive. Otherwise name similarity, distance and
+ * address equality are combined; criteria that cannot be evaluated (or addresses
+ * that differ) are left out of the weighted average. Venues farther apart than the distance threshold get
+ * their score halved so that homonyms in different cities are not matched.
+ * @param {object} candidate - Existing venue row (name, location, geo, location_point)
+ * @param {object} incoming - Venue fields (name, address, latitude, longitude, placeId)
+ * @param {Object} options
+ * @param {number} options.distanceThreshold - Max distance in meters for the same venue
+ * @returns {{score: number, criteria: object}}
+ */
+function scoreVenueMatch(candidate, incoming, { distanceThreshold = VENUE_DISTANCE_THRESHOLD_M } = {}) {
+    const criteria = { placeId: null, name: null, distance: null, distanceMeters: null, address: null };
+
+    const candidatePlaceId = getVenuePlaceId(candidate);
+    const incomingPlaceId = getVenuePlaceId(incoming);
+    if (candidatePlaceId && incomingPlaceId) {
+        criteria.placeId = candidatePlaceId === incomingPlaceId ? 1 : 0;
+        if (criteria.placeId === 1) return { score: 1, criteria };
+    }
+
+    const candidateName = normalizeNameEnhanced(candidate.name || '').toLowerCase();
+    const incomingName = normalizeNameEnhanced(incoming.name || '').toLowerCase();
+    if (candidateName && incomingName) {
+        criteria.name = stringSimilarity.compareTwoStrings(candidateName, incomingName);
+    }
+
+    const candidateCoords = getVenueCoordinates(candidate);
+    const incomingCoords = getVenueCoordinates(incoming);
+    if (candidateCoords && incomingCoords) {
+        const meters = geoUtils.haversineDistance(
+            candidateCoords.latitude, candidateCoords.longitude,
+            incomingCoords.latitude, incomingCoords.longitude
+        );
+        criteria.distanceMeters = Math.round(meters);
+        criteria.distance = Math.max(0, 1 - meters / distanceThreshold);
+    }
+
+    const candidateAddress = normalizeAddress(candidate.location ?? candidate.address);
+    const incomingAddress = normalizeAddress(incoming.address ?? incoming.location);
+    // Addresses are formatted differently across sources: only an exact match is meaningful
+    if (candidateAddress && incomingAddress && candidateAddress === incomingAddress) {
+        criteria.address = 1;
+    }
+
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [key, weight] of Object.entries(VENUE_MATCH_WEIGHTS)) {
+        if (criteria[key] === null) continue;
+        weighted += criteria[key] * weight;
+        totalWeight += weight;
+    }
+    let score = totalWeight > 0 ? weighted / totalWeight : 0;
+
+    // Same address is the former exact-match rule: keep it decisive unless the names clearly differ
+    if (criteria.address === 1 && (criteria.name === null || criteria.name >= 0.5)) {
+        score = Math.max(score, VENUE_MATCH_THRESHOLD);
+    }
+    if (criteria.distanceMeters !== null && criteria.distanceMeters > distanceThreshold) {
+        score /= 2;
+    }
+
+    return { score, criteria };
+}
+
+/**
+ * Standardizes an address with the OpenStreetMap geocoder.
+ * @param {object} geocoder - node-geocoder instance
+ * @param {string} address - Raw address
+ * @returns {Promise<string>} Standardized address (the original one if geocoding fails)
+ */
+async function standardizeAddress(geocoder, address) {
+    let standardizedAddress = address;
+    try {
+        const geoResults = await geocoder.geocode(address);
+        if (geoResults && geoResults.length > 0) {
+            const g = geoResults[0];
+            let country = g.country;
+            if (country === 'België / Belgique / Belgien') {
+                country = 'Belgium';
+            }
+            standardizedAddress = [
+                g.streetNumber,
+                g.streetName,
+                g.city,
+                g.zipcode,
+                country
+            ].filter(Boolean).join(', ');
+            if (standardizedAddress.length > 0) {
+                console.log(`✅ Standardized address: "${standardizedAddress}"`);
+            } else {
+                console.warn(`⚠️ Partial geocoding for address: "${address}" → ${JSON.stringify(g)}`);
+                standardizedAddress = address;
+            }
+        } else {
+            console.warn(`   ⚠️ No geocoding result for "${address}", keeping the original.`);
+        }
+    } catch (errNorm) {
+        console.warn(`   ⚠️ Geocoding failed for "${address}": ${errNorm.message}`);
+    }
+    return standardizedAddress;
+}
+
+/**
+ * Finds the stored venue matching an incoming one (place_id, name similarity, distance, address).
+ * Only the candidates returned by find_venue_candidates (same place_id, similar name,
+ * within the distance threshold or same address) are scored.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client
+ * @param {object} venue - Venue fields (name, address, latitude, longitude, placeId)
+ * @param {Object} options
+ * @param {number} options.distanceThreshold - Max distance in meters for the same venue
+ * @returns {Promise<{venue: object, score: number, criteria: object}|null>} Best match reaching VENUE_MATCH_THRESHOLD
+ */
+async function findMatchingVenue(supabase, venue, { distanceThreshold = VENUE_DISTANCE_THRESHOLD_M } = {}) {
+    if (!venue.name) return null;
+    const normalizedVenueName = getNormalizedName(venue.name);
+
+    const { data: candidates, error: candidatesError } = await supabase.rpc('find_venue_candidates', {
+        venue_name: normalizedVenueName,
+        venue_address: venue.address || null,
+        latitude: venue.latitude ?? null,
+        longitude: venue.longitude ?? null,
+        radius_meters: distanceThreshold,
+        place_id: venue.placeId || null
+    });
+    if (candidatesError) throw candidatesError;
+
+    const incoming = { ...venue, name: normalizedVenueName };
+    let best = null;
+    for (const candidate of candidates || []) {
+        const { score, criteria } = scoreVenueMatch(candidate, incoming, { distanceThreshold });
+        if (!best || score > best.score) best = { venue: candidate, score, criteria };
+    }
+    return best && best.score >= VENUE_MATCH_THRESHOLD ? best : null;
+}
+
+/**
+ * Finds the best matching venue (findMatchingVenue), inserting a new venue when there is none.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client
+ * @param {object} venue - Venue fields (name, address, city, country, latitude, longitude, placeId, timezone)
+ * @param {Object} options
+ * @param {Array} options.promoterInfos - Promoters of the event (used to copy a matching image)
+ * @param {object} options.geocoder - node-geocoder instance used to standardize new addresses
+ * @param {number} options.distanceThreshold - Max distance in meters for the same venue
+ * @param {object|null} options.match - Result of a findMatchingVenue call already made for this venue
+ * @param {boolean} options.dryRun - Whether to perform actual database operations
+ * @returns {Promise<number|null>} Venue ID
+ */
+async function findOrCreateVenue(supabase, venue, {
+    promoterInfos = [],
+    geocoder,
+    distanceThreshold = VENUE_DISTANCE_THRESHOLD_M,
+    match = undefined,
+    dryRun = false
+} = {}) {
+    const { name: venueName, address: venueAddress, city: venueCity, country: venueCountry,
+        latitude: venueLatitude, longitude: venueLongitude, placeId, timezone: venueTimezone } = venue;
+
+    if (!venueName) {
+        console.log("\nℹ️ No venue information to insert (online event or venue not specified).");
+        return null;
+    }
+
+    console.log(`\n🔍 Processing venue "${venueName}"...`);
+    const normalizedVenueName = getNormalizedName(venueName);
+
+    if (dryRun) {
+        console.log(`(DRY_RUN) Would find/insert venue "${venueName}" / Address: "${venueAddress}"`);
+        return null;
+    }
+
+    const best = match === undefined ? await findMatchingVenue(supabase, venue, { distanceThreshold }) : match;
+    if (best) {
+        const distanceText = best.criteria.distanceMeters !== null ? `, ${best.criteria.distanceMeters}m` : '';
+        console.log(`➡️ Venue "${normalizedVenueName}" matched "${best.venue.name}" (id=${best.venue.id}, score=${best.score.toFixed(2)}${distanceText}).`);
+        if (placeId && !getVenuePlaceId(best.venue)) {
+            const { error: geoError } = await supabase
+                .from('venues')
+                .update({ geo: { ...(best.venue.geo || {}), place_id: placeId } })
+                .eq('id', best.venue.id);
+            if (geoError) throw geoError;
+        }
+        if (venueTimezone && !best.venue.timezone) {
+            const { error: timezoneError } = await supabase
+                .from('venues')
+                .update({ timezone: venueTimezone })
+                .eq('id', best.venue.id);
+            if (timezoneError) throw timezoneError;
+            console.log(`➡️ Stored timezone ${venueTimezone} on venue id=${best.venue.id}.`);
+        }
+        return best.venue.id;
+    }
+
+    console.log(`➡️ No venue found for "${normalizedVenueName}". Inserting new venue...`);
+    const standardizedAddress = venueAddress ? await standardizeAddress(geocoder, venueAddress) : venueAddress;
+
+    const newVenueData = {
+        name: normalizedVenueName,
+        location: standardizedAddress,
+        geo: {}
+    };
+    if (venueCity) newVenueData.geo.locality = venueCity;
+    if (venueCountry) newVenueData.geo.country = venueCountry;
+    if (placeId) newVenueData.geo.place_id = placeId;
+    if (venueTimezone) newVenueData.timezone = venueTimezone;
+    if (venueLatitude && venueLongitude) {
+        newVenueData.location_point = `SRID=4326;POINT(${venueLongitude} ${venueLatitude})`;
+    }
+
+    const normVenue = normalizeNameEnhanced(normalizedVenueName).toLowerCase();
+    const matchingPromo = promoterInfos.find(p =>
+        p.image_url &&
+        normalizeNameEnhanced(p.name).toLowerCase() === normVenue
+    );
+    if (matchingPromo) {
+        newVenueData.image_url = matchingPromo.image_url;
+        console.log(
+            `➡️ Copied image from promoter "${matchingPromo.name}" ` +
+            `to new venue "${normalizedVenueName}".`
+        );
+    }
+
+    if (!newVenueData.image_url) {
+        try {
+            const photoUrl = await fetchGoogleVenuePhoto(venueName, venueAddress);
+            newVenueData.image_url = photoUrl;
+            console.log(`✅ image_url obtained via Google Maps for "${normalizedVenueName}"`);
+        } catch (err) {
+            console.warn(`⚠️ Could not retrieve Google photo for "${normalizedVenueName}": ${err.message}`);
+        }
+    }
+
+    const { data: newVenue, error: insertVenueError } = await supabase
+        .from('venues')
+        .insert(newVenueData)
+        .select('id');
+    if (insertVenueError || !newVenue || newVenue.length === 0) {
+        throw insertVenueError || new Error("Venue insertion failed");
+    }
+    const venueId = newVenue[0].id;
+    console.log(`✅ New venue inserted: "${normalizedVenueName}" (id=${venueId}).`);
+    return venueId;
+}
+
+// --- Duplicate venue merging ---
+
+/**
+ * Groups existing venues whose pairwise match score reaches the threshold.
+ * @param {Array<object>} venues - Rows of the venues table
+ * @param {Object} options
+ * @param {number} options.threshold - Minimum match score (0-1)
+ * @param {number} options.distanceThreshold - Max distance in meters for the same venue
+ * @param {Array<{venue_id: number, other_venue_id: number}>|null} options.candidatePairs - Pairs to score
+ *   (find_venue_candidate_pairs); every pair is scored when omitted
+ * @returns {Array<{venues: Array<object>, scores: Array<object>}>} Clusters of two or more venues
+ */
+function findVenueDuplicateClusters(venues, {
+    threshold = VENUE_MERGE_THRESHOLD,
+    distanceThreshold = VENUE_DISTANCE_THRESHOLD_M,
+    candidatePairs = null
+} = {}) {
+    const parent = venues.map((_, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) {
+            parent[i] = parent[parent[i]];
+            i = parent[i];
+        }
+        return i;
+    };
+
+    let indexPairs = [];
+    if (candidatePairs) {
+        const indexById = new Map(venues.map((venue, i) => [String(venue.id), i]));
+        for (const pair of candidatePairs) {
+            const i = indexById.get(String(pair.venue_id));
+            const j = indexById.get(String(pair.other_venue_id));
+            if (i !== undefined && j !== undefined) indexPairs.push([Math.min(i, j), Math.max(i, j)]);
+        }
+    } else {
+        for (let i = 0; i < venues.length; i++) {
+            for (let j = i + 1; j < venues.length; j++) indexPairs.push([i, j]);
+        }
+    }
+
+    const pairs = [];
+    for (const [i, j] of indexPairs) {
+        const { score, criteria } = scoreVenueMatch(venues[i], venues[j], { distanceThreshold });
+        if (score >= threshold) {
+            parent[find(j)] = find(i);
+            pairs.push({ ids: [venues[i].id, venues[j].id], score, criteria });
+        }
+    }
+
+    const clusters = new Map();
+    venues.forEach((venue, i) => {
+        const root = find(i);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(venue);
+    });
+
+    return [...clusters.values()]
+        .filter(list => list.length > 1)
+        .map(list => {
+            const ids = list.map(v => v.id);
+            return {
+                venues: list.sort((a, b) => a.id - b.id),
+                scores: pairs.filter(p => ids.includes(p.ids[0]))
+            };
+        });
+}
+
+/**
+ * Picks the venue row kept by a merge: the most complete row wins
+ * (place_id, coordinates, image, address), then the oldest row.
+ * @param {Array<object>} venues - Venues of one cluster
+ * @returns {object} Survivor venue row
+ */
+function pickSurvivorVenue(venues) {
+    const completeness = (venue) =>
+        (getVenuePlaceId(venue) ? 2 : 0)
+        + (venue.location_point ? 1 : 0)
+        + (venue.image_url ? 1 : 0)
+        + (venue.location && venue.location !== venue.name ? 1 : 0);
+    return [...venues].sort((a, b) => completeness(b) - completeness(a) || a.id - b.id)[0];
+}
+
+/**
+ * Computes the relation changes needed to merge the venues of a cluster into their survivor
+ * (events, promoters, follows, genres and resident artists).
+ * Relations the survivor already has are deleted instead of moved.
+ * Nothing is written; the plan doubles as the dry-run diff and as the undo log entry.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client
+ * @param {{venues: Array<object>}} cluster - Cluster from findVenueDuplicateClusters
+ * @returns {Promise<object>} Merge plan
+ */
+async function planVenueMerge(supabase, cluster) {
+    const survivor = pickSurvivorVenue(cluster.venues);
+    const duplicates = cluster.venues.filter(v => v.id !== survivor.id);
+
+    const links = {};
+    for (const [table, otherKey] of VENUE_LINK_TABLES) {
+        links[table] = await databaseUtils.planLinkMerge(supabase, table, 'venue_id', otherKey, survivor.id, duplicates.map(v => v.id));
+    }
+
+    const geoAfter = { ...(survivor.geo || {}) };
+    for (const dup of duplicates) {
+        for (const [key, value] of Object.entries(dup.geo || {})) {
+            if (geoAfter[key] === undefined || geoAfter[key] === null) geoAfter[key] = value;
+        }
+    }
+    const survivorAfter = {
+        geo: geoAfter,
+        image_url: survivor.image_url || duplicates.find(d => d.image_url)?.image_url || null,
+        location_point: survivor.location_point || duplicates.find(d => d.location_point)?.location_point || null,
+        timezone: survivor.timezone || duplicates.find(d => d.timezone)?.timezone || null
+    };
+
+    return {
+        survivor,
+        duplicates,
+        scores: cluster.scores || [],
+        links,
+        survivorBefore: {
+            geo: survivor.geo || null,
+            image_url: survivor.image_url || null,
+            location_point: survivor.location_point || null,
+            timezone: survivor.timezone || null
+        },
+        survivorAfter
+    };
+}
+
+/**
+ * Prints a venue merge plan as a readable diff.
+ * @param {object} plan - Plan from planVenueMerge
+ */
+function logVenueMergePlan(plan) {
+    console.log(`\n🔗 Merge into "${plan.survivor.name}" (id=${plan.survivor.id}, ${plan.survivor.location || 'no address'})`);
+    for (const dup of plan.duplicates) {
+        const pair = plan.scores.find(p => p.ids.includes(dup.id));
+        const scoreText = pair ? ` score=${pair.score.toFixed(2)}` : '';
+        console.log(`   - venue "${dup.name}" (id=${dup.id}, ${dup.location || 'no address'})${scoreText}`);
+    }
+    for (const [table, otherKey] of VENUE_LINK_TABLES) {
+        const { moved = [], deleted = [] } = plan.links[table] || {};
+        for (const row of moved) {
+            console.log(`   ~ ${table} (${otherKey}=${row[otherKey]}): venue ${row.venue_id} -> venue ${plan.survivor.id}`);
+        }
+        for (const row of deleted) {
+            console.log(`   ~ ${table} (${otherKey}=${row[otherKey]}): venue ${row.venue_id} -> deleted (survivor already linked)`);
+        }
+    }
+    for (const key of Object.keys(plan.survivorAfter)) {
+        if (JSON.stringify(plan.survivorAfter[key]) !== JSON.stringify(plan.survivorBefore[key])) {
+            console.log(`   + ${key} filled from duplicate`);
+        }
+    }
+}
+
+/**
+ * Applies a venue merge plan in one transaction (merge_venues RPC): repoints the venue relations,
+ * fills missing survivor fields and deletes the duplicate venues.
+ * plan.links is replaced by the link rows the RPC actually moved or deleted, for the undo log.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client
+ * @param {object} plan - Plan from planVenueMerge
+ * @param {boolean} dryRun - Whether to perform actual database operations
+ */
+async function applyVenueMerge(supabase, plan, dryRun = false) {
+    if (dryRun) {
+        console.log(`[DRY_RUN] Would have merged ${plan.duplicates.length} venue(s) into "${plan.survivor.name}" (id=${plan.survivor.id})`);
+        return;
+    }
+
+    const { data: links, error } = await supabase.rpc('merge_venues', {
+        survivor_id: plan.survivor.id,
+        duplicate_ids: plan.duplicates.map(v => v.id),
+        survivor_fields: plan.survivorAfter
+    });
+    if (error) throw error;
+    plan.links = links;
+
+    console.log(`✅ Merged ${plan.duplicates.length} venue(s) into "${plan.survivor.name}" (id=${plan.survivor.id})`);
+}
+
+/**
+ * Reverts an applied venue merge plan (as stored in the undo log).
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client
+ * @param {object} plan - Plan from planVenueMerge
+ * @param {boolean} dryRun - Whether to perform actual database operations
+ */
+async function undoVenueMerge(supabase, plan, dryRun = false) {
+    if (dryRun) {
+        console.log(`[DRY_RUN] Would have restored ${plan.duplicates.length} venue(s) merged into "${plan.survivor.name}" (id=${plan.survivor.id})`);
+        return;
+    }
+
+    const { error: updateError } = await supabase
+        .from('venues')
+        .update(plan.survivorBefore)
+        .eq('id', plan.survivor.id);
+    if (updateError) throw updateError;
+
+    const { error: insertError } = await supabase
+        .from('venues')
+        .upsert(plan.duplicates, { onConflict: 'id' });
+    if (insertError) throw insertError;
+
+    for (const [table, otherKey] of VENUE_LINK_TABLES) {
+        await databaseUtils.undoLinkMerge(supabase, table, 'venue_id', otherKey, plan.survivor.id, plan.links[table] || {});
+    }
+
+    console.log(`↩️ Restored ${plan.duplicates.length} venue(s) merged into "${plan.survivor.name}" (id=${plan.survivor.id})`);
+}
+
 export default {
     fetchGoogleVenuePhoto,
     fetchAddressFromGoogle,
+    scoreVenueMatch,
+    findMatchingVenue,
+    findOrCreateVenue,
+    findVenueDuplicateClusters,
+    pickSurvivorVenue,
+    planVenueMerge,
+    logVenueMergePlan,
+    applyVenueMerge,
+    undoVenueMerge,
 };
@@ -0,0 +1,290 @@
+/**
+ * dead_letter.js
+ *
+ * Dead-letter tooling for the import queue: failed imports (retries exhausted, or dead-lettered by
+ * their error class) grouped by error signature, and requeued or discarded in bulk by filter.
+ *
+ * Usage:
+ *   node dead_letter.js                                        # Groups by error class and signature
+ *   node dead_letter.js --list --class=transient               # Lists the matching events
+ *   node dead_letter.js --requeue --class=transient --since=2026-10-01          # Preview
+ *   node dead_letter.js --requeue --class=transient --since=2026-10-01 --apply  # Requeues them
+ *   node dead_letter.js --requeue --class=data --from-step=scrape --apply      # Requeues them, scraped again
+ *   node dead_letter.js --discard --class=permanent --reason="Deleted events" --apply
+ *
+ * Filters (combined, at least one for --requeue and --discard, or --all):
+ *   --class=<class>          Error class: permanent, auth, transient, data, unknown, lease_reclaims_exceeded
+ *   --since=<date>           Failed at or after this date/time
+ *   --until=<date>           Failed before this date/time (a date alone includes the whole day)
+ *   --promoter=<id>          Events of this promoter (promoter scraper, or promoters found during the import)
+ *   --signature="<text>"     Error signature, as printed by the groups view
+ *   --ids=<id,id,...>        These queue ids
+ *   --all                    Every dead letter
+ *
+ * Options:
+ *   --reason="<text>"        Discard reason (required with --discard)
+ *   --keep-retries           Requeue without resetting retry_count
+ *   --from-step=<step>       Requeue clearing the checkpoints of this step and the next ones, which run again
+ *                            (scrape, promoters, venue, event, artists, genres; default: resume where it stopped)
+ *   --apply                  Apply --requeue/--discard (preview otherwise, also with DRY_RUN=true)
+ *   --limit=<n>              Events printed by --list (default: 50)
+ *   --json                   Print the result as JSON
+ *
+ * A requeued import keeps its failure in last_dead_letter.
+ * Same RPCs as the dead-letter Edge Function (see supabase/migrations/20261019_import_dead_letter.sql).
+ */
+
+import 'dotenv/config';
+import process from 'node:process';
+import { createClient } from '@supabase/supabase-js';
+
+import { logMessage } from '../utils/logger.js';
+import { ERROR_CLASSES } from '../utils/errors.js';
+import { IMPORT_STEPS } from '../utils/constants.js';
+
+const DRY_RUN = process.env.DRY_RUN === 'true';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+// --- CLI argument handling ---
+/**
+ * Parses the command line (see Usage).
+ * @param {string[]} args - Arguments after the script name
+ * @returns {object} Action, filters and options
+ */
+export function parseArgs(args = process.argv.slice(2)) {
+    const result = {
+        action: 'groups',
+        filters: {},
+        all: false,
+        reason: null,
+        keepRetries: false,
+        fromStep: null,
+        apply: false,
+        limit: 50,
+        json: false
+    };
+    for (const arg of args) {
+        const value = arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : null;
+        if (arg === '--list') {
+            result.action = 'list';
+        } else if (arg === '--requeue') {
+            result.action = 'requeue';
+        } else if (arg === '--discard') {
+            result.action = 'discard';
+        } else if (arg.startsWith('--class=')) {
+            result.filters.errorClass = value;
+        } else if (arg.startsWith('--since=')) {
+            result.filters.since = value;
+        } else if (arg.startsWith('--until=')) {
+            result.filters.until = value;
+        } else if (arg.startsWith('--promoter=')) {
+            result.filters.promoterId = value;
+        } else if (arg.startsWith('--signature=')) {
+            result.filters.signature = value;
+        } else if (arg.startsWith('--ids=')) {
+            result.filters.ids = value;
+        } else if (arg === '--all') {
+            result.all = true;
+        } else if (arg.startsWith('--reason=')) {
+            result.reason = value;
+        } else if (arg === '--keep-retries') {
+            result.keepRetries = true;
+        } else if (arg.startsWith('--from-step=')) {
+            result.fromStep = value;
+        } else if (arg === '--apply') {
+            result.apply = true;
+        } else if (arg.startsWith('--limit=')) {
+            result.limit = parseInt(value, 10) || result.limit;
+        } else if (arg === '--json') {
+            result.json = true;
+        }
+    }
+    return result;
+}
+
+/**
+ * Parses a --since/--until value. A date alone ("2026-10-15") used as an upper bound includes that day.
+ * @param {string} value
+ * @param {boolean} upperBound
+ * @returns {string} ISO timestamp
+ */
+export function parseDate(value, upperBound = false) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw new Error(`Invalid date: ${value}`);
+    if (upperBound && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return date.toISOString();
+}
+
+/**
+ * Converts the CLI filters to the filter_* parameters of the dead-letter RPCs.
+ * @param {object} filters - Parsed filters
+ * @param {boolean} all - Match every dead letter when no filter is given
+ * @returns {object|null} RPC parameters, null when no filter is given and `all` is false
+ */
+export function buildFilterParams(filters, all) {
+    const params = {};
+    if (filters.errorClass) {
+        if (!ERROR_CLASSES.includes(filters.errorClass)) {
+            throw new Error(`Invalid error class "${filters.errorClass}". Expected one of: ${ERROR_CLASSES.join(', ')}`);
+        }
+        params.filter_error_class = filters.errorClass;
+    }
+    if (filters.since) params.filter_failed_after = parseDate(filters.since);
+    if (filters.until) params.filter_failed_before = parseDate(filters.until, true);
+    if (filters.promoterId) {
+        const promoterId = parseInt(filters.promoterId, 10);
+        if (!promoterId) throw new Error(`Invalid promoter id: ${filters.promoterId}`);
+        params.filter_promoter_id = promoterId;
+    }
+    if (filters.signature) params.filter_error_signature = filters.signature;
+    if (filters.ids) {
+        const ids = filters.ids.split(',').map(id => parseInt(id.trim(), 10)).filter(id => id);
+        if (ids.length === 0) throw new Error(`Invalid ids: ${filters.ids}`);
+        params.filter_ids = ids;
+    }
+
+    if (Object.keys(params).length === 0) {
+        if (!all) return null;
+        params.filter_failed_before = new Date().toISOString(); // The RPCs require a filter
+    }
+    return params;
+}
+
+/**
+ * Steps whose checkpoints a requeue clears: `fromStep` and the ones after it.
+ * @param {string|null} fromStep - One of IMPORT_STEPS
+ * @returns {string[]} Empty without `fromStep`: the imports resume where they stopped
+ */
+export function getClearedSteps(fromStep) {
+    if (!fromStep) return [];
+    if (!IMPORT_STEPS.includes(fromStep)) {
+        throw new Error(`Invalid step "${fromStep}". Expected one of: ${IMPORT_STEPS.join(', ')}`);
+    }
+    return IMPORT_STEPS.slice(IMPORT_STEPS.indexOf(fromStep));
+}
+
+/**
+ * Requeues or discards the matching dead letters.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {Object} options
+ * @param {string} options.action - 'requeue' or 'discard'
+ * @param {object} options.params - RPC filter parameters
+ * @param {string|null} options.reason - Discard reason
+ * @param {boolean} options.keepRetries - Requeue without resetting retry_count
+ * @param {string[]} options.clearSteps - Checkpoints cleared on requeue (see getClearedSteps)
+ * @param {boolean} options.dryRun - Only return the matching IDs
+ * @returns {Promise<Array<number>>} Requeued or discarded IDs (matching IDs with dryRun)
+ */
+export async function applyBulkAction(supabase, { action, params, reason = null, keepRetries = false, clearSteps = [], dryRun = true }) {
+    const { data: ids, error } = action === 'requeue'
+        ? await supabase.rpc('requeue_dead_letters', { ...params, reset_retries: !keepRetries, clear_steps: clearSteps, dry_run: dryRun })
+        : await supabase.rpc('discard_dead_letters', { ...params, reason: reason.trim(), dry_run: dryRun });
+    if (error) throw error;
+    return ids || [];
+}
+
+/**
+ * Prints the dead letters grouped by error class and signature.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {object} params - RPC filter parameters
+ * @param {boolean} json
+ */
+async function showGroups(supabase, params, json) {
+    const { data: groups, error } = await supabase.rpc('get_dead_letter_groups', params);
+    if (error) throw error;
+    if (json) {
+        console.log(JSON.stringify(groups, null, 2));
+        return;
+    }
+    const total = groups.reduce((sum, group) => sum + Number(group.event_count), 0);
+    logMessage(`🪦 ${total} dead letter(s) in ${groups.length} group(s)`);
+    for (const group of groups) {
+        console.log(`\n  [${group.error_class}] ×${group.event_count} — ${group.error_signature || '(no message)'}`);
+        console.log(`    Failed ${group.first_failed_at} → ${group.last_failed_at}`);
+        console.log(`    Example: ${group.sample_error}`);
+        console.log(`    Ids: ${group.event_ids.join(', ')}${Number(group.event_count) > group.event_ids.length ? ', ...' : ''}`);
+    }
+}
+
+/**
+ * Prints the matching dead letters.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {object} params - RPC filter parameters
+ * @param {number} limit
+ * @param {boolean} json
+ */
+async function listDeadLetters(supabase, params, limit, json) {
+    const { data: events, error } = await supabase.rpc('find_dead_letters', params).limit(limit);
+    if (error) throw error;
+    if (json) {
+        console.log(JSON.stringify(events, null, 2));
+        return;
+    }
+    logMessage(`🪦 ${events.length} dead letter(s)${events.length === limit ? ` (first ${limit}, see --limit)` : ''}`);
+    for (const event of events) {
+        const promoters = event.promoter_ids.length > 0 ? ` promoters=${event.promoter_ids.join(',')}` : '';
+        console.log(`  #${event.id} [${event.error_class}] ${event.failed_at} retries=${event.retry_count}${promoters}`);
+        console.log(`    ${event.facebook_url}`);
+        console.log(`    ${event.error_message}`);
+    }
+}
+
+async function main() {
+    const { action, filters, all, reason, keepRetries, fromStep, apply, limit, json } = parseArgs();
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+        console.error('❌ Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY');
+        process.exitCode = 1;
+        return;
+    }
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+    try {
+        if (action === 'groups' || action === 'list') {
+            const params = buildFilterParams(filters, true);
+            if (action === 'groups') {
+                await showGroups(supabase, params, json);
+            } else {
+                await listDeadLetters(supabase, params, limit, json);
+            }
+            return;
+        }
+
+        // Bulk actions: an explicit filter (or --all) is required
+        const params = buildFilterParams(filters, all);
+        if (!params) {
+            throw new Error(`--${action} needs at least one filter (--class, --since, --until, --promoter, --signature, --ids) or --all`);
+        }
+        if (action === 'discard' && !(reason && reason.trim())) {
+            throw new Error('--discard needs a --reason');
+        }
+        if (action === 'discard' && fromStep) {
+            throw new Error('--from-step only applies to --requeue');
+        }
+        const clearSteps = getClearedSteps(fromStep);
+
+        const dryRun = DRY_RUN || !apply;
+        const ids = await applyBulkAction(supabase, { action, params, reason, keepRetries, clearSteps, dryRun });
+
+        if (json) {
+            console.log(JSON.stringify({ action, dry_run: dryRun, ids }, null, 2));
+        } else if (dryRun) {
+            logMessage(`[DRY_RUN] ${ids.length} dead letter(s) would be ${action === 'requeue' ? 'requeued' : 'discarded'}${ids.length ? `: ${ids.join(', ')}` : ''}. Run with --apply to proceed.`);
+        } else if (action === 'requeue') {
+            const cleared = clearSteps.length > 0 ? `, steps ${clearSteps.join(', ')} run again` : '';
+            logMessage(`🔁 ${ids.length} dead letter(s) requeued${keepRetries ? '' : ' (retry counts reset)'}${cleared}${ids.length ? `: ${ids.join(', ')}` : ''}`);
+        } else {
+            logMessage(`🗑️ ${ids.length} dead letter(s) discarded ("${reason.trim()}")${ids.length ? `: ${ids.join(', ')}` : ''}`);
+        }
+    } catch (error) {
+        logMessage(`❌ Dead-letter ${action} failed: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (process.argv[1] && process.argv[1].replace(/\\/g, '/').endsWith('dead_letter.js')) {
+    main();
+}
@@ -0,0 +1,296 @@
+/**
+ * evaluate_festival_detection.js
+ *
+ * Scores detectFestival and extractFestivalName against the labelled event fixtures, fully offline.
+ *
+ * Usage:
+ *   node evaluate_festival_detection.js                        # Metrics, confusion cases and regressions vs the baseline
+ *   node evaluate_festival_detection.js --update-baseline      # Accept the current results as the new baseline
+ *   node evaluate_festival_detection.js --rules=my-rules.json  # Try other festival rules
+ *   node evaluate_festival_detection.js --json > report.json
+ *
+ * Options:
+ *   --fixtures=<dir>       Fixture directory (default: fixtures/festival-detection/events)
+ *   --baseline=<path>      Baseline report (default: fixtures/festival-detection/baseline.json)
+ *   --rules=<path>         Festival rules file (default: the shared festival-rules.json)
+ *   --update-baseline      Write the current results to the baseline
+ *   --report=<path>        Write the JSON report to a file
+ *   --json                 Print the JSON report on stdout (human-readable output goes to stderr)
+ *   --min-precision=<0-1>  Fail below this precision
+ *   --min-recall=<0-1>     Fail below this recall
+ *
+ * A fixture is a saved event payload with its label:
+ *   { "id": "dour-festival-2024", "label": { "isFestival": true, "festivalName": "Dour" }, "event": { name, description, startTimestamp, endTimestamp, location } }
+ * The baseline is committed with the fixtures, so a run shows the regressions since the last accepted results.
+ *
+ * Exit codes: 0 no regression, 1 regressions or metrics below the minimums, 2 the evaluation could not run
+ */
+
+import fs from 'fs';
+import path from 'path';
+import process from 'node:process';
+
+import { detectFestival, extractFestivalName, loadFestivalRules } from '../utils/festival-detection.js';
+import artistModel from '../models/artist.js';
+
+const DEFAULT_FIXTURES_DIR = path.join('fixtures', 'festival-detection', 'events');
+const DEFAULT_BASELINE_PATH = path.join('fixtures', 'festival-detection', 'baseline.json');
+
+// --- CLI argument handling ---
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const result = {
+        fixturesDir: DEFAULT_FIXTURES_DIR,
+        baselinePath: DEFAULT_BASELINE_PATH,
+        updateBaseline: false,
+        json: false
+    };
+    for (const arg of args) {
+        if (arg.startsWith('--fixtures=')) {
+            result.fixturesDir = arg.slice('--fixtures='.length);
+        } else if (arg.startsWith('--baseline=')) {
+            result.baselinePath = arg.slice('--baseline='.length);
+        } else if (arg.startsWith('--rules=')) {
+            result.rulesPath = arg.slice('--rules='.length);
+        } else if (arg.startsWith('--report=')) {
+            result.reportPath = arg.slice('--report='.length);
+        } else if (arg.startsWith('--min-precision=')) {
+            result.minPrecision = parseFloat(arg.split('=')[1]);
+        } else if (arg.startsWith('--min-recall=')) {
+            result.minRecall = parseFloat(arg.split('=')[1]);
+        } else if (arg === '--update-baseline') {
+            result.updateBaseline = true;
+        } else if (arg === '--json') {
+            result.json = true;
+        }
+    }
+    return result;
+}
+
+/**
+ * Loads the labelled fixtures of a directory (one JSON file per event).
+ * @param {string} dir
+ * @returns {Array<{id: string, label: {isFestival: boolean, festivalName?: string}, event: object, file: string}>}
+ */
+export function loadFestivalFixtures(dir) {
+    if (!fs.existsSync(dir)) throw new Error(`Fixture directory not found: ${dir}`);
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => {
+            const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+            if (!fixture.event || typeof fixture.label?.isFestival !== 'boolean') {
+                throw new Error(`Invalid fixture ${file}: "event" and "label.isFestival" are required`);
+            }
+            return { ...fixture, id: fixture.id || path.basename(file, '.json'), file };
+        });
+}
+
+/**
+ * Comparison key of a festival name: case, accents and punctuation ignored.
+ * @param {string} name
+ * @returns {string}
+ */
+function getFestivalNameKey(name) {
+    return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Ratio with 4 decimals, null when undefined (0/0).
+ * @param {number} numerator
+ * @param {number} denominator
+ * @returns {number|null}
+ */
+function ratio(numerator, denominator) {
+    return denominator === 0 ? null : Math.round((numerator / denominator) * 10000) / 10000;
+}
+
+/**
+ * Runs the detection on every fixture and computes the metrics.
+ * The lineup size is estimated from the description, as during import.
+ * @param {Array<object>} fixtures - From loadFestivalFixtures
+ * @param {Object} options
+ * @param {object|null} options.rules - Festival rules config (default: the shared rules)
+ * @returns {{metrics: object, cases: Array<object>}}
+ */
+export function evaluateFestivalDetection(fixtures, { rules = null } = {}) {
+    const cases = fixtures.map(fixture => {
+        const lineupSize = artistModel.estimateLineupSize(fixture.event.description);
+        const detection = detectFestival(fixture.event, { lineupSize, ...(rules ? { rules } : {}) });
+        const expectedName = fixture.label.festivalName || null;
+        const festivalName = extractFestivalName(fixture.event.name || '');
+        return {
+            id: fixture.id,
+            name: fixture.event.name || '',
+            expected: fixture.label.isFestival,
+            isFestival: detection.isFestival,
+            confidence: detection.confidence,
+            detectionCorrect: detection.isFestival === fixture.label.isFestival,
+            expectedName,
+            festivalName,
+            nameCorrect: expectedName ? getFestivalNameKey(festivalName) === getFestivalNameKey(expectedName) : null,
+            reasons: detection.reasons
+        };
+    });
+
+    const count = predicate => cases.filter(predicate).length;
+    const truePositives = count(c => c.expected && c.isFestival);
+    const falsePositives = count(c => !c.expected && c.isFestival);
+    const falseNegatives = count(c => c.expected && !c.isFestival);
+    const trueNegatives = count(c => !c.expected && !c.isFestival);
+    const precision = ratio(truePositives, truePositives + falsePositives);
+    const recall = ratio(truePositives, truePositives + falseNegatives);
+    const namedCases = cases.filter(c => c.nameCorrect !== null);
+
+    return {
+        metrics: {
+            total: cases.length,
+            truePositives,
+            falsePositives,
+            falseNegatives,
+            trueNegatives,
+            precision,
+            recall,
+            f1: precision !== null && recall !== null && precision + recall > 0
+                ? Math.round((2 * precision * recall / (precision + recall)) * 10000) / 10000
+                : null,
+            accuracy: ratio(truePositives + trueNegatives, cases.length),
+            nameAccuracy: ratio(namedCases.filter(c => c.nameCorrect).length, namedCases.length)
+        },
+        cases
+    };
+}
+
+/**
+ * Compares a run with the baseline: cases that were right and are now wrong (regressions), and the reverse.
+ * Cases missing from the baseline are new.
+ * @param {{metrics: object, cases: Array<object>}} current - From evaluateFestivalDetection
+ * @param {{metrics: object, cases: Object<string, object>}|null} baseline - Saved with toBaseline
+ * @returns {{regressions: Array<object>, improvements: Array<object>, newCases: string[], metricDeltas: object}}
+ */
+export function compareWithBaseline(current, baseline) {
+    const comparison = { regressions: [], improvements: [], newCases: [], metricDeltas: {} };
+    if (!baseline) return comparison;
+
+    for (const c of current.cases) {
+        const before = baseline.cases[c.id];
+        if (!before) {
+            comparison.newCases.push(c.id);
+            continue;
+        }
+        for (const check of ['detectionCorrect', 'nameCorrect']) {
+            if (before[check] === true && c[check] === false) comparison.regressions.push({ id: c.id, check, before, after: c });
+            if (before[check] === false && c[check] === true) comparison.improvements.push({ id: c.id, check, before, after: c });
+        }
+    }
+    for (const [key, value] of Object.entries(current.metrics)) {
+        const previous = baseline.metrics?.[key];
+        if (typeof value === 'number' && typeof previous === 'number' && value !== previous) {
+            comparison.metricDeltas[key] = Math.round((value - previous) * 10000) / 10000;
+        }
+    }
+    return comparison;
+}
+
+/**
+ * Baseline form of a run: metrics and the outcome of each case by id.
+ * @param {{metrics: object, cases: Array<object>}} evaluation
+ * @returns {object}
+ */
+export function toBaseline(evaluation) {
+    return {
+        metrics: evaluation.metrics,
+        cases: Object.fromEntries(evaluation.cases.map(c => [c.id, {
+            isFestival: c.isFestival,
+            confidence: c.confidence,
+            detectionCorrect: c.detectionCorrect,
+            festivalName: c.festivalName,
+            nameCorrect: c.nameCorrect
+        }]))
+    };
+}
+
+/**
+ * Logs the metrics, confusion cases and baseline comparison.
+ * @param {object} report
+ * @param {Function} log
+ */
+function logEvaluation(report, log) {
+    const { metrics, cases, comparison } = report;
+    const pct = value => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+    log(`\n📊 Festival detection on ${metrics.total} fixture(s)`);
+    log(`   Precision ${pct(metrics.precision)}, recall ${pct(metrics.recall)}, F1 ${pct(metrics.f1)}, accuracy ${pct(metrics.accuracy)}`);
+    log(`   TP ${metrics.truePositives}, FP ${metrics.falsePositives}, FN ${metrics.falseNegatives}, TN ${metrics.trueNegatives}`);
+    log(`   Festival name accuracy ${pct(metrics.nameAccuracy)}`);
+
+    const wrong = cases.filter(c => !c.detectionCorrect);
+    if (wrong.length > 0) {
+        log('\n❌ Confusion cases:');
+        wrong.forEach(c => {
+            log(`   ${c.expected ? 'FN' : 'FP'} ${c.id} "${c.name}" (confidence ${c.confidence})`);
+            c.reasons.forEach(reason => log(`      - ${reason}`));
+        });
+    }
+    const wrongNames = cases.filter(c => c.nameCorrect === false);
+    if (wrongNames.length > 0) {
+        log('\n🏷️ Festival name mismatches:');
+        wrongNames.forEach(c => log(`   ${c.id}: "${c.festivalName}" (expected "${c.expectedName}")`));
+    }
+
+    if (!report.baseline) {
+        if (report.updatingBaseline) return;
+        log('\nℹ️ No baseline to compare with (run with --update-baseline to create one)');
+        return;
+    }
+    const deltas = Object.entries(comparison.metricDeltas).map(([key, delta]) => `${key} ${delta > 0 ? '+' : ''}${delta}`);
+    log(`\n🔁 Against the baseline: ${comparison.regressions.length} regression(s), ${comparison.improvements.length} improvement(s), ${comparison.newCases.length} new case(s)${deltas.length > 0 ? ` — ${deltas.join(', ')}` : ''}`);
+    comparison.regressions.forEach(r => log(`   ⚠️ ${r.id}: ${r.check === 'nameCorrect' ? `name "${r.before.festivalName}" → "${r.after.festivalName}"` : `isFestival ${r.before.isFestival} → ${r.after.isFestival} (confidence ${r.before.confidence} → ${r.after.confidence})`}`));
+    comparison.improvements.forEach(r => log(`   ✅ ${r.id}: ${r.check === 'nameCorrect' ? `name now "${r.after.festivalName}"` : `isFestival now ${r.after.isFestival}`}`));
+}
+
+async function main() {
+    const options = parseArgs();
+    // Keep stdout for the JSON report when --json is set
+    const log = options.json ? (msg) => console.error(msg) : (msg) => console.log(msg);
+
+    try {
+        const fixtures = loadFestivalFixtures(options.fixturesDir);
+        const rules = options.rulesPath ? loadFestivalRules(options.rulesPath) : null;
+        const evaluation = evaluateFestivalDetection(fixtures, { rules });
+
+        const baseline = !options.updateBaseline && fs.existsSync(options.baselinePath)
+            ? JSON.parse(fs.readFileSync(options.baselinePath, 'utf8'))
+            : null;
+        const comparison = compareWithBaseline(evaluation, baseline);
+        const report = { ...evaluation, baseline: baseline ? options.baselinePath : null, comparison };
+
+        logEvaluation({ ...report, updatingBaseline: options.updateBaseline }, log);
+        if (options.updateBaseline) {
+            fs.writeFileSync(options.baselinePath, JSON.stringify(toBaseline(evaluation), null, 2) + '\n');
+            log(`\n📝 Baseline written to ${options.baselinePath}`);
+        }
+        if (options.reportPath) {
+            fs.writeFileSync(options.reportPath, JSON.stringify(report, null, 2));
+            log(`📝 Report written to ${options.reportPath}`);
+        }
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+        }
+
+        const failures = [];
+        if (comparison.regressions.length > 0) failures.push(`${comparison.regressions.length} regression(s)`);
+        if (options.minPrecision !== undefined && (evaluation.metrics.precision ?? 0) < options.minPrecision) failures.push(`precision below ${options.minPrecision}`);
+        if (options.minRecall !== undefined && (evaluation.metrics.recall ?? 0) < options.minRecall) failures.push(`recall below ${options.minRecall}`);
+        if (failures.length > 0) log(`\n❌ Evaluation failed: ${failures.join(', ')}`);
+        // exitCode rather than exit() so a piped JSON report is fully flushed
+        process.exitCode = failures.length > 0 ? 1 : 0;
+    } catch (error) {
+        console.error(`❌ Festival detection evaluation failed: ${error.message}`);
+        process.exitCode = 2;
+    }
+}
+
+if (process.argv[1] && process.argv[1].replace(/\\/g, '/').endsWith('evaluate_festival_detection.js')) {
+    main();
+}
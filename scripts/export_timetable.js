@@ -0,0 +1,132 @@
+/**
+ * export_timetable.js
+ *
+ * Exports the timetable of an event (event_artist rows) as iCal, Clashfinder CSV or JSON.
+ *
+ * Usage:
+ *   node export_timetable.js --event-url=https://www.facebook.com/events/xxx/                 # outputs/timetable_<id>.ics
+ *   node export_timetable.js --event-id=123 --format=csv                                      # Clashfinder CSV
+ *   node export_timetable.js --event-id=123 --split=stage                                     # One .ics per stage
+ *   node export_timetable.js --event-id=123 --artist="Charlotte de Witte" --stdout
+ *
+ * Options:
+ *   --format=<ics|csv|json>   Output format (default: ics)
+ *   --stage=<name>            Only this stage
+ *   --artist=<name>           Only the slots of this artist (B2B included)
+ *   --split=<stage|artist>    One file per stage or per artist
+ *   --include-cancelled       Keep cancelled slots (STATUS:CANCELLED in iCal)
+ *   --output=<path>           Output file, or directory with --split (default: outputs/)
+ *   --stdout                  Print instead of writing a file (not with --split)
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import process from 'node:process';
+import { createClient } from '@supabase/supabase-js';
+
+import { findEvent } from '../models/event.js';
+import { getEventTimetable, exportEventTimetable } from '../models/timetable.js';
+import { EXPORT_FORMATS } from '../timetable/export.js';
+
+// --- CLI argument handling ---
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const result = { format: 'ics', includeCancelled: false, stdout: false };
+    for (const arg of args) {
+        if (arg.startsWith('--event-url=')) {
+            result.eventUrl = arg.split('=')[1];
+        } else if (arg.startsWith('--event-id=')) {
+            result.eventId = parseInt(arg.split('=')[1], 10);
+        } else if (arg.startsWith('--format=')) {
+            result.format = arg.split('=')[1].toLowerCase().replace(/^ical$/, 'ics');
+        } else if (arg.startsWith('--stage=')) {
+            result.stage = arg.slice('--stage='.length);
+        } else if (arg.startsWith('--artist=')) {
+            result.artist = arg.slice('--artist='.length);
+        } else if (arg.startsWith('--split=')) {
+            result.split = arg.split('=')[1];
+        } else if (arg.startsWith('--output=')) {
+            result.output = arg.slice('--output='.length);
+        } else if (arg === '--include-cancelled') {
+            result.includeCancelled = true;
+        } else if (arg === '--stdout') {
+            result.stdout = true;
+        }
+    }
+    return result;
+}
+
+/**
+ * File-name friendly version of a stage or artist name.
+ * @param {string} value
+ * @returns {string}
+ */
+function slugify(value) {
+    return String(value || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'unnamed';
+}
+
+async function main() {
+    const options = parseArgs();
+    if ((!options.eventUrl && !options.eventId) || !EXPORT_FORMATS[options.format]
+        || (options.split && !['stage', 'artist'].includes(options.split)) || (options.split && options.stdout)) {
+        console.error('Usage: node export_timetable.js (--event-url=<url> | --event-id=<id>) [--format=ics|csv|json] [--stage=<name>] [--artist=<name>] [--split=stage|artist] [--include-cancelled] [--output=<path>] [--stdout]');
+        process.exit(1);
+    }
+
+    const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+    try {
+        let eventId = options.eventId;
+        if (!eventId) {
+            const event = await findEvent(supabase, { facebookUrl: options.eventUrl });
+            if (!event) throw new Error(`Event not found in the database: ${options.eventUrl}`);
+            eventId = event.id;
+        }
+
+        const timetable = await getEventTimetable(supabase, eventId);
+        const extension = EXPORT_FORMATS[options.format];
+        const exportOptions = { format: options.format, includeCancelled: options.includeCancelled, timetable };
+
+        // One export per stage / artist, or a single one
+        let exports;
+        if (options.split === 'stage') {
+            const stageNames = [...new Set(timetable.slots.map(slot => slot.stage).filter(Boolean))];
+            exports = stageNames.map(stage => ({ suffix: slugify(stage), stage, artist: options.artist }));
+        } else if (options.split === 'artist') {
+            const artistNames = [...new Set(timetable.slots.flatMap(slot => slot.artists.map(a => a.name)))];
+            exports = artistNames.map(artist => ({ suffix: slugify(artist), stage: options.stage, artist }));
+        } else {
+            const suffix = [options.stage, options.artist].filter(Boolean).map(slugify).join('_');
+            exports = [{ suffix, stage: options.stage, artist: options.artist }];
+        }
+
+        const outputDir = options.split ? (options.output || 'outputs') : path.dirname(options.output || path.join('outputs', 'x'));
+        if (!options.stdout && !fs.existsSync(outputDir)) {
+            fs.mkdirSync(outputDir, { recursive: true });
+        }
+
+        for (const { suffix, stage, artist } of exports) {
+            const { content, slots } = await exportEventTimetable(supabase, eventId, { ...exportOptions, stage, artist });
+            if (options.stdout) {
+                process.stdout.write(content);
+                continue;
+            }
+            const fileName = `timetable_${eventId}${suffix ? `_${suffix}` : ''}${extension}`;
+            const filePath = (!options.split && options.output) ? options.output : path.join(outputDir, fileName);
+            fs.writeFileSync(filePath, content);
+            console.log(`✅ ${slots.length} slot(s) written to ${filePath}`);
+        }
+        if (!options.stdout) {
+            console.log(`📅 ${timetable.event.title} (ID: ${eventId}), ${timetable.slots.length} slot(s), times in ${timetable.timezone}`);
+        }
+    } catch (error) {
+        console.error(`❌ Timetable export failed: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (process.argv[1] && process.argv[1].replace(/\\/g, '/').endsWith('export_timetable.js')) {
+    main();
+}
@@ -0,0 +1,142 @@
+/**
+ * extract_events_timetable.js
+ *
+ * Converts a Clashfinder timetable CSV into the performance JSON used by the timetable import.
+ *
+ * Usage:
+ *   node extract_events_timetable.js outputs/lir23.csv                  # Prints the JSON
+ *   node extract_events_timetable.js outputs/lir23.csv outputs/lir23.json
+ *
+ * Each performance: { name, time, end_time, stage, soundcloud, performance_mode, custom_name? }
+ * Times are local to the festival ("2023-07-21T18:00"); they are resolved in the venue
+ * timezone at import (see resolvePerformanceTimes in utils/date.js).
+ */
+
+import fs from 'fs';
+import process from 'node:process';
+import { parse } from 'csv-parse/sync';
+import { parseCollaboration } from '../utils/collaboration.js';
+import { parseCancellation } from '../timetable/normalize.js';
+
+const SUFFIX_PATTERN = /\s+(A\/V|\(live\))$/i;
+
+/**
+ * Parses a Clashfinder date ("2023/07/21 18:00" or "2023-07-21 18:00") to a local ISO string.
+ * @param {string} value
+ * @returns {string} "2023-07-21T18:00", or '' when empty or invalid
+ */
+export function parseClashfinderDatetime(value) {
+    const match = (value || '').trim().match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})[ T](\d{1,2}):(\d{2})/);
+    if (!match) return '';
+    const [, yyyy, mm, dd, hh, min] = match;
+    return `${yyyy}-${mm.padStart(2, '0')}-${dd.padStart(2, '0')}T${hh.padStart(2, '0')}:${min}`;
+}
+
+/**
+ * Removes performance suffixes ("A/V", "(live)") from an act name.
+ * @param {string} name
+ * @returns {string}
+ */
+export function cleanActName(name) {
+    return (name || '').replace(SUFFIX_PATTERN, '').trim();
+}
+
+/**
+ * Returns the collaboration indicator of an act name ("A B2B B" → "B2B", "A x B" → "B2B").
+ * @param {string} name
+ * @returns {string} Upper-case indicator, or ''
+ */
+export function detectPerformanceMode(name) {
+    return parseCollaboration(name).mode;
+}
+
+/**
+ * Splits a collaboration act into one performance per artist, all sharing the act as custom_name.
+ * "A & B" stays one performance here: it is split at import, between stored artists only (see utils/collaboration.js).
+ * @param {object} perf - Performance with the full act name
+ * @returns {Array<object>}
+ */
+function splitCollaboration(perf) {
+    // "A B2B B (cancelled)" cancels the whole act, not the last artist only
+    const { name: actName, cancelled } = parseCancellation(perf.name);
+    const act = cancelled ? { ...perf, name: actName, status: 'cancelled' } : perf;
+    const { names, mode, isCollaboration } = parseCollaboration(act.name);
+    const cleanNames = names.map(cleanActName).filter(Boolean);
+    if (!isCollaboration || cleanNames.length <= 1) return [act];
+    return cleanNames.map(name => ({
+        ...act,
+        name,
+        performance_mode: act.performance_mode || mode,
+        custom_name: act.name
+    }));
+}
+
+/**
+ * Converts Clashfinder CSV data to performances.
+ * The header line may be commented ("// Start,End,Name,Location"); other comment lines are skipped.
+ * Quoted fields ("Artist, The") are supported.
+ * @param {string} csvData - CSV downloaded from Clashfinder
+ * @returns {Array<{name: string, time: string, end_time: string, stage: string, soundcloud: string, performance_mode: string, custom_name?: string}>}
+ */
+export function convertClashfinderToJSON(csvData) {
+    const lines = (csvData || '').split(/\r?\n/);
+    const headerIndex = lines.findIndex(line => /^(\/\/\s*)?"?Start"?\s*,/i.test(line.trim()));
+    if (headerIndex === -1) {
+        console.warn('⚠️ No valid header found in Clashfinder CSV');
+        return [];
+    }
+
+    const body = [lines[headerIndex].trim().replace(/^\/\/\s*/, '')]
+        .concat(lines.slice(headerIndex + 1).filter(line => line.trim() && !line.trim().startsWith('//')))
+        .join('\n');
+    const rows = parse(body, {
+        columns: header => header.map(h => h.trim().toLowerCase()),
+        skip_empty_lines: true,
+        relax_column_count: true,
+        relax_quotes: true,
+        trim: true
+    });
+
+    const performances = [];
+    for (const row of rows) {
+        const rawName = row.name || '';
+        const perf = {
+            name: cleanActName(rawName),
+            time: parseClashfinderDatetime(row.start),
+            end_time: parseClashfinderDatetime(row.end),
+            stage: row.location || row.stage || '',
+            soundcloud: row.soundcloud || '',
+            performance_mode: detectPerformanceMode(rawName)
+        };
+        if (!perf.name || !perf.stage) continue;
+        performances.push(...splitCollaboration(perf));
+    }
+    return performances;
+}
+
+async function main() {
+    const [inputPath, outputPath] = process.argv.slice(2);
+    if (!inputPath) {
+        console.error('Usage: node extract_events_timetable.js <clashfinder.csv> [output.json]');
+        process.exit(1);
+    }
+    const performances = convertClashfinderToJSON(fs.readFileSync(inputPath, 'utf8'));
+    const json = JSON.stringify(performances, null, 2);
+    if (outputPath) {
+        fs.writeFileSync(outputPath, json);
+        console.log(`✅ ${performances.length} performances written to ${outputPath}`);
+    } else {
+        console.log(json);
+    }
+}
+
+if (process.argv[1] && process.argv[1].replace(/\\/g, '/').endsWith('extract_events_timetable.js')) {
+    main();
+}
+
+export default {
+    parseClashfinderDatetime,
+    cleanActName,
+    detectPerformanceMode,
+    convertClashfinderToJSON
+};
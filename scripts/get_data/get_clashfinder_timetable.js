@@ -0,0 +1,362 @@
+/**
+ * get_clashfinder_timetable.js
+ *
+ * Clashfinder client: finds the clashfinder of a festival edition and downloads its timetable CSV.
+ *
+ * Usage:
+ *   node get_clashfinder_timetable.js "Tomorrowland 2025 Weekend 1"   # Search by event name
+ *   node get_clashfinder_timetable.js --id=tml2025w1                 # Known clashfinder ID
+ *
+ * Options:
+ *   --min-similarity=<0-100>  Minimum name similarity (default: 70)
+ *   --no-save                 Do not write the CSV to outputs/
+ *
+ * Credentials come from CLASHFINDER_USERNAME and CLASHFINDER_PRIVATE_KEY.
+ *
+ * This module:
+ * 1. Builds search variants of the event name ("Dour Festival 2025" → "dour festival 2025", "dour")
+ * 2. Scores every clashfinder against the variants (name, description and ID)
+ * 3. Resolves the edition year of each clashfinder ("lir23" → 2023), skips other editions than the
+ *    event year and prefers the most recent edition when the year is unknown
+ * 4. Downloads the CSV of the best match
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import process from 'node:process';
+import fetch from 'node-fetch';
+import stringSimilarity from 'string-similarity';
+
+import { withApiRetry } from '../../utils/retry.js';
+import { extractFestivalName } from '../../utils/festival-detection.js';
+
+const CLASHFINDER_BASE_URL = 'https://clashfinder.com';
+const YEAR_BONUS = 10; // Score bonus when the clashfinder is the same edition as the event
+
+/**
+ * Reads the Clashfinder API credentials and derives the public key (sha256 of username + private key).
+ * @param {object} env - Environment variables (default: process.env)
+ * @returns {{username: string, publicKey: string}}
+ */
+export function getClashfinderCredentials(env = process.env) {
+    const username = env.CLASHFINDER_USERNAME;
+    const privateKey = env.CLASHFINDER_PRIVATE_KEY;
+    if (!username || !privateKey) {
+        throw new Error('Missing CLASHFINDER_USERNAME or CLASHFINDER_PRIVATE_KEY');
+    }
+    const publicKey = crypto.createHash('sha256').update(username + privateKey).digest('hex');
+    return { username, publicKey };
+}
+
+/**
+ * Builds a Clashfinder data URL with the authentication parameters.
+ * @param {string} pathname - e.g. /data/events/all.json
+ * @param {{username: string, publicKey: string}} credentials
+ * @returns {string}
+ */
+function buildDataUrl(pathname, { username, publicKey }) {
+    return `${CLASHFINDER_BASE_URL}${pathname}?authUsername=${encodeURIComponent(username)}&authPublicKey=${publicKey}`;
+}
+
+/**
+ * Normalizes the list of clashfinders, whatever the response shape (array, {events}, {data} or keyed object).
+ * @param {any} payload - Parsed all.json response
+ * @returns {Array<{id: string, name: string, desc?: string}>}
+ */
+export function normalizeClashfinderList(payload) {
+    if (Array.isArray(payload)) return payload;
+    if (Array.isArray(payload?.events)) return payload.events;
+    if (Array.isArray(payload?.data)) return payload.data;
+    if (payload && typeof payload === 'object') {
+        return Object.entries(payload).map(([id, festival]) => ({ id, ...festival }));
+    }
+    throw new Error('Unknown Clashfinder API response format');
+}
+
+/**
+ * Downloads the list of every clashfinder.
+ * @param {{username: string, publicKey: string}} credentials
+ * @returns {Promise<Array<object>>}
+ */
+export async function fetchClashfinderList(credentials) {
+    const response = await withApiRetry(async () => {
+        return await fetch(buildDataUrl('/data/events/all.json', credentials));
+    });
+    if (!response.ok) throw new Error(`Clashfinder API error: ${response.status}`);
+    return normalizeClashfinderList(await response.json());
+}
+
+/**
+ * Downloads the timetable CSV of a clashfinder.
+ * @param {string} clashfinderId
+ * @param {{username: string, publicKey: string}} credentials
+ * @returns {Promise<string>}
+ */
+export async function fetchClashfinderCsv(clashfinderId, credentials) {
+    const response = await withApiRetry(async () => {
+        return await fetch(buildDataUrl(`/data/event/${encodeURIComponent(clashfinderId)}.csv`, credentials));
+    });
+    if (!response.ok) throw new Error(`Clashfinder CSV fetch failed for "${clashfinderId}": ${response.status}`);
+    return await response.text();
+}
+
+/**
+ * Extracts a four-digit year (19xx/20xx) from a text.
+ * @param {string|null} text
+ * @returns {number|null}
+ */
+export function extractYear(text) {
+    const match = (text || '').match(/\b((?:19|20)\d{2})\b/);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Resolves the edition year of a clashfinder.
+ * Looks for a full year in the ID, name or description ("dour2025", "Dour 2025"), then for a
+ * two-digit suffix on the ID ("lir23" → 2023, "tml25w1" → 2025).
+ * @param {{id: string, name?: string, desc?: string}} festival
+ * @returns {number|null}
+ */
+export function getClashfinderEditionYear(festival) {
+    if (!festival) return null;
+    const id = String(festival.id || '');
+    const fullYear = id.match(/((?:19|20)\d{2})/);
+    if (fullYear) return parseInt(fullYear[1], 10);
+
+    const fromText = extractYear(festival.name) || extractYear(festival.desc);
+    if (fromText) return fromText;
+
+    // Short year at the end of the ID, optionally followed by a weekend/day marker ("w1", "d2")
+    const shortYear = id.match(/[a-z](\d{2})(?:[wd]\d)?$/i);
+    if (shortYear) {
+        const value = parseInt(shortYear[1], 10);
+        return value > 50 ? 1900 + value : 2000 + value;
+    }
+    return null;
+}
+
+/**
+ * Whether a clashfinder edition can be used for an event of the given year.
+ * Unknown years on either side are accepted.
+ * @param {number|null} eventYear
+ * @param {number|null} editionYear
+ * @returns {boolean}
+ */
+export function isEditionYearMatch(eventYear, editionYear) {
+    return !eventYear || !editionYear || eventYear === editionYear;
+}
+
+/**
+ * Builds the search variants of an event name, most specific first.
+ * @param {string} eventName
+ * @returns {string[]}
+ */
+export function getSearchVariants(eventName) {
+    const variants = [];
+    const add = (value) => {
+        const clean = (value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+        if (clean && !variants.includes(clean)) variants.push(clean);
+    };
+    add(eventName);
+    const festivalName = extractFestivalName(eventName);
+    add(festivalName);
+    // Without weekend markers ("tomorrowland weekend 1" → "tomorrowland")
+    add(festivalName.replace(/\b(weekend\s*\d+|w\d+)\b/gi, ''));
+    // Without "festival"/"fest" anywhere in the name
+    add(festivalName.replace(/\b(festival|fest)\b/gi, ''));
+    return variants;
+}
+
+/**
+ * Scores a clashfinder against the search variants (0-100, plus the same-edition bonus).
+ * @param {{id: string, name?: string, desc?: string}} festival
+ * @param {string[]} variants - From getSearchVariants
+ * @param {number|null} eventYear
+ * @returns {{score: number, similarity: number, variant: string|null}}
+ */
+export function scoreClashfinderMatch(festival, variants, eventYear = null) {
+    const candidates = [festival.desc, festival.name, festival.id]
+        .filter(Boolean)
+        .map(text => String(text).toLowerCase())
+        // "dour festival" is also compared as "dour", like the search variants
+        .flatMap(text => [text, text.replace(/\b(festival|fest)\b/g, '')]);
+    // Compare without years so that "dour 2025" and "dour" score the same on the name
+    const stripYear = (text) => text.replace(/\b(?:19|20)\d{2}\b/g, '').replace(/\s+/g, ' ').trim();
+
+    let similarity = 0;
+    let bestVariant = null;
+    for (const variant of variants) {
+        for (const candidate of candidates) {
+            const value = Math.round(100 * stringSimilarity.compareTwoStrings(stripYear(variant), stripYear(candidate)));
+            if (value > similarity) {
+                similarity = value;
+                bestVariant = variant;
+            }
+        }
+    }
+    const editionYear = getClashfinderEditionYear(festival);
+    const score = similarity + (eventYear && editionYear === eventYear ? YEAR_BONUS : 0);
+    return { score, similarity, variant: bestVariant };
+}
+
+/**
+ * Year of an event: its start date, else a year in its name.
+ * Most event names have no year, so the start date decides the edition.
+ * @param {{name?: string, startTimestamp?: number}} eventData - Scraped event (startTimestamp in seconds)
+ * @returns {number|null}
+ */
+export function getEventYear(eventData) {
+    if (eventData?.startTimestamp) return new Date(eventData.startTimestamp * 1000).getUTCFullYear();
+    return extractYear(eventData?.name);
+}
+
+/**
+ * Finds the best clashfinder for an event name.
+ * Clashfinders of another edition than the event year are skipped. At equal score the
+ * most recent edition wins, so an event without known year gets the latest timetable.
+ * @param {Array<object>} festivals - From fetchClashfinderList
+ * @param {string} eventName
+ * @param {Object} options
+ * @param {number} options.minSimilarity - Minimum name similarity (0-100)
+ * @param {number|null} options.eventYear - Event year (see getEventYear), default: a year in the name
+ * @returns {{festival: object, similarity: number, score: number, variant: string, year: number|null}|null}
+ */
+export function findClashfinderFestival(festivals, eventName, { minSimilarity = 70, eventYear = null } = {}) {
+    const variants = getSearchVariants(eventName);
+    const year = eventYear || extractYear(eventName);
+    let best = null;
+    for (const festival of festivals) {
+        if (!festival || !festival.id) continue;
+        const editionYear = getClashfinderEditionYear(festival);
+        if (!isEditionYearMatch(year, editionYear)) continue;
+        const { score, similarity, variant } = scoreClashfinderMatch(festival, variants, year);
+        if (similarity < minSimilarity) continue;
+        if (!best || score > best.score || (score === best.score && (editionYear || 0) > (best.year || 0))) {
+            best = { festival, similarity, score, variant, year: editionYear };
+        }
+    }
+    return best;
+}
+
+/**
+ * Saves a timetable CSV to outputs/<clashfinderId>.csv.
+ * @param {string} clashfinderId
+ * @param {string} csv
+ * @returns {string} File path
+ */
+function saveCsv(clashfinderId, csv) {
+    const outputDir = path.join('outputs');
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+    const filePath = path.join(outputDir, `${clashfinderId}.csv`);
+    fs.writeFileSync(filePath, csv);
+    return filePath;
+}
+
+/**
+ * Finds the clashfinder of an event and downloads its timetable.
+ * @param {string} eventName - Event or festival name
+ * @param {Object} options
+ * @param {number|null} options.eventYear - Event year selecting the edition (see getEventYear), default: a year in the name
+ * @param {boolean} options.saveFile - Write the CSV to outputs/
+ * @param {boolean} options.silent - No console output
+ * @param {number} options.minSimilarity - Minimum name similarity (0-100)
+ * @param {string|null} options.clashfinderId - Known clashfinder ID (skips the search)
+ * @param {object} options.env - Environment variables holding the credentials
+ * @returns {Promise<{festival: object, csv: string, clashfinderUrl: string, similarity: number, year: number|null}>}
+ */
+export async function getClashfinderTimetable(eventName, {
+    saveFile = false,
+    silent = false,
+    minSimilarity = 70,
+    clashfinderId = null,
+    eventYear = null,
+    env = process.env
+} = {}) {
+    const log = silent ? () => {} : console.log;
+    const credentials = getClashfinderCredentials(env);
+
+    const festivals = await fetchClashfinderList(credentials);
+    let match;
+    if (clashfinderId) {
+        const festival = festivals.find(f => f.id === clashfinderId) || { id: clashfinderId, name: clashfinderId };
+        match = { festival, similarity: 100, year: getClashfinderEditionYear(festival) };
+        log(`🔎 Using clashfinder "${clashfinderId}"`);
+    } else {
+        log(`🔎 Searching ${festivals.length} clashfinders for "${eventName}"...`);
+        match = findClashfinderFestival(festivals, eventName, { minSimilarity, eventYear });
+        if (!match) {
+            throw new Error(`No Clashfinder festival found matching "${eventName}" (min similarity: ${minSimilarity}%)`);
+        }
+        log(`✅ Best match: ${match.festival.name || match.festival.id} (id: ${match.festival.id}, similarity: ${match.similarity}%, variant: "${match.variant}")`);
+    }
+
+    const csv = await fetchClashfinderCsv(match.festival.id, credentials);
+    if (saveFile) {
+        log(`💾 CSV saved to ${saveCsv(match.festival.id, csv)}`);
+    }
+
+    return {
+        festival: match.festival,
+        csv,
+        clashfinderUrl: `${CLASHFINDER_BASE_URL}/s/${match.festival.id}/`,
+        similarity: match.similarity,
+        year: match.year
+    };
+}
+
+// --- CLI argument handling ---
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const result = { search: null, clashfinderId: null, minSimilarity: 70, saveFile: true };
+    for (const arg of args) {
+        if (arg.startsWith('--id=')) {
+            result.clashfinderId = arg.split('=')[1];
+        } else if (arg.startsWith('--min-similarity=')) {
+            result.minSimilarity = parseInt(arg.split('=')[1], 10);
+        } else if (arg === '--no-save') {
+            result.saveFile = false;
+        } else if (!arg.startsWith('--')) {
+            result.search = arg;
+        }
+    }
+    return result;
+}
+
+async function main() {
+    const { search, clashfinderId, minSimilarity, saveFile } = parseArgs();
+    if (!search && !clashfinderId) {
+        console.error('Usage: node get_clashfinder_timetable.js "<festival name>" [--id=<clashfinder id>] [--min-similarity=70] [--no-save]');
+        process.exit(1);
+    }
+    try {
+        const result = await getClashfinderTimetable(search, { saveFile, minSimilarity, clashfinderId });
+        console.log(`🔗 Clashfinder URL: ${result.clashfinderUrl}`);
+        console.log(`📅 Edition year: ${result.year || 'unknown'}`);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+if (process.argv[1] && process.argv[1].replace(/\\/g, '/').endsWith('get_clashfinder_timetable.js')) {
+    main();
+}
+
+export default {
+    getClashfinderCredentials,
+    normalizeClashfinderList,
+    fetchClashfinderList,
+    fetchClashfinderCsv,
+    extractYear,
+    getEventYear,
+    getClashfinderEditionYear,
+    isEditionYearMatch,
+    getSearchVariants,
+    scoreClashfinderMatch,
+    findClashfinderFestival,
+    getClashfinderTimetable
+};
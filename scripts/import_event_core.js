@@ -0,0 +1,736 @@
+// scripts/import_event_core.js
+// Reusable event import pipeline shared by the CLI (import_event.js) and the queue server
+
+import fs from 'fs';
+import NodeGeocoder from 'node-geocoder';
+
+import { normalizeNameEnhanced } from '../utils/name.js';
+import { logMessage } from '../utils/logger.js';
+import { delay } from '../utils/delay.js';
+import {
+    BANNED_GENRES,
+    VENUE_DISTANCE_THRESHOLD_M,
+    FESTIVAL_VENUE_DISTANCE_THRESHOLD_M,
+    IMPORT_STEPS
+} from '../utils/constants.js';
+import { detectFestival, extractFestivalName } from '../utils/festival-detection.js';
+import { getClashfinderTimetable, getEventYear, isEditionYearMatch } from './get_data/get_clashfinder_timetable.js';
+
+// Import extraction functions
+import { convertClashfinderToJSON } from './extract_events_timetable.js';
+
+// Import models
+import artistModel from '../models/artist.js';
+import eventModel from '../models/event.js';
+import genreModel from '../models/genre.js';
+import promoterModel from '../models/promoter.js';
+import venueModel from '../models/venue.js';
+import timetableModel from '../models/timetable.js';
+
+// Import utility functions
+import geoUtils from '../utils/geo.js';
+import { resolveVenueTimezone } from '../utils/timezone.js';
+import databaseUtils from '../utils/database.js';
+
+// Import event sources
+import { scrapeEvent as scrapeEventFromSource, getSourceAdapter } from '../sources/index.js';
+
+/**
+ * Creates the default OpenStreetMap geocoder used to standardize venue addresses.
+ * @returns {object} node-geocoder instance
+ */
+export function createDefaultGeocoder() {
+    return NodeGeocoder({
+        provider: 'openstreetmap',
+        httpAdapter: 'https',
+        formatter: null
+    });
+}
+
+/**
+ * Loads the venue name corrections used before geocoding.
+ * @param {string} filePath - Path to the geocoding exceptions JSON file
+ * @returns {object} Map of venue name → corrected name (empty if the file is missing)
+ */
+export function loadGeocodingExceptions(filePath = 'geocoding_exceptions.json') {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        console.error(`Error loading ${filePath}:`, err);
+        return {};
+    }
+}
+
+/**
+ * Decides between festival (Clashfinder timetable) and simple (OpenAI parsing) import.
+ * @param {object} eventData - Scraped canonical event
+ * @param {object} options
+ * @returns {Promise<{festivalDetection: object, importStrategy: string, timetableData: Array|null, clashfinderResult: object|null}>}
+ */
+async function resolveImportStrategy(eventData, { forceFestival, festivalName: knownFestivalName, clashfinderId }) {
+    console.log("\n🎪 Analyzing event to detect if it's a festival...");
+    const lineupSize = artistModel.estimateLineupSize(eventData.description);
+    const festivalDetection = detectFestival(eventData, { forceFestival, lineupSize });
+    logMessage(`Festival detection result: ${festivalDetection.isFestival ? 'FESTIVAL' : 'SIMPLE EVENT'} (confidence: ${festivalDetection.confidence}%, threshold: ${festivalDetection.threshold}%)`);
+    logMessage(`Detection reasons: ${festivalDetection.reasons.join(', ')}`);
+
+    if (festivalDetection.duration) {
+        console.log(`⏱️ Event duration: ${festivalDetection.duration.hours.toFixed(1)} hours (${festivalDetection.duration.days} days)`);
+    }
+
+    // Determine import strategy based on festival detection
+    let importStrategy = 'simple'; // Default to simple event import
+    let timetableData = null;
+    let clashfinderResult = null;
+
+    // Forced festival mode, a decisive rule (duration, known festival) or a score above the threshold
+    if (forceFestival || festivalDetection.isFestival) {
+        importStrategy = 'festival';
+        const durationText = festivalDetection.duration ?
+            `${festivalDetection.duration.hours.toFixed(1)}h` : 'unknown duration';
+        console.log(`🎪 Event detected as FESTIVAL (${durationText}) - will attempt timetable import`);
+
+        // Try to get timetable from Clashfinder
+        const festivalName = knownFestivalName || festivalDetection.festivalName || extractFestivalName(eventData.name);
+        if (festivalName || clashfinderId) {
+            console.log(`🔍 Searching Clashfinder for festival: "${clashfinderId || festivalName}"`);
+            // The start date gives the edition: most event names have no year
+            const eventYear = getEventYear(eventData);
+            try {
+                // Use original event name for variant generation
+                clashfinderResult = await getClashfinderTimetable(eventData.name, {
+                    saveFile: false,
+                    silent: true,
+                    minSimilarity: 70,  // Higher threshold to avoid false positives
+                    clashfinderId,
+                    eventYear
+                });
+                console.log(`✅ Found Clashfinder data for: ${clashfinderResult.festival.name} (similarity: ${clashfinderResult.similarity}%)`);
+                console.log(`🔗 Clashfinder URL: ${clashfinderResult.clashfinderUrl}`);
+
+                // Check if the edition year matches (a known clashfinderId skips the search-time check)
+                const timetableYear = clashfinderResult.year;
+
+                if (!isEditionYearMatch(eventYear, timetableYear)) {
+                    console.log(`❌ Rejecting timetable from ${timetableYear} for ${eventYear} event - year mismatch`);
+                    console.log(`🔄 Falling back to simple event import with OpenAI parsing`);
+                    importStrategy = 'simple_fallback';
+                } else {
+                    // Convert CSV to JSON format expected by timetable import
+                    timetableData = await convertClashfinderToJSON(clashfinderResult.csv);
+                    console.log(`📊 Converted CSV to JSON: ${timetableData.length} performances`);
+                }
+
+            } catch (clashfinderError) {
+                console.log(`⚠️ Clashfinder lookup failed: ${clashfinderError.message}`);
+                console.log(`🔄 Falling back to simple event import with OpenAI parsing`);
+                importStrategy = 'simple_fallback';
+            }
+        } else {
+            console.log(`⚠️ Could not extract festival name for Clashfinder search`);
+            importStrategy = 'simple_fallback';
+        }
+    } else {
+        const durationText = festivalDetection.duration ?
+            `${festivalDetection.duration.hours.toFixed(1)}h` : 'no duration data';
+        console.log(`📝 Event detected as SIMPLE EVENT (${durationText}) - will use OpenAI artist parsing`);
+    }
+
+    return { festivalDetection, importStrategy, timetableData, clashfinderResult };
+}
+
+/**
+ * Returns the max distance between two locations of the same venue.
+ * Festivals get a wider radius because their grounds are large.
+ * @param {string} importStrategy - 'festival', 'simple' or 'simple_fallback'
+ * @returns {number} Distance in meters
+ */
+function getVenueDistanceThreshold(importStrategy) {
+    return importStrategy === 'festival' ? FESTIVAL_VENUE_DISTANCE_THRESHOLD_M : VENUE_DISTANCE_THRESHOLD_M;
+}
+
+/**
+ * Resolves a postal address for the venue when the source does not provide one
+ * (Google Maps, then Nominatim reverse geocoding, then the venue name itself).
+ * @param {object} venue - Venue fields extracted from the scraped event
+ * @param {object} context
+ * @returns {Promise<{address: string|null, placeId: string|null}>} Venue address and Google place_id when Google was used
+ */
+async function resolveVenueAddress(venue, { importStrategy, googleApiKey, geocodingExceptions }) {
+    const { name: venueName, latitude: venueLatitude, longitude: venueLongitude } = venue;
+    let venueAddress = venue.address;
+    let placeId = null;
+
+    if (!venueAddress && venueName) {
+        console.log(`\n🔍 No address found from the event source for venue "${venueName}". Querying Google Maps...`);
+        const googleResult = await venueModel.fetchAddressFromGoogle(venueName, googleApiKey, geocodingExceptions);
+        if (googleResult) {
+            const googleLat = googleResult.geometry.location.lat;
+            const googleLng = googleResult.geometry.location.lng;
+            if (venueLatitude && venueLongitude) {
+                const distance = geoUtils.haversineDistance(venueLatitude, venueLongitude, googleLat, googleLng);
+                console.log(`Distance between FB and Google: ${distance.toFixed(2)} meters`);
+                // Different thresholds for festivals vs regular events
+                const threshold = getVenueDistanceThreshold(importStrategy);
+                if (distance < threshold) {
+                    venueAddress = googleResult.formatted_address;
+                    placeId = googleResult.place_id || null;
+                    console.log(`✅ Using Google address: ${venueAddress}`);
+                } else {
+                    const eventTypeText = (importStrategy === 'festival') ? 'festival' : 'event';
+                    console.log(`⚠️ Google address is too far from FB coordinates for ${eventTypeText} (${distance.toFixed(0)}m > ${threshold}m).`);
+                }
+            } else {
+                venueAddress = googleResult.formatted_address;
+                placeId = googleResult.place_id || null;
+                console.log(`✅ Using Google address (no FB coordinates): ${venueAddress}`);
+            }
+        }
+        if (!venueAddress && venueLatitude && venueLongitude) {
+            console.log(`\n🔍 No address from Google. Querying Nominatim reverse geocoding for coordinates ${venueLatitude}, ${venueLongitude}...`);
+            const nominatimResult = await geoUtils.fetchAddressFromNominatim(venueLatitude, venueLongitude);
+            if (nominatimResult) {
+                venueAddress = nominatimResult.display_name;
+                console.log(`✅ Using Nominatim address: ${venueAddress}`);
+            }
+        }
+        if (!venueAddress) {
+            console.log(`⚠️ No address found via Google Maps or Nominatim; using venue name "${venueName}" as address.`);
+            venueAddress = venueName;
+        }
+    }
+
+    return { address: venueAddress, placeId };
+}
+
+/**
+ * Finds or inserts every host of the event as a promoter.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {object} eventData - Scraped canonical event
+ * @param {boolean} dryRun
+ * @returns {Promise<Array<{id: number|null, name: string, image_url: string|null}>>}
+ */
+async function processPromoters(supabase, eventData, dryRun) {
+    const promotersList = eventData.hosts ? eventData.hosts.map(h => h.name) : [];
+    const promoterInfos = [];
+    for (const promoterName of promotersList) {
+        if (!promoterName) continue;
+        console.log(`\n🔍 Processing promoter "${promoterName}"...`);
+        let info = { id: null, name: promoterName, image_url: null };
+        if (dryRun) {
+            console.log(`(DRY_RUN) Would find/insert promoter: "${promoterName}"`);
+        } else {
+            info = await promoterModel.findOrInsertPromoter(supabase, promoterName, eventData);
+        }
+        promoterInfos.push(info);
+    }
+    return promoterInfos;
+}
+
+/**
+ * Finds the event by its source URL and updates it, or inserts a new event.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {object} eventRecord - Normalized event fields
+ * @param {boolean} dryRun
+ * @returns {Promise<number>} Event ID
+ */
+async function upsertEvent(supabase, eventRecord, dryRun) {
+    const { title: eventName, description: eventDescription, date_time: startTimeISO,
+        end_date_time: endTimeISO, sourceUrl, source, urlMetadataKey, ticketUrl, artistIds } = eventRecord;
+
+    console.log(`\n📝 Checking if event "${eventName}" already exists in the database...`);
+    if (dryRun) {
+        console.log(`(DRY_RUN) Would find/insert event "${eventName}"`);
+        return 999; // Example dummy ID
+    }
+
+    let eventId = null;
+    let existingMetadata = null;
+    // Search by URL first (primary key for uniqueness), including the URLs of merged duplicates
+    const eventsByUrl = sourceUrl ? await eventModel.findEventsBySourceUrl(supabase, sourceUrl, urlMetadataKey) : [];
+
+    if (eventsByUrl.length > 0) {
+        eventId = eventsByUrl[0].id;
+        existingMetadata = eventsByUrl[0].metadata || {};
+        console.log(`➡️ Event found by ${urlMetadataKey} (id=${eventId}).`);
+    } else {
+        // Search by title only if no source URL provided (rare case)
+        // This ensures that events with different source URLs are always treated as separate events
+        if (!sourceUrl) {
+            const { data: eventsByName, error: eventsByNameError } = await supabase
+                .from('events')
+                .select('id')
+                .eq('title', eventName);
+            if (eventsByNameError) throw eventsByNameError;
+
+            if (eventsByName && eventsByName.length > 0) {
+                eventId = eventsByName[0].id;
+                console.log(`➡️ Event found by title matching (id=${eventId}) - no source URL provided.`);
+            }
+        } else {
+            console.log(`➡️ No event with this ${urlMetadataKey} - checking for cross-source duplicates.`);
+        }
+    }
+
+    if (eventId) {
+        // A duplicate merged into an event from another source: the kept event's fields are left untouched
+        const ownUrl = existingMetadata && existingMetadata[urlMetadataKey];
+        if (existingMetadata && (!ownUrl || ownUrl.toLowerCase() !== sourceUrl.toLowerCase())) {
+            console.log(`ℹ️ ${sourceUrl} was merged into event (id=${eventId}), no changes needed.`);
+            return eventId;
+        }
+
+        console.log("\n🔄 Event already exists. Checking for updates...");
+
+        const { data: existing, error: fetchErr } = await supabase
+            .from('events')
+            .select('description, date_time, end_date_time')
+            .eq('id', eventId)
+            .single();
+        if (fetchErr) throw fetchErr;
+
+        const updates = {};
+        if (existing.description !== eventDescription) {
+            updates.description = eventDescription;
+        }
+        if (existing.date_time !== startTimeISO) {
+            updates.date_time = startTimeISO;
+        }
+        if (existing.end_date_time !== endTimeISO) {
+            updates.end_date_time = endTimeISO;
+        }
+        // Events imported before source_urls existed
+        if (existingMetadata && !(existingMetadata.source_urls || []).includes(sourceUrl)) {
+            updates.metadata = {
+                ...existingMetadata,
+                source_urls: [...(existingMetadata.source_urls || []), sourceUrl]
+            };
+        }
+
+        if (Object.keys(updates).length > 0) {
+            const { error: updateErr } = await supabase
+                .from('events')
+                .update(updates)
+                .eq('id', eventId);
+            if (updateErr) throw updateErr;
+            console.log(`🔄 Event (id=${eventId}) updated:`, updates);
+        } else {
+            console.log(`ℹ️ Event (id=${eventId}) already up to date, no changes needed.`);
+        }
+        return eventId;
+    }
+
+    const metadata = { [urlMetadataKey]: sourceUrl, source_urls: [sourceUrl] };
+    if (source !== 'facebook') {
+        metadata.source = source;
+    }
+    if (ticketUrl) {
+        metadata.ticket_link = ticketUrl;
+    }
+
+    // Cross-source deduplication: same party listed twice or under a slightly different title
+    const duplicate = await eventModel.findDuplicateEvent(supabase, {
+        title: eventName,
+        date_time: startTimeISO,
+        venueId: eventRecord.venueId,
+        artistIds
+    });
+    if (duplicate.decision === 'duplicate') {
+        await eventModel.mergeDuplicateEvent(supabase, duplicate.match, metadata, dryRun);
+        console.log(`🔀 Event merged into existing event (id=${duplicate.match.event.id}, score=${duplicate.match.score}).`);
+        return duplicate.match.event.id;
+    }
+
+    // Insertion of a new event
+    console.log(`\n📝 Inserting event "${eventName}" into the events table...`);
+    const { data: newEvent, error: insertEventError } = await supabase
+        .from('events')
+        .insert({
+            title: eventName,
+            type: eventRecord.type,
+            date_time: startTimeISO,
+            end_date_time: endTimeISO,
+            description: eventDescription,
+            image_url: eventRecord.image_url,
+            metadata: metadata
+        })
+        .select();
+    if (insertEventError || !newEvent) throw insertEventError || new Error("Event insertion failed");
+    eventId = newEvent[0].id;
+    console.log(`✅ Event inserted successfully (id=${eventId}).`);
+
+    if (duplicate.decision === 'ambiguous') {
+        await eventModel.flagPossibleDuplicate(supabase, eventId, duplicate.match, dryRun);
+    }
+    return eventId;
+}
+
+/**
+ * Ensures event_promoter, event_venue and venue_promoter relations.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {object} params
+ */
+async function ensureEventRelations(supabase, { eventId, venueId, venueName, promoterInfos }) {
+    // event_promoter relations
+    console.log("\n🔗 Ensuring event_promoter relations...");
+    for (const pid of promoterInfos.map(p => p.id).filter(id => id)) {
+        await databaseUtils.ensureRelation(supabase,
+            "event_promoter",
+            { event_id: eventId, promoter_id: pid },
+            "event_promoter"
+        );
+    }
+
+    // event_venue relation
+    if (venueId) {
+        console.log("\n🔗 Ensuring event_venue relation...");
+        await databaseUtils.ensureRelation(supabase,
+            "event_venue",
+            { event_id: eventId, venue_id: venueId },
+            "event_venue"
+        );
+    }
+
+    // venue_promoter relations
+    if (venueId && venueName) {
+        console.log("\n🔗 Ensuring venue_promoter relations...");
+        for (const pInfo of promoterInfos) {
+            if (
+                pInfo.id &&
+                normalizeNameEnhanced(pInfo.name).toLowerCase() ===
+                normalizeNameEnhanced(venueName).toLowerCase()
+            ) {
+                await databaseUtils.ensureRelation(supabase,
+                    "venue_promoter",
+                    { venue_id: venueId, promoter_id: pInfo.id },
+                    "venue_promoter"
+                );
+            }
+        }
+    }
+}
+
+/**
+ * Assigns genres to the event and its promoters from the linked artists.
+ * Failures are logged and never abort the import.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {object} params
+ */
+async function assignGenres(supabase, { eventId, promoterIds, bannedGenreIds, isFestival }) {
+    try {
+        await genreModel.assignEventGenres(supabase, eventId, bannedGenreIds, isFestival);
+        console.log("✅ Event genres assigned.");
+    } catch (err) {
+        console.error("Error assigning event genres:", err);
+    }
+    for (const promoterId of promoterIds) {
+        if (!promoterId) continue;
+        try {
+            await promoterModel.assignPromoterGenres(supabase, promoterId, bannedGenreIds, isFestival);
+            console.log(`✅ Genres assigned for promoter id=${promoterId}.`);
+        } catch (err) {
+            console.error(`Error assigning genres for promoter id=${promoterId}:`, err);
+        }
+    }
+}
+
+/**
+ * Runs the import steps, restoring the output of the steps already checkpointed.
+ * Once a step runs, the following ones run too: their checkpoints were computed from older data.
+ * @param {Object} options
+ * @param {Object|null} options.checkpoints - Saved checkpoints: step → { output, completed_at }
+ * @param {Function|null} options.onCheckpoint - async (step, output, laterSteps) => void, persists a completed step
+ * @param {boolean} options.dryRun - Checkpoints are neither restored nor saved
+ * @param {AbortSignal|null} options.signal - Aborts the import before the next step (the running one completes)
+ * @returns {{run: Function, readonly restored: string[]}}
+ */
+function createStepRunner({ checkpoints = null, onCheckpoint = null, dryRun = false, signal = null }) {
+    const restored = [];
+    let resumed = false; // A step ran in this import
+
+    return {
+        /**
+         * Runs a step, or returns its checkpointed output.
+         * @param {string} step - One of IMPORT_STEPS
+         * @param {Function} fn - async () => output (JSON-serializable)
+         * @returns {Promise<Object>} Output of the step
+         */
+        async run(step, fn) {
+            signal?.throwIfAborted();
+            const saved = checkpoints ? checkpoints[step] : null;
+            if (saved && !resumed && !dryRun) {
+                console.log(`⏩ Step "${step}" restored from its checkpoint (${saved.completed_at || 'unknown date'})`);
+                restored.push(step);
+                return saved.output || {};
+            }
+            resumed = true;
+            const output = (await fn()) || {};
+            // An aborted import no longer owns the event: its checkpoint is not saved
+            signal?.throwIfAborted();
+            if (onCheckpoint && !dryRun) {
+                await onCheckpoint(step, output, IMPORT_STEPS.slice(IMPORT_STEPS.indexOf(step) + 1));
+            }
+            return output;
+        },
+        get restored() { return [...restored]; }
+    };
+}
+
+/**
+ * Imports an event end to end: scrape, festival detection, Clashfinder,
+ * venue, promoters, event upsert, artists and genres.
+ * These run as the steps of IMPORT_STEPS: with `checkpoints` and `onCheckpoint`, a retry resumes
+ * after the last completed step instead of redoing the geocoding, Graph and SoundCloud calls.
+ * The URL can point to any platform supported by sources/index.js (Facebook, Resident Advisor,
+ * DICE, Shotgun, Eventbrite); the scraped payload is normalized to the canonical event shape.
+ *
+ * Clients are injected so that the CLI, the queue server and tests run the same code path.
+ *
+ * @param {Object} params
+ * @param {string} params.eventUrl - Event URL (Facebook or another supported source)
+ * @param {boolean} [params.detectedAsFestival=false] - Treat the event as a festival (queue flag or --festival)
+ * @param {string|null} [params.festivalName=null] - Known festival name used for the Clashfinder search
+ * @param {string|null} [params.clashfinderId=null] - Known Clashfinder festival ID
+ * @param {boolean} [params.dryRun=false] - Skip all database writes
+ * @param {boolean} [params.skipArtists=false] - Skip artist import
+ * @param {import('@supabase/supabase-js').SupabaseClient} params.supabase - Supabase client
+ * @param {Object} [params.openai] - OpenAI client instance (used by the default lineup provider)
+ * @param {Object} [params.lineupProvider] - Lineup provider (defaults to the one configured by LINEUP_PROVIDER, see lineup/index.js)
+ * @param {Object|null} [params.flyerProvider] - Flyer provider reading the lineup from the cover image (defaults to FLYER_PROVIDER, null to skip)
+ * @param {string|null} [params.timezone=null] - IANA timezone overriding the one resolved for the venue
+ * @param {boolean} [params.syncTimetable=false] - Re-sync a festival timetable: move, cancel and remove stored performances
+ * @param {boolean} [params.splitFestivalDays=false] - Materialize each day of a multi-day festival as a child event with its own lineup
+ * @param {Object} [params.geocoder] - node-geocoder instance (defaults to OpenStreetMap)
+ * @param {Function} [params.scrapeEvent] - Scraper returning a canonical event (defaults to the source adapter matching the URL)
+ * @param {Object} [params.geocodingExceptions] - Venue name corrections
+ * @param {number[]} [params.bannedGenreIds] - Banned genre IDs (loaded from BANNED_GENRES when omitted)
+ * @param {string} [params.googleApiKey] - Google Maps API key
+ * @param {string} [params.soundCloudClientId] - SoundCloud client ID
+ * @param {string} [params.soundCloudClientSecret] - SoundCloud client secret
+ * @param {Object|null} [params.checkpoints=null] - Checkpoints of a previous attempt (step → { output, completed_at })
+ * @param {Function|null} [params.onCheckpoint=null] - async (step, output, laterSteps) => void, called after each completed step
+ * @param {AbortSignal|null} [params.signal=null] - Stops the import between steps, rejecting with the abort reason (job timeout, lost lease)
+ * @returns {Promise<{eventId: number, artistsCount: number, strategy: string, timezone: string, dayEventIds: number[], restoredSteps: string[]}>}
+ */
+export async function processEventImport({
+    eventUrl,
+    detectedAsFestival = false,
+    festivalName = null,
+    clashfinderId = null,
+    dryRun = false,
+    skipArtists = false,
+    supabase,
+    openai = null,
+    lineupProvider = null,
+    flyerProvider = undefined,
+    timezone = null,
+    syncTimetable = false,
+    splitFestivalDays = false,
+    geocoder = createDefaultGeocoder(),
+    scrapeEvent = scrapeEventFromSource,
+    geocodingExceptions = {},
+    bannedGenreIds = null,
+    googleApiKey = process.env.GOOGLE_API_KEY,
+    soundCloudClientId = process.env.SOUND_CLOUD_CLIENT_ID,
+    soundCloudClientSecret = process.env.SOUND_CLOUD_CLIENT_SECRET,
+    checkpoints = null,
+    onCheckpoint = null,
+    signal = null
+}) {
+    if (!eventUrl) throw new Error('eventUrl is required');
+    if (!supabase) throw new Error('A Supabase client is required');
+
+    const sourceAdapter = getSourceAdapter(eventUrl);
+    const steps = createStepRunner({ checkpoints, onCheckpoint, dryRun, signal });
+
+    // (1) Scrape the event, detect festivals and fetch the Clashfinder timetable
+    const { eventData, sourceName, festivalDetection, importStrategy, timetableData, clashfinderResult } = await steps.run('scrape', async () => {
+        const sourceName = sourceAdapter ? sourceAdapter.name : 'facebook';
+        console.log(`🔎 Scraping the ${sourceName} event...`);
+        const eventData = await scrapeEvent(eventUrl);
+        console.log(`✅ Scraped data for event: "${eventData.name}" (${sourceName} ID: ${eventData.id})`);
+
+        // Log image info for debugging
+        if (eventData.photo && eventData.photo.imageUri) {
+            console.log(`🖼️ Event image found: ${eventData.photo.imageUri}`);
+        } else if (eventData.photo) {
+            console.log('🖼️ Event photo object exists but no imageUri:', eventData.photo);
+        } else {
+            console.log('⚠️ No event image found (eventData.photo is null or undefined)');
+        }
+
+        // === FESTIVAL DETECTION ===
+        const strategy = await resolveImportStrategy(eventData, {
+            forceFestival: detectedAsFestival,
+            festivalName,
+            clashfinderId
+        });
+        return { eventData, sourceName, ...strategy };
+    });
+
+    const eventName = eventData.name || null;
+    const eventDescription = eventData.description || null;
+    const sourceUrl = eventData.url || eventUrl;
+
+    // (2) Process promoters
+    const { promoterInfos } = await steps.run('promoters', async () => ({
+        promoterInfos: await processPromoters(supabase, eventData, dryRun)
+    }));
+    const promoterIds = promoterInfos.map(p => p.id).filter(id => id);
+
+    // (3) Process venue: address, timezone, then the venue record
+    const { venue, venueId, eventTimezone } = await steps.run('venue', async () => {
+        const location = eventData.location || null;
+        const venue = {
+            name: location ? location.name : null,
+            address: location ? location.address : null,
+            city: location && location.city ? location.city.name : null,
+            country: location ? location.countryCode : null,
+            latitude: (location && location.coordinates) ? location.coordinates.latitude : null,
+            longitude: (location && location.coordinates) ? location.coordinates.longitude : null
+        };
+
+        const resolvedAddress = await resolveVenueAddress(venue, { importStrategy, googleApiKey, geocodingExceptions });
+        venue.address = resolvedAddress.address;
+        venue.placeId = resolvedAddress.placeId;
+
+        // The venue is matched first: a timezone already stored on it is used without a Google lookup
+        const distanceThreshold = getVenueDistanceThreshold(importStrategy);
+        const match = dryRun ? null : await venueModel.findMatchingVenue(supabase, venue, { distanceThreshold });
+        venue.timezone = match ? match.venue.timezone || null : null;
+
+        // Timezone of the venue: performance times and festival days are local to it
+        const resolvedTimezone = await resolveVenueTimezone(venue, {
+            override: timezone,
+            googleApiKey,
+            timestamp: eventData.startTimestamp
+        });
+        venue.timezone = resolvedTimezone.source === 'default' ? null : resolvedTimezone.timezone;
+
+        const venueId = await venueModel.findOrCreateVenue(supabase, venue, {
+            promoterInfos,
+            geocoder,
+            distanceThreshold,
+            match,
+            dryRun
+        });
+        const eventTimezone = resolvedTimezone.timezone;
+        console.log(`🕒 Event timezone: ${eventTimezone} (${resolvedTimezone.source})`);
+        return { venue, venueId, eventTimezone };
+    });
+
+    // (4) Process event, then the event_promoter, event_venue and venue_promoter relations
+    const { eventId } = await steps.run('event', async () => {
+        // Artists already known, for the lineup criterion of the cross-source deduplication
+        const artistIds = dryRun ? [] : await artistModel.findKnownLineupArtistIds(supabase, {
+            lineup: (timetableData && timetableData.length > 0) ? timetableData.map(perf => perf.name) : eventData.lineup,
+            description: eventDescription
+        });
+        const eventId = await upsertEvent(supabase, {
+            title: eventName,
+            // Set type as "festival" if detected as festival, otherwise use the source category
+            type: (importStrategy === 'festival') ? 'festival' :
+                ((eventData.categories && eventData.categories.length) ? eventData.categories[0].label : null),
+            date_time: eventData.startTimestamp ? new Date(eventData.startTimestamp * 1000).toISOString() : null,
+            end_date_time: eventData.endTimestamp ? new Date(eventData.endTimestamp * 1000).toISOString() : null,
+            description: eventDescription,
+            image_url: (eventData.photo && eventData.photo.imageUri) ? eventData.photo.imageUri : null,
+            sourceUrl,
+            source: sourceName,
+            urlMetadataKey: sourceAdapter ? sourceAdapter.metadataKey : 'facebook_url',
+            venueId,
+            artistIds,
+            ticketUrl: eventData.ticketUrl || null
+        }, dryRun);
+
+        if (!dryRun && eventId) {
+            await ensureEventRelations(supabase, { eventId, venueId, venueName: venue.name, promoterInfos });
+        }
+        return { eventId };
+    });
+
+    // (5) Import artists based on detected strategy, then the festival days as child events
+    const { artistsCount, dayEventIds } = await steps.run('artists', async () => {
+        let artistsCount = 0;
+        if (!skipArtists) {
+            if (importStrategy === 'festival' && timetableData && timetableData.length > 0) {
+                // Use timetable module to process festival timetable
+                const timetableResult = await timetableModel.processFestivalTimetable(supabase, eventId, timetableData, clashfinderResult, {
+                    dryRun,
+                    soundCloudClientId,
+                    soundCloudClientSecret,
+                    logMessage,
+                    delay,
+                    eventStart: eventData.startTimestamp,
+                    timezone: eventTimezone,
+                    sync: syncTimetable
+                });
+                artistsCount = Object.keys(timetableResult.artistNameToId || {}).length;
+            } else {
+                // Use artist module to process simple event artists
+                // Platforms that publish a structured lineup (RA, DICE...) get it appended to the parsed text
+                const lineupText = eventData.lineup && eventData.lineup.length > 0
+                    ? `${eventDescription || ''}\n\nLine-up:\n${eventData.lineup.join('\n')}`.trim()
+                    : eventDescription;
+                const artistIds = await artistModel.processSimpleEventArtists(supabase, lineupProvider || openai, eventId, lineupText, dryRun, {
+                    eventStart: eventData.startTimestamp,
+                    timezone: eventTimezone,
+                    imageUrl: eventData.photo ? eventData.photo.imageUri : null,
+                    flyerProvider,
+                    title: eventData.name,
+                    city: eventData.location && eventData.location.city ? eventData.location.city.name : null
+                });
+                artistsCount = artistIds.length;
+            }
+        } else {
+            console.log('⏭️ Skipping artist import as requested');
+        }
+
+        // Festival days as child events (per-day pages and tickets)
+        let dayEventIds = [];
+        if (splitFestivalDays && importStrategy === 'festival' && eventId) {
+            console.log("\n📆 Splitting the festival into day events...");
+            const split = await eventModel.materializeFestivalDays(supabase, eventId, { timezone: eventTimezone, dryRun });
+            dayEventIds = split.days.map(day => day.eventId).filter(id => id);
+        } else if (splitFestivalDays) {
+            console.log('ℹ️ Not imported as a festival, no day events created');
+        }
+        return { artistsCount, dayEventIds };
+    });
+
+    // (6) Post-processing: Assign genres
+    await steps.run('genres', async () => {
+        if (dryRun || !eventId) return {};
+        const resolvedBannedGenreIds = bannedGenreIds || await genreModel.getBannedGenreIds(supabase, BANNED_GENRES);
+        await assignGenres(supabase, {
+            eventId,
+            promoterIds,
+            bannedGenreIds: resolvedBannedGenreIds,
+            isFestival: festivalDetection.isFestival
+        });
+        for (const dayEventId of dayEventIds) {
+            try {
+                await genreModel.assignEventGenres(supabase, dayEventId, resolvedBannedGenreIds, true);
+            } catch (err) {
+                console.error(`Error assigning genres for day event id=${dayEventId}:`, err);
+            }
+        }
+        return {};
+    });
+
+    return {
+        eventId,
+        artistsCount,
+        strategy: importStrategy,
+        eventName,
+        timezone: eventTimezone,
+        dayEventIds,
+        restoredSteps: steps.restored
+    };
+}
+
+export default {
+    processEventImport,
+    createDefaultGeocoder,
+    loadGeocodingExceptions
+};
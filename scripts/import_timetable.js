@@ -2,13 +2,27 @@
  * import_timetable.js
  *
  * Generic script to import festival artists
- * from a formatted JSON and link them to SoundCloud.
+ * from a timetable file (JSON, CSV, XLSX or iCal) and link them to SoundCloud.
  *
  * Usage:
  *   node import_timetable.js --event-url=https://www.facebook.com/events/xxx/ --json=my_event.json
+ *   node import_timetable.js --event-url=... --file=timetable.xlsx --sheet=Saturday
+ *   node import_timetable.js --event-url=... --file=export.csv --columns=name:Artist,stage:Area,time:Start,end_time:End
+ *   node import_timetable.js --event-url=... --file=... --timezone=Europe/Lisbon  # Override the venue timezone
+ *   node import_timetable.js --event-url=... --file=updated.csv --sync           # Re-sync a changed timetable
+ *   node import_timetable.js --event-url=... --file=... --split-days             # Also create one child event per festival day
+ *
+ * Options:
+ *   --file=<path>       Timetable file; the format is detected from the extension or content (--json is an alias)
+ *   --format=<format>   Force the format: csv, xlsx, ical or json
+ *   --columns=<map>     Column mapping field:Header, fields: name, stage, date, time, end_time, performance_mode, soundcloud, custom_name
+ *   --sheet=<name|n>    XLSX worksheet (default: first sheet)
+ *   --force             Import even when the timetable validation reports errors
+ *   --sync              Diff against the stored performances: move, cancel and remove them, then add the new ones
+ *   --split-days        Create or update one child event per festival day with the lineup of that day
  *
  * This script:
- * 1. Reads the festival artists JSON
+ * 1. Reads the timetable file and validates it (rows, stage overlaps, double bookings, festival days)
  * 2. Searches for each artist on SoundCloud
  * 3. Imports the data into Supabase
  * 4. Creates the Facebook event and links the artists
@@ -24,13 +38,19 @@ import { createClient } from '@supabase/supabase-js';
 import { delay } from '../utils/delay.js';
 import { getAccessToken } from '../utils/token.js';
 import { logMessage } from '../utils/logger.js';
-import { toUtcIso } from '../utils/date.js';
+import { resolvePerformanceTimes } from '../utils/date.js';
+import { readTimetableFile } from '../timetable/index.js';
+import { validateTimetable, getEventTimetableContext, logTimetableValidation } from '../timetable/validate.js';
+import { isValidTimezone } from '../utils/timezone.js';
+import { DEFAULT_TIMEZONE } from '../utils/constants.js';
+import { expandCollaborations } from '../utils/collaboration.js';
 
 // Import model functions
 import artistModel from '../models/artist.js';
-import { findEvent, updateEventMetadata, linkArtistsToEvent } from '../models/event.js';
+import { findEvent, getEventTimezone, updateEventMetadata, linkArtistsToEvent, materializeFestivalDays } from '../models/event.js';
 import {
     groupPerformancesForB2B,
+    syncTimetableLinks,
     extractStagesAndDaysFromPerformances,
     generateTimetableStatistics,
     logTimetableStatistics
@@ -52,33 +72,47 @@ function parseArgs() {
     for (let i = 0; i < args.length; i++) {
         if (args[i].startsWith('--event-url=')) {
             result.eventUrl = args[i].split('=')[1];
-        } else if (args[i].startsWith('--json=')) {
-            result.jsonFilePath = args[i].split('=')[1];
+        } else if (args[i].startsWith('--json=') || args[i].startsWith('--file=')) {
+            result.filePath = args[i].split('=')[1];
+        } else if (args[i].startsWith('--format=')) {
+            result.format = args[i].split('=')[1];
+        } else if (args[i].startsWith('--columns=')) {
+            result.columns = args[i].slice('--columns='.length);
+        } else if (args[i].startsWith('--sheet=')) {
+            result.sheet = args[i].slice('--sheet='.length);
+        } else if (args[i] === '--force') {
+            result.force = true;
+        } else if (args[i] === '--sync') {
+            result.sync = true;
+        } else if (args[i] === '--split-days') {
+            result.splitDays = true;
+        } else if (args[i].startsWith('--timezone=')) {
+            result.timezone = args[i].split('=')[1];
         } else if (args[i] === '--event-url' && args[i + 1]) {
             result.eventUrl = args[i + 1]; i++;
-        } else if (args[i] === '--json' && args[i + 1]) {
-            result.jsonFilePath = args[i + 1]; i++;
+        } else if ((args[i] === '--json' || args[i] === '--file') && args[i + 1]) {
+            result.filePath = args[i + 1]; i++;
         }
     }
     return result;
 }
 
 async function main() {
-    const { eventUrl, jsonFilePath } = parseArgs();
-    if (!eventUrl || !jsonFilePath) {
-        console.error('Usage: node import_timetable.js --event-url=<facebook_event_url> --json=<path_to_json>');
+    const { eventUrl, filePath, format, columns, sheet, force, sync, splitDays, timezone: timezoneOverride } = parseArgs();
+    if (!eventUrl || !filePath) {
+        console.error('Usage: node import_timetable.js --event-url=<facebook_event_url> --file=<timetable.json|csv|xlsx|ics> [--format=<format>] [--columns=<mapping>] [--sheet=<sheet>] [--timezone=<IANA timezone>] [--force] [--sync] [--split-days]');
+        process.exit(1);
+    }
+    if (timezoneOverride && !isValidTimezone(timezoneOverride)) {
+        console.error(`❌ Invalid timezone: ${timezoneOverride}`);
         process.exit(1);
     }
-    // Set default timezone
-    const timezone = 'Europe/Brussels';
+    let timezone = timezoneOverride || DEFAULT_TIMEZONE;
     try {
         logMessage(`=== Starting Event Import${DRY_RUN ? ' (DRY_RUN MODE)' : ''} ===`);
-        if (!fs.existsSync(jsonFilePath)) {
-            throw new Error(`JSON file not found: ${jsonFilePath}`);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Timetable file not found: ${filePath}`);
         }
-        logMessage(`[INFO] Timezone used for import: ${timezone}`);
-        const jsonData = JSON.parse(fs.readFileSync(jsonFilePath, 'utf8'));
-        logMessage(`Loaded ${jsonData.length} artist performances from JSON`);
         const accessToken = await getAccessToken(SOUND_CLOUD_CLIENT_ID, SOUND_CLOUD_CLIENT_SECRET);
         
         // Initialize global token for automatic refresh on 401 errors
@@ -90,6 +124,46 @@ async function main() {
             logMessage("❌ No event found with this Facebook URL or title in the database. Create it first!");
             throw new Error("Event not found in the database. Create it first!");
         }
+        // Timetable times are local to the venue: use its stored timezone unless overridden
+        if (!timezoneOverride) {
+            timezone = await getEventTimezone(supabase, event.id) || DEFAULT_TIMEZONE;
+        }
+        logMessage(`[INFO] Timezone used for import: ${timezone}${timezoneOverride ? ' (--timezone)' : ''}`);
+
+        // --- Read and validate the timetable ---
+        const timetable = await readTimetableFile(filePath, { format, columns, sheet, eventStart: event.date_time, timezone });
+        let jsonData = timetable.performances;
+        logMessage(`Loaded ${jsonData.length} artist performances from ${timetable.format.toUpperCase()} (${timetable.rowCount} rows)`);
+        if (jsonData.length === 0) {
+            timetable.errors.forEach(e => logMessage(`   - Row ${e.row}${e.field ? ` [${e.field}]` : ''}: ${e.message}`));
+            throw new Error('No valid performance found in the timetable file');
+        }
+        // One performance per artist: "A b2b B" rows become A and B in the same slot (artists stored under a combined name stay whole)
+        const knownNames = await artistModel.findStoredCollaborationNames(supabase, jsonData.map(perf => perf.name));
+        jsonData = expandCollaborations(jsonData, { knownNames });
+
+        // --- Validate before anything is written ---
+        const { festivalDays, stages: knownStages } = getEventTimetableContext(event);
+        const validation = validateTimetable(jsonData, { timezone, festivalDays, stages: knownStages, rowErrors: timetable.errors });
+        logTimetableValidation(validation, logMessage);
+        if (!validation.valid) {
+            if (!force) {
+                throw new Error(`Timetable validation failed with ${validation.summary.errors} error(s); fix the file or run again with --force`);
+            }
+            logMessage(`⚠️ --force: importing despite ${validation.summary.errors} validation error(s), invalid rows are skipped`);
+        }
+
+        // --- Sync with the stored performances, or skip cancelled ones ---
+        if (sync) {
+            const syncResult = await syncTimetableLinks(supabase, event.id, jsonData, { dryRun: DRY_RUN, timezone, eventStart: event.date_time, logMessage });
+            jsonData = syncResult.performances;
+        } else {
+            const cancelled = jsonData.filter(p => p.status === 'cancelled');
+            if (cancelled.length > 0) {
+                logMessage(`⏭️ Skipping ${cancelled.length} cancelled performance(s) (use --sync to cancel already imported ones)`);
+                jsonData = jsonData.filter(p => p.status !== 'cancelled');
+            }
+        }
         // --- Enrich event metadata ---
         const { stages, festival_days } = extractStagesAndDaysFromPerformances(jsonData, timezone);
         await updateEventMetadata(supabase, event, stages, festival_days, DRY_RUN);
@@ -109,12 +183,9 @@ async function main() {
             const artistNames = [];
             for (const perf of group) {
                 // Convert dates to UTC for the database
-                if (perf.time) {
-                    perf.time = toUtcIso(perf.time, timezone);
-                }
-                if (perf.end_time) {
-                    perf.end_time = toUtcIso(perf.end_time, timezone);
-                }
+                const { start, end } = resolvePerformanceTimes(perf.time, perf.end_time, { eventStart: event.date_time, timezone });
+                perf.time = start;
+                perf.end_time = end;
                 const artistName = perf.name.trim();
                 artistNames.push(artistName);
                 if (!artistNameToId[artistName]) {
@@ -172,6 +243,12 @@ async function main() {
                 logMessage(`[DRY_RUN] ...and ${dryRunLinks.length - 10} other simulated links.`);
             }
         }
+
+        // --- Festival days as child events ---
+        if (splitDays) {
+            const split = await materializeFestivalDays(supabase, event.id, { timezone, dryRun: DRY_RUN });
+            logMessage(`📆 ${split.days.length} day event(s) for ${event.title} (ID: ${event.id})`);
+        }
         logMessage("=== Import Complete ===");
     } catch (error) {
         logMessage(`Fatal error during import: ${error.message}`);
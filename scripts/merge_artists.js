@@ -0,0 +1,167 @@
+/**
+ * merge_artists.js
+ *
+ * Finds duplicate artist rows ("Amelie Lens" / "AMÉLIE LENS" / "Amelie Lens (live)")
+ * and merges each cluster into a single survivor.
+ *
+ * Usage (or npm run merge-artists -- <options>):
+ *   node scripts/merge_artists.js                      # Dry run: prints the diff of every merge
+ *   node scripts/merge_artists.js --apply              # Applies the merges and writes an undo log
+ *   node scripts/merge_artists.js --apply --name=lens  # Only clusters containing "lens"
+ *   node scripts/merge_artists.js --undo=logs/artist_merge_<timestamp>.json
+ *
+ * Options:
+ *   --threshold=<0-1>  Name similarity threshold (default: ARTIST_MERGE_SIMILARITY)
+ *
+ * This script:
+ * 1. Loads every artist
+ * 2. Clusters them by normalized name, name similarity and shared external links
+ * 3. Picks a survivor per cluster
+ * 4. Rewrites event_artist.artist_id arrays, repoints artist_genre, user_follow_artist,
+ *    promoter_resident_artists and venue_resident_artists rows (deduplicated), unions external_links
+ * 5. Deletes the merged artists, in one transaction per cluster (merge_artists RPC),
+ *    and logs every change to an undo file
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import process from 'node:process';
+import { createClient } from '@supabase/supabase-js';
+
+import { logMessage } from '../utils/logger.js';
+import { ARTIST_MERGE_SIMILARITY } from '../utils/constants.js';
+import artistModel from '../models/artist.js';
+
+const DRY_RUN = process.env.DRY_RUN === 'true';
+const PAGE_SIZE = 1000;
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+// --- CLI argument handling ---
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const result = { apply: false, undoFile: null, nameFilter: null, threshold: ARTIST_MERGE_SIMILARITY };
+    for (const arg of args) {
+        if (arg === '--apply') {
+            result.apply = true;
+        } else if (arg.startsWith('--undo=')) {
+            result.undoFile = arg.split('=')[1];
+        } else if (arg.startsWith('--name=')) {
+            result.nameFilter = arg.split('=')[1].toLowerCase();
+        } else if (arg.startsWith('--threshold=')) {
+            result.threshold = parseFloat(arg.split('=')[1]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Loads every artist, page by page.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @returns {Promise<Array<object>>}
+ */
+async function fetchAllArtists(supabase) {
+    const artists = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('artists')
+            .select('*')
+            .order('id', { ascending: true })
+            .range(from, from + PAGE_SIZE - 1);
+        if (error) throw error;
+        artists.push(...data);
+        if (data.length < PAGE_SIZE) break;
+    }
+    return artists;
+}
+
+/**
+ * Returns the path of a new undo log file.
+ * @returns {string}
+ */
+function getUndoLogPath() {
+    const logsDir = path.join('logs');
+    if (!fs.existsSync(logsDir)) {
+        fs.mkdirSync(logsDir);
+    }
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return path.join(logsDir, `artist_merge_${timestamp}.json`);
+}
+
+async function undo(supabase, undoFile) {
+    if (!fs.existsSync(undoFile)) {
+        throw new Error(`Undo log not found: ${undoFile}`);
+    }
+    const undoLog = JSON.parse(fs.readFileSync(undoFile, 'utf8'));
+    logMessage(`=== Undoing ${undoLog.merges.length} artist merge(s) from ${undoFile}${DRY_RUN ? ' (DRY_RUN MODE)' : ''} ===`);
+    // Most recent merges first
+    for (const plan of [...undoLog.merges].reverse()) {
+        await artistModel.undoArtistMerge(supabase, plan, DRY_RUN);
+    }
+    logMessage(`=== Undo complete ===`);
+}
+
+async function main() {
+    const { apply, undoFile, nameFilter, threshold } = parseArgs();
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+        console.error('❌ Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY');
+        process.exit(1);
+    }
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+    try {
+        if (undoFile) {
+            await undo(supabase, undoFile);
+            return;
+        }
+
+        const dryRun = DRY_RUN || !apply;
+        logMessage(`=== Artist merge${dryRun ? ' (DRY_RUN MODE)' : ''} ===`);
+
+        const artists = await fetchAllArtists(supabase);
+        let clusters = artistModel.findArtistDuplicateClusters(artists, { similarityThreshold: threshold });
+        if (nameFilter) {
+            clusters = clusters.filter(c => c.artists.some(a => (a.name || '').toLowerCase().includes(nameFilter)));
+        }
+        logMessage(`🔍 ${artists.length} artists loaded, ${clusters.length} duplicate cluster(s) found`);
+
+        const undoLogPath = dryRun ? null : getUndoLogPath();
+        const undoLog = { created_at: new Date().toISOString(), merges: [] };
+        let mergedCount = 0;
+
+        for (const cluster of clusters) {
+            try {
+                const plan = await artistModel.planArtistMerge(supabase, cluster);
+                artistModel.logArtistMergePlan(plan);
+                if (!dryRun) {
+                    // Record the plan before writing so a partial merge can still be undone
+                    undoLog.merges.push(plan);
+                    fs.writeFileSync(undoLogPath, JSON.stringify(undoLog, null, 2));
+                }
+                await artistModel.applyArtistMerge(supabase, plan, dryRun);
+                if (!dryRun) {
+                    // The plan now holds the link rows the merge actually moved or deleted
+                    fs.writeFileSync(undoLogPath, JSON.stringify(undoLog, null, 2));
+                }
+                mergedCount += plan.duplicates.length;
+            } catch (error) {
+                logMessage(`❌ Error merging cluster [${cluster.artists.map(a => a.id).join(', ')}]: ${error.message}`);
+            }
+        }
+
+        if (dryRun) {
+            logMessage(`[DRY_RUN] ${mergedCount} artist(s) would be merged. Run with --apply to merge them.`);
+        } else {
+            logMessage(`✅ ${mergedCount} artist(s) merged. Undo log: ${undoLogPath}`);
+        }
+    } catch (error) {
+        logMessage(`❌ Artist merge failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+if (process.argv[1] && process.argv[1].replace(/\\/g, '/').endsWith('merge_artists.js')) {
+    main();
+}
@@ -0,0 +1,171 @@
+/**
+ * merge_venues.js
+ *
+ * Finds duplicate venue rows (same Google place_id, or similar name at the same place)
+ * and merges each cluster into a single survivor.
+ *
+ * Usage (or npm run merge-venues -- <options>):
+ *   node scripts/merge_venues.js                       # Dry run: prints the diff of every merge
+ *   node scripts/merge_venues.js --apply               # Applies the merges and writes an undo log
+ *   node scripts/merge_venues.js --apply --name=fuse   # Only clusters containing "fuse"
+ *   node scripts/merge_venues.js --undo=logs/venue_merge_<timestamp>.json
+ *
+ * Options:
+ *   --threshold=<0-1>  Match score threshold (default: VENUE_MERGE_THRESHOLD)
+ *
+ * This script:
+ * 1. Loads every venue and the candidate pairs found in SQL (find_venue_candidate_pairs)
+ * 2. Clusters them with the venue match score (place_id, name similarity, distance, address)
+ * 3. Picks a survivor per cluster
+ * 4. Repoints event_venue, venue_promoter, user_follow_venue, venue_genre and
+ *    venue_resident_artists rows (deduplicated), fills missing survivor fields
+ * 5. Deletes the merged venues, in one transaction per cluster (merge_venues RPC),
+ *    and logs every change to an undo file
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import process from 'node:process';
+import { createClient } from '@supabase/supabase-js';
+
+import { logMessage } from '../utils/logger.js';
+import { VENUE_DISTANCE_THRESHOLD_M, VENUE_MERGE_THRESHOLD } from '../utils/constants.js';
+import venueModel from '../models/venue.js';
+
+const DRY_RUN = process.env.DRY_RUN === 'true';
+const PAGE_SIZE = 1000;
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+// --- CLI argument handling ---
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const result = { apply: false, undoFile: null, nameFilter: null, threshold: VENUE_MERGE_THRESHOLD };
+    for (const arg of args) {
+        if (arg === '--apply') {
+            result.apply = true;
+        } else if (arg.startsWith('--undo=')) {
+            result.undoFile = arg.split('=')[1];
+        } else if (arg.startsWith('--name=')) {
+            result.nameFilter = arg.split('=')[1].toLowerCase();
+        } else if (arg.startsWith('--threshold=')) {
+            result.threshold = parseFloat(arg.split('=')[1]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Loads every venue, page by page.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @returns {Promise<Array<object>>}
+ */
+async function fetchAllVenues(supabase) {
+    const venues = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('venues')
+            .select('*')
+            .order('id', { ascending: true })
+            .range(from, from + PAGE_SIZE - 1);
+        if (error) throw error;
+        venues.push(...data);
+        if (data.length < PAGE_SIZE) break;
+    }
+    return venues;
+}
+
+/**
+ * Returns the path of a new undo log file.
+ * @returns {string}
+ */
+function getUndoLogPath() {
+    const logsDir = path.join('logs');
+    if (!fs.existsSync(logsDir)) {
+        fs.mkdirSync(logsDir);
+    }
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return path.join(logsDir, `venue_merge_${timestamp}.json`);
+}
+
+async function undo(supabase, undoFile) {
+    if (!fs.existsSync(undoFile)) {
+        throw new Error(`Undo log not found: ${undoFile}`);
+    }
+    const undoLog = JSON.parse(fs.readFileSync(undoFile, 'utf8'));
+    logMessage(`=== Undoing ${undoLog.merges.length} venue merge(s) from ${undoFile}${DRY_RUN ? ' (DRY_RUN MODE)' : ''} ===`);
+    // Most recent merges first
+    for (const plan of [...undoLog.merges].reverse()) {
+        await venueModel.undoVenueMerge(supabase, plan, DRY_RUN);
+    }
+    logMessage(`=== Undo complete ===`);
+}
+
+async function main() {
+    const { apply, undoFile, nameFilter, threshold } = parseArgs();
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+        console.error('❌ Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY');
+        process.exit(1);
+    }
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+    try {
+        if (undoFile) {
+            await undo(supabase, undoFile);
+            return;
+        }
+
+        const dryRun = DRY_RUN || !apply;
+        logMessage(`=== Venue merge${dryRun ? ' (DRY_RUN MODE)' : ''} ===`);
+
+        const venues = await fetchAllVenues(supabase);
+        const { data: candidatePairs, error: pairsError } = await supabase.rpc('find_venue_candidate_pairs', {
+            radius_meters: VENUE_DISTANCE_THRESHOLD_M
+        });
+        if (pairsError) throw pairsError;
+        let clusters = venueModel.findVenueDuplicateClusters(venues, { threshold, candidatePairs: candidatePairs || [] });
+        if (nameFilter) {
+            clusters = clusters.filter(c => c.venues.some(v => (v.name || '').toLowerCase().includes(nameFilter)));
+        }
+        logMessage(`🔍 ${venues.length} venues loaded, ${(candidatePairs || []).length} candidate pair(s), ${clusters.length} duplicate cluster(s) found`);
+
+        const undoLogPath = dryRun ? null : getUndoLogPath();
+        const undoLog = { created_at: new Date().toISOString(), merges: [] };
+        let mergedCount = 0;
+
+        for (const cluster of clusters) {
+            try {
+                const plan = await venueModel.planVenueMerge(supabase, cluster);
+                venueModel.logVenueMergePlan(plan);
+                if (!dryRun) {
+                    // Record the plan before writing so a partial merge can still be undone
+                    undoLog.merges.push(plan);
+                    fs.writeFileSync(undoLogPath, JSON.stringify(undoLog, null, 2));
+                }
+                await venueModel.applyVenueMerge(supabase, plan, dryRun);
+                if (!dryRun) {
+                    // The plan now holds the link rows the merge actually moved or deleted
+                    fs.writeFileSync(undoLogPath, JSON.stringify(undoLog, null, 2));
+                }
+                mergedCount += plan.duplicates.length;
+            } catch (error) {
+                logMessage(`❌ Error merging cluster [${cluster.venues.map(v => v.id).join(', ')}]: ${error.message}`);
+            }
+        }
+
+        if (dryRun) {
+            logMessage(`[DRY_RUN] ${mergedCount} venue(s) would be merged. Run with --apply to merge them.`);
+        } else {
+            logMessage(`✅ ${mergedCount} venue(s) merged. Undo log: ${undoLogPath}`);
+        }
+    } catch (error) {
+        logMessage(`❌ Venue merge failed: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+if (process.argv[1] && process.argv[1].replace(/\\/g, '/').endsWith('merge_venues.js')) {
+    main();
+}
@@ -0,0 +1,138 @@
+/**
+ * validate_timetable.js
+ *
+ * Checks a timetable file before import and writes a machine-readable report.
+ *
+ * Usage:
+ *   node validate_timetable.js --file=timetable.csv
+ *   node validate_timetable.js --file=timetable.xlsx --event-url=https://www.facebook.com/events/xxx/ --report=outputs/report.json
+ *   node validate_timetable.js --file=timetable.json --json --strict    # JSON report on stdout, warnings fail too
+ *
+ * Options:
+ *   --file=<path>        Timetable file (CSV, XLSX, iCal or JSON, see import_timetable.js)
+ *   --format=, --columns=, --sheet=   Same as import_timetable.js
+ *   --event-url=<url>    Event the timetable belongs to: its venue timezone, festival days and stages are checked
+ *   --timezone=<IANA>    Override the venue timezone
+ *   --stages=<a,b>       Known stages (overrides the event metadata)
+ *   --report=<path>      Write the JSON report to a file
+ *   --json               Print the JSON report on stdout (human-readable output goes to stderr)
+ *   --strict             Warnings also make the validation fail
+ *
+ * Exit codes: 0 valid, 1 invalid, 2 the timetable could not be validated (missing file, bad options...)
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import process from 'node:process';
+import { createClient } from '@supabase/supabase-js';
+
+import { readTimetableFile } from '../timetable/index.js';
+import { validateTimetable, getEventTimetableContext, logTimetableValidation } from '../timetable/validate.js';
+import { findEvent, getEventTimezone } from '../models/event.js';
+import { isValidTimezone } from '../utils/timezone.js';
+import { DEFAULT_TIMEZONE } from '../utils/constants.js';
+import { expandCollaborations } from '../utils/collaboration.js';
+
+// --- CLI argument handling ---
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const result = { json: false, strict: false };
+    for (const arg of args) {
+        if (arg.startsWith('--file=') || arg.startsWith('--json=')) {
+            result.filePath = arg.slice(arg.indexOf('=') + 1);
+        } else if (arg.startsWith('--format=')) {
+            result.format = arg.split('=')[1];
+        } else if (arg.startsWith('--columns=')) {
+            result.columns = arg.slice('--columns='.length);
+        } else if (arg.startsWith('--sheet=')) {
+            result.sheet = arg.slice('--sheet='.length);
+        } else if (arg.startsWith('--event-url=')) {
+            result.eventUrl = arg.split('=')[1];
+        } else if (arg.startsWith('--timezone=')) {
+            result.timezone = arg.split('=')[1];
+        } else if (arg.startsWith('--stages=')) {
+            result.stages = arg.slice('--stages='.length).split(',').map(s => s.trim()).filter(Boolean);
+        } else if (arg.startsWith('--report=')) {
+            result.reportPath = arg.slice('--report='.length);
+        } else if (arg === '--json') {
+            result.json = true;
+        } else if (arg === '--strict') {
+            result.strict = true;
+        }
+    }
+    return result;
+}
+
+async function main() {
+    const options = parseArgs();
+    // Keep stdout for the JSON report when --json is set
+    const log = options.json ? (msg) => console.error(msg) : (msg) => console.log(msg);
+
+    if (!options.filePath) {
+        console.error('Usage: node validate_timetable.js --file=<timetable> [--event-url=<facebook_event_url>] [--timezone=<IANA timezone>] [--stages=<a,b>] [--report=<path>] [--json] [--strict]');
+        process.exit(2);
+    }
+    if (options.timezone && !isValidTimezone(options.timezone)) {
+        console.error(`Invalid timezone: ${options.timezone}`);
+        process.exit(2);
+    }
+
+    try {
+        if (!fs.existsSync(options.filePath)) {
+            throw new Error(`Timetable file not found: ${options.filePath}`);
+        }
+
+        let timezone = options.timezone || DEFAULT_TIMEZONE;
+        let event = null;
+        if (options.eventUrl) {
+            const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+            event = await findEvent(supabase, { facebookUrl: options.eventUrl });
+            if (!event) throw new Error(`Event not found in the database: ${options.eventUrl}`);
+            if (!options.timezone) {
+                timezone = await getEventTimezone(supabase, event.id) || DEFAULT_TIMEZONE;
+            }
+            log(`📅 Event: ${event.title} (ID: ${event.id}), timezone ${timezone}`);
+        }
+
+        const timetable = await readTimetableFile(options.filePath, {
+            format: options.format,
+            columns: options.columns,
+            sheet: options.sheet,
+            eventStart: event?.date_time || null,
+            timezone
+        });
+        const context = getEventTimetableContext(event);
+        // Collaborations are checked artist by artist, as they are imported
+        const report = validateTimetable(expandCollaborations(timetable.performances), {
+            timezone,
+            festivalDays: context.festivalDays,
+            stages: options.stages || context.stages,
+            rowErrors: timetable.errors
+        });
+        report.file = path.resolve(options.filePath);
+        report.format = timetable.format;
+        report.timezone = timezone;
+        report.event = event ? { id: event.id, title: event.title } : null;
+        report.strict = options.strict;
+        report.passed = report.valid && (!options.strict || report.summary.warnings === 0);
+
+        logTimetableValidation(report, log);
+        if (options.reportPath) {
+            fs.writeFileSync(options.reportPath, JSON.stringify(report, null, 2));
+            log(`📝 Report written to ${options.reportPath}`);
+        }
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+        }
+        // exitCode rather than exit() so a piped JSON report is fully flushed
+        process.exitCode = report.passed ? 0 : 1;
+    } catch (error) {
+        console.error(`❌ Timetable validation failed: ${error.message}`);
+        process.exitCode = 2;
+    }
+}
+
+if (process.argv[1] && process.argv[1].replace(/\\/g, '/').endsWith('validate_timetable.js')) {
+    main();
+}
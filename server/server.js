@@ -6,7 +6,12 @@
  * 
  * Features:
  * - Polls the facebook_events_imports table for new events
- * - Processes events with priority and retry logic
+ * - Worker pool: claims up to MAX_CONCURRENT_JOBS events at once and runs them concurrently
+ * - Per-job timeout, and per-API concurrency budgets (SoundCloud, Google, OpenAI) shared by all jobs
+ * - Job leases renewed by heartbeats: events of a crashed server are reclaimed by the others
+ * - Step checkpoints: a retried or reclaimed event resumes from its first incomplete import step
+ * - Processes events with priority and retry logic: failures are classified (permanent, transient, auth, data)
+ *   and retried after a backoff or dead-lettered according to IMPORT_RETRY_POLICIES
  * - Comprehensive error handling and logging
  * - Festival detection and timetable import
  * - Manual retry mechanisms
@@ -17,17 +22,36 @@
  * Environment Variables:
  *   POLL_INTERVAL_MS - Polling interval in milliseconds (default: 30000)
  *   MAX_CONCURRENT_JOBS - Maximum concurrent processing jobs (default: 1)
+ *   JOB_TIMEOUT_MS - A job still running after this is marked failed (default: 1800000, 30 minutes)
+ *   SHUTDOWN_TIMEOUT_MS - Time given to running jobs on SIGTERM/SIGINT before they are released to the queue (default: 60000)
+ *   JOB_LEASE_SECONDS - Lease of a claimed event, renewed every third of it while the job runs (default: 300)
+ *   MAX_LEASE_RECLAIMS - An event reclaimed this many times after expired leases is dead-lettered on the next expiry (default: 3)
+ *   WORKER_ID - Name of this server in locked_by (default: hostname-pid-random)
+ *   SOUNDCLOUD_CONCURRENCY, GOOGLE_CONCURRENCY, OPENAI_CONCURRENCY - Concurrent API calls across all jobs (see API_CONCURRENCY_LIMITS)
  *   DRY_RUN - Set to 'true' for dry run mode (default: false)
  */
 
 import 'dotenv/config';
+import os from 'os';
+import crypto from 'crypto';
 import { createClient } from '@supabase/supabase-js';
+import OpenAI from 'openai';
 import { logMessage } from '../utils/logger.js';
-import { delay } from '../utils/delay.js';
+import { createWorkerPool, getApiLimiterStats } from '../utils/concurrency.js';
+import { startLeaseHeartbeat, runLeasedJob, createLeaseLostError } from '../utils/lease.js';
+import { classifyImportError, getRetryDecision } from '../utils/errors.js';
 
 // Configuration
 const POLL_INTERVAL_MS = parseInt(process.env.POLL_INTERVAL_MS) || 30000; // 30 seconds
 const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS) || 1;
+const JOB_TIMEOUT_MS = parseInt(process.env.JOB_TIMEOUT_MS) || 30 * 60 * 1000; // 30 minutes
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 60000; // 1 minute
+const JOB_LEASE_SECONDS = parseInt(process.env.JOB_LEASE_SECONDS) || 300; // 5 minutes
+const HEARTBEAT_INTERVAL_MS = Math.max(1000, Math.floor(JOB_LEASE_SECONDS * 1000 / 3));
+const MAX_LEASE_RECLAIMS = parseInt(process.env.MAX_LEASE_RECLAIMS) || 3;
+// Events processing without lease (claimed by the fallback) are reclaimed once their job must have timed out
+const STALE_PROCESSING_SECONDS = Math.ceil(JOB_TIMEOUT_MS / 1000) + JOB_LEASE_SECONDS;
+const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
 const DRY_RUN = process.env.DRY_RUN === 'true';
 
 // Environment validation
@@ -36,8 +60,7 @@ const requiredEnvVars = [
     'SUPABASE_SERVICE_ROLE_KEY',
     'LONG_LIVED_TOKEN',
     'SOUND_CLOUD_CLIENT_ID',
-    'SOUND_CLOUD_CLIENT_SECRET',
-    'OPENAI_API_KEY'
+    'SOUND_CLOUD_CLIENT_SECRET'
 ];
 
 for (const envVar of requiredEnvVars) {
@@ -53,12 +76,28 @@ const supabase = createClient(
     process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
+// Initialize OpenAI client (optional, the lineup provider falls back to rule-based parsing without it)
+const openai = process.env.OPENAI_API_KEY ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY }) : null;
+
 // Global state
-let processingCount = 0;
 let totalProcessed = 0;
 let totalSuccess = 0;
 let totalFailed = 0;
-let serverRunning = true;
+let claimFallbackLogged = false;
+let checkpointFallbackLogged = false;
+let failFallbackLogged = false;
+
+// Worker pool: claims as many events as there are free workers and tracks the running jobs
+const workerPool = createWorkerPool({
+    size: MAX_CONCURRENT_JOBS,
+    claimJobs: claimEventsForProcessing,
+    runJob: processEventAsync,
+    pollIntervalMs: POLL_INTERVAL_MS,
+    log: (message) => {
+        console.log(message);
+        logMessage(message);
+    }
+});
 
 /**
  * Main processing loop
@@ -68,33 +107,41 @@ async function mainLoop() {
     console.log(`📊 Configuration:`);
     console.log(`   - Poll interval: ${POLL_INTERVAL_MS}ms`);
     console.log(`   - Max concurrent jobs: ${MAX_CONCURRENT_JOBS}`);
+    console.log(`   - Job timeout: ${Math.round(JOB_TIMEOUT_MS / 1000)}s`);
+    console.log(`   - Worker ID: ${WORKER_ID} (lease ${JOB_LEASE_SECONDS}s, heartbeat every ${Math.round(HEARTBEAT_INTERVAL_MS / 1000)}s, max ${MAX_LEASE_RECLAIMS} reclaims)`);
     console.log(`   - Dry run mode: ${DRY_RUN ? 'ON' : 'OFF'}`);
 
     logMessage('Facebook Events Import Server started');
 
-    // Main processing loop
-    while (serverRunning) {
-        try {
-            if (processingCount < MAX_CONCURRENT_JOBS) {
-                const nextEvent = await getNextEventForProcessing();
-
-                if (nextEvent) {
-                    // Process event asynchronously
-                    processEventAsync(nextEvent);
-                } else {
-                    // No events to process, wait before checking again
-                    await delay(POLL_INTERVAL_MS);
-                }
-            } else {
-                // Wait if at max concurrent jobs
-                await delay(1000);
-            }
-        } catch (error) {
-            console.error(`❌ Error in main loop: ${error.message}`);
-            logMessage(`Main loop error: ${error.message}`);
-            await delay(5000); // Wait before retrying
-        }
+    // Runs until the pool is stopped by the shutdown handler
+    await workerPool.start();
+}
+
+/**
+ * Leases up to `count` pending events, or events whose lease expired, to this worker
+ * (claim_events_for_processing, see supabase/migrations/20261019_event_import_leases.sql).
+ * Events reclaimed more than MAX_LEASE_RECLAIMS times are dead-lettered by the claim instead.
+ * Falls back to one event per call, without lease, while the migration is not applied.
+ * @param {number} count - Free workers
+ * @returns {Promise<Array<object>>} Claimed events, already marked as processing
+ */
+async function claimEventsForProcessing(count) {
+    const { data, error } = await supabase.rpc('claim_events_for_processing', {
+        batch_size: count,
+        worker_id: WORKER_ID,
+        lease_seconds: JOB_LEASE_SECONDS,
+        max_lease_reclaims: MAX_LEASE_RECLAIMS,
+        stale_seconds: STALE_PROCESSING_SECONDS
+    });
+    if (!error) return data || [];
+    if (error.code !== 'PGRST202') throw error; // PGRST202: function not found
+
+    if (!claimFallbackLogged) {
+        console.warn('⚠️ claim_events_for_processing with leases is missing, claiming one event at a time (apply the migrations)');
+        claimFallbackLogged = true;
     }
+    const nextEvent = await getNextEventForProcessing();
+    return nextEvent ? [nextEvent] : [];
 }
 
 /**
@@ -122,8 +169,12 @@ async function getNextEventForProcessing() {
  * Processes an event asynchronously
  */
 async function processEventAsync(event) {
-    processingCount++;
     const startTime = Date.now();
+    const heartbeat = startLeaseHeartbeat(supabase, event, {
+        workerId: WORKER_ID,
+        leaseSeconds: JOB_LEASE_SECONDS,
+        intervalMs: HEARTBEAT_INTERVAL_MS
+    });
 
     console.log(`\n🔄 Processing event ${event.id}: ${event.facebook_url}`);
     logMessage(`Starting processing of event ${event.id}: ${event.facebook_url}`);
@@ -139,11 +190,23 @@ async function processEventAsync(event) {
         // Add processing log
         await addProcessingLog(event.id, 'info', 'Started processing', {
             retry_count: event.retry_count,
-            detected_as_festival: event.detected_as_festival
+            detected_as_festival: event.detected_as_festival,
+            worker_id: WORKER_ID,
+            lease_reclaims: event.lease_reclaims || 0,
+            checkpointed_steps: Object.keys(event.checkpoints || {})
         });
+        if (event.lease_reclaims > 0) {
+            console.log(`♻️ Event ${event.id} reclaimed after an expired lease (${event.lease_reclaims} time(s))`);
+        }
 
-        // Process the event
-        const result = await processEvent(event);
+        // Process the event. After a timeout or a lost lease the import is aborted before its next step;
+        // the pool slot and the lease are kept until it has stopped, so a retry never runs next to it.
+        const result = await runLeasedJob(signal => processEvent(event, signal), {
+            lost: heartbeat.lost,
+            timeoutMs: JOB_TIMEOUT_MS,
+            label: `Event ${event.id} import`,
+            onAbort: error => console.warn(`⏹️ Aborting the import of event ${event.id} (${error.message}), waiting for its current step to end...`)
+        });
 
         // Calculate processing time
         const processingTimeSeconds = Math.floor((Date.now() - startTime) / 1000);
@@ -162,7 +225,8 @@ async function processEventAsync(event) {
             event_id: result.eventId,
             artists_count: result.artistsCount,
             processing_time_seconds: processingTimeSeconds,
-            import_strategy: result.strategy
+            import_strategy: result.strategy,
+            restored_steps: result.restoredSteps || []
         });
 
         totalProcessed++;
@@ -176,28 +240,42 @@ async function processEventAsync(event) {
     } catch (error) {
         const processingTimeSeconds = Math.floor((Date.now() - startTime) / 1000);
 
+        // Another worker owns the event now: leave its status alone
+        if (error.code === 'LEASE_LOST') {
+            console.warn(`⚠️ ${error.message}, result discarded`);
+            logMessage(`Event ${event.id}: ${error.message}`);
+            return;
+        }
+
         console.error(`❌ Error processing event ${event.id}: ${error.message}`);
 
-        // Mark as failed
-        const { error: failError } = await supabase.rpc('mark_event_failed', {
-            event_id: event.id,
-            error_message: error.message,
-            error_details_json: {
-                error_type: error.constructor.name,
-                stack: error.stack,
-                processing_time_seconds: processingTimeSeconds,
-                retry_count: event.retry_count + 1
-            }
+        // Classify the error: its class decides between a retry after a backoff and the dead letter
+        const { errorClass, reason } = classifyImportError(error);
+        const retryCount = (event.retry_count || 0) + 1;
+        const decision = getRetryDecision(errorClass, retryCount, event.max_retries ?? null);
+
+        await markEventFailed(event, error, decision, {
+            error_type: error.code === 'JOB_TIMEOUT' ? 'JobTimeout' : error.constructor.name,
+            error_class: errorClass,
+            error_reason: reason,
+            dead_letter: decision.deadLetter,
+            retry_delay_seconds: decision.delaySeconds,
+            stack: error.stack,
+            processing_time_seconds: processingTimeSeconds,
+            retry_count: retryCount
         });
 
-        if (failError) {
-            console.error(`❌ Error marking event as failed: ${failError.message}`);
-        }
-
         await addProcessingLog(event.id, 'error', 'Processing failed', {
             error: error.message,
-            processing_time_seconds: processingTimeSeconds
+            error_class: errorClass,
+            processing_time_seconds: processingTimeSeconds,
+            ...(decision.deadLetter
+                ? { dead_letter: true }
+                : { retry_in_seconds: decision.delaySeconds, retry: `${retryCount}/${decision.maxRetries}` })
         });
+        console.log(decision.deadLetter
+            ? `🪦 Event ${event.id} dead-lettered (${errorClass} error)`
+            : `🔁 Event ${event.id} will be retried in ${decision.delaySeconds}s (${errorClass} error, attempt ${retryCount}/${decision.maxRetries})`);
 
         totalFailed++;
 
@@ -205,31 +283,110 @@ async function processEventAsync(event) {
 
         logMessage(`Event ${event.id} failed: ${error.message}`);
     } finally {
-        processingCount--;
+        heartbeat.stop();
     }
 }
 
 /**
- * Processes a single event (similar to import_event.js logic)
+ * Processes a single event with the shared import pipeline (same code path as import_event.js)
+ * @param {object} event - Claimed event
+ * @param {AbortSignal|null} signal - Stops the import between steps
  */
-async function processEvent(event) {
+async function processEvent(event, signal = null) {
     const { facebook_url, detected_as_festival, festival_name, clashfinder_id } = event;
 
-    // Import the main processing logic from import_event.js
-    // For now, we'll use dynamic import to reuse the logic
-    const { processEventImport } = await import('../import_event_core.js');
+    const { processEventImport } = await import('../scripts/import_event_core.js');
 
     const result = await processEventImport({
         eventUrl: facebook_url,
         detectedAsFestival: detected_as_festival,
         festivalName: festival_name,
         clashfinderId: clashfinder_id,
-        dryRun: DRY_RUN
+        dryRun: DRY_RUN,
+        supabase,
+        openai,
+        checkpoints: event.checkpoints || null,
+        onCheckpoint: (step, output, laterSteps) => saveImportCheckpoint(event, step, output, laterSteps),
+        signal
     });
 
     return result;
 }
 
+/**
+ * Saves the output of a completed import step on the event (save_import_checkpoint, see
+ * supabase/migrations/20261019_event_import_checkpoints.sql). Events run without checkpoints while
+ * the migration is not applied; other save errors are logged, a retry then redoes the step.
+ * @param {object} event - Claimed event
+ * @param {string} step - Completed step (see IMPORT_STEPS)
+ * @param {object} output - Output of the step
+ * @param {string[]} laterSteps - Steps whose checkpoints are now outdated
+ */
+async function saveImportCheckpoint(event, step, output, laterSteps) {
+    const { data: saved, error } = await supabase.rpc('save_import_checkpoint', {
+        event_id: event.id,
+        step,
+        output,
+        later_steps: laterSteps,
+        worker_id: event.locked_by ? WORKER_ID : null
+    });
+    if (error) {
+        if (error.code === 'PGRST202') { // PGRST202: function not found
+            if (!checkpointFallbackLogged) {
+                console.warn('⚠️ save_import_checkpoint is missing, importing without checkpoints (apply the migrations)');
+                checkpointFallbackLogged = true;
+            }
+            return;
+        }
+        console.error(`⚠️ Checkpoint of step "${step}" not saved for event ${event.id}: ${error.message}`);
+        return;
+    }
+    // Another worker reclaimed the event: stop here rather than race it
+    if (saved === false) throw createLeaseLostError(event.id);
+    await addProcessingLog(event.id, 'debug', `Step ${step} completed`);
+}
+
+/**
+ * Records a failed attempt (fail_event_import, see supabase/migrations/20261019_event_import_retry_policy.sql):
+ * the event is requeued after the backoff of its error class, or dead-lettered as failed.
+ * Falls back to mark_event_failed while the migration is not applied.
+ * @param {object} event - Claimed event
+ * @param {Error} error
+ * @param {{deadLetter: boolean, delaySeconds: number|null}} decision - See getRetryDecision
+ * @param {object} details - Stored in error_details
+ */
+async function markEventFailed(event, error, decision, details) {
+    const { data: recorded, error: failError } = await supabase.rpc('fail_event_import', {
+        event_id: event.id,
+        error_message: error.message,
+        error_details_json: details,
+        dead_letter: decision.deadLetter,
+        retry_delay_seconds: decision.delaySeconds,
+        worker_id: event.locked_by ? WORKER_ID : null
+    });
+    if (!failError) {
+        if (recorded === false) console.warn(`⚠️ Failure of event ${event.id} not recorded: lease lost to another worker`);
+        return;
+    }
+    if (failError.code !== 'PGRST202') { // PGRST202: function not found
+        console.error(`❌ Error marking event as failed: ${failError.message}`);
+        return;
+    }
+
+    if (!failFallbackLogged) {
+        console.warn('⚠️ fail_event_import is missing, failed events use the default retry policy (apply the migrations)');
+        failFallbackLogged = true;
+    }
+    const { error: markError } = await supabase.rpc('mark_event_failed', {
+        event_id: event.id,
+        error_message: error.message,
+        error_details_json: details
+    });
+    if (markError) {
+        console.error(`❌ Error marking event as failed: ${markError.message}`);
+    }
+}
+
 /**
  * Adds a processing log entry to an event
  */
@@ -247,26 +404,55 @@ async function addProcessingLog(eventId, level, message, details = null) {
 }
 
 /**
- * Graceful shutdown handler
+ * Puts events back in the queue (jobs still running at shutdown), so that the next server run picks them up
+ * @param {Array<object>} events
+ */
+async function releaseEvents(events) {
+    const ids = events.map(event => event.id);
+    const leased = events.some(event => event.locked_by);
+    let query = supabase
+        .from('facebook_events_imports')
+        .update(leased
+            ? { status: 'pending', processing_started_at: null, locked_by: null, lease_expires_at: null }
+            : { status: 'pending', processing_started_at: null })
+        .in('id', ids)
+        .eq('status', 'processing');
+    if (leased) {
+        query = query.eq('locked_by', WORKER_ID); // Never release an event another worker reclaimed
+    }
+    const { error } = await query;
+    if (error) {
+        console.error(`❌ Error releasing events ${ids.join(', ')}: ${error.message}`);
+        return;
+    }
+    for (const id of ids) {
+        await addProcessingLog(id, 'warn', 'Released to the queue on server shutdown');
+    }
+}
+
+/**
+ * Graceful shutdown handler: stops claiming, drains the running jobs, releases the ones still running
  */
 function setupGracefulShutdown() {
+    let shuttingDown = false;
     const shutdown = async (signal) => {
+        if (shuttingDown) return;
+        shuttingDown = true;
         console.log(`\n🛑 Received ${signal}. Shutting down gracefully...`);
         logMessage(`Received ${signal}. Shutting down gracefully...`);
 
-        serverRunning = false; // Stop the main loop
+        workerPool.stop(); // No new claims
 
-        // Wait for current processing to complete
-        let waitTime = 0;
-        while (processingCount > 0 && waitTime < 30000) { // Max 30 seconds wait
-            console.log(`⏳ Waiting for ${processingCount} jobs to complete...`);
-            await delay(1000);
-            waitTime += 1000;
+        const running = workerPool.inFlight.length;
+        if (running > 0) {
+            console.log(`⏳ Waiting for ${running} job(s) to complete (max ${Math.round(SHUTDOWN_TIMEOUT_MS / 1000)}s)...`);
         }
+        const remaining = await workerPool.drain(SHUTDOWN_TIMEOUT_MS);
 
-        if (processingCount > 0) {
-            console.log(`⚠️ Force shutdown - ${processingCount} jobs still running`);
-            logMessage(`Force shutdown - ${processingCount} jobs still running`);
+        if (remaining.length > 0) {
+            console.log(`⚠️ Force shutdown - ${remaining.length} job(s) still running, released to the queue`);
+            logMessage(`Force shutdown - releasing events ${remaining.map(event => event.id).join(', ')}`);
+            await releaseEvents(remaining);
         }
 
         console.log(`📊 Final stats: ${totalSuccess}/${totalProcessed} successful`);
@@ -289,8 +475,15 @@ function setupHealthCheck() {
             if (req.url === '/health') {
                 res.writeHead(200, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({
-                    status: 'healthy',
-                    processing_count: processingCount,
+                    status: workerPool.running ? 'healthy' : 'stopping',
+                    worker_id: WORKER_ID,
+                    processing_count: workerPool.inFlight.length,
+                    max_concurrent_jobs: workerPool.size,
+                    in_flight: workerPool.inFlight.map(job => ({
+                        id: job.id,
+                        running_seconds: Math.floor((Date.now() - job.startedAt) / 1000)
+                    })),
+                    api_budgets: getApiLimiterStats(),
                     total_processed: totalProcessed,
                     success_rate: totalProcessed > 0 ? ((totalSuccess / totalProcessed) * 100).toFixed(1) : 0,
                     uptime: process.uptime()
@@ -0,0 +1,65 @@
+// sources/canonical.js
+// Canonical event shape shared by every event-source adapter
+
+/**
+ * @typedef {Object} CanonicalEvent
+ * The shape follows the facebook-event-scraper output so that venue, promoter,
+ * artist and genre processing run unchanged whatever the source platform.
+ * @property {string} source - Adapter name ('facebook', 'resident_advisor', 'dice', 'shotgun', 'eventbrite')
+ * @property {string|null} id - Event ID on the source platform
+ * @property {string} url - Canonical event URL on the source platform
+ * @property {string|null} name - Event title
+ * @property {string|null} description - Event description (plain text)
+ * @property {number|null} startTimestamp - Start time (Unix seconds)
+ * @property {number|null} endTimestamp - End time (Unix seconds)
+ * @property {Array<{label: string}>} categories - Event categories
+ * @property {string|null} ticketUrl - Ticketing URL
+ * @property {{imageUri: string}|null} photo - Cover image
+ * @property {Array<{id: string|null, name: string, url: string|null, photo: object|null}>} hosts - Organizers
+ * @property {Object|null} location - { id, name, address, city: { name }, countryCode, coordinates: { latitude, longitude } }
+ * @property {string[]} lineup - Artist names published by the platform (empty when unknown)
+ */
+
+/**
+ * Builds a canonical event, filling missing fields with their empty value.
+ * @param {Partial<CanonicalEvent>} fields
+ * @returns {CanonicalEvent}
+ */
+export function createCanonicalEvent(fields) {
+    return {
+        source: fields.source,
+        id: fields.id != null ? String(fields.id) : null,
+        url: fields.url || null,
+        name: fields.name ? fields.name.trim() : null,
+        description: fields.description || null,
+        startTimestamp: fields.startTimestamp ?? null,
+        endTimestamp: fields.endTimestamp ?? null,
+        categories: fields.categories || [],
+        ticketUrl: fields.ticketUrl || null,
+        photo: fields.photo?.imageUri ? { imageUri: fields.photo.imageUri } : null,
+        hosts: fields.hosts || [],
+        location: fields.location || null,
+        lineup: fields.lineup || []
+    };
+}
+
+/**
+ * Strips HTML tags and entities from a description.
+ * @param {string|null} html
+ * @returns {string|null}
+ */
+export function htmlToText(html) {
+    if (!html) return null;
+    return html
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/p>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&amp;/g, '&')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
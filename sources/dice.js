@@ -0,0 +1,12 @@
+// sources/dice.js
+// DICE (dice.fm) event-source adapter
+
+import { createJsonLdAdapter } from './json-ld.js';
+import { fetchPage } from './http.js';
+
+export default createJsonLdAdapter({
+    name: 'dice',
+    urlPattern: /^https?:\/\/(www\.)?dice\.fm\/event\//i,
+    idPattern: /\/event\/([a-z0-9]+)-/i,
+    fetchPage
+});
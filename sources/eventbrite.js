@@ -0,0 +1,12 @@
+// sources/eventbrite.js
+// Eventbrite event-source adapter
+
+import { createJsonLdAdapter } from './json-ld.js';
+import { fetchPage } from './http.js';
+
+export default createJsonLdAdapter({
+    name: 'eventbrite',
+    urlPattern: /^https?:\/\/(www\.)?eventbrite\.[a-z.]+\/e\//i,
+    idPattern: /\/e\/[^?#]*?-?(\d{6,})(?:[/?#]|$)/i,
+    fetchPage
+});
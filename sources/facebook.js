@@ -0,0 +1,30 @@
+// sources/facebook.js
+// Facebook event-source adapter (facebook-event-scraper)
+
+import { scrapeFbEvent } from 'facebook-event-scraper';
+import { createCanonicalEvent } from './canonical.js';
+
+/**
+ * Normalizes a facebook-event-scraper payload. The canonical shape mirrors it,
+ * so host, location and photo objects are kept as-is.
+ * @param {object} raw - scrapeFbEvent output
+ * @param {string} url - Requested event URL
+ * @returns {import('./canonical.js').CanonicalEvent}
+ */
+function normalize(raw, url) {
+    return createCanonicalEvent({
+        ...raw,
+        source: 'facebook',
+        url: raw.url || url,
+        lineup: []
+    });
+}
+
+export default {
+    name: 'facebook',
+    metadataKey: 'facebook_url',
+    matches: (url) => /^https?:\/\/([a-z0-9-]+\.)?(facebook\.com|fb\.me)\//i.test(url),
+    extractId: (url) => url.match(/\/events\/(\d+)/)?.[1] || null,
+    fetchPayload: (url) => scrapeFbEvent(url),
+    normalize
+};
@@ -0,0 +1,29 @@
+// sources/http.js
+// HTTP helper used by event-source adapters to download event pages
+
+import fetch from 'node-fetch';
+import { withApiRetry } from '../utils/retry.js';
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; SwayEventImporter/1.0)';
+
+/**
+ * Downloads an event page as text, with retry on network errors, 429 and 5xx.
+ * @param {string} url - Page URL
+ * @returns {Promise<string>} Page body
+ */
+export async function fetchPage(url) {
+    const response = await withApiRetry(async () => {
+        return await fetch(url, {
+            headers: {
+                'User-Agent': USER_AGENT,
+                'Accept': 'text/html,application/xhtml+xml,application/json'
+            }
+        });
+    });
+    if (!response.ok) {
+        const error = new Error(`Failed to fetch ${url}: HTTP ${response.status}`);
+        error.status = response.status; // Used to classify the failure (utils/errors.js)
+        throw error;
+    }
+    return await response.text();
+}
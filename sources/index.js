@@ -0,0 +1,92 @@
+// sources/index.js
+// Event-source adapter registry: picks the adapter matching a URL and returns a canonical event
+//
+// Every adapter exposes:
+//   name           - Source name stored in events metadata ('facebook', 'dice', ...)
+//   metadataKey    - Events metadata key holding the source URL (used for deduplication)
+//   matches(url)   - Whether the adapter handles this URL
+//   extractId(url) - Event ID on the platform, or null
+//   fetchPayload(url)       - Downloads the raw payload (HTML, JSON or scraper output)
+//   normalize(payload, url) - Pure mapping to a CanonicalEvent (testable from saved fixtures)
+
+import facebookAdapter from './facebook.js';
+import residentAdvisorAdapter from './resident-advisor.js';
+import diceAdapter from './dice.js';
+import shotgunAdapter from './shotgun.js';
+import eventbriteAdapter from './eventbrite.js';
+import { createImportError, tagEventSourceError } from '../utils/errors.js';
+
+const adapters = [
+    facebookAdapter,
+    residentAdvisorAdapter,
+    diceAdapter,
+    shotgunAdapter,
+    eventbriteAdapter
+];
+
+/**
+ * Returns the adapter handling an event URL.
+ * @param {string} url - Event URL
+ * @returns {object|null} Adapter or null if the platform is not supported
+ */
+export function getSourceAdapter(url) {
+    if (!url) return null;
+    return adapters.find(adapter => adapter.matches(url)) || null;
+}
+
+/**
+ * Returns an adapter by its name.
+ * @param {string} name - Adapter name
+ * @returns {object|null}
+ */
+export function getSourceAdapterByName(name) {
+    return adapters.find(adapter => adapter.name === name) || null;
+}
+
+/**
+ * Normalizes an already downloaded payload (e.g. a saved HTML/JSON fixture).
+ * @param {string} sourceName - Adapter name
+ * @param {string|object} payload - Raw payload
+ * @param {string} url - Event URL the payload was downloaded from
+ * @returns {import('./canonical.js').CanonicalEvent}
+ */
+export function normalizeEventPayload(sourceName, payload, url) {
+    const adapter = getSourceAdapterByName(sourceName);
+    if (!adapter) throw createImportError(`Unknown event source: ${sourceName}`, 'permanent', 'unknown_source');
+    return adapter.normalize(payload, url);
+}
+
+/**
+ * Downloads an event from any supported platform and returns it as a canonical event.
+ * @param {string} url - Event URL
+ * @returns {Promise<import('./canonical.js').CanonicalEvent>}
+ */
+export async function scrapeEvent(url) {
+    const adapter = getSourceAdapter(url);
+    if (!adapter) {
+        throw createImportError(`Unsupported event source URL: ${url}`, 'permanent', 'unsupported_url');
+    }
+    try {
+        const payload = await adapter.fetchPayload(url);
+        return adapter.normalize(payload, url);
+    } catch (error) {
+        // Only here can a 404 or an unavailable page mean the event is gone
+        throw tagEventSourceError(error);
+    }
+}
+
+/**
+ * Lists the names of the supported sources.
+ * @returns {string[]}
+ */
+export function listSources() {
+    return adapters.map(adapter => adapter.name);
+}
+
+export default {
+    getSourceAdapter,
+    getSourceAdapterByName,
+    normalizeEventPayload,
+    scrapeEvent,
+    listSources
+};
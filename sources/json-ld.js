@@ -0,0 +1,210 @@
+// sources/json-ld.js
+// Helpers to read schema.org Event data (JSON-LD) embedded in ticketing platform pages
+
+import { toCountryCode } from '../utils/timezone.js';
+import { createCanonicalEvent, htmlToText } from './canonical.js';
+
+const EVENT_TYPES = ['Event', 'MusicEvent', 'Festival', 'DanceEvent', 'SocialEvent'];
+
+/**
+ * Extracts every JSON-LD block from an HTML page.
+ * Malformed blocks are skipped.
+ * @param {string} html - Raw HTML
+ * @returns {Array<object>} Parsed JSON-LD nodes (graphs are flattened)
+ */
+export function extractJsonLdBlocks(html) {
+    if (!html) return [];
+    const nodes = [];
+    const scriptRegex = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+    let match;
+    while ((match = scriptRegex.exec(html)) !== null) {
+        try {
+            const parsed = JSON.parse(match[1].trim());
+            const items = Array.isArray(parsed) ? parsed : [parsed];
+            for (const item of items) {
+                if (item && Array.isArray(item['@graph'])) {
+                    nodes.push(...item['@graph']);
+                } else if (item) {
+                    nodes.push(item);
+                }
+            }
+        } catch {
+            // Ignore invalid JSON-LD blocks
+        }
+    }
+    return nodes;
+}
+
+/**
+ * Finds the first schema.org Event node in an HTML page.
+ * @param {string} html - Raw HTML
+ * @returns {object|null} Event node or null if none is found
+ */
+export function findJsonLdEvent(html) {
+    const nodes = extractJsonLdBlocks(html);
+    return nodes.find(node => {
+        const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+        return types.some(t => EVENT_TYPES.includes(t));
+    }) || null;
+}
+
+/**
+ * Converts an ISO date string to a Unix timestamp in seconds.
+ * @param {string|null} value - ISO 8601 date
+ * @returns {number|null}
+ */
+export function isoToTimestamp(value) {
+    if (!value) return null;
+    const ms = Date.parse(value);
+    return isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+/**
+ * Returns the first image URL of a schema.org image property.
+ * @param {string|object|Array|null} image
+ * @returns {string|null}
+ */
+export function firstImageUrl(image) {
+    if (!image) return null;
+    if (Array.isArray(image)) return firstImageUrl(image[0]);
+    if (typeof image === 'string') return image;
+    return image.url || image.contentUrl || null;
+}
+
+/**
+ * Maps a schema.org Place to the canonical location object.
+ * @param {object|Array|null} place - schema.org location
+ * @returns {object|null}
+ */
+export function placeToLocation(place) {
+    const node = Array.isArray(place) ? place[0] : place;
+    if (!node || typeof node !== 'object') return null;
+
+    const address = node.address;
+    let streetAddress = null;
+    let cityName = null;
+    let countryCode = null;
+    if (typeof address === 'string') {
+        streetAddress = address;
+    } else if (address && typeof address === 'object') {
+        streetAddress = [
+            address.streetAddress,
+            address.postalCode,
+            address.addressLocality
+        ].filter(Boolean).join(', ') || null;
+        cityName = address.addressLocality || null;
+        // addressCountry is a code, a name or a schema.org Country ({ name })
+        const country = address.addressCountry;
+        countryCode = toCountryCode(country && typeof country === 'object' ? (country.name || country['@id']) : country);
+    }
+
+    const latitude = node.geo?.latitude != null ? Number(node.geo.latitude) : null;
+    const longitude = node.geo?.longitude != null ? Number(node.geo.longitude) : null;
+
+    return {
+        id: null,
+        name: node.name || null,
+        address: streetAddress,
+        city: cityName ? { name: cityName } : null,
+        countryCode,
+        coordinates: (latitude != null && longitude != null && !isNaN(latitude) && !isNaN(longitude))
+            ? { latitude, longitude }
+            : null
+    };
+}
+
+/**
+ * Maps schema.org organizers to canonical hosts.
+ * @param {object|Array|null} organizer
+ * @returns {Array<{id: string|null, name: string, url: string|null, photo: object|null}>}
+ */
+export function organizersToHosts(organizer) {
+    if (!organizer) return [];
+    const list = Array.isArray(organizer) ? organizer : [organizer];
+    return list
+        .filter(o => o && o.name)
+        .map(o => ({
+            id: null,
+            name: o.name.trim(),
+            url: o.url || null,
+            photo: o.image ? { imageUri: firstImageUrl(o.image) } : null
+        }));
+}
+
+/**
+ * Maps schema.org performers to a list of artist names.
+ * @param {object|Array|null} performer
+ * @returns {string[]}
+ */
+export function performersToLineup(performer) {
+    if (!performer) return [];
+    const list = Array.isArray(performer) ? performer : [performer];
+    return list
+        .map(p => (typeof p === 'string' ? p : p?.name))
+        .filter(Boolean)
+        .map(name => name.trim());
+}
+
+/**
+ * Returns the ticket URL from schema.org offers.
+ * @param {object|Array|null} offers
+ * @returns {string|null}
+ */
+export function offersToTicketUrl(offers) {
+    if (!offers) return null;
+    const list = Array.isArray(offers) ? offers : [offers];
+    return list.find(o => o && o.url)?.url || null;
+}
+
+/**
+ * Maps a schema.org Event node to a canonical event.
+ * @param {object} eventNode - schema.org Event
+ * @param {Object} params
+ * @param {string} params.source - Adapter name
+ * @param {string|null} params.id - Event ID on the source platform
+ * @param {string} params.url - Event URL
+ * @returns {import('./canonical.js').CanonicalEvent}
+ */
+export function jsonLdEventToCanonical(eventNode, { source, id, url }) {
+    return createCanonicalEvent({
+        source,
+        id,
+        url: eventNode.url || url,
+        name: eventNode.name,
+        description: htmlToText(eventNode.description),
+        startTimestamp: isoToTimestamp(eventNode.startDate),
+        endTimestamp: isoToTimestamp(eventNode.endDate),
+        ticketUrl: offersToTicketUrl(eventNode.offers) || url,
+        photo: { imageUri: firstImageUrl(eventNode.image) },
+        hosts: organizersToHosts(eventNode.organizer),
+        location: placeToLocation(eventNode.location),
+        lineup: performersToLineup(eventNode.performer)
+    });
+}
+
+/**
+ * Creates an adapter for platforms that publish their events as schema.org JSON-LD.
+ * @param {Object} params
+ * @param {string} params.name - Adapter name stored in events metadata
+ * @param {RegExp} params.urlPattern - Matches event URLs of the platform
+ * @param {RegExp} params.idPattern - First capture group is the platform event ID
+ * @param {Function} params.fetchPage - Downloads the event page
+ * @returns {object} Event-source adapter
+ */
+export function createJsonLdAdapter({ name, urlPattern, idPattern, fetchPage }) {
+    const extractId = (url) => url.match(idPattern)?.[1] || null;
+    return {
+        name,
+        metadataKey: `${name}_url`,
+        matches: (url) => urlPattern.test(url),
+        extractId,
+        fetchPayload: (url) => fetchPage(url),
+        normalize(html, url) {
+            const eventNode = findJsonLdEvent(html);
+            if (!eventNode) {
+                throw new Error(`No schema.org Event found on ${name} page: ${url}`);
+            }
+            return jsonLdEventToCanonical(eventNode, { source: name, id: extractId(url), url });
+        }
+    };
+}
@@ -0,0 +1,12 @@
+// sources/resident-advisor.js
+// Resident Advisor (ra.co) event-source adapter
+
+import { createJsonLdAdapter } from './json-ld.js';
+import { fetchPage } from './http.js';
+
+export default createJsonLdAdapter({
+    name: 'resident_advisor',
+    urlPattern: /^https?:\/\/(www\.)?(ra\.co|residentadvisor\.net)\/events\/\d+/i,
+    idPattern: /\/events\/(\d+)/,
+    fetchPage
+});
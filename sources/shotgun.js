@@ -0,0 +1,12 @@
+// sources/shotgun.js
+// Shotgun (shotgun.live) event-source adapter
+
+import { createJsonLdAdapter } from './json-ld.js';
+import { fetchPage } from './http.js';
+
+export default createJsonLdAdapter({
+    name: 'shotgun',
+    urlPattern: /^https?:\/\/(www\.)?shotgun\.live\/([a-z]{2}\/)?(events|festivals)\//i,
+    idPattern: /\/(?:events|festivals)\/([^/?#]+)/i,
+    fetchPage
+});
@@ -12,68 +12,31 @@ import { downloadAndUploadEntityImage } from '../utils/r2.ts';
 import { searchArtist, extractArtistInfo, insertOrUpdateArtist } from './artist.ts';
 import { updateEventMetadata, linkArtistsToEvent } from './event.ts';
 import genreModel from './genre.ts';
+import { DEFAULT_TIMEZONE } from '../utils/constants.ts';
+import { DateTime } from 'luxon';
 
 type Timetable = EventArtist;
 
-// ─── SimpleDateTime (timezone-aware via offset table) ───────────────────────
-
 /**
- * Minimal Luxon-like DateTime wrapper using native Date.
- * Applies a fixed UTC offset per well-known timezone so that
- * day-boundary detection (gap > 4 h) stays correct.
+ * Reads a timetable time in the venue timezone. Times without offset ("2025-07-18T22:00",
+ * Clashfinder) are wall-clock times of the venue; DST is applied by luxon.
+ * @param dateStr - ISO date-time, with or without offset
+ * @param timezone - IANA timezone of the venue
  */
-class SimpleDateTime {
-  private date: Date;
-
-  /** Known UTC offsets (standard / summer – we pick summer for festival season) */
-  private static OFFSETS: Record<string, number> = {
-    'Europe/Brussels': 2,
-    'Europe/Paris': 2,
-    'Europe/Berlin': 2,
-    'Europe/Amsterdam': 2,
-    'Europe/London': 1,
-    'UTC': 0,
-  };
-
-  constructor(dateStr: string, timezone = 'Europe/Brussels') {
-    // If the string already contains a TZ offset (±HH:MM or Z), parse as-is
-    if (/[Z+-]\d{2}:\d{2}$/.test(dateStr) || dateStr.endsWith('Z')) {
-      this.date = new Date(dateStr);
-    } else {
-      // Treat as local time in the given timezone → apply known offset
-      const offsetHours = SimpleDateTime.OFFSETS[timezone] ?? 2;
-      const sign = offsetHours >= 0 ? '+' : '-';
-      const abs = Math.abs(offsetHours).toString().padStart(2, '0');
-      this.date = new Date(`${dateStr}${sign}${abs}:00`);
-    }
-  }
-
-  static fromISO(dateStr: string, options?: { zone?: string }): SimpleDateTime {
-    return new SimpleDateTime(dateStr, options?.zone);
-  }
-
-  toUTC() {
-    return {
-      toISO: (options?: { suppressSeconds?: boolean; suppressMilliseconds?: boolean }) => {
-        let iso = this.date.toISOString();
-        if (options?.suppressSeconds || options?.suppressMilliseconds) {
-          iso = iso.split('.')[0] + 'Z';
-        }
-        return iso;
-      }
-    };
-  }
-
-  diff(other: SimpleDateTime, _unit: 'hours') {
-    const diffMs = this.date.getTime() - other.date.getTime();
-    return { hours: diffMs / (1000 * 60 * 60) };
-  }
-
-  getTime() { return this.date.getTime(); }
+function parseInZone(dateStr: string, timezone: string): DateTime {
+  return DateTime.fromISO(dateStr.trim(), { zone: timezone });
+}
 
-  static compare(a: SimpleDateTime, b: SimpleDateTime): number {
-    return a.date.getTime() - b.date.getTime();
-  }
+/**
+ * Converts a timetable time to the UTC timestamp stored in event_artist
+ * @param dateStr - ISO date-time, with or without offset
+ * @param timezone - IANA timezone of the venue
+ * @returns UTC ISO timestamp, or null when empty or invalid
+ */
+export function toUtcTimestampInZone(dateStr: string | null | undefined, timezone: string): string | null {
+  if (!dateStr || !dateStr.trim()) return null;
+  const dt = parseInZone(dateStr, timezone);
+  return dt.isValid ? dt.toUTC().toISO({ suppressMilliseconds: true }) : null;
 }
 
 export interface PerformanceData {
@@ -134,12 +97,12 @@ export function groupPerformancesForB2B(jsonData: PerformanceData[]): Performanc
 /**
  * Extracts unique stages and festival days from performances
  * @param performances - Array of performance objects
- * @param timezone - Timezone for date calculations (default: 'Europe/Brussels')
+ * @param timezone - IANA timezone of the venue, for times without offset
  * @returns Object with stages and festival_days arrays
  */
 export function extractStagesAndDaysFromPerformances(
   performances: PerformanceData[],
-  timezone = 'Europe/Brussels'
+  timezone = DEFAULT_TIMEZONE
 ): { stages: StageInfo[]; festival_days: FestivalDay[] } {
   logger.debug(`Extracting stages and days from ${performances.length} performances`);
 
@@ -154,25 +117,22 @@ export function extractStagesAndDaysFromPerformances(
   const stages: StageInfo[] = Array.from(stagesSet).map(name => ({ name }));
   logger.info(`Found ${stages.length} unique stages: ${stages.map(s => s.name).join(', ')}`);
 
-  // Automatic detection of effective days with timezone management
-  function parseInZone(dateStr: string): SimpleDateTime {
-    return SimpleDateTime.fromISO(dateStr, { zone: timezone });
-  }
-  
+  // Automatic detection of effective days in the venue timezone
   const slots = performances
     .filter(p => p.time && p.end_time)
     .map(p => ({
-      start: parseInZone(p.time!),
-      end: parseInZone(p.end_time!),
+      start: parseInZone(p.time!, timezone),
+      end: parseInZone(p.end_time!, timezone),
       raw: p
     }))
-    .sort((a, b) => SimpleDateTime.compare(a.start, b.start));
+    .filter(slot => slot.start.isValid && slot.end.isValid)
+    .sort((a, b) => a.start.toMillis() - b.start.toMillis());
   
   const festival_days: FestivalDay[] = [];
   
   if (slots.length > 0) {
     let currentDay: typeof slots = [];
-    let lastEnd: SimpleDateTime | null = null;
+    let lastEnd: DateTime | null = null;
     let dayIdx = 1;
     const MAX_GAP_HOURS = 4;
     
@@ -185,8 +145,8 @@ export function extractStagesAndDaysFromPerformances(
           // End current day and start new one
           festival_days.push({
             name: `Day ${dayIdx}`,
-            start: currentDay[0].start.toUTC().toISO({ suppressSeconds: true, suppressMilliseconds: true }),
-            end: currentDay[currentDay.length - 1].end.toUTC().toISO({ suppressSeconds: true, suppressMilliseconds: true })
+            start: currentDay[0].start.toUTC().toISO({ suppressSeconds: true, suppressMilliseconds: true })!,
+            end: currentDay[currentDay.length - 1].end.toUTC().toISO({ suppressSeconds: true, suppressMilliseconds: true })!
           });
           dayIdx++;
           currentDay = [];
@@ -201,8 +161,8 @@ export function extractStagesAndDaysFromPerformances(
     if (currentDay.length > 0) {
       festival_days.push({
         name: `Day ${dayIdx}`,
-        start: currentDay[0].start.toUTC().toISO({ suppressSeconds: true, suppressMilliseconds: true }),
-        end: currentDay[currentDay.length - 1].end.toUTC().toISO({ suppressSeconds: true, suppressMilliseconds: true })
+        start: currentDay[0].start.toUTC().toISO({ suppressSeconds: true, suppressMilliseconds: true })!,
+        end: currentDay[currentDay.length - 1].end.toUTC().toISO({ suppressSeconds: true, suppressMilliseconds: true })!
       });
     }
   }
@@ -533,12 +493,13 @@ interface ClashfinderResult {
 /**
  * Searches Clashfinder for a festival and returns the timetable CSV.
  * Ported from get_data/get_clashfinder_timetable.js.
+ * `eventYear` (année de début de l'événement) choisit l'édition ; à score égal, l'édition la plus récente gagne.
  */
 export async function getClashfinderTimetable(
   searchText: string,
-  options: { minSimilarity?: number } = {}
+  options: { minSimilarity?: number; eventYear?: number | null } = {}
 ): Promise<ClashfinderResult> {
-  const { minSimilarity = 70 } = options;
+  const { minSimilarity = 70, eventYear = null } = options;
 
   const publicKey = await cfGeneratePublicKeyAsync();
 
@@ -564,27 +525,30 @@ export async function getClashfinderTimetable(
 
   // Extract year from search text
   const yearMatch = searchText.match(/\b(20\d{2})\b/);
-  const searchYear = yearMatch ? yearMatch[1] : null;
+  const searchYear = eventYear ? String(eventYear) : (yearMatch ? yearMatch[1] : null);
 
   // Search with the clean name
   const searchLower = searchText.toLowerCase();
   let best: ClashfinderFestival | null = null;
   let bestScore = -1;
+  let bestYear = 0;
 
   for (const fest of festivals) {
     const base = fest.desc || fest.name || fest.id;
     let score = cfStringSimilarity(searchText, base);
+    const festYear = base.match(/\b(20\d{2})\b/)?.[1];
 
     // Year validation
     if (searchYear) {
-      const festYear = base.match(/\b(20\d{2})\b/)?.[1];
       if (festYear && festYear !== searchYear) continue;
       if (festYear === searchYear) score += 10;
     }
 
-    if (score >= minSimilarity && score > bestScore) {
+    const year = festYear ? parseInt(festYear) : 0;
+    if (score >= minSimilarity && (score > bestScore || (score === bestScore && year > bestYear))) {
       best = fest;
       bestScore = score;
+      bestYear = year;
     }
   }
 
@@ -744,12 +708,15 @@ export function convertClashfinderCSV(csvData: string): PerformanceData[] {
  * 4. For each performance group: search SoundCloud, insert/update artist, link to event
  * 5. Process genres for newly created artists
  * 6. Auto-detect event end time
+ *
+ * Times without offset (Clashfinder) are read in the venue timezone and stored in UTC.
  */
 export async function processFestivalTimetable(
   eventId: number,
-  timetableData: PerformanceData[],
+  localTimetableData: PerformanceData[],
   clashfinderResult: ClashfinderResult | null,
-  dryRun = false
+  dryRun = false,
+  timezone = DEFAULT_TIMEZONE
 ): Promise<{
   processedCount: number;
   successCount: number;
@@ -760,16 +727,23 @@ export async function processFestivalTimetable(
   detectedEndTime: string | null;
 }> {
   if (dryRun) {
-    logger.info(`[DRY_RUN] Would process festival timetable with ${timetableData.length} performances`);
+    logger.info(`[DRY_RUN] Would process festival timetable with ${localTimetableData.length} performances (${timezone})`);
     return { processedCount: 0, successCount: 0, soundCloudFoundCount: 0, artistNameToId: {}, stages: [], festival_days: [], detectedEndTime: null };
   }
 
-  logger.info(`Processing festival timetable: ${timetableData.length} performances for event ${eventId}`);
-  const timezone = 'Europe/Brussels';
+  logger.info(`Processing festival timetable: ${localTimetableData.length} performances for event ${eventId} (${timezone})`);
 
   // 1. Stats + metadata
-  const stats = generateTimetableStatistics(timetableData);
-  const { stages, festival_days } = extractStagesAndDaysFromPerformances(timetableData, timezone);
+  const stats = generateTimetableStatistics(localTimetableData);
+  const { stages, festival_days } = extractStagesAndDaysFromPerformances(localTimetableData, timezone);
+
+  // Performance times in UTC, as stored in event_artist
+  const timetableData: PerformanceData[] = localTimetableData.map(p => ({
+    ...p,
+    time: toUtcTimestampInZone(p.time, timezone) || undefined,
+    end_time: toUtcTimestampInZone(p.end_time, timezone) || undefined
+  }));
+  const timeKey = (value: string | null | undefined) => value ? new Date(value).toISOString() : 'null';
   logTimetableStatistics(stats);
 
   // 2. Update event metadata
@@ -812,7 +786,7 @@ export async function processFestivalTimetable(
     for (const link of existingEventArtists) {
       const ids = Array.isArray(link.artist_id) ? link.artist_id : [link.artist_id];
       for (const aid of ids) {
-        existingPerfMap.add(`${aid}_${link.stage || 'null'}_${link.start_time || 'null'}_${link.end_time || 'null'}`);
+        existingPerfMap.add(`${aid}_${link.stage || 'null'}_${timeKey(link.start_time)}_${timeKey(link.end_time)}`);
       }
     }
   }
@@ -827,9 +801,7 @@ export async function processFestivalTimetable(
     for (const perf of group) {
       const aid = existingArtistMap.get(perf.name.toLowerCase());
       if (!aid) { allExist = false; break; }
-      const startTime = perf.time ? perf.time + ':00+00:00' : 'null';
-      const endTime = perf.end_time ? perf.end_time + ':00+00:00' : 'null';
-      const key = `${aid}_${perf.stage || 'null'}_${startTime}_${endTime}`;
+      const key = `${aid}_${perf.stage || 'null'}_${timeKey(perf.time)}_${timeKey(perf.end_time)}`;
       if (!existingPerfMap.has(key)) { allExist = false; break; }
     }
     if (allExist) {
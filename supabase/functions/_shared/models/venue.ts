@@ -8,6 +8,7 @@ import { withRetry } from '../utils/retry.ts';
 import { FUZZY_THRESHOLD } from '../utils/constants.ts';
 import { getNormalizedName } from '../utils/name.ts';
 import { areAddressesSimilar, fetchAddressFromNominatim } from '../utils/geo.ts';
+import { getTimezoneForCountry } from '../utils/timezone.ts';
 import { downloadAndUploadEntityImage } from '../utils/r2.ts';
 import { Venue, GooglePlace } from '../types/index.ts';
 
@@ -202,7 +203,7 @@ export async function createOrUpdateVenue(
       // Try exact match first with location field
       const { data: venuesByAddress, error: addrError } = await db.client
         .from('venues')
-        .select('id, location, name, geo')
+        .select('id, location, name, geo, timezone')
         .eq('location', cleanAddress)
         .order('id', { ascending: true }); // Take the oldest venue (smallest ID)
 
@@ -221,7 +222,7 @@ export async function createOrUpdateVenue(
       // ALSO try exact match with formatted_address from geo field
       const { data: venuesByFormattedAddr, error: formattedAddrError } = await db.client
         .from('venues')
-        .select('id, location, name, geo')
+        .select('id, location, name, geo, timezone')
         .eq('geo->>formatted_address', cleanAddress)
         .order('id', { ascending: true }); // Take the oldest venue (smallest ID)
 
@@ -247,7 +248,7 @@ export async function createOrUpdateVenue(
       // If exact match fails, try with LIKE to handle potential invisible character issues
       const { data: venuesByAddressLike, error: addrLikeError } = await db.client
         .from('venues')
-        .select('id, location, name, geo')
+        .select('id, location, name, geo, timezone')
         .ilike('location', cleanAddress);
 
       if (addrLikeError) throw addrLikeError;
@@ -275,7 +276,7 @@ export async function createOrUpdateVenue(
         // Try exact match with formatted_address from geo field
         const { data: venuesByNameAsAddr, error: nameAsAddrError } = await db.client
           .from('venues')
-          .select('id, location, name, geo')
+          .select('id, location, name, geo, timezone')
           .eq('geo->>formatted_address', nameAsAddress)
           .order('id', { ascending: true }); // Take the oldest venue (smallest ID)
 
@@ -293,7 +294,7 @@ export async function createOrUpdateVenue(
         // Also try with location field
         const { data: venuesByNameAsLocation, error: nameAsLocationError } = await db.client
           .from('venues')
-          .select('id, location, name, geo')
+          .select('id, location, name, geo, timezone')
           .eq('location', nameAsAddress)
           .order('id', { ascending: true }); // Take the oldest venue (smallest ID)
 
@@ -321,7 +322,7 @@ export async function createOrUpdateVenue(
           
           const { data: fuzzyVenues, error: fuzzyError } = await db.client
             .from('venues')
-            .select('id, location, name, geo')
+            .select('id, location, name, geo, timezone')
             .or(`and(geo->>formatted_address.like.%${streetNumber}%,geo->>formatted_address.like.%${postalCode}%),and(location.like.%${streetNumber}%,location.like.%${postalCode}%)`)
             .order('id', { ascending: true }); // Take the oldest venue (smallest ID)
 
@@ -342,7 +343,7 @@ export async function createOrUpdateVenue(
     logger.info('STEP 2: Trying exact normalized name match', { normalizedVenueName });
     const { data: venuesByName, error: nameError } = await db.client
       .from('venues')
-      .select('id, name, location')
+      .select('id, name, location, timezone')
       .eq('name', normalizedVenueName);
 
     if (nameError) throw nameError;
@@ -358,7 +359,7 @@ export async function createOrUpdateVenue(
     logger.info('STEP 3: Trying fuzzy matching');
     const { data: allVenues, error: allVenuesError } = await db.client
       .from('venues')
-      .select('id, name, location');
+      .select('id, name, location, timezone');
 
     if (allVenuesError) throw allVenuesError;
 
@@ -492,12 +493,19 @@ export async function createOrUpdateVenue(
       }
     }
 
+    // Fuseau horaire du venue (table des pays, longitude pour les pays à plusieurs fuseaux)
+    enrichedVenueData.timezone = getTimezoneForCountry(
+      enrichedVenueData.geo?.country || venueData.country,
+      enrichedVenueData.geo?.longitude ?? null
+    );
+
     // Pour debug - loguer les données qu'on va insérer
     logger.info('Venue data to insert:', {
       name: enrichedVenueData.name,
       location: enrichedVenueData.location,
       hasGeo: !!enrichedVenueData.geo,
-      hasImage: !!enrichedVenueData.image_url
+      hasImage: !!enrichedVenueData.image_url,
+      timezone: enrichedVenueData.timezone
     });
 
     // Create venue in database
@@ -578,10 +586,34 @@ export async function getVenue(id: number): Promise<Venue | null> {
   }
 }
 
+/**
+ * Gets the timezone stored on the venue already linked to an event (re-imports)
+ * @param eventId - Event ID
+ * @returns Promise with the IANA timezone, or null when unknown
+ */
+export async function getEventVenueTimezone(eventId: number): Promise<string | null> {
+  const { data: links, error: linkError } = await db.client
+    .from('event_venue')
+    .select('venue_id')
+    .eq('event_id', eventId)
+    .limit(1);
+  if (linkError) throw linkError;
+  if (!links || links.length === 0) return null;
+
+  const { data: venue, error } = await db.client
+    .from('venues')
+    .select('timezone')
+    .eq('id', links[0].venue_id)
+    .maybeSingle();
+  if (error) throw error;
+  return venue?.timezone || null;
+}
+
 export default {
   fetchGoogleVenuePhoto,
   fetchAddressFromGoogle,
   createOrUpdateVenue,
   searchVenues,
-  getVenue
+  getVenue,
+  getEventVenueTimezone
 };
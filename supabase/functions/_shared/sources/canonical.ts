@@ -0,0 +1,77 @@
+// sources/canonical.ts
+// Canonical event shape shared by every event-source adapter (Edge Functions version of sources/canonical.js)
+
+/**
+ * Event downloaded from any source platform. The shape follows the facebook-event-scraper
+ * output so that venue, promoter, artist and genre processing run unchanged.
+ */
+export interface CanonicalEvent {
+  source: string; // Adapter name ('facebook', 'resident_advisor', 'dice', 'shotgun', 'eventbrite')
+  id: string | null; // Event ID on the source platform
+  url: string | null; // Canonical event URL on the source platform
+  name: string | null;
+  description: string | null; // Plain text
+  startTimestamp: number | null; // Unix seconds
+  endTimestamp: number | null; // Unix seconds
+  categories: Array<{ label: string }>;
+  ticketUrl: string | null;
+  photo: { imageUri: string } | null;
+  hosts: Array<{ id: string | null; name: string; url: string | null; photo: any }>;
+  location: CanonicalLocation | null;
+  lineup: string[]; // Artist names published by the platform (empty when unknown)
+  [key: string]: any; // Facebook keeps the other scraper fields
+}
+
+export interface CanonicalLocation {
+  id: string | null;
+  name: string | null;
+  address: string | null;
+  city: { name: string } | null;
+  countryCode: string | null;
+  coordinates: { latitude: number; longitude: number } | null;
+  [key: string]: any;
+}
+
+/**
+ * Builds a canonical event, filling missing fields with their empty value
+ * @param fields - Known fields
+ * @returns The canonical event
+ */
+export function createCanonicalEvent(fields: Partial<CanonicalEvent>): CanonicalEvent {
+  return {
+    source: fields.source ?? '',
+    id: fields.id != null ? String(fields.id) : null,
+    url: fields.url || null,
+    name: fields.name ? fields.name.trim() : null,
+    description: fields.description || null,
+    startTimestamp: fields.startTimestamp ?? null,
+    endTimestamp: fields.endTimestamp ?? null,
+    categories: fields.categories || [],
+    ticketUrl: fields.ticketUrl || null,
+    photo: fields.photo?.imageUri ? { imageUri: fields.photo.imageUri } : null,
+    hosts: fields.hosts || [],
+    location: fields.location || null,
+    lineup: fields.lineup || []
+  };
+}
+
+/**
+ * Strips HTML tags and entities from a description
+ * @param html - HTML description
+ * @returns Plain text, or null
+ */
+export function htmlToText(html: string | null | undefined): string | null {
+  if (!html) return null;
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,142 @@
+// sources/index.ts
+// Event-source adapter registry (Edge Functions version of sources/index.js)
+// Picks the adapter matching a URL and returns a canonical event
+
+import { scrapeFbEvent } from 'npm:facebook-event-scraper';
+import { withRetry } from '../utils/retry.ts';
+import { createCanonicalEvent, type CanonicalEvent } from './canonical.ts';
+import { findJsonLdEvent, jsonLdEventToCanonical } from './json-ld.ts';
+
+export type { CanonicalEvent } from './canonical.ts';
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; SwayEventImporter/1.0)';
+
+export interface SourceAdapter {
+  name: string; // Nom de la source stocké dans les metadata de l'événement
+  metadataKey: string; // Clé metadata portant l'URL source (déduplication)
+  matches: (url: string) => boolean;
+  extractId: (url: string) => string | null;
+  fetchPayload: (url: string) => Promise<any>;
+  normalize: (payload: any, url: string) => CanonicalEvent;
+}
+
+/**
+ * Downloads an event page as text, with retry on network errors, 429 and 5xx
+ * @param url - Page URL
+ * @returns Page body
+ */
+async function fetchPage(url: string): Promise<string> {
+  const response = await withRetry(async () => {
+    const res = await fetch(url, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml,application/json'
+      }
+    });
+    if (res.status === 429 || res.status >= 500) {
+      throw new Error(`Server error (${res.status}) fetching ${url}`);
+    }
+    return res;
+  });
+  if (!response.ok) {
+    const error: any = new Error(`Failed to fetch ${url}: HTTP ${response.status}`);
+    error.status = response.status; // Utilisé pour classer l'échec (utils/errors.js)
+    throw error;
+  }
+  return await response.text();
+}
+
+function createJsonLdAdapter(
+  { name, urlPattern, idPattern }: { name: string; urlPattern: RegExp; idPattern: RegExp }
+): SourceAdapter {
+  const extractId = (url: string) => url.match(idPattern)?.[1] || null;
+  return {
+    name,
+    metadataKey: `${name}_url`,
+    matches: (url) => urlPattern.test(url),
+    extractId,
+    fetchPayload: (url) => fetchPage(url),
+    normalize(html, url) {
+      const eventNode = findJsonLdEvent(html);
+      if (!eventNode) {
+        throw new Error(`No schema.org Event found on ${name} page: ${url}`);
+      }
+      return jsonLdEventToCanonical(eventNode, { source: name, id: extractId(url), url });
+    }
+  };
+}
+
+const facebookAdapter: SourceAdapter = {
+  name: 'facebook',
+  metadataKey: 'facebook_url',
+  matches: (url) => /^https?:\/\/([a-z0-9-]+\.)?(facebook\.com|fb\.me)\//i.test(url),
+  extractId: (url) => url.match(/\/events\/(\d+)/)?.[1] || null,
+  fetchPayload: (url) => scrapeFbEvent(url),
+  // La forme canonique reprend celle du scraper : hosts, location et photo restent tels quels
+  normalize: (raw, url) => createCanonicalEvent({ ...raw, source: 'facebook', url: raw.url || url, lineup: [] })
+};
+
+const adapters: SourceAdapter[] = [
+  facebookAdapter,
+  createJsonLdAdapter({
+    name: 'resident_advisor',
+    urlPattern: /^https?:\/\/(www\.)?(ra\.co|residentadvisor\.net)\/events\/\d+/i,
+    idPattern: /\/events\/(\d+)/
+  }),
+  createJsonLdAdapter({
+    name: 'dice',
+    urlPattern: /^https?:\/\/(www\.)?dice\.fm\/event\//i,
+    idPattern: /\/event\/([a-z0-9]+)-/i
+  }),
+  createJsonLdAdapter({
+    name: 'shotgun',
+    urlPattern: /^https?:\/\/(www\.)?shotgun\.live\/([a-z]{2}\/)?(events|festivals)\//i,
+    idPattern: /\/(?:events|festivals)\/([^/?#]+)/i
+  }),
+  createJsonLdAdapter({
+    name: 'eventbrite',
+    urlPattern: /^https?:\/\/(www\.)?eventbrite\.[a-z.]+\/e\//i,
+    idPattern: /\/e\/[^?#]*?-?(\d{6,})(?:[/?#]|$)/i
+  })
+];
+
+/**
+ * Returns the adapter handling an event URL
+ * @param url - Event URL
+ * @returns The adapter, or null if the platform is not supported
+ */
+export function getSourceAdapter(url: string | null | undefined): SourceAdapter | null {
+  if (!url) return null;
+  return adapters.find(adapter => adapter.matches(url)) || null;
+}
+
+/**
+ * Returns an adapter by its name
+ * @param name - Adapter name
+ */
+export function getSourceAdapterByName(name: string): SourceAdapter | null {
+  return adapters.find(adapter => adapter.name === name) || null;
+}
+
+/**
+ * Downloads an event from any supported platform and returns it as a canonical event
+ * @param url - Event URL
+ * @returns The canonical event
+ */
+export async function scrapeEvent(url: string): Promise<CanonicalEvent> {
+  const adapter = getSourceAdapter(url);
+  if (!adapter) {
+    const error: any = new Error(`Unsupported event source URL: ${url}`);
+    error.errorClass = 'permanent';
+    error.reason = 'unsupported_url';
+    throw error;
+  }
+  const payload = await adapter.fetchPayload(url);
+  return adapter.normalize(payload, url);
+}
+
+export default {
+  getSourceAdapter,
+  getSourceAdapterByName,
+  scrapeEvent
+};
@@ -0,0 +1,152 @@
+// sources/json-ld.ts
+// schema.org Event data (JSON-LD) embedded in ticketing platform pages (Edge Functions version of sources/json-ld.js)
+
+import { toCountryCode } from '../utils/geo.ts';
+import { createCanonicalEvent, htmlToText, type CanonicalEvent, type CanonicalLocation } from './canonical.ts';
+
+const EVENT_TYPES = ['Event', 'MusicEvent', 'Festival', 'DanceEvent', 'SocialEvent'];
+
+/**
+ * Extracts every JSON-LD block from an HTML page. Malformed blocks are skipped.
+ * @param html - Raw HTML
+ * @returns Parsed JSON-LD nodes (graphs are flattened)
+ */
+export function extractJsonLdBlocks(html: string): any[] {
+  if (!html) return [];
+  const nodes: any[] = [];
+  const scriptRegex = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+  while ((match = scriptRegex.exec(html)) !== null) {
+    try {
+      const parsed = JSON.parse(match[1].trim());
+      const items = Array.isArray(parsed) ? parsed : [parsed];
+      for (const item of items) {
+        if (item && Array.isArray(item['@graph'])) {
+          nodes.push(...item['@graph']);
+        } else if (item) {
+          nodes.push(item);
+        }
+      }
+    } catch {
+      // Ignore invalid JSON-LD blocks
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Finds the first schema.org Event node in an HTML page
+ * @param html - Raw HTML
+ * @returns Event node, or null if none is found
+ */
+export function findJsonLdEvent(html: string): any | null {
+  return extractJsonLdBlocks(html).find(node => {
+    const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+    return types.some((t: string) => EVENT_TYPES.includes(t));
+  }) || null;
+}
+
+function isoToTimestamp(value: string | null | undefined): number | null {
+  if (!value) return null;
+  const ms = Date.parse(value);
+  return isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+function firstImageUrl(image: any): string | null {
+  if (!image) return null;
+  if (Array.isArray(image)) return firstImageUrl(image[0]);
+  if (typeof image === 'string') return image;
+  return image.url || image.contentUrl || null;
+}
+
+function placeToLocation(place: any): CanonicalLocation | null {
+  const node = Array.isArray(place) ? place[0] : place;
+  if (!node || typeof node !== 'object') return null;
+
+  const address = node.address;
+  let streetAddress: string | null = null;
+  let cityName: string | null = null;
+  let countryCode: string | null = null;
+  if (typeof address === 'string') {
+    streetAddress = address;
+  } else if (address && typeof address === 'object') {
+    streetAddress = [
+      address.streetAddress,
+      address.postalCode,
+      address.addressLocality
+    ].filter(Boolean).join(', ') || null;
+    cityName = address.addressLocality || null;
+    // addressCountry est un code, un nom ou un schema.org Country ({ name })
+    const country = address.addressCountry;
+    countryCode = toCountryCode(country && typeof country === 'object' ? (country.name || country['@id']) : country);
+  }
+
+  const latitude = node.geo?.latitude != null ? Number(node.geo.latitude) : null;
+  const longitude = node.geo?.longitude != null ? Number(node.geo.longitude) : null;
+
+  return {
+    id: null,
+    name: node.name || null,
+    address: streetAddress,
+    city: cityName ? { name: cityName } : null,
+    countryCode,
+    coordinates: (latitude != null && longitude != null && !isNaN(latitude) && !isNaN(longitude))
+      ? { latitude, longitude }
+      : null
+  };
+}
+
+function organizersToHosts(organizer: any): CanonicalEvent['hosts'] {
+  if (!organizer) return [];
+  const list = Array.isArray(organizer) ? organizer : [organizer];
+  return list
+    .filter((o: any) => o && o.name)
+    .map((o: any) => ({
+      id: null,
+      name: o.name.trim(),
+      url: o.url || null,
+      photo: o.image ? { imageUri: firstImageUrl(o.image) } : null
+    }));
+}
+
+function performersToLineup(performer: any): string[] {
+  if (!performer) return [];
+  const list = Array.isArray(performer) ? performer : [performer];
+  return list
+    .map((p: any) => (typeof p === 'string' ? p : p?.name))
+    .filter(Boolean)
+    .map((name: string) => name.trim());
+}
+
+function offersToTicketUrl(offers: any): string | null {
+  if (!offers) return null;
+  const list = Array.isArray(offers) ? offers : [offers];
+  return list.find((o: any) => o && o.url)?.url || null;
+}
+
+/**
+ * Maps a schema.org Event node to a canonical event
+ * @param eventNode - schema.org Event
+ * @param source - Adapter name
+ * @param id - Event ID on the source platform
+ * @param url - Event URL
+ */
+export function jsonLdEventToCanonical(
+  eventNode: any,
+  { source, id, url }: { source: string; id: string | null; url: string }
+): CanonicalEvent {
+  return createCanonicalEvent({
+    source,
+    id,
+    url: eventNode.url || url,
+    name: eventNode.name,
+    description: htmlToText(eventNode.description),
+    startTimestamp: isoToTimestamp(eventNode.startDate),
+    endTimestamp: isoToTimestamp(eventNode.endDate),
+    ticketUrl: offersToTicketUrl(eventNode.offers) || url,
+    photo: { imageUri: firstImageUrl(eventNode.image) as string },
+    hosts: organizersToHosts(eventNode.organizer),
+    location: placeToLocation(eventNode.location),
+    lineup: performersToLineup(eventNode.performer)
+  });
+}
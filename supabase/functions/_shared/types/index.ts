@@ -69,6 +69,7 @@ export interface Venue {
     country?: string;
   };
   location_point?: string; // PostGIS point (WKT or GeoJSON)
+  timezone?: string | null; // IANA timezone, e.g. Europe/Brussels
   created_at?: string;
 }
 
@@ -98,9 +99,10 @@ export interface EventArtist {
   artist_id: string[];  // Array of artist IDs (string format for Supabase int[])
   start_time?: string | null;
   end_time?: string | null;
-  status?: string;
+  status?: string;               // confirmed, cancelled (timetable re-sync)
   stage?: string | null;
   custom_name?: string | null;
+  source?: string | null;       // Provenance: description, flyer, description+flyer
   created_at?: string;
 }
 
@@ -6,6 +6,7 @@ import { Constants } from '../types/index.ts';
 export const DRY_RUN = false; // Set true for dry-run mode (no DB writes)
 export const FUZZY_THRESHOLD = 0.75; // Similarity threshold for fuzzy matching
 export const MIN_GENRE_OCCURRENCE = 3; // Minimum occurrences for genre assignment
+export const DEFAULT_TIMEZONE = 'Europe/Brussels'; // Timezone of events when none is known
 
 // Festival-specific constants
 export const MAX_GENRES_REGULAR = 5; // Maximum genres for regular events
@@ -1,14 +1,21 @@
 // Festival detection logic pour Edge Functions
-// Adaptation complète de la logique de détection JavaScript locale
+// Le scorer (festival-scorer.js) et les règles (_shared/config/festival-rules.json) sont partagés avec utils/festival-detection.js
 
 import { FestivalDetectionResult, FacebookEvent } from '../types/index.ts';
-import { calculateDurationHours, now } from './date.ts';
+import { calculateDurationHours } from './date.ts';
 import { logger } from './logger.ts';
 import { FESTIVAL_DURATION_THRESHOLD_HOURS } from './constants.ts';
 
+// Rules shared with the local import (utils/festival-detection.js); tune them in the JSON file
+import FESTIVAL_RULES from '../config/festival-rules.json' with { type: 'json' };
+// Plain ESM module loaded by Node too: both runtimes score with the same code
+import * as scorer from './festival-scorer.js';
+
 export interface FestivalDetectionOptions {
   forceFestival?: boolean;
   customThreshold?: number;
+  lineupSize?: number | null;
+  rules?: FestivalRulesConfig;
 }
 
 export interface FestivalDay {
@@ -17,8 +24,102 @@ export interface FestivalDay {
   end: string;
 }
 
+export interface FestivalRule {
+  id: string;
+  type: 'known_festival' | 'keywords' | 'duration' | 'stages' | 'lineup_size';
+  label?: string;
+  enabled?: boolean;
+  fields?: string[];
+  score?: number;
+  decisive?: boolean;
+  names?: string[];
+  keywords?: string[] | Record<string, string[]>;
+  scorePerMatch?: number;
+  maxScore?: number;
+  patterns?: string[];
+  ignoreWords?: string[];
+  tiers?: Array<{ min?: number; minHours?: number; score: number; decisive?: boolean }>;
+}
+
+export interface FestivalRulesConfig {
+  threshold?: number;
+  forcedConfidence?: number;
+  maxConfidence?: number;
+  confidenceLevels?: Record<string, number>;
+  rules: FestivalRule[];
+}
+
+export interface FestivalDetectionInput {
+  name: string;
+  description: string;
+  location: string;
+  durationHours: number | null;
+  lineupSize: number | null;
+}
+
+export interface FestivalRuleResult {
+  id: string;
+  type: string;
+  matched: boolean;
+  score: number;
+  decisive: boolean;
+  explanation: string | null;
+  details: Record<string, unknown> | null;
+}
+
+export interface FestivalScore {
+  isFestival: boolean;
+  confidence: number;
+  level: string;
+  threshold: number;
+  reasons: string[];
+  rules: FestivalRuleResult[];
+}
+
+/**
+ * Scores an event against the festival rules
+ * @param input - Event name, description, location, duration and lineup size
+ * @param config - Rules config (default: the shared festival-rules.json)
+ * @param options - forceFestival: festival regardless of the rules
+ * @returns Score with per-rule explanations
+ */
+export function scoreFestival(
+  input: FestivalDetectionInput,
+  config: FestivalRulesConfig = FESTIVAL_RULES as FestivalRulesConfig,
+  { forceFestival = false }: { forceFestival?: boolean } = {}
+): FestivalScore {
+  return scorer.scoreFestival(input, config, { forceFestival }) as FestivalScore;
+}
+
+/**
+ * Detects a festival from scraped event data (startTimestamp/endTimestamp in seconds, location.name)
+ * @param eventData - Scraped event
+ * @param options - forceFestival, lineupSize, rules
+ * @returns Score with per-rule explanations and the event duration
+ */
+export function detectFestivalFromScrapedEvent(
+  eventData: any,
+  options: FestivalDetectionOptions = {}
+): FestivalScore & { duration: { hours: number; days: number } | null } {
+  const { forceFestival = false, lineupSize = null, rules } = options;
+  const input = scorer.getFestivalDetectionInput(eventData, { lineupSize }) as FestivalDetectionInput;
+  const score = scoreFestival(input, rules, { forceFestival });
+
+  logger.info('Festival detection completed', {
+    eventName: eventData?.name,
+    isFestival: score.isFestival,
+    confidence: score.confidence,
+    reasons: score.reasons
+  });
+
+  return {
+    ...score,
+    duration: input.durationHours !== null ? { hours: input.durationHours, days: Math.floor(input.durationHours / 24) } : null
+  };
+}
+
 /**
- * Detects if an event is a festival based on duration (>24h) and other criteria
+ * Detects if an event is a festival by scoring it against the festival rules
  * @param eventData - Facebook event data with start_time and end_time
  * @param options - Detection options including forceFestival flag
  * @returns Detection result with confidence score and details
@@ -27,7 +128,7 @@ export function detectFestival(
   eventData: Partial<FacebookEvent>, 
   options: FestivalDetectionOptions = {}
 ): FestivalDetectionResult {
-  const { forceFestival = false, customThreshold } = options;
+  const { forceFestival = false, customThreshold, lineupSize = null, rules } = options;
   const durationThreshold = customThreshold || FESTIVAL_DURATION_THRESHOLD_HOURS;
   
   const result: FestivalDetectionResult = {
@@ -36,8 +137,8 @@ export function detectFestival(
     confidence: 0,
     reasons: [],
     metadata: {
-      start_time: eventData.start_time || '',
-      end_time: eventData.end_time,
+      start_time: eventData?.start_time || '',
+      end_time: eventData?.end_time,
       calculated_duration: 0,
       threshold_used: durationThreshold
     }
@@ -48,125 +149,31 @@ export function detectFestival(
     return result;
   }
 
-  logger.debug('Starting festival detection', {
-    eventName: eventData.name,
-    startTime: eventData.start_time,
-    endTime: eventData.end_time,
-    forceFestival
-  });
-
-  // If festival mode is forced, set high confidence
-  if (forceFestival) {
-    result.is_festival = true;
-    result.confidence = 95;
-    result.reasons.push('Festival mode FORCED by options flag');
-  }
-
-  // Known festivals list (case-insensitive matching)
-  const knownFestivals = [
-    'let it roll', 'tomorrowland', 'ultra', 'coachella', 'burning man',
-    'glastonbury', 'lollapalooza', 'bonnaroo', 'electric daisy carnival',
-    'edc', 'defqon', 'qlimax', 'mysteryland', 'awakenings', 'dour',
-    'rock werchter', 'pukkelpop', 'graspop', 'rampage', 'rampage open air',
-    'nature one', 'love parade', 'fusion', 'boom festival', 'ozora',
-    'psytrance', 'hadra', 'antaris', 'voov', 'garbicz', 'fusion festival',
-    'timewarp', 'time warp', 'sonar', 'movement', 'dekmantel', 'kappa futur',
-    'awakenings festival', 'dour festival', 'rampage weekend'
-  ];
-
-  // Check if event name matches known festivals
-  const eventName = eventData.name || '';
-  const eventNameLower = eventName.toLowerCase();
-  
-  for (const festivalName of knownFestivals) {
-    if (eventNameLower.includes(festivalName)) {
-      if (!forceFestival) { // Don't override forced mode
-        result.is_festival = true;
-        result.confidence = Math.max(result.confidence, 85);
-      }
-      result.reasons.push(`Known festival detected: "${festivalName}"`);
-      break;
-    }
-  }
-
-  // Check if we have valid timestamps for duration calculation
-  if (!eventData.start_time) {
-    if (!result.is_festival) {
-      result.reasons.push('Missing start timestamp - unable to calculate duration');
-    }
-    return result;
-  }
-
-  // Calculate duration if end time is available
-  if (eventData.end_time) {
-    const durationHours = calculateDurationHours(eventData.start_time, eventData.end_time);
-    
-    if (durationHours !== null) {
-      result.duration_hours = durationHours;
-      result.metadata!.calculated_duration = durationHours;
-
-      // Primary criterion: Duration > threshold hours
-      if (durationHours > durationThreshold) {
-        result.is_festival = true;
-        result.confidence += 70; // High confidence for duration
-        result.reasons.push(`Duration: ${durationHours.toFixed(1)}h (>${durationThreshold}h threshold)`);
-      } else {
-        result.reasons.push(`Duration: ${durationHours.toFixed(1)}h (<${durationThreshold}h threshold)`);
-      }
-    }
-  } else {
-    result.reasons.push('Missing end timestamp - unable to calculate duration');
-  }
-
-  // Secondary criteria for confidence boosting
-  const eventDescription = eventData.description || '';
-  const combinedText = `${eventName} ${eventDescription}`.toLowerCase();
-
-  // Festival-like keywords in name/description
-  const festivalKeywords = [
-    'festival', 'fest', 'open air', 'openair', 'rave', 
-    'gathering', 'weekender', 'marathon', 'edition',
-    'day 1', 'day 2', 'jour 1', 'jour 2', 'stage',
-    'lineup', 'timetable', 'horaire', 'programme'
-  ];
-
-  const foundKeywords = festivalKeywords.filter(keyword => 
-    combinedText.includes(keyword)
-  );
-
-  if (foundKeywords.length > 0) {
-    result.confidence += Math.min(foundKeywords.length * 5, 20); // Max 20 points
-    result.reasons.push(`Festival keywords found: ${foundKeywords.join(', ')}`);
+  const durationHours = eventData.start_time && eventData.end_time
+    ? calculateDurationHours(eventData.start_time, eventData.end_time)
+    : null;
+  if (durationHours !== null) {
+    result.duration_hours = durationHours;
+    result.metadata!.calculated_duration = durationHours;
   }
 
-  // Multi-day indicators
-  const multiDayKeywords = [
-    '2 days', '3 days', '4 days', '2 jours', '3 jours', '4 jours',
-    'weekend', 'multiple days', 'plusieurs jours'
-  ];
-
-  const foundMultiDay = multiDayKeywords.filter(keyword => 
-    combinedText.includes(keyword)
-  );
-
-  if (foundMultiDay.length > 0) {
-    result.confidence += 10;
-    result.reasons.push(`Multi-day indicators: ${foundMultiDay.join(', ')}`);
-  }
+  // customThreshold overrides the hours of the duration tiers
+  const config = rules || FESTIVAL_RULES as FestivalRulesConfig;
+  const effectiveConfig: FestivalRulesConfig = customThreshold
+    ? { ...config, rules: config.rules.map(rule => rule.type === 'duration' ? { ...rule, tiers: (rule.tiers || []).map(tier => ({ ...tier, minHours: customThreshold })) } : rule) }
+    : config;
 
-  // Check for stage/venue diversity
-  if (eventData.place?.name) {
-    const locationName = eventData.place.name.toLowerCase();
-    const venueKeywords = ['park', 'field', 'grounds', 'complex', 'site', 'terrain'];
-    
-    if (venueKeywords.some(keyword => locationName.includes(keyword))) {
-      result.confidence += 5;
-      result.reasons.push('Festival-type venue detected');
-    }
-  }
+  const score = scoreFestival({
+    name: eventData.name || '',
+    description: eventData.description || '',
+    location: eventData.place?.name || '',
+    durationHours,
+    lineupSize: Number.isFinite(lineupSize) ? lineupSize as number : null
+  }, effectiveConfig, { forceFestival });
 
-  // Ensure confidence doesn't exceed 100
-  result.confidence = Math.min(result.confidence, 100);
+  result.is_festival = score.isFestival;
+  result.confidence = score.confidence;
+  result.reasons = score.reasons;
 
   logger.info('Festival detection completed', {
     eventName: eventData.name,
@@ -299,17 +306,19 @@ export function analyzeFestivalDays(eventData: Partial<FacebookEvent>): Festival
 /**
  * Validates festival detection confidence
  * @param confidence - Confidence score 0-100
+ * @param levels - Minimum confidence of each level (default: confidenceLevels of the rules file)
  * @returns Confidence level description
  */
-export function getConfidenceLevel(confidence: number): string {
-  if (confidence >= 80) return 'very_high';
-  if (confidence >= 60) return 'high';
-  if (confidence >= 40) return 'medium';
-  if (confidence >= 20) return 'low';
-  return 'very_low';
+export function getConfidenceLevel(
+  confidence: number,
+  levels: Record<string, number> | undefined = (FESTIVAL_RULES as FestivalRulesConfig).confidenceLevels
+): string {
+  return scorer.getConfidenceLevel(confidence, levels);
 }
 
 export default {
+  scoreFestival,
+  detectFestivalFromScrapedEvent,
   detectFestival,
   extractFestivalName,
   analyzeFestivalDays,
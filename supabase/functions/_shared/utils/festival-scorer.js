@@ -0,0 +1,219 @@
+// supabase/functions/_shared/utils/festival-scorer.js
+// Festival rule scorer shared by the local import (utils/festival-detection.js) and the Edge Functions
+// (festival-detection.ts). Plain ESM without imports, so that Node and Deno load the same file.
+
+/**
+ * Lowercases a text and strips its accents, so "Scène" matches "scene".
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeDetectionText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Builds a whole-word regex for a keyword or pattern ("fest" does not match "festival").
+ * @param {string} source - Regex source (keywords are escaped by the caller)
+ * @returns {RegExp}
+ */
+function wholeWordRegex(source) {
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${source})(?![\\p{L}\\p{N}])`, 'gu');
+}
+
+/**
+ * Escapes a keyword for use in a regex.
+ * @param {string} keyword
+ * @returns {string}
+ */
+function escapeRegex(keyword) {
+    return normalizeDetectionText(keyword).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Text of the event fields a rule looks at.
+ * @param {object} input - From getFestivalDetectionInput
+ * @param {string[]} fields - 'name', 'description', 'location'
+ * @returns {string}
+ */
+function getRuleText(input, fields = ['name', 'description']) {
+    return normalizeDetectionText(fields.map(field => input[field] || '').join(' \n '));
+}
+
+/**
+ * Returns the highest tier reached by a value (tiers may be listed in any order).
+ * @param {Array<object>} tiers
+ * @param {number} value
+ * @param {string} key - Tier threshold key ('min' or 'minHours')
+ * @returns {object|null}
+ */
+function findTier(tiers, value, key = 'min') {
+    return [...(tiers || [])].sort((a, b) => b[key] - a[key]).find(tier => value >= tier[key]) || null;
+}
+
+/**
+ * Rule evaluators by rule type. Each returns { matched, score, decisive, explanation, details }.
+ */
+export const FESTIVAL_RULE_EVALUATORS = {
+    // Event name contains a known festival
+    known_festival(rule, input) {
+        const text = getRuleText(input, rule.fields || ['name']);
+        const name = (rule.names || []).find(candidate => wholeWordRegex(escapeRegex(candidate)).test(text));
+        if (!name) return { matched: false, score: 0 };
+        return { matched: true, score: rule.score, decisive: !!rule.decisive, explanation: `${rule.label || 'Known festival'} detected: "${name}"`, details: { name } };
+    },
+
+    // Multilingual keywords, scorePerMatch each up to maxScore
+    keywords(rule, input) {
+        const text = getRuleText(input, rule.fields);
+        const keywords = Array.isArray(rule.keywords) ? rule.keywords : Object.values(rule.keywords || {}).flat();
+        const found = [...new Set(keywords.filter(keyword => wholeWordRegex(escapeRegex(keyword)).test(text)))];
+        if (found.length === 0) return { matched: false, score: 0 };
+        const score = Math.min(found.length * rule.scorePerMatch, rule.maxScore ?? Infinity);
+        return { matched: true, score, decisive: !!rule.decisive, explanation: `${rule.label || rule.id}: ${found.join(', ')}`, details: { keywords: found } };
+    },
+
+    // Event duration, highest tier reached
+    duration(rule, input) {
+        const label = rule.label || 'Duration';
+        if (input.durationHours === null || input.durationHours === undefined) {
+            return { matched: false, score: 0, explanation: 'Missing start or end timestamp - unable to calculate duration' };
+        }
+        const hours = input.durationHours;
+        const tier = (rule.tiers || []).filter(t => hours > t.minHours).sort((a, b) => b.minHours - a.minHours)[0];
+        if (!tier) {
+            const lowest = Math.min(...(rule.tiers || []).map(t => t.minHours));
+            return { matched: false, score: 0, explanation: `${label}: ${hours.toFixed(1)}h (<${lowest}h threshold)`, details: { hours } };
+        }
+        return { matched: true, score: tier.score, decisive: !!tier.decisive, explanation: `${label}: ${hours.toFixed(1)}h (>${tier.minHours}h threshold)`, details: { hours } };
+    },
+
+    // Distinct stage names found in the description ("Main Stage", "Room 2", "Salle 1")
+    stages(rule, input) {
+        const text = getRuleText(input, rule.fields || ['description']);
+        const ignored = new Set((rule.ignoreWords || []).map(normalizeDetectionText));
+        const stages = new Set();
+        for (const pattern of rule.patterns || []) {
+            for (const match of text.matchAll(wholeWordRegex(pattern))) {
+                if (!ignored.has(match[0].split(' ')[0])) stages.add(match[0]);
+            }
+        }
+        const tier = findTier(rule.tiers, stages.size);
+        if (!tier) return { matched: false, score: 0, details: { stages: [...stages] } };
+        return { matched: true, score: tier.score, decisive: !!tier.decisive, explanation: `${rule.label || rule.id}: ${stages.size} (${[...stages].join(', ')})`, details: { stages: [...stages] } };
+    },
+
+    // Number of artists announced (parsed by the caller)
+    lineup_size(rule, input) {
+        if (input.lineupSize === null || input.lineupSize === undefined) return { matched: false, score: 0 };
+        const tier = findTier(rule.tiers, input.lineupSize);
+        if (!tier) return { matched: false, score: 0, details: { lineupSize: input.lineupSize } };
+        return { matched: true, score: tier.score, decisive: !!tier.decisive, explanation: `${rule.label || rule.id}: ${input.lineupSize} artists (>=${tier.min})`, details: { lineupSize: input.lineupSize } };
+    }
+};
+
+/**
+ * Checks that a rules config can be scored.
+ * @param {object} config - Parsed rules file
+ * @param {string} source - Rules file, used in the error message
+ * @returns {object} The config
+ */
+export function validateFestivalRules(config, source = 'festival rules') {
+    if (!Array.isArray(config?.rules)) {
+        throw new Error(`Invalid festival rules file ${source}: "rules" must be an array`);
+    }
+    for (const rule of config.rules) {
+        if (!FESTIVAL_RULE_EVALUATORS[rule.type]) {
+            throw new Error(`Invalid festival rules file ${source}: unknown rule type "${rule.type}" (rule "${rule.id}")`);
+        }
+    }
+    return config;
+}
+
+/**
+ * Builds the scorer input from a scraped event.
+ * @param {object} eventData - Event with name, description, startTimestamp, endTimestamp (seconds) and location
+ * @param {Object} options
+ * @param {number|null} options.lineupSize - Number of artists announced, when known
+ * @returns {{name: string, description: string, location: string, durationHours: number|null, lineupSize: number|null}}
+ */
+export function getFestivalDetectionInput(eventData, { lineupSize = null } = {}) {
+    const hasTimes = eventData?.startTimestamp && eventData?.endTimestamp;
+    return {
+        name: eventData?.name || '',
+        description: eventData?.description || '',
+        location: eventData?.location?.name || '',
+        durationHours: hasTimes ? (eventData.endTimestamp - eventData.startTimestamp) / 3600 : null,
+        lineupSize: Number.isFinite(lineupSize) ? lineupSize : null
+    };
+}
+
+/**
+ * Scores an event against the festival rules.
+ * @param {object} input - From getFestivalDetectionInput
+ * @param {object} config - Rules config { threshold, forcedConfidence, maxConfidence, confidenceLevels, rules }
+ * @param {Object} options
+ * @param {boolean} options.forceFestival - Festival regardless of the rules
+ * @returns {{isFestival: boolean, confidence: number, level: string, threshold: number, reasons: string[], rules: Array<{id: string, type: string, matched: boolean, score: number, decisive: boolean, explanation: string|null, details: object|null}>}}
+ */
+export function scoreFestival(input, config, { forceFestival = false } = {}) {
+    const rules = config.rules
+        .filter(rule => rule.enabled !== false)
+        .map(rule => {
+            const evaluate = FESTIVAL_RULE_EVALUATORS[rule.type];
+            if (!evaluate) throw new Error(`Unknown festival rule type "${rule.type}" (rule "${rule.id}")`);
+            const outcome = evaluate(rule, input);
+            return {
+                id: rule.id,
+                type: rule.type,
+                matched: outcome.matched,
+                score: outcome.matched ? outcome.score : 0,
+                decisive: outcome.matched && !!outcome.decisive,
+                explanation: outcome.explanation || null,
+                details: outcome.details || null
+            };
+        });
+
+    const reasons = [];
+    let confidence = rules.reduce((sum, rule) => sum + rule.score, 0);
+    if (forceFestival) {
+        confidence = Math.max(confidence, config.forcedConfidence ?? 95);
+        reasons.push('Festival mode FORCED');
+    }
+    confidence = Math.min(confidence, config.maxConfidence ?? 100);
+    rules.forEach(rule => {
+        if (rule.explanation) reasons.push(rule.matched ? `${rule.explanation} (+${rule.score})` : rule.explanation);
+    });
+
+    const threshold = config.threshold ?? 50;
+    return {
+        isFestival: forceFestival || rules.some(rule => rule.decisive) || confidence >= threshold,
+        confidence,
+        level: getConfidenceLevel(confidence, config.confidenceLevels),
+        threshold,
+        reasons,
+        rules
+    };
+}
+
+/**
+ * Validates festival detection confidence
+ * @param {number} confidence - Confidence score 0-100
+ * @param {Object} levels - Minimum confidence of each level (confidenceLevels of the rules file)
+ * @returns {string} Confidence level description
+ */
+export function getConfidenceLevel(confidence, levels) {
+    const { very_high = 80, high = 60, medium = 40, low = 20 } = levels || {};
+    if (confidence >= very_high) return 'very_high';
+    if (confidence >= high) return 'high';
+    if (confidence >= medium) return 'medium';
+    if (confidence >= low) return 'low';
+    return 'very_low';
+}
+
+export default {
+    FESTIVAL_RULE_EVALUATORS,
+    validateFestivalRules,
+    getFestivalDetectionInput,
+    scoreFestival,
+    getConfidenceLevel
+};
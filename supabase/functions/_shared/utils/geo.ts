@@ -4,6 +4,7 @@
 import "jsr:@supabase/functions-js/edge-runtime.d.ts";
 import { withRetry } from './retry.ts';
 import { logger } from './logger.ts';
+import countries from 'npm:i18n-iso-countries';
 
 /**
  * Calculates the distance between two GPS coordinates using Haversine formula
@@ -131,8 +132,25 @@ export function areAddressesSimilar(addr1: string, addr2: string): boolean {
   return false;
 }
 
+/**
+ * Converts a country name or code to its ISO 3166-1 alpha-2 code (same as utils/timezone.js)
+ * @param country - Country code ("BE") or name in English, French, Dutch or German ("Belgique")
+ * @returns The upper-case code, or null if unknown
+ */
+export function toCountryCode(country: unknown): string | null {
+  if (!country || typeof country !== 'string') return null;
+  const value = country.trim();
+  if (/^[A-Za-z]{2}$/.test(value)) return value.toUpperCase();
+  for (const lang of ['en', 'fr', 'nl', 'de']) {
+    const code = countries.getAlpha2Code(value, lang);
+    if (code) return code;
+  }
+  return null;
+}
+
 export default {
   haversineDistance,
+  toCountryCode,
   fetchAddressFromNominatim,
   normalizeAddress,
   areAddressesSimilar
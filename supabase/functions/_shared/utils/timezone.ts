@@ -0,0 +1,93 @@
+// Timezone utilities pour Edge Functions
+// Version Edge Functions de utils/timezone.js : fuseau stocké sur le venue, puis table des pays.
+// La recherche Google Time Zone par coordonnées reste dans l'import local.
+
+import { IANAZone } from 'luxon';
+import { DEFAULT_TIMEZONE } from './constants.ts';
+import { toCountryCode } from './geo.ts';
+
+/**
+ * Timezone of countries covered by a single zone (ISO 3166-1 alpha-2 code -> IANA zone)
+ */
+const COUNTRY_TIMEZONES: Record<string, string> = {
+  AD: 'Europe/Andorra', AL: 'Europe/Tirane', AT: 'Europe/Vienna', BA: 'Europe/Sarajevo',
+  BE: 'Europe/Brussels', BG: 'Europe/Sofia', BY: 'Europe/Minsk', CH: 'Europe/Zurich',
+  CY: 'Asia/Nicosia', CZ: 'Europe/Prague', DE: 'Europe/Berlin', DK: 'Europe/Copenhagen',
+  EE: 'Europe/Tallinn', ES: 'Europe/Madrid', FI: 'Europe/Helsinki', FR: 'Europe/Paris',
+  GB: 'Europe/London', GE: 'Asia/Tbilisi', GR: 'Europe/Athens', HR: 'Europe/Zagreb',
+  HU: 'Europe/Budapest', IE: 'Europe/Dublin', IS: 'Atlantic/Reykjavik', IT: 'Europe/Rome',
+  LI: 'Europe/Vaduz', LT: 'Europe/Vilnius', LU: 'Europe/Luxembourg', LV: 'Europe/Riga',
+  MC: 'Europe/Monaco', MD: 'Europe/Chisinau', ME: 'Europe/Podgorica', MK: 'Europe/Skopje',
+  MT: 'Europe/Malta', NL: 'Europe/Amsterdam', NO: 'Europe/Oslo', PL: 'Europe/Warsaw',
+  PT: 'Europe/Lisbon', RO: 'Europe/Bucharest', RS: 'Europe/Belgrade', SE: 'Europe/Stockholm',
+  SI: 'Europe/Ljubljana', SK: 'Europe/Bratislava', TR: 'Europe/Istanbul', UA: 'Europe/Kyiv',
+  AE: 'Asia/Dubai', AR: 'America/Argentina/Buenos_Aires', CL: 'America/Santiago', CN: 'Asia/Shanghai',
+  CO: 'America/Bogota', EG: 'Africa/Cairo', GH: 'Africa/Accra', IL: 'Asia/Jerusalem',
+  IN: 'Asia/Kolkata', JP: 'Asia/Tokyo', KE: 'Africa/Nairobi', KR: 'Asia/Seoul',
+  LB: 'Asia/Beirut', MA: 'Africa/Casablanca', NG: 'Africa/Lagos', NZ: 'Pacific/Auckland',
+  PE: 'America/Lima', PH: 'Asia/Manila', SG: 'Asia/Singapore', TH: 'Asia/Bangkok',
+  TN: 'Africa/Tunis', UY: 'America/Montevideo', VN: 'Asia/Ho_Chi_Minh', ZA: 'Africa/Johannesburg'
+};
+
+/**
+ * Countries spanning several zones: zones by western longitude bound (ascending), used with coordinates.
+ * The fallback zone is used when no coordinates are known.
+ */
+const MULTI_ZONE_COUNTRIES: Record<string, { fallback: string; bands: [number, string][] }> = {
+  US: { fallback: 'America/New_York', bands: [[-180, 'Pacific/Honolulu'], [-170, 'America/Anchorage'], [-125, 'America/Los_Angeles'], [-114, 'America/Denver'], [-102, 'America/Chicago'], [-85, 'America/New_York']] },
+  CA: { fallback: 'America/Toronto', bands: [[-141, 'America/Vancouver'], [-120, 'America/Edmonton'], [-102, 'America/Winnipeg'], [-90, 'America/Toronto'], [-64, 'America/Halifax'], [-59, 'America/St_Johns']] },
+  MX: { fallback: 'America/Mexico_City', bands: [[-118, 'America/Tijuana'], [-109, 'America/Mazatlan'], [-105, 'America/Mexico_City'], [-88, 'America/Cancun']] },
+  BR: { fallback: 'America/Sao_Paulo', bands: [[-74, 'America/Rio_Branco'], [-66, 'America/Manaus'], [-50, 'America/Sao_Paulo']] },
+  AU: { fallback: 'Australia/Sydney', bands: [[112, 'Australia/Perth'], [129, 'Australia/Adelaide'], [141, 'Australia/Sydney']] },
+  RU: { fallback: 'Europe/Moscow', bands: [[19, 'Europe/Kaliningrad'], [23, 'Europe/Moscow'], [55, 'Asia/Yekaterinburg'], [73, 'Asia/Omsk'], [82, 'Asia/Novosibirsk'], [100, 'Asia/Irkutsk'], [118, 'Asia/Yakutsk'], [135, 'Asia/Vladivostok'], [160, 'Asia/Kamchatka']] }
+};
+
+/**
+ * Whether a string is a valid IANA timezone
+ * @param timezone - Timezone name
+ */
+export function isValidTimezone(timezone: unknown): timezone is string {
+  return typeof timezone === 'string' && IANAZone.isValidZone(timezone);
+}
+
+/**
+ * Returns the timezone of a country, using the longitude for countries spanning several zones
+ * @param country - Country code or name
+ * @param longitude - Venue longitude, if known
+ * @returns IANA timezone, or null if the country is unknown
+ */
+export function getTimezoneForCountry(country: unknown, longitude: number | null = null): string | null {
+  const code = toCountryCode(country);
+  if (!code) return null;
+  if (COUNTRY_TIMEZONES[code]) return COUNTRY_TIMEZONES[code];
+  const multi = MULTI_ZONE_COUNTRIES[code];
+  if (!multi) return null;
+  if (typeof longitude !== 'number' || Number.isNaN(longitude)) return multi.fallback;
+  let zone = multi.bands[0][1];
+  for (const [bound, bandZone] of multi.bands) {
+    if (longitude >= bound) zone = bandZone;
+  }
+  return zone;
+}
+
+/**
+ * Resolves the timezone of a venue: timezone stored on the venue, then country table, then DEFAULT_TIMEZONE
+ * @param venue - Stored timezone, country code or name, longitude
+ * @returns Timezone and where it comes from (venue, country or default)
+ */
+export function resolveVenueTimezone(
+  venue: { timezone?: string | null; country?: unknown; longitude?: number | null } = {}
+): { timezone: string; source: 'venue' | 'country' | 'default' } {
+  if (isValidTimezone(venue.timezone)) {
+    return { timezone: venue.timezone, source: 'venue' };
+  }
+  const countryTimezone = getTimezoneForCountry(venue.country, venue.longitude ?? null);
+  if (countryTimezone) return { timezone: countryTimezone, source: 'country' };
+  return { timezone: DEFAULT_TIMEZONE, source: 'default' };
+}
+
+export default {
+  isValidTimezone,
+  getTimezoneForCountry,
+  resolveVenueTimezone
+};
@@ -0,0 +1,138 @@
+import "jsr:@supabase/functions-js/edge-runtime.d.ts";
+import { createClient } from '@supabase/supabase-js';
+import { corsHeaders } from '../_shared/cors.ts';
+import { buildDeadLetterRpc, getListLimit, DeadLetterRequest } from './request.ts';
+
+/**
+ * Edge Function de gestion de la dead letter de la queue d'import : événements en échec
+ * (retries épuisés, ou classe d'erreur sans retry), groupés par signature d'erreur,
+ * remis en queue ou écartés en masse par filtre. Mêmes RPCs que scripts/dead_letter.js.
+ *
+ * Usage:
+ *   POST /functions/v1/dead-letter
+ *   Body: { "action": "groups" }
+ *
+ *   POST /functions/v1/dead-letter
+ *   Body: { "action": "list", "filters": { "error_class": "transient" }, "limit": 50 }
+ *
+ *   POST /functions/v1/dead-letter
+ *   Body: {
+ *     "action": "requeue",
+ *     "filters": { "error_class": "transient", "failed_after": "2026-10-01", "promoter_id": 12 },
+ *     "reset_retries": true,
+ *     "dry_run": true
+ *   }
+ *
+ *   POST /functions/v1/dead-letter
+ *   Body: { "action": "requeue", "filters": { "error_class": "data" }, "step": "scrape" }
+ *
+ *   POST /functions/v1/dead-letter
+ *   Body: {
+ *     "action": "discard",
+ *     "filters": { "error_signature": "failed to fetch <url>: http 404" },
+ *     "reason": "Événements supprimés"
+ *   }
+ *
+ * Filtres combinés : error_class, failed_after, failed_before, promoter_id, error_signature, ids.
+ * requeue et discard exigent au moins un filtre, ou "all": true.
+ * requeue reprend l'import à la première étape non terminée ; avec "step", les checkpoints de cette
+ * étape et des suivantes sont effacés (comme retry-event). L'échec est conservé dans last_dead_letter.
+ */
+
+interface DeadLetterResponse {
+  success: boolean;
+  message: string;
+  data?: unknown;
+}
+
+function jsonResponse(body: DeadLetterResponse, status: number): Response {
+  return new Response(
+    JSON.stringify(body),
+    {
+      status,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    }
+  );
+}
+
+// Fonction principale
+Deno.serve(async (req: Request) => {
+  // Gestion CORS
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    // Vérification de la méthode HTTP
+    if (req.method !== 'POST') {
+      return jsonResponse({ success: false, message: 'Method not allowed. Use POST.' }, 405);
+    }
+
+    // Initialisation du client Supabase
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    );
+
+    // Parsing du body
+    const body: DeadLetterRequest = await req.json();
+    const action = body.action ?? 'groups';
+
+    // Validation des données
+    const rpc = buildDeadLetterRpc(body);
+    if (typeof rpc === 'string') {
+      return jsonResponse({ success: false, message: rpc }, 400);
+    }
+
+    // Consultation
+    if (action === 'groups') {
+      const { data: groups, error } = await supabase.rpc(rpc.name, rpc.params);
+      if (error) throw error;
+      const total = (groups ?? []).reduce((sum: number, group: any) => sum + Number(group.event_count), 0);
+      return jsonResponse({
+        success: true,
+        message: `${total} dead letter(s) in ${groups?.length ?? 0} group(s)`,
+        data: groups ?? []
+      }, 200);
+    }
+
+    if (action === 'list') {
+      const { data: events, error } = await supabase.rpc(rpc.name, rpc.params).limit(getListLimit(body.limit));
+      if (error) throw error;
+      return jsonResponse({
+        success: true,
+        message: `${events?.length ?? 0} dead letter(s)`,
+        data: events ?? []
+      }, 200);
+    }
+
+    // Actions en masse
+    const dryRun = rpc.params.dry_run === true;
+    const { data: ids, error } = await supabase.rpc(rpc.name, rpc.params);
+    if (error) throw error;
+
+    const verb = action === 'requeue' ? 'requeued' : 'discarded';
+    return jsonResponse({
+      success: true,
+      message: dryRun
+        ? `${ids?.length ?? 0} dead letter(s) would be ${verb} (dry run)`
+        : `${ids?.length ?? 0} dead letter(s) ${verb}`,
+      data: { action, dry_run: dryRun, ids: ids ?? [] }
+    }, 200);
+
+  } catch (error) {
+    console.error('Error in dead-letter function:', error);
+
+    return new Response(
+      JSON.stringify({
+        success: false,
+        message: 'Internal server error',
+        error: error instanceof Error ? error.message : (error as any)?.message ?? 'Unknown error'
+      }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    );
+  }
+});
@@ -0,0 +1,112 @@
+// Validation des requêtes de la dead letter et paramètres des RPCs (sans import Deno : testé sous Node,
+// voir tests/dead-letter.test.js)
+
+// Classes d'erreur (ERROR_CLASSES dans utils/errors.js)
+export const ERROR_CLASSES = ['permanent', 'auth', 'transient', 'data', 'unknown', 'lease_reclaims_exceeded'];
+export const ACTIONS = ['groups', 'list', 'requeue', 'discard'];
+// Étapes de l'import, dans l'ordre (IMPORT_STEPS dans utils/constants.js)
+export const IMPORT_STEPS = ['scrape', 'promoters', 'venue', 'event', 'artists', 'genres'];
+
+export interface DeadLetterFilters {
+  error_class?: string;
+  failed_after?: string;
+  failed_before?: string;
+  promoter_id?: number;
+  error_signature?: string;
+  ids?: number[];
+}
+
+export interface DeadLetterRequest {
+  action?: string;
+  filters?: DeadLetterFilters;
+  all?: boolean;
+  reason?: string;
+  reset_retries?: boolean;
+  step?: string;
+  dry_run?: boolean;
+  limit?: number;
+}
+
+export interface DeadLetterRpc {
+  name: string;
+  params: Record<string, unknown>;
+}
+
+// Convertit les filtres en paramètres filter_* des RPCs (erreur de validation en string)
+export function buildFilterParams(filters: DeadLetterFilters, all: boolean): Record<string, unknown> | string {
+  const params: Record<string, unknown> = {};
+
+  if (filters.error_class !== undefined) {
+    if (!ERROR_CLASSES.includes(filters.error_class)) {
+      return `Invalid error_class. Expected one of: ${ERROR_CLASSES.join(', ')}`;
+    }
+    params.filter_error_class = filters.error_class;
+  }
+  for (const key of ['failed_after', 'failed_before'] as const) {
+    const value = filters[key];
+    if (value === undefined) continue;
+    if (Number.isNaN(new Date(value).getTime())) {
+      return `Invalid ${key}: ${value}`;
+    }
+    params[`filter_${key}`] = new Date(value).toISOString();
+  }
+  if (filters.promoter_id !== undefined) {
+    if (!Number.isInteger(filters.promoter_id)) return 'promoter_id must be an integer';
+    params.filter_promoter_id = filters.promoter_id;
+  }
+  if (filters.error_signature !== undefined) {
+    params.filter_error_signature = filters.error_signature;
+  }
+  if (filters.ids !== undefined) {
+    if (!Array.isArray(filters.ids) || filters.ids.length === 0 || !filters.ids.every(Number.isInteger)) {
+      return 'ids must be a non-empty array of integers';
+    }
+    params.filter_ids = filters.ids;
+  }
+
+  if (Object.keys(params).length === 0) {
+    if (!all) return 'At least one filter is required, or "all": true';
+    params.filter_failed_before = new Date().toISOString(); // Les RPCs exigent un filtre
+  }
+  return params;
+}
+
+// Valide une requête et construit l'appel RPC (erreur de validation en string)
+export function buildDeadLetterRpc(body: DeadLetterRequest): DeadLetterRpc | string {
+  const action = body.action ?? 'groups';
+  if (!ACTIONS.includes(action)) {
+    return `Invalid action. Expected one of: ${ACTIONS.join(', ')}`;
+  }
+  const bulk = action === 'requeue' || action === 'discard';
+  const params = buildFilterParams(body.filters ?? {}, !bulk || body.all === true);
+  if (typeof params === 'string') return params;
+
+  if (action === 'groups') return { name: 'get_dead_letter_groups', params };
+  if (action === 'list') return { name: 'find_dead_letters', params };
+
+  const dryRun = body.dry_run === true;
+  if (action === 'discard') {
+    if (body.step !== undefined) return 'step only applies to requeue';
+    if (!body.reason?.trim()) return 'A reason is required to discard events';
+    return { name: 'discard_dead_letters', params: { ...params, reason: body.reason.trim(), dry_run: dryRun } };
+  }
+
+  // Checkpoints effacés : ceux de "step" et des étapes suivantes, qui sont refaites (comme retry-event)
+  if (body.step !== undefined && !IMPORT_STEPS.includes(body.step)) {
+    return `Invalid step. Expected one of: ${IMPORT_STEPS.join(', ')}`;
+  }
+  return {
+    name: 'requeue_dead_letters',
+    params: {
+      ...params,
+      reset_retries: body.reset_retries !== false,
+      clear_steps: body.step ? IMPORT_STEPS.slice(IMPORT_STEPS.indexOf(body.step)) : [],
+      dry_run: dryRun
+    }
+  };
+}
+
+// Nombre d'événements listés par "list" (50 par défaut, 500 au plus)
+export function getListLimit(limit: number | undefined): number {
+  return Math.min(Math.max(limit ?? 50, 1), 500);
+}
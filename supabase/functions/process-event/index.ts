@@ -33,15 +33,16 @@ import { processSimpleEventArtists } from '../_shared/models/artist.ts';
 // Import du modèle timetable pour le traitement festival
 import timetableModel from '../_shared/models/timetable.ts';
 
-// Import de la détection festival (extractFestivalName)
-import { extractFestivalName } from '../_shared/utils/festival-detection.ts';
+// Import de la détection festival (scorer partagé, règles dans _shared/config/festival-rules.json)
+import { detectFestivalFromScrapedEvent, extractFestivalName } from '../_shared/utils/festival-detection.ts';
 
 // Import des modèles pour le traitement complet des venues et promoters
-import { createOrUpdateVenue, fetchAddressFromGoogle } from '../_shared/models/venue.ts';
+import { createOrUpdateVenue, fetchAddressFromGoogle, getEventVenueTimezone } from '../_shared/models/venue.ts';
 import { findOrInsertPromoter, assignPromoterGenres } from '../_shared/models/promoter.ts';
 
 // Import des utilitaires géo pour la validation haversine
 import { haversineDistance, fetchAddressFromNominatim } from '../_shared/utils/geo.ts';
+import { resolveVenueTimezone } from '../_shared/utils/timezone.ts';
 
 // Import du modèle genre pour l'assignement
 import { assignEventGenres } from '../_shared/models/genre.ts';
@@ -49,23 +50,9 @@ import { assignEventGenres } from '../_shared/models/genre.ts';
 // Import des utilitaires de noms
 import { normalizeNameEnhanced } from '../_shared/utils/name.ts';
 
-// Facebook scraper import
-import { scrapeFbEvent } from 'npm:facebook-event-scraper';
-
-// Constantes
-const FESTIVAL_KEYWORDS = ['festival', 'fest', 'open air', 'openair', 'gathering'];
-const MIN_FESTIVAL_DURATION_HOURS = 24;
-// Known festival names for detection (case-insensitive) — same list as local script + additions
-const KNOWN_FESTIVALS = [
-  'let it roll', 'tomorrowland', 'ultra', 'coachella', 'burning man',
-  'glastonbury', 'lollapalooza', 'bonnaroo', 'electric daisy carnival',
-  'edc', 'defqon', 'qlimax', 'mysteryland', 'awakenings', 'dour',
-  'rock werchter', 'pukkelpop', 'graspop', 'rampage', 'rampage open air',
-  'nature one', 'love parade', 'fusion', 'boom festival', 'ozora',
-  'psytrance', 'hadra', 'antaris', 'voov', 'garbicz', 'fusion festival',
-  'timewarp', 'time warp', 'sonar', 'movement', 'dekmantel', 'kappa futur',
-  'awakenings festival', 'dour festival', 'rampage weekend'
-];
+// Adaptateurs de sources d'événements (Facebook, RA, DICE, Shotgun, Eventbrite)
+import { getSourceAdapter, scrapeEvent } from '../_shared/sources/index.ts';
+
 // FUZZY_THRESHOLD is imported from _shared/utils/constants.ts (0.75) — no local override
 
 /**
@@ -100,77 +87,6 @@ const stringSimilarity = {
   }
 };
 
-/**
- * Détection festival (améliorée avec logging _shared/)
- */
-function detectFestival(eventData: any, options: { forceFestival?: boolean } = {}): {
-  isFestival: boolean;
-  confidence: number;
-  reasons: string[];
-  duration: { hours: number; days: number } | null;
-} {
-  if (options.forceFestival) {
-    return {
-      isFestival: true,
-      confidence: 100,
-      reasons: ['Force festival flag'],
-      duration: null
-    };
-  }
-
-  const reasons: string[] = [];
-  let confidence = 0;
-  let duration: { hours: number; days: number } | null = null;
-
-  // Calcul de la durée
-  if (eventData.startTimestamp && eventData.endTimestamp) {
-    const startMs = eventData.startTimestamp * 1000;
-    const endMs = eventData.endTimestamp * 1000;
-    const durationMs = endMs - startMs;
-    const hours = durationMs / (1000 * 60 * 60);
-    const days = Math.ceil(hours / 24);
-    
-    duration = { hours, days };
-    
-    if (hours > MIN_FESTIVAL_DURATION_HOURS) {
-      confidence += 60;
-      reasons.push(`Duration > ${MIN_FESTIVAL_DURATION_HOURS}h (${hours.toFixed(1)}h)`);
-    }
-  }
-
-  // Vérification des festivals connus par nom
-  const name = eventData.name?.toLowerCase() || '';
-  for (const knownName of KNOWN_FESTIVALS) {
-    if (name.includes(knownName)) {
-      confidence += 60;
-      reasons.push(`Known festival: "${knownName}"`);
-      break;
-    }
-  }
-
-  // Vérification des mots-clés festival génériques
-  if (confidence < 60) {
-    for (const keyword of FESTIVAL_KEYWORDS) {
-      if (name.includes(keyword.toLowerCase())) {
-        confidence += 30;
-        reasons.push(`Name contains "${keyword}"`);
-        break;
-      }
-    }
-  }
-
-  const isFestival = (duration && duration.hours > MIN_FESTIVAL_DURATION_HOURS) || confidence > 50;
-  
-  logger.info('Festival detection completed', {
-    isFestival,
-    confidence,
-    reasons,
-    duration
-  });
-  
-  return { isFestival, confidence, reasons, duration };
-}
-
 /**
  * Normalize name function (réplique de process-event)
  */
@@ -275,12 +191,12 @@ Deno.serve(async (req) => {
     } = requestBody;
     queueId = requestQueueId;
 
-    // Validation URL
-    let facebookEventUrl: string;
+    // Validation URL (eventId seul : événement Facebook)
+    let sourceEventUrl: string;
     if (eventUrl) {
-      facebookEventUrl = eventUrl;
+      sourceEventUrl = eventUrl;
     } else if (eventId) {
-      facebookEventUrl = `https://www.facebook.com/events/${eventId}`;
+      sourceEventUrl = `https://www.facebook.com/events/${eventId}`;
     } else {
       const error = 'Either eventId or eventUrl is required';
       await updateQueueStatus(supabase, queueId, 'error', undefined, 0, error);
@@ -290,8 +206,19 @@ Deno.serve(async (req) => {
       );
     }
 
+    const sourceAdapter = getSourceAdapter(sourceEventUrl);
+    if (!sourceAdapter) {
+      const error = `Unsupported event source URL: ${sourceEventUrl}`;
+      await updateQueueStatus(supabase, queueId, 'error', undefined, 0, error);
+      return new Response(
+        JSON.stringify({ error }),
+        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
     logger.info('Enhanced event processing started', { 
-      url: facebookEventUrl, 
+      url: sourceEventUrl, 
+      source: sourceAdapter.name,
       queueId, 
       skipArtists, 
       forceFestival 
@@ -307,12 +234,13 @@ Deno.serve(async (req) => {
       logger.info('Using provided event data', { eventName: providedEventData.name });
       eventData = providedEventData;
     } else {
-      logger.info('Scraping Facebook event', { url: facebookEventUrl });
+      logger.info(`Scraping ${sourceAdapter.name} event`, { url: sourceEventUrl });
       eventData = await withRetry(async () => {
-        return await scrapeFbEvent(facebookEventUrl);
+        return await scrapeEvent(sourceEventUrl);
       });
       logger.info(`Event scraped successfully: "${eventData.name}"`, { 
-        facebookId: eventData.id 
+        source: sourceAdapter.name,
+        sourceId: eventData.id 
       });
     }
 
@@ -335,7 +263,9 @@ Deno.serve(async (req) => {
     }
 
     // === DÉTECTION FESTIVAL ===
-    const festivalDetection = detectFestival(eventData, { forceFestival });
+    // Taille du lineup publié par la plateforme (règle lineup_size) ; inconnue sans lineup publié
+    const lineupSize = eventData.lineup?.length > 0 ? eventData.lineup.length : null;
+    const festivalDetection = detectFestivalFromScrapedEvent(eventData, { forceFestival, lineupSize });
 
     // === TRAITEMENT ÉVÉNEMENT (logique répliquée de process-event) ===
     const eventName = eventData.name || null;
@@ -387,7 +317,8 @@ Deno.serve(async (req) => {
       );
     }
 
-    const fbEventUrl = eventData.url || facebookEventUrl;
+    const sourceUrl = eventData.url || sourceEventUrl;
+    const urlMetadataKey = sourceAdapter.metadataKey;
 
     logger.info('Processing event data', {
       name: eventName,
@@ -397,12 +328,20 @@ Deno.serve(async (req) => {
       isFestival: festivalDetection.isFestival
     });
 
-    // Recherche événement existant
+    // Recherche événement existant : metadata.source_urls (URLs des doublons fusionnés incluses),
+    // puis la clé de la source pour les événements plus anciens
     let eventDbId = null;
-    const { data: eventsByUrl } = await supabase
+    const eventColumns = 'id, metadata, description, date_time, end_date_time, image_url';
+    let { data: eventsByUrl } = await supabase
       .from('events')
-      .select('id, metadata, description, date_time, end_date_time, image_url')
-      .ilike('metadata->>facebook_url', fbEventUrl);
+      .select(eventColumns)
+      .filter('metadata->source_urls', 'cs', JSON.stringify([sourceUrl]));
+    if (!eventsByUrl || eventsByUrl.length === 0) {
+      ({ data: eventsByUrl } = await supabase
+        .from('events')
+        .select(eventColumns)
+        .ilike(`metadata->>${urlMetadataKey}`, sourceUrl));
+    }
 
     if (eventsByUrl && eventsByUrl.length > 0) {
       eventDbId = eventsByUrl[0].id;
@@ -411,6 +350,8 @@ Deno.serve(async (req) => {
       // Vérifier les mises à jour
       const existing = eventsByUrl[0];
       const updates: any = {};
+      // Doublon fusionné dans un événement d'une autre source : l'événement conservé n'est pas modifié
+      const isMergedDuplicate = String(existing.metadata?.[urlMetadataKey] ?? '').toLowerCase() !== sourceUrl.toLowerCase();
       
       if (existing.description !== eventDescription) {
         updates.description = eventDescription;
@@ -434,7 +375,7 @@ Deno.serve(async (req) => {
         if (currentTicketLink !== eventData.ticketUrl) {
           const updatedMetadata = typeof existingMetadata === 'object'
             ? { ...existingMetadata, ticket_link: eventData.ticketUrl }
-            : { facebook_url: fbEventUrl, ticket_link: eventData.ticketUrl };
+            : { [urlMetadataKey]: sourceUrl, ticket_link: eventData.ticketUrl };
           updates.metadata = updatedMetadata;
           logger.info(`Ticket link updated for event ${eventDbId}`, {
             previous: currentTicketLink || '<none>',
@@ -459,7 +400,15 @@ Deno.serve(async (req) => {
         }
       }
 
-      if (Object.keys(updates).length > 0) {
+      // Événements importés avant source_urls
+      const currentMetadata = updates.metadata ?? existing.metadata ?? {};
+      if (typeof currentMetadata === 'object' && !(currentMetadata.source_urls ?? []).includes(sourceUrl)) {
+        updates.metadata = { ...currentMetadata, source_urls: [...(currentMetadata.source_urls ?? []), sourceUrl] };
+      }
+
+      if (isMergedDuplicate) {
+        logger.info(`${sourceUrl} was merged into event ${eventDbId}, not updating it`);
+      } else if (Object.keys(updates).length > 0) {
         await supabase.from('events').update(updates).eq('id', eventDbId);
         logger.info(`Event updated (id=${eventDbId})`, updates);
       }
@@ -467,7 +416,10 @@ Deno.serve(async (req) => {
       // Créer nouvel événement
       logger.info('Creating new event', { name: eventName, type: eventType });
       
-      const metadata: any = { facebook_url: fbEventUrl };
+      const metadata: any = { [urlMetadataKey]: sourceUrl, source_urls: [sourceUrl] };
+      if (sourceAdapter.name !== 'facebook') {
+        metadata.source = sourceAdapter.name;
+      }
       if (eventData.ticketUrl) {
         metadata.ticket_link = eventData.ticketUrl;
       }
@@ -532,16 +484,20 @@ Deno.serve(async (req) => {
           const festivalName = extractFestivalName(eventData.name);
           if (festivalName) {
             logger.info(`Searching Clashfinder for festival: "${festivalName}"`);
+            // L'année de début choisit l'édition : la plupart des noms d'événements n'ont pas d'année
+            const eventYear = eventData.startTimestamp
+              ? String(new Date(eventData.startTimestamp * 1000).getUTCFullYear())
+              : eventData.name.match(/\b(20\d{2})\b/)?.[1];
             try {
               const clashfinderResult = await timetableModel.getClashfinderTimetable(eventData.name, {
                 saveFile: false,
                 silent: true,
-                minSimilarity: 70
+                minSimilarity: 70,
+                eventYear: eventYear ? parseInt(eventYear) : null
               });
               logger.info(`Found Clashfinder data for: ${clashfinderResult.festival.name} (similarity: ${clashfinderResult.similarity}%)`);
 
               // Year validation
-              const eventYear = eventData.name.match(/\b(20\d{2})\b/)?.[1];
               const timetableId = clashfinderResult.festival.id;
               let timetableYear = timetableId.match(/\b(20\d{2})\b/)?.[1];
               if (!timetableYear && timetableId.match(/\w+(\d{2})$/)) {
@@ -558,11 +514,22 @@ Deno.serve(async (req) => {
                 logger.info(`Converted CSV to timetable: ${timetableData.length} performances`);
 
                 if (timetableData.length > 0) {
+                  // Les horaires Clashfinder sont en heure locale du lieu : fuseau déjà stocké
+                  // sur le venue de l'événement (ré-import), sinon celui du pays
+                  const venueTimezone = resolveVenueTimezone({
+                    timezone: await getEventVenueTimezone(eventDbId),
+                    country: eventData.location?.countryCode,
+                    longitude: eventData.location?.coordinates?.longitude ?? null
+                  });
+                  logger.info(`Timetable timezone: ${venueTimezone.timezone} (${venueTimezone.source})`);
+
                   // Process festival timetable
                   const festivalResult = await timetableModel.processFestivalTimetable(
                     eventDbId,
                     timetableData,
-                    clashfinderResult
+                    clashfinderResult,
+                    false,
+                    venueTimezone.timezone
                   );
                   totalArtists = festivalResult?.artistCount || 0;
                   logger.info(`Festival timetable processed: ${totalArtists} artists`, festivalResult);
@@ -582,15 +549,19 @@ Deno.serve(async (req) => {
         }
 
         // Simple event path (or festival fallback)
-        if (importStrategy !== 'festival' && eventDescription) {
+        // Les plateformes publiant un line-up structuré (RA, DICE...) l'ajoutent au texte analysé
+        const lineupText = eventData.lineup?.length > 0
+          ? `${eventDescription || ''}\n\nLine-up:\n${eventData.lineup.join('\n')}`.trim()
+          : eventDescription;
+        if (importStrategy !== 'festival' && lineupText) {
           logger.info('Processing artists with simple/OpenAI model', {
             strategy: importStrategy,
-            descriptionLength: eventDescription?.length
+            descriptionLength: lineupText.length
           });
-          const artistIds = await processSimpleEventArtists(eventDbId, eventDescription, false);
+          const artistIds = await processSimpleEventArtists(eventDbId, lineupText, false);
           totalArtists = artistIds.length;
           logger.info(`Artists processed successfully: ${totalArtists} artists`, { artistIds });
-        } else if (!eventDescription && importStrategy !== 'festival') {
+        } else if (!lineupText && importStrategy !== 'festival') {
           logger.warn('No event description available for artist extraction');
         }
       } catch (artistError: any) {
@@ -654,17 +625,18 @@ Deno.serve(async (req) => {
           locationName: eventData.location.name,
           hasAddress: !!eventData.location.address,
           city: eventData.location.city,
-          country: eventData.location.country
+          country: eventData.location.country ?? eventData.location.countryCode
         });
         
         // DEBUG: Log exact venue data being passed
         // Facebook returns city/country as objects {id, name}, extract .name
+        // (the other sources only give a country code)
         const cityStr = typeof eventData.location.city === 'object' 
           ? eventData.location.city?.name 
           : eventData.location.city;
-        const countryStr = typeof eventData.location.country === 'object'
+        const countryStr = (typeof eventData.location.country === 'object'
           ? eventData.location.country?.name
-          : eventData.location.country;
+          : eventData.location.country) ?? eventData.location.countryCode;
           
         // === GOOGLE MAPS ADDRESS PRE-FILL (like local script) ===
         const venueName = eventData.location.name || 'Unknown Venue';
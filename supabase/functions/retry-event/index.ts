@@ -17,11 +17,26 @@ import { corsHeaders } from '../_shared/cors.ts';
  *   Body: {
  *     "facebook_url": "https://www.facebook.com/events/123456789"
  *   }
+ *
+ *   Le retry reprend à la première étape non terminée (checkpoints). Pour refaire une étape
+ *   précise et les suivantes, ajouter "step" (scrape, promoters, venue, event, artists, genres) :
+ *
+ *   POST /functions/v1/retry-event
+ *   Body: {
+ *     "event_id": 123,
+ *     "step": "artists"
+ *   }
+ *
+ *   Un événement en attente d'un retry planifié (next_retry_at) est relancé immédiatement.
  */
 
+// Étapes de l'import, dans l'ordre (IMPORT_STEPS dans utils/constants.js)
+const IMPORT_STEPS = ['scrape', 'promoters', 'venue', 'event', 'artists', 'genres'];
+
 interface RetryEventRequest {
   event_id?: number;
   facebook_url?: string;
+  step?: string;
 }
 
 interface RetryEventResponse {
@@ -31,6 +46,7 @@ interface RetryEventResponse {
     id: number;
     status: string;
     retry_count: number;
+    resume_from_step: string | null;
   };
 }
 
@@ -79,10 +95,23 @@ Deno.serve(async (req: Request) => {
       );
     }
     
+    if (body.step !== undefined && !IMPORT_STEPS.includes(body.step)) {
+      return new Response(
+        JSON.stringify({
+          success: false,
+          message: `Invalid step. Expected one of: ${IMPORT_STEPS.join(', ')}`
+        }),
+        { 
+          status: 400, 
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      );
+    }
+    
     // Trouver l'événement
     let query = supabase
       .from('facebook_events_imports')
-      .select('id, status, retry_count, max_retries, facebook_url');
+      .select('id, status, retry_count, max_retries, facebook_url, checkpoints, next_retry_at');
     
     if (body.event_id) {
       query = query.eq('id', body.event_id);
@@ -108,8 +137,10 @@ Deno.serve(async (req: Request) => {
       throw findError;
     }
     
-    // Vérifier si l'événement peut être réinitialisé
-    if (eventData.status === 'pending' || eventData.status === 'processing') {
+    // Vérifier si l'événement peut être réinitialisé (un retry planifié peut être avancé)
+    const retryScheduled = eventData.status === 'pending' && eventData.next_retry_at &&
+      new Date(eventData.next_retry_at).getTime() > Date.now();
+    if ((eventData.status === 'pending' && !retryScheduled) || eventData.status === 'processing') {
       return new Response(
         JSON.stringify({
           success: false,
@@ -135,11 +166,22 @@ Deno.serve(async (req: Request) => {
       );
     }
     
+    // Checkpoints conservés : ceux des étapes avant "step" (toutes sans "step")
+    const checkpoints: Record<string, unknown> = { ...(eventData.checkpoints ?? {}) };
+    if (body.step) {
+      for (const step of IMPORT_STEPS.slice(IMPORT_STEPS.indexOf(body.step))) {
+        delete checkpoints[step];
+      }
+    }
+    const resumeFromStep = IMPORT_STEPS.find(step => !(step in checkpoints)) ?? null;
+    
     // Réinitialiser l'événement
     const { data: updated, error: updateError } = await supabase
       .from('facebook_events_imports')
       .update({
         status: 'pending',
+        checkpoints,
+        next_retry_at: null,
         error_message: null,
         error_details: null,
         started_processing_at: null,
@@ -154,11 +196,14 @@ Deno.serve(async (req: Request) => {
     
     const response: RetryEventResponse = {
       success: true,
-      message: 'Event reset for retry successfully',
+      message: resumeFromStep
+        ? `Event reset for retry successfully, resuming from step "${resumeFromStep}"`
+        : 'Event reset for retry successfully',
       data: {
         id: updated.id,
         status: updated.status,
-        retry_count: updated.retry_count
+        retry_count: updated.retry_count,
+        resume_from_step: resumeFromStep
       }
     };
     
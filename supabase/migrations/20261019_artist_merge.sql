@@ -0,0 +1,89 @@
+-- Duplicate artist merges (scripts/merge_artists.js) run in one transaction: link rows are repointed
+-- to the survivor, the duplicates deleted and the survivor updated.
+-- The link rows moved or deleted are returned so that the undo log can restore them.
+
+-- Repoints the rows of a link table from the duplicates to the survivor. A row whose other key is
+-- already linked to the survivor (or to another duplicate) is deleted instead: one row per other key
+-- is kept, the survivor's first, then the lowest entity id.
+-- Returns { "moved": [rows before the update], "deleted": [rows] }.
+CREATE OR REPLACE FUNCTION merge_entity_links(
+  link_table TEXT,
+  entity_column TEXT,
+  other_column TEXT,
+  survivor_id BIGINT,
+  duplicate_ids BIGINT[]
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  deleted_rows JSONB;
+  moved_rows JSONB;
+BEGIN
+  EXECUTE format(
+    'WITH ranked AS (
+       SELECT ctid AS row_ctid,
+              row_number() OVER (PARTITION BY %2$I ORDER BY (%1$I = $1) DESC, %1$I) AS row_rank
+       FROM %3$I
+       WHERE %1$I = $1 OR %1$I = ANY($2)
+     ), removed AS (
+       DELETE FROM %3$I AS t
+       USING ranked
+       WHERE t.ctid = ranked.row_ctid AND ranked.row_rank > 1
+       RETURNING t.*
+     )
+     SELECT COALESCE(jsonb_agg(to_jsonb(removed)), ''[]''::jsonb) FROM removed',
+    entity_column, other_column, link_table
+  ) INTO deleted_rows USING survivor_id, duplicate_ids;
+
+  EXECUTE format(
+    'SELECT COALESCE(jsonb_agg(to_jsonb(t)), ''[]''::jsonb) FROM %2$I AS t WHERE %1$I = ANY($1)',
+    entity_column, link_table
+  ) INTO moved_rows USING duplicate_ids;
+
+  EXECUTE format('UPDATE %2$I SET %1$I = $1 WHERE %1$I = ANY($2)', entity_column, link_table)
+    USING survivor_id, duplicate_ids;
+
+  RETURN jsonb_build_object('moved', moved_rows, 'deleted', deleted_rows);
+END;
+$$;
+
+-- Link tables: same list as ARTIST_LINK_TABLES in models/artist.js
+-- event_artist_updates: [{ id, after }] computed by planArtistMerge (artist_id arrays, type of the column kept)
+CREATE OR REPLACE FUNCTION merge_artists(
+  survivor_id BIGINT,
+  duplicate_ids BIGINT[],
+  survivor_name TEXT,
+  survivor_external_links JSONB,
+  event_artist_updates JSONB DEFAULT '[]'::jsonb
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  links JSONB := '{}'::jsonb;
+BEGIN
+  UPDATE event_artist AS ea
+  SET artist_id = (jsonb_populate_record(NULL::event_artist, jsonb_build_object('artist_id', u.value->'after'))).artist_id
+  FROM jsonb_array_elements(merge_artists.event_artist_updates) AS u
+  WHERE ea.id = (u.value->>'id')::BIGINT;
+
+  links := links
+    || jsonb_build_object('artist_genre', merge_entity_links('artist_genre', 'artist_id', 'genre_id', merge_artists.survivor_id, merge_artists.duplicate_ids))
+    || jsonb_build_object('user_follow_artist', merge_entity_links('user_follow_artist', 'artist_id', 'user_id', merge_artists.survivor_id, merge_artists.duplicate_ids))
+    || jsonb_build_object('promoter_resident_artists', merge_entity_links('promoter_resident_artists', 'artist_id', 'promoter_id', merge_artists.survivor_id, merge_artists.duplicate_ids))
+    || jsonb_build_object('venue_resident_artists', merge_entity_links('venue_resident_artists', 'artist_id', 'venue_id', merge_artists.survivor_id, merge_artists.duplicate_ids));
+
+  -- Duplicates are deleted before the rename so a unique constraint on name cannot fail
+  DELETE FROM artists WHERE id = ANY(merge_artists.duplicate_ids);
+
+  UPDATE artists
+  SET name = merge_artists.survivor_name,
+      external_links = merge_artists.survivor_external_links
+  WHERE id = merge_artists.survivor_id;
+
+  RETURN links;
+END;
+$$;
+
+COMMENT ON FUNCTION merge_artists(BIGINT, BIGINT[], TEXT, JSONB, JSONB) IS 'Merges duplicate artists into a survivor; returns the link rows moved or deleted';
@@ -0,0 +1,25 @@
+-- Claims up to batch_size pending imports at once for the server worker pool (server/server.js).
+-- Rows are locked with SKIP LOCKED, so concurrent workers or servers never claim the same import.
+
+CREATE OR REPLACE FUNCTION claim_events_for_processing(batch_size INTEGER DEFAULT 1)
+RETURNS SETOF facebook_events_imports
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE facebook_events_imports AS q
+  SET status = 'processing',
+      processing_started_at = NOW()
+  WHERE q.id IN (
+    SELECT id
+    FROM facebook_events_imports
+    WHERE status = 'pending'
+    ORDER BY priority ASC, created_at ASC -- Same order as the queue position reported by add-event
+    LIMIT GREATEST(batch_size, 0)
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING q.*;
+END;
+$$;
+
+COMMENT ON FUNCTION claim_events_for_processing(INTEGER) IS 'Atomically marks up to batch_size pending imports as processing and returns them';
@@ -0,0 +1,5 @@
+-- Record where each event_artist link was found (event description, flyer image, timetable...)
+
+ALTER TABLE event_artist ADD COLUMN IF NOT EXISTS source TEXT;
+
+COMMENT ON COLUMN event_artist.source IS 'Provenance of the lineup entry: description, flyer or description+flyer';
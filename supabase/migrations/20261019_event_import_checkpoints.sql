@@ -0,0 +1,37 @@
+-- Step checkpoints of the import pipeline (IMPORT_STEPS in utils/constants.js: scrape, promoters,
+-- venue, event, artists, genres). Each completed step stores its output on the import, so that a
+-- retry resumes from the first incomplete step instead of redoing the geocoding, Graph and SoundCloud calls.
+
+ALTER TABLE facebook_events_imports ADD COLUMN IF NOT EXISTS checkpoints JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN facebook_events_imports.checkpoints IS 'Completed import steps: step → { output, completed_at }. retry-event can clear them from a given step';
+
+-- Saves the checkpoint of a step and drops the checkpoints of the later steps (computed from older data).
+-- With a worker_id, only the worker holding the lease may write; returns false when the lease was lost.
+CREATE OR REPLACE FUNCTION save_import_checkpoint(
+  event_id BIGINT,
+  step TEXT,
+  output JSONB,
+  later_steps TEXT[] DEFAULT '{}',
+  worker_id TEXT DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE facebook_events_imports
+  -- Parameters are qualified: the table may have columns of the same name
+  SET checkpoints = (COALESCE(checkpoints, '{}'::jsonb) - save_import_checkpoint.later_steps)
+        || jsonb_build_object(
+             save_import_checkpoint.step,
+             jsonb_build_object('output', save_import_checkpoint.output, 'completed_at', NOW())
+           ),
+      updated_at = NOW()
+  WHERE id = save_import_checkpoint.event_id
+    AND status = 'processing'
+    AND (save_import_checkpoint.worker_id IS NULL OR locked_by = save_import_checkpoint.worker_id);
+  RETURN FOUND;
+END;
+$$;
+
+COMMENT ON FUNCTION save_import_checkpoint(BIGINT, TEXT, JSONB, TEXT[], TEXT) IS 'Checkpoints a completed import step; false when worker_id no longer holds the import';
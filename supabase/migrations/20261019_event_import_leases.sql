@@ -0,0 +1,104 @@
+-- Job leases for the server worker pool: a worker claims an import for a limited time and extends
+-- the lease with heartbeats while it runs. When a worker dies, its lease expires and another worker
+-- reclaims the import, so several servers can run side by side without processing an import twice.
+-- An import that keeps killing its worker is dead-lettered (error class lease_reclaims_exceeded) after
+-- max_lease_reclaims takeovers instead of looping across every server.
+
+ALTER TABLE facebook_events_imports ADD COLUMN IF NOT EXISTS locked_by TEXT;
+ALTER TABLE facebook_events_imports ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+ALTER TABLE facebook_events_imports ADD COLUMN IF NOT EXISTS lease_reclaims INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE facebook_events_imports ADD COLUMN IF NOT EXISTS failed_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN facebook_events_imports.locked_by IS 'Worker holding the import while it is processing (hostname-pid-suffix)';
+COMMENT ON COLUMN facebook_events_imports.lease_expires_at IS 'The import can be reclaimed by another worker after this time';
+COMMENT ON COLUMN facebook_events_imports.lease_reclaims IS 'Times the import was reclaimed after its worker stopped sending heartbeats (dead-lettered past max_lease_reclaims)';
+COMMENT ON COLUMN facebook_events_imports.failed_at IS 'When the import was dead-lettered (updated_at moves with any later update of the row)';
+
+CREATE INDEX IF NOT EXISTS idx_facebook_events_imports_lease
+  ON facebook_events_imports(lease_expires_at)
+  WHERE status = 'processing';
+
+-- Replaces the lease-less version of 20261019_claim_events_for_processing.sql
+DROP FUNCTION IF EXISTS claim_events_for_processing(INTEGER);
+DROP FUNCTION IF EXISTS claim_events_for_processing(INTEGER, TEXT, INTEGER);
+
+CREATE OR REPLACE FUNCTION claim_events_for_processing(
+  batch_size INTEGER DEFAULT 1,
+  worker_id TEXT DEFAULT NULL,
+  lease_seconds INTEGER DEFAULT 300,
+  max_lease_reclaims INTEGER DEFAULT 3,
+  stale_seconds INTEGER DEFAULT 3600
+)
+RETURNS SETOF facebook_events_imports
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  -- An import whose worker keeps dying (out of memory, crash in a scraper) is not reclaimed forever:
+  -- once it was reclaimed max_lease_reclaims times, its next expired lease dead-letters it
+  UPDATE facebook_events_imports AS q
+  SET status = 'failed',
+      error_message = format('Worker stopped %s times while processing the import (lease expired without heartbeat)', q.lease_reclaims + 1),
+      error_details = jsonb_build_object(
+        'error_class', 'lease_reclaims_exceeded',
+        'error_reason', 'lease_reclaims_exceeded',
+        'dead_letter', true,
+        'lease_reclaims', q.lease_reclaims,
+        'locked_by', q.locked_by
+      ),
+      locked_by = NULL,
+      lease_expires_at = NULL,
+      failed_at = NOW(),
+      updated_at = NOW()
+  WHERE q.status = 'processing'
+    AND q.lease_reclaims >= claim_events_for_processing.max_lease_reclaims
+    AND (q.lease_expires_at < NOW()
+      OR (q.lease_expires_at IS NULL
+        AND COALESCE(q.processing_started_at, q.updated_at) < NOW() - make_interval(secs => claim_events_for_processing.stale_seconds)));
+
+  RETURN QUERY
+  UPDATE facebook_events_imports AS q
+  SET status = 'processing',
+      processing_started_at = NOW(),
+      locked_by = claim_events_for_processing.worker_id,
+      lease_expires_at = NOW() + make_interval(secs => claim_events_for_processing.lease_seconds),
+      lease_reclaims = q.lease_reclaims + CASE WHEN q.status = 'processing' THEN 1 ELSE 0 END
+  WHERE q.id IN (
+    SELECT id
+    FROM facebook_events_imports
+    WHERE status = 'pending'
+       OR (status = 'processing' AND lease_expires_at < NOW()) -- Worker died: lease expired
+       -- Claimed without lease (get_next_event_for_processing, or before the leases): stuck after stale_seconds
+       OR (status = 'processing' AND lease_expires_at IS NULL
+         AND COALESCE(processing_started_at, updated_at) < NOW() - make_interval(secs => claim_events_for_processing.stale_seconds))
+    ORDER BY priority ASC, created_at ASC -- Same order as the queue position reported by add-event
+    LIMIT GREATEST(claim_events_for_processing.batch_size, 0)
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING q.*;
+END;
+$$;
+
+COMMENT ON FUNCTION claim_events_for_processing(INTEGER, TEXT, INTEGER, INTEGER, INTEGER) IS 'Atomically leases up to batch_size pending (or expired) imports to worker_id and returns them; dead-letters the imports reclaimed more than max_lease_reclaims times';
+
+-- Heartbeat: extends the lease while the worker still holds it. Returns false when the lease was lost
+-- (reclaimed by another worker, or the import is no longer processing).
+CREATE OR REPLACE FUNCTION extend_event_lease(
+  event_id BIGINT,
+  worker_id TEXT,
+  lease_seconds INTEGER DEFAULT 300
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE facebook_events_imports
+  -- Parameters are qualified: the table may have columns of the same name
+  SET lease_expires_at = NOW() + make_interval(secs => extend_event_lease.lease_seconds)
+  WHERE id = extend_event_lease.event_id
+    AND locked_by = extend_event_lease.worker_id
+    AND status = 'processing';
+  RETURN FOUND;
+END;
+$$;
+
+COMMENT ON FUNCTION extend_event_lease(BIGINT, TEXT, INTEGER) IS 'Extends the lease of an import held by worker_id; false when the lease was lost';
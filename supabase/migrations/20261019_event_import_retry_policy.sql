@@ -0,0 +1,106 @@
+-- Retry policy per error class (utils/errors.js): the server classifies a failed import and either
+-- schedules a retry after a backoff (status back to pending with next_retry_at) or dead-letters it
+-- (status failed). The class and the decision are recorded in error_details.
+
+ALTER TABLE facebook_events_imports ADD COLUMN IF NOT EXISTS next_retry_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN facebook_events_imports.next_retry_at IS 'A pending import scheduled for retry is not claimed before this time';
+
+CREATE INDEX IF NOT EXISTS idx_facebook_events_imports_next_retry
+  ON facebook_events_imports(next_retry_at)
+  WHERE status = 'pending';
+
+-- Records a failed attempt. dead_letter: leave the import failed (failed_at set); otherwise requeue it in retry_delay_seconds.
+-- With a worker_id, only the worker holding the lease may record it; returns false when the lease was lost.
+CREATE OR REPLACE FUNCTION fail_event_import(
+  event_id BIGINT,
+  error_message TEXT,
+  error_details_json JSONB,
+  dead_letter BOOLEAN,
+  retry_delay_seconds INTEGER DEFAULT NULL,
+  worker_id TEXT DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE facebook_events_imports
+  -- Parameters are qualified: the table has columns of the same name
+  SET status = CASE WHEN fail_event_import.dead_letter THEN 'failed' ELSE 'pending' END,
+      retry_count = retry_count + 1,
+      error_message = fail_event_import.error_message,
+      error_details = fail_event_import.error_details_json,
+      next_retry_at = CASE
+        WHEN fail_event_import.dead_letter THEN NULL
+        ELSE NOW() + make_interval(secs => COALESCE(fail_event_import.retry_delay_seconds, 0))
+      END,
+      locked_by = NULL,
+      lease_expires_at = NULL,
+      failed_at = CASE WHEN fail_event_import.dead_letter THEN NOW() ELSE NULL END,
+      updated_at = NOW()
+  WHERE id = fail_event_import.event_id
+    AND status = 'processing'
+    AND (fail_event_import.worker_id IS NULL OR locked_by = fail_event_import.worker_id);
+  RETURN FOUND;
+END;
+$$;
+
+COMMENT ON FUNCTION fail_event_import(BIGINT, TEXT, JSONB, BOOLEAN, INTEGER, TEXT) IS 'Records a failed import attempt: schedules its retry or dead-letters it';
+
+-- Same as 20261019_event_import_leases.sql, but pending imports wait for their next_retry_at
+CREATE OR REPLACE FUNCTION claim_events_for_processing(
+  batch_size INTEGER DEFAULT 1,
+  worker_id TEXT DEFAULT NULL,
+  lease_seconds INTEGER DEFAULT 300,
+  max_lease_reclaims INTEGER DEFAULT 3,
+  stale_seconds INTEGER DEFAULT 3600
+)
+RETURNS SETOF facebook_events_imports
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  -- An import whose worker keeps dying (out of memory, crash in a scraper) is not reclaimed forever:
+  -- once it was reclaimed max_lease_reclaims times, its next expired lease dead-letters it
+  UPDATE facebook_events_imports AS q
+  SET status = 'failed',
+      error_message = format('Worker stopped %s times while processing the import (lease expired without heartbeat)', q.lease_reclaims + 1),
+      error_details = jsonb_build_object(
+        'error_class', 'lease_reclaims_exceeded',
+        'error_reason', 'lease_reclaims_exceeded',
+        'dead_letter', true,
+        'lease_reclaims', q.lease_reclaims,
+        'locked_by', q.locked_by
+      ),
+      locked_by = NULL,
+      lease_expires_at = NULL,
+      failed_at = NOW(),
+      updated_at = NOW()
+  WHERE q.status = 'processing'
+    AND q.lease_reclaims >= claim_events_for_processing.max_lease_reclaims
+    AND (q.lease_expires_at < NOW()
+      OR (q.lease_expires_at IS NULL
+        AND COALESCE(q.processing_started_at, q.updated_at) < NOW() - make_interval(secs => claim_events_for_processing.stale_seconds)));
+
+  RETURN QUERY
+  UPDATE facebook_events_imports AS q
+  SET status = 'processing',
+      processing_started_at = NOW(),
+      locked_by = claim_events_for_processing.worker_id,
+      lease_expires_at = NOW() + make_interval(secs => claim_events_for_processing.lease_seconds),
+      lease_reclaims = q.lease_reclaims + CASE WHEN q.status = 'processing' THEN 1 ELSE 0 END,
+      next_retry_at = NULL
+  WHERE q.id IN (
+    SELECT id
+    FROM facebook_events_imports
+    WHERE (status = 'pending' AND (next_retry_at IS NULL OR next_retry_at <= NOW()))
+       OR (status = 'processing' AND lease_expires_at < NOW()) -- Worker died: lease expired
+       -- Claimed without lease (get_next_event_for_processing, or before the leases): stuck after stale_seconds
+       OR (status = 'processing' AND lease_expires_at IS NULL
+         AND COALESCE(processing_started_at, updated_at) < NOW() - make_interval(secs => claim_events_for_processing.stale_seconds))
+    ORDER BY priority ASC, created_at ASC -- Same order as the queue position reported by add-event
+    LIMIT GREATEST(claim_events_for_processing.batch_size, 0)
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING q.*;
+END;
+$$;
@@ -0,0 +1,13 @@
+-- Festival days materialized as child events of the festival (see materializeFestivalDays in models/event.js)
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS parent_event_id BIGINT;
+
+-- SET NULL, not CASCADE: day events may carry tickets and are never deleted with their festival.
+-- The constraint is recreated so that a column added before this migration gets the same rule.
+ALTER TABLE events DROP CONSTRAINT IF EXISTS events_parent_event_id_fkey;
+ALTER TABLE events ADD CONSTRAINT events_parent_event_id_fkey
+    FOREIGN KEY (parent_event_id) REFERENCES events(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_events_parent_event_id ON events(parent_event_id);
+
+COMMENT ON COLUMN events.parent_event_id IS 'Festival this event is a day of; the day is described in metadata.festival_day (index, name, start, end)';
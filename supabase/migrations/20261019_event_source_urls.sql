@@ -0,0 +1,32 @@
+-- metadata.source_urls lists the source URLs of an event: its own and those of the duplicates merged
+-- into it (mergeEventMetadata in models/event.js). The import looks events up by URL in this array,
+-- so that re-importing a merged duplicate finds the kept event instead of running the deduplication again.
+
+-- Backfill: source URL key of the event and of its merged duplicates
+WITH source_urls AS (
+  SELECT e.id, kv.value AS url
+  FROM events e, jsonb_each_text(e.metadata) AS kv
+  WHERE jsonb_typeof(e.metadata) = 'object'
+    AND kv.key IN ('facebook_url', 'resident_advisor_url', 'dice_url', 'shotgun_url', 'eventbrite_url')
+  UNION
+  SELECT e.id, kv.value
+  FROM events e,
+       jsonb_array_elements(e.metadata->'merged_sources') AS merged,
+       jsonb_each_text(merged->'metadata') AS kv
+  WHERE jsonb_typeof(e.metadata->'merged_sources') = 'array'
+    AND jsonb_typeof(merged->'metadata') = 'object'
+    AND kv.key IN ('facebook_url', 'resident_advisor_url', 'dice_url', 'shotgun_url', 'eventbrite_url')
+)
+UPDATE events e
+SET metadata = jsonb_set(e.metadata, '{source_urls}', urls.list)
+FROM (
+  SELECT id, jsonb_agg(DISTINCT url) AS list
+  FROM source_urls
+  WHERE url <> ''
+  GROUP BY id
+) AS urls
+WHERE e.id = urls.id;
+
+-- Containment lookups: metadata->'source_urls' @> '["<url>"]'
+CREATE INDEX IF NOT EXISTS idx_events_source_urls
+  ON events USING GIN ((metadata->'source_urls') jsonb_path_ops);
@@ -0,0 +1,232 @@
+-- Dead-letter tooling for the import queue: failed imports (retries exhausted or dead-lettered by
+-- their error class, see 20261019_event_import_retry_policy.sql) are listed, grouped by error signature,
+-- and requeued or discarded in bulk by filter. Used by scripts/dead_letter.js and the dead-letter Edge Function.
+
+ALTER TABLE facebook_events_imports ADD COLUMN IF NOT EXISTS discarded_at TIMESTAMPTZ;
+ALTER TABLE facebook_events_imports ADD COLUMN IF NOT EXISTS discard_reason TEXT;
+ALTER TABLE facebook_events_imports ADD COLUMN IF NOT EXISTS last_dead_letter JSONB;
+
+COMMENT ON COLUMN facebook_events_imports.discarded_at IS 'Failed import discarded from the dead letter (no longer listed nor requeued)';
+COMMENT ON COLUMN facebook_events_imports.discard_reason IS 'Why the failed import was discarded';
+COMMENT ON COLUMN facebook_events_imports.last_dead_letter IS 'Failure of the import when it was last requeued from the dead letter: error_message, error_details, failed_at, requeued_at, cleared_steps';
+
+-- Error message without its variable parts (URLs, quoted values, IDs), so that the same failure groups together.
+-- Numbers of up to 3 digits are kept: HTTP statuses tell failures apart.
+CREATE OR REPLACE FUNCTION import_error_signature(message TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT left(trim(
+    regexp_replace(
+      regexp_replace(
+        regexp_replace(
+          regexp_replace(lower(COALESCE(message, '')), 'https?://\S+', '<url>', 'g'),
+          '"[^"]*"|''[^'']*''', '<value>', 'g'),
+        '\d{4,}', '<id>', 'g'),
+      '\s+', ' ', 'g')
+  ), 200);
+$$;
+
+-- Failed imports not discarded, with their error class (recorded by fail_event_import), error signature
+-- and promoters (promoter scraper metadata and the promoters checkpoint)
+CREATE OR REPLACE VIEW facebook_events_imports_dead_letter AS
+SELECT
+  q.id,
+  q.facebook_url,
+  q.error_message,
+  COALESCE(q.error_details->>'error_class', 'unknown') AS error_class,
+  import_error_signature(q.error_message) AS error_signature,
+  q.retry_count,
+  q.max_retries,
+  q.priority,
+  q.created_at,
+  COALESCE(q.failed_at, q.updated_at) AS failed_at, -- updated_at: failed before failed_at was recorded
+  ARRAY(
+    SELECT DISTINCT promoter::BIGINT
+    FROM unnest(
+      ARRAY[q.metadata->>'promoter_id'] || ARRAY(
+        SELECT info->>'id'
+        FROM jsonb_array_elements(
+          CASE WHEN jsonb_typeof(q.checkpoints #> '{promoters,output,promoterInfos}') = 'array'
+            THEN q.checkpoints #> '{promoters,output,promoterInfos}'
+            ELSE '[]'::jsonb
+          END
+        ) AS info
+      )
+    ) AS promoter
+    WHERE promoter ~ '^\d+$'
+  ) AS promoter_ids,
+  q.metadata
+FROM facebook_events_imports q
+WHERE q.status = 'failed'
+  AND q.discarded_at IS NULL;
+
+COMMENT ON VIEW facebook_events_imports_dead_letter IS 'Failed imports awaiting a requeue or a discard';
+
+-- Dead letters matching every given filter (NULL: no filter). At least one filter is required,
+-- pass filter_failed_before => NOW() to match them all.
+CREATE OR REPLACE FUNCTION find_dead_letters(
+  filter_error_class TEXT DEFAULT NULL,
+  filter_failed_after TIMESTAMPTZ DEFAULT NULL,
+  filter_failed_before TIMESTAMPTZ DEFAULT NULL,
+  filter_promoter_id BIGINT DEFAULT NULL,
+  filter_error_signature TEXT DEFAULT NULL,
+  filter_ids BIGINT[] DEFAULT NULL
+)
+RETURNS SETOF facebook_events_imports_dead_letter
+LANGUAGE plpgsql
+STABLE
+AS $$
+BEGIN
+  IF filter_error_class IS NULL AND filter_failed_after IS NULL AND filter_failed_before IS NULL
+     AND filter_promoter_id IS NULL AND filter_error_signature IS NULL AND filter_ids IS NULL THEN
+    RAISE EXCEPTION 'At least one dead-letter filter is required';
+  END IF;
+
+  RETURN QUERY
+  SELECT d.*
+  FROM facebook_events_imports_dead_letter d
+  WHERE (filter_error_class IS NULL OR d.error_class = filter_error_class)
+    AND (filter_failed_after IS NULL OR d.failed_at >= filter_failed_after)
+    AND (filter_failed_before IS NULL OR d.failed_at < filter_failed_before)
+    AND (filter_promoter_id IS NULL OR filter_promoter_id = ANY(d.promoter_ids))
+    AND (filter_error_signature IS NULL OR d.error_signature = filter_error_signature)
+    AND (filter_ids IS NULL OR d.id = ANY(filter_ids))
+  ORDER BY d.failed_at DESC;
+END;
+$$;
+
+-- Dead letters grouped by error class and signature, largest groups first
+CREATE OR REPLACE FUNCTION get_dead_letter_groups(
+  filter_error_class TEXT DEFAULT NULL,
+  filter_failed_after TIMESTAMPTZ DEFAULT NULL,
+  filter_failed_before TIMESTAMPTZ DEFAULT NULL,
+  filter_promoter_id BIGINT DEFAULT NULL,
+  filter_error_signature TEXT DEFAULT NULL,
+  filter_ids BIGINT[] DEFAULT NULL
+)
+RETURNS TABLE (
+  error_class TEXT,
+  error_signature TEXT,
+  event_count BIGINT,
+  first_failed_at TIMESTAMPTZ,
+  last_failed_at TIMESTAMPTZ,
+  sample_error TEXT,
+  event_ids BIGINT[]
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    d.error_class,
+    d.error_signature,
+    COUNT(*),
+    MIN(d.failed_at),
+    MAX(d.failed_at),
+    (array_agg(d.error_message ORDER BY d.failed_at DESC))[1],
+    (array_agg(d.id ORDER BY d.failed_at DESC))[1:20] -- Most recent ones only
+  FROM find_dead_letters(filter_error_class, filter_failed_after, filter_failed_before,
+                         filter_promoter_id, filter_error_signature, filter_ids) d
+  GROUP BY d.error_class, d.error_signature
+  ORDER BY COUNT(*) DESC, MAX(d.failed_at) DESC;
+$$;
+
+-- Puts the matching dead letters back in the queue. The failure moves to last_dead_letter. Checkpoints are
+-- kept (the import resumes where it stopped), except those of clear_steps: a step whose output led to the
+-- failure (bad scraped data) runs again, as with the step of retry-event. The caller lists the step and
+-- the ones after it (IMPORT_STEPS in utils/constants.js).
+-- Returns the requeued IDs; with dry_run, the IDs that would be requeued.
+DROP FUNCTION IF EXISTS requeue_dead_letters(TEXT, TIMESTAMPTZ, TIMESTAMPTZ, BIGINT, TEXT, BIGINT[], BOOLEAN, BOOLEAN); -- Without clear_steps
+
+CREATE OR REPLACE FUNCTION requeue_dead_letters(
+  filter_error_class TEXT DEFAULT NULL,
+  filter_failed_after TIMESTAMPTZ DEFAULT NULL,
+  filter_failed_before TIMESTAMPTZ DEFAULT NULL,
+  filter_promoter_id BIGINT DEFAULT NULL,
+  filter_error_signature TEXT DEFAULT NULL,
+  filter_ids BIGINT[] DEFAULT NULL,
+  reset_retries BOOLEAN DEFAULT TRUE,
+  dry_run BOOLEAN DEFAULT FALSE,
+  clear_steps TEXT[] DEFAULT '{}'
+)
+RETURNS SETOF BIGINT
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF dry_run THEN
+    RETURN QUERY
+    SELECT d.id FROM find_dead_letters(filter_error_class, filter_failed_after, filter_failed_before,
+                                       filter_promoter_id, filter_error_signature, filter_ids) d;
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  UPDATE facebook_events_imports AS q
+  SET status = 'pending',
+      retry_count = CASE WHEN reset_retries THEN 0 ELSE q.retry_count END,
+      lease_reclaims = 0, -- Otherwise a lease_reclaims_exceeded import is dead-lettered on its next expired lease
+      next_retry_at = NULL,
+      last_dead_letter = jsonb_build_object(
+        'error_message', q.error_message,
+        'error_details', q.error_details,
+        'failed_at', COALESCE(q.failed_at, q.updated_at),
+        'retry_count', q.retry_count,
+        'requeued_at', NOW(),
+        'cleared_steps', to_jsonb(COALESCE(requeue_dead_letters.clear_steps, '{}'))
+      ),
+      checkpoints = COALESCE(q.checkpoints, '{}'::jsonb) - COALESCE(requeue_dead_letters.clear_steps, '{}'),
+      error_message = NULL,
+      error_details = NULL,
+      failed_at = NULL,
+      updated_at = NOW()
+  WHERE q.id IN (
+    SELECT d.id FROM find_dead_letters(filter_error_class, filter_failed_after, filter_failed_before,
+                                       filter_promoter_id, filter_error_signature, filter_ids) d
+  )
+    AND q.status = 'failed'
+  RETURNING q.id;
+END;
+$$;
+
+-- Discards the matching dead letters with a reason. Returns the discarded IDs; with dry_run, the IDs
+-- that would be discarded.
+CREATE OR REPLACE FUNCTION discard_dead_letters(
+  reason TEXT,
+  filter_error_class TEXT DEFAULT NULL,
+  filter_failed_after TIMESTAMPTZ DEFAULT NULL,
+  filter_failed_before TIMESTAMPTZ DEFAULT NULL,
+  filter_promoter_id BIGINT DEFAULT NULL,
+  filter_error_signature TEXT DEFAULT NULL,
+  filter_ids BIGINT[] DEFAULT NULL,
+  dry_run BOOLEAN DEFAULT FALSE
+)
+RETURNS SETOF BIGINT
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF reason IS NULL OR trim(reason) = '' THEN
+    RAISE EXCEPTION 'A discard reason is required';
+  END IF;
+
+  IF dry_run THEN
+    RETURN QUERY
+    SELECT d.id FROM find_dead_letters(filter_error_class, filter_failed_after, filter_failed_before,
+                                       filter_promoter_id, filter_error_signature, filter_ids) d;
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  UPDATE facebook_events_imports AS q
+  SET discarded_at = NOW(),
+      discard_reason = trim(discard_dead_letters.reason),
+      updated_at = NOW()
+  WHERE q.id IN (
+    SELECT d.id FROM find_dead_letters(filter_error_class, filter_failed_after, filter_failed_before,
+                                       filter_promoter_id, filter_error_signature, filter_ids) d
+  )
+    AND q.status = 'failed'
+    AND q.discarded_at IS NULL
+  RETURNING q.id;
+END;
+$$;
@@ -0,0 +1,103 @@
+-- Venue matching and merging without loading every venue:
+-- - find_venue_candidates: venues an incoming venue may match (findOrCreateVenue in models/venue.js)
+-- - find_venue_candidate_pairs: venue pairs that may be duplicates (scripts/merge_venues.js)
+-- Both only return venues sharing a Google place_id, a similar name (pg_trgm), a location within a
+-- radius or the same address; models/venue.js scores them (scoreVenueMatch).
+-- - merge_venues: one merge in one transaction, like merge_artists (20261019_artist_merge.sql)
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_venues_name_trgm ON venues USING GIN (lower(name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_venues_location_point_geography ON venues USING GIST ((location_point::geography));
+CREATE INDEX IF NOT EXISTS idx_venues_place_id ON venues ((geo->>'place_id'));
+CREATE INDEX IF NOT EXISTS idx_venues_location_lower ON venues (lower(location));
+
+-- Similar names: pg_trgm.similarity_threshold (0.3 by default)
+CREATE OR REPLACE FUNCTION find_venue_candidates(
+  venue_name TEXT,
+  venue_address TEXT DEFAULT NULL,
+  latitude DOUBLE PRECISION DEFAULT NULL,
+  longitude DOUBLE PRECISION DEFAULT NULL,
+  radius_meters DOUBLE PRECISION DEFAULT 500,
+  place_id TEXT DEFAULT NULL
+)
+RETURNS SETOF venues
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT v.* FROM venues v
+  WHERE find_venue_candidates.place_id IS NOT NULL AND v.geo->>'place_id' = find_venue_candidates.place_id
+  UNION
+  SELECT v.* FROM venues v
+  WHERE find_venue_candidates.venue_name IS NOT NULL AND lower(v.name) % lower(find_venue_candidates.venue_name)
+  UNION
+  SELECT v.* FROM venues v
+  WHERE find_venue_candidates.latitude IS NOT NULL AND find_venue_candidates.longitude IS NOT NULL
+    AND ST_DWithin(
+      v.location_point::geography,
+      ST_SetSRID(ST_MakePoint(find_venue_candidates.longitude, find_venue_candidates.latitude), 4326)::geography,
+      find_venue_candidates.radius_meters
+    )
+  UNION
+  SELECT v.* FROM venues v
+  WHERE find_venue_candidates.venue_address IS NOT NULL AND lower(v.location) = lower(find_venue_candidates.venue_address);
+$$;
+
+COMMENT ON FUNCTION find_venue_candidates(TEXT, TEXT, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, TEXT) IS 'Venues an incoming venue may match: same place_id, similar name, nearby or same address';
+
+CREATE OR REPLACE FUNCTION find_venue_candidate_pairs(radius_meters DOUBLE PRECISION DEFAULT 500)
+RETURNS TABLE (venue_id BIGINT, other_venue_id BIGINT)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT a.id, b.id FROM venues a JOIN venues b
+    ON b.id > a.id AND a.geo->>'place_id' = b.geo->>'place_id'
+  UNION
+  SELECT a.id, b.id FROM venues a JOIN venues b
+    ON b.id > a.id AND lower(a.name) % lower(b.name)
+  UNION
+  SELECT a.id, b.id FROM venues a JOIN venues b
+    ON b.id > a.id AND ST_DWithin(a.location_point::geography, b.location_point::geography, find_venue_candidate_pairs.radius_meters)
+  UNION
+  SELECT a.id, b.id FROM venues a JOIN venues b
+    ON b.id > a.id AND lower(a.location) = lower(b.location);
+$$;
+
+COMMENT ON FUNCTION find_venue_candidate_pairs(DOUBLE PRECISION) IS 'Venue pairs that may be duplicates: same place_id, similar names, nearby or same address';
+
+-- Link tables: same list as VENUE_LINK_TABLES in models/venue.js
+-- survivor_fields: { geo, image_url, location_point, timezone } computed by planVenueMerge
+CREATE OR REPLACE FUNCTION merge_venues(
+  survivor_id BIGINT,
+  duplicate_ids BIGINT[],
+  survivor_fields JSONB
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  links JSONB := '{}'::jsonb;
+BEGIN
+  links := links
+    || jsonb_build_object('event_venue', merge_entity_links('event_venue', 'venue_id', 'event_id', merge_venues.survivor_id, merge_venues.duplicate_ids))
+    || jsonb_build_object('venue_promoter', merge_entity_links('venue_promoter', 'venue_id', 'promoter_id', merge_venues.survivor_id, merge_venues.duplicate_ids))
+    || jsonb_build_object('user_follow_venue', merge_entity_links('user_follow_venue', 'venue_id', 'user_id', merge_venues.survivor_id, merge_venues.duplicate_ids))
+    || jsonb_build_object('venue_genre', merge_entity_links('venue_genre', 'venue_id', 'genre_id', merge_venues.survivor_id, merge_venues.duplicate_ids))
+    || jsonb_build_object('venue_resident_artists', merge_entity_links('venue_resident_artists', 'venue_id', 'artist_id', merge_venues.survivor_id, merge_venues.duplicate_ids));
+
+  DELETE FROM venues WHERE id = ANY(merge_venues.duplicate_ids);
+
+  -- Fields are read with the column types of venues (location_point as EWKT or WKB)
+  UPDATE venues AS v
+  SET geo = f.geo,
+      image_url = f.image_url,
+      location_point = f.location_point,
+      timezone = f.timezone
+  FROM jsonb_populate_record(NULL::venues, merge_venues.survivor_fields) AS f
+  WHERE v.id = merge_venues.survivor_id;
+
+  RETURN links;
+END;
+$$;
+
+COMMENT ON FUNCTION merge_venues(BIGINT, BIGINT[], JSONB) IS 'Merges duplicate venues into a survivor; returns the link rows moved or deleted';
@@ -0,0 +1,5 @@
+-- Store the IANA timezone of each venue (resolved from its coordinates or country at import)
+
+ALTER TABLE venues ADD COLUMN IF NOT EXISTS timezone TEXT;
+
+COMMENT ON COLUMN venues.timezone IS 'IANA timezone of the venue, e.g. Europe/Brussels; performance times are local to it';
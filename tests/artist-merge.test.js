@@ -0,0 +1,69 @@
+// tests/artist-merge.test.js
+// Duplicate artist clusters (findArtistDuplicateClusters) and the row kept by a merge (pickSurvivorArtist)
+
+import artistModel from '../models/artist.js';
+
+const { findArtistDuplicateClusters, pickSurvivorArtist } = artistModel;
+
+const clusterIds = artists => findArtistDuplicateClusters(artists).map(c => c.artists.map(a => a.id));
+
+describe('findArtistDuplicateClusters', () => {
+    test('performance suffixes, case and accents are the same act', () => {
+        const clusters = findArtistDuplicateClusters([
+            { id: 1, name: 'Amélie Lens' },
+            { id: 2, name: 'AMELIE LENS (live)' },
+            { id: 3, name: 'Amelie Lens DJ set' },
+            { id: 4, name: 'Rrose' },
+            { id: 5, name: 'Rrose [A/V]' },
+            { id: 6, name: 'Rrose AV' }
+        ]);
+        expect(clusters.map(c => c.artists.map(a => a.id))).toEqual([[1, 2, 3], [4, 5, 6]]);
+        expect(clusters[0].reasons).toEqual(['name']);
+    });
+
+    test('names ending in "live" or "av" are not suffixed names', () => {
+        expect(clusterIds([
+            { id: 1, name: 'Clive' },
+            { id: 2, name: 'C' },
+            { id: 3, name: 'Mirav' },
+            { id: 4, name: 'Mir' },
+            { id: 5, name: 'Olive' },
+            { id: 6, name: 'O' }
+        ])).toEqual([]);
+    });
+
+    test('a shared external link or a close spelling clusters different names', () => {
+        const clusters = findArtistDuplicateClusters([
+            { id: 1, name: 'Charlotte de Witte', external_links: { soundcloud: { link: 'https://soundcloud.com/charlottedewitte', id: 42 } } },
+            { id: 2, name: 'KNTXT', external_links: { soundcloud: { link: 'soundcloud.com/charlottedewitte/' } } },
+            { id: 3, name: 'Enrico Sangiuliano' },
+            { id: 4, name: 'Enrico Sangiulian' },
+            { id: 5, name: 'Ben Klock' }
+        ]);
+        expect(clusters.map(c => [c.artists.map(a => a.id), c.reasons])).toEqual([
+            [[1, 2], ['external_link']],
+            [[3, 4], ['similarity']]
+        ]);
+    });
+
+    test('the similarity threshold is an option', () => {
+        const artists = [{ id: 1, name: 'Enrico Sangiuliano' }, { id: 2, name: 'Enrico Sangiulian' }];
+        expect(findArtistDuplicateClusters(artists, { similarityThreshold: 1 })).toEqual([]);
+    });
+});
+
+describe('pickSurvivorArtist', () => {
+    test('the most complete row wins', () => {
+        const survivor = pickSurvivorArtist([
+            { id: 1, name: 'Amelie Lens', image_url: 'https://example.org/a.jpg' },
+            { id: 2, name: 'Amelie Lens (live)', external_links: { soundcloud: { link: 'https://soundcloud.com/amelielens', id: 1 } } }
+        ]);
+        expect(survivor.id).toBe(2);
+    });
+
+    test('at equal completeness the name without suffix, then the oldest row wins', () => {
+        expect(pickSurvivorArtist([{ id: 1, name: 'Amelie Lens (live)' }, { id: 2, name: 'Amelie Lens' }]).id).toBe(2);
+        expect(pickSurvivorArtist([{ id: 3, name: 'Clive' }, { id: 2, name: 'Clive' }]).id).toBe(2);
+        expect(pickSurvivorArtist([{ id: 1, name: 'Clive' }, { id: 2, name: 'Clive Henry' }]).id).toBe(1);
+    });
+});
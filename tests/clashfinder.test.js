@@ -0,0 +1,120 @@
+// tests/clashfinder.test.js
+// Clashfinder search and edition years against a saved list, CSV conversion from saved timetables (fixtures/clashfinder)
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import clashfinder from '../scripts/get_data/get_clashfinder_timetable.js';
+import { convertClashfinderToJSON, parseClashfinderDatetime } from '../scripts/extract_events_timetable.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'clashfinder');
+
+function readFixture(file) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8');
+}
+
+const festivals = clashfinder.normalizeClashfinderList(JSON.parse(readFixture('all.json')));
+
+describe('clashfinder search', () => {
+    test('the keyed all.json response becomes a list with IDs', () => {
+        expect(festivals.map(f => f.id)).toEqual(['lir23', 'lir24', 'tml2025w1', 'tml2024w1', 'dour2025', 'ade']);
+        expect(clashfinder.normalizeClashfinderList({ events: [{ id: 'lir23' }] })).toEqual([{ id: 'lir23' }]);
+    });
+
+    test.each([
+        ['Les Ardentes 2023', 'lir23'],
+        ['Les Ardentes 2024', 'lir24'],
+        ['Tomorrowland 2025 Weekend 1', 'tml2025w1'],
+        ['Dour Festival 2025', 'dour2025'],
+        ['Dour 2025', 'dour2025']
+    ])('"%s" finds %s', (eventName, id) => {
+        const match = clashfinder.findClashfinderFestival(festivals, eventName);
+        expect(match.festival.id).toBe(id);
+        expect(match.year).toBe(clashfinder.extractYear(eventName));
+    });
+
+    test('other editions are skipped and unknown festivals are not matched', () => {
+        expect(clashfinder.findClashfinderFestival(festivals, 'Dour Festival 2024')).toBeNull();
+        expect(clashfinder.findClashfinderFestival(festivals, 'Pukkelpop 2025')).toBeNull();
+    });
+
+    test('an event name without year uses the event year, else the most recent edition', () => {
+        const find = (list, eventYear) => clashfinder.findClashfinderFestival(list, 'Les Ardentes', { eventYear }).festival.id;
+        expect(find(festivals, 2023)).toBe('lir23');
+        expect(find(festivals, 2024)).toBe('lir24');
+        expect(find(festivals, null)).toBe('lir24');
+        expect(find([...festivals].reverse(), null)).toBe('lir24');
+        expect(clashfinder.findClashfinderFestival(festivals, 'Les Ardentes', { eventYear: 2026 })).toBeNull();
+    });
+
+    test.each([
+        [{ name: 'Les Ardentes', startTimestamp: 1720101600 }, 2024],
+        [{ name: 'Dour Festival 2025' }, 2025],
+        [{ name: 'Dour Festival' }, null]
+    ])('event year of %o is %s', (eventData, year) => {
+        expect(clashfinder.getEventYear(eventData)).toBe(year);
+    });
+
+    test('search variants drop the year, weekend markers and "festival"', () => {
+        expect(clashfinder.getSearchVariants('Dour Festival 2025')).toEqual(['dour festival 2025', 'dour']);
+        expect(clashfinder.getSearchVariants('Tomorrowland 2025 Weekend 1'))
+            .toEqual(['tomorrowland 2025 weekend 1', 'tomorrowland weekend 1', 'tomorrowland']);
+    });
+
+    test.each([
+        [{ id: 'lir23' }, 2023],
+        [{ id: 'tml25w1' }, 2025],
+        [{ id: 'dour2025' }, 2025],
+        [{ id: 'ade', name: 'Amsterdam Dance Event', desc: 'ADE 2024' }, 2024],
+        [{ id: 'ade', name: 'Amsterdam Dance Event' }, null]
+    ])('edition year of %o is %s', (festival, year) => {
+        expect(clashfinder.getClashfinderEditionYear(festival)).toBe(year);
+    });
+});
+
+describe('convertClashfinderToJSON', () => {
+    const performances = convertClashfinderToJSON(readFixture('lir23.csv'));
+
+    test('reads the commented header, quoted names and local times', () => {
+        expect(performances[0]).toEqual({
+            name: 'Amelie Lens',
+            time: '2023-07-21T18:00',
+            end_time: '2023-07-21T19:00',
+            stage: 'Main Stage',
+            soundcloud: 'https://soundcloud.com/amelielens',
+            performance_mode: ''
+        });
+        expect(performances.map(p => p.name)).toEqual([
+            'Amelie Lens', 'Charlotte de Witte', 'Blessed Madonna, The', 'Dax J', 'Ben Klock', 'Tale Of Us'
+        ]);
+    });
+
+    test('a B2B act becomes one performance per artist', () => {
+        const act = performances.filter(p => p.custom_name === 'Dax J B2B Ben Klock');
+        expect(act.map(p => [p.name, p.performance_mode, p.time])).toEqual([
+            ['Dax J', 'B2B', '2023-07-22T01:00'],
+            ['Ben Klock', 'B2B', '2023-07-22T01:00']
+        ]);
+    });
+
+    test('cancelled acts are kept with their status', () => {
+        expect(performances.find(p => p.name === 'Tale Of Us').status).toBe('cancelled');
+    });
+
+    test('a CSV without header gives no performances', () => {
+        const spy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(convertClashfinderToJSON('2023/07/21 18:00,2023/07/21 19:00,Amelie Lens,Main Stage')).toEqual([]);
+        spy.mockRestore();
+    });
+
+    test.each([
+        ['2023/07/21 18:00', '2023-07-21T18:00'],
+        ['2023-7-2 8:05', '2023-07-02T08:05'],
+        ['', ''],
+        ['tomorrow', '']
+    ])('parseClashfinderDatetime("%s") is "%s"', (value, expected) => {
+        expect(parseClashfinderDatetime(value)).toBe(expected);
+    });
+});
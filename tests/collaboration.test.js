@@ -0,0 +1,92 @@
+// tests/collaboration.test.js
+// Collaboration parsing (utils/collaboration.js): which separators split an act, known duos and band names
+
+import {
+    parseCollaboration,
+    getCollaborationLookupNames,
+    expandCollaborations,
+    groupCollaborations,
+    normalizePerformanceMode
+} from '../utils/collaboration.js';
+
+const split = (name, options) => parseCollaboration(name, options).names;
+
+describe('parseCollaboration', () => {
+    test.each([
+        ['Ben Klock b2b Marcel Dettmann', ['Ben Klock', 'Marcel Dettmann'], 'B2B'],
+        ['Amelie Lens B3B T78 B3B Dax J', ['Amelie Lens', 'T78', 'Dax J'], 'B3B'],
+        ['Charlotte de Witte f2f Enrico Sangiuliano', ['Charlotte de Witte', 'Enrico Sangiuliano'], 'F2F'],
+        ['Headhunterz vs. Wildstylez', ['Headhunterz', 'Wildstylez'], 'VS'],
+        ['Amelie Lens x T78', ['Amelie Lens', 'T78'], 'B2B']
+    ])('"%s" is split', (name, names, mode) => {
+        expect(parseCollaboration(name)).toMatchObject({ names, mode, isCollaboration: true });
+    });
+
+    test.each([
+        ['Sam Smith feat. Disclosure'],
+        ['Coldcut with Hexstatic'],
+        ['Coldcut meets Hexstatic'],
+        ['Coldcut + Hexstatic'],
+        ['Earth, Wind & Fire'],
+        ['Drum and Bass Allstars'],
+        ['Florence and the Machine'],
+        ['Camo & Krooked']
+    ])('"%s" is one act', (name) => {
+        expect(parseCollaboration(name)).toEqual({ names: [name], mode: '', original: name, isCollaboration: false });
+    });
+
+    test('"&" and "and" only split between known artists', () => {
+        const knownNames = ['Amelie Lens', 'T78', 'Fire'];
+        expect(parseCollaboration('Amelie Lens & T78', { knownNames })).toMatchObject({ names: ['Amelie Lens', 'T78'], mode: 'B2B' });
+        expect(split('amelie lens AND t78', { knownNames })).toEqual(['amelie lens', 't78']);
+        expect(split('Amelie Lens & Unknown DJ', { knownNames })).toEqual(['Amelie Lens & Unknown DJ']);
+        expect(split('Earth, Wind & Fire', { knownNames })).toEqual(['Earth, Wind & Fire']);
+    });
+
+    test('a combined name stored as one artist is not split', () => {
+        expect(split('Chase & Status b2b Camo & Krooked')).toEqual(['Chase & Status', 'Camo & Krooked']);
+        expect(split('Sasha x Digweed', { knownNames: ['sasha x digweed'] })).toEqual(['Sasha x Digweed']);
+    });
+
+    test('fillers are dropped', () => {
+        expect(parseCollaboration('Ben Klock & Friends')).toMatchObject({ names: ['Ben Klock'], isCollaboration: false });
+        expect(parseCollaboration('Dax J b2b guests')).toMatchObject({ names: ['Dax J'], mode: '' });
+    });
+});
+
+describe('getCollaborationLookupNames', () => {
+    test('returns the combined name and its parts', () => {
+        expect(getCollaborationLookupNames('Amelie Lens & T78 & friends')).toEqual(['Amelie Lens & T78 & friends', 'Amelie Lens', 'T78']);
+        expect(getCollaborationLookupNames('Amelie Lens')).toEqual([]);
+    });
+});
+
+describe('expandCollaborations and groupCollaborations', () => {
+    const slot = { stage: 'Dome', time: '2025-07-18T22:00', end_time: '2025-07-19T00:00' };
+
+    test('a combined name becomes one performance per artist with the act as custom_name', () => {
+        const expanded = expandCollaborations([{ name: 'Dax J b2b Ben Klock', ...slot }]);
+        expect(expanded.map(p => [p.name, p.performance_mode, p.custom_name])).toEqual([
+            ['Dax J', 'B2B', 'Dax J b2b Ben Klock'],
+            ['Ben Klock', 'B2B', 'Dax J b2b Ben Klock']
+        ]);
+        expect(expandCollaborations(expanded)).toEqual(expanded);
+    });
+
+    test('performances of a slot are one act, featurings stay one performance', () => {
+        const groups = groupCollaborations([
+            { name: 'Dax J', performance_mode: 'b2b', ...slot },
+            { name: 'Ben Klock', performance_mode: 'B2B', ...slot },
+            { name: 'Sam Smith feat. Disclosure', stage: 'Main', time: '2025-07-18T22:00', end_time: '2025-07-19T00:00' }
+        ]);
+        expect(groups.map(group => group.map(p => p.name))).toEqual([['Dax J', 'Ben Klock'], ['Sam Smith feat. Disclosure']]);
+    });
+});
+
+describe('normalizePerformanceMode', () => {
+    test.each([
+        ['b2b', 'B2B'], ['vs.', 'VS'], ['Face to face', 'F2F'], ['b3b', 'B3B'], ['&', 'B2B'], ['', '']
+    ])('"%s" is "%s"', (mode, expected) => {
+        expect(normalizePerformanceMode(mode)).toBe(expected);
+    });
+});
@@ -0,0 +1,268 @@
+// tests/concurrency.test.js
+// Concurrency helpers (utils/concurrency.js): limiters, per-API budgets, timeouts and the worker pool, with fake timers
+
+import { jest } from '@jest/globals';
+import { createLimiter, getApiLimiter, withApiLimit, getApiLimiterStats, withTimeout, createWorkerPool } from '../utils/concurrency.js';
+import { API_CONCURRENCY_LIMITS } from '../utils/constants.js';
+
+/**
+ * Promise settled from the outside.
+ */
+function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    return { promise, resolve, reject };
+}
+
+describe('createLimiter', () => {
+    test('runs at most `limit` tasks at once, the others in FIFO order', async () => {
+        const limiter = createLimiter(2);
+        const tasks = [deferred(), deferred(), deferred(), deferred()];
+        const started = [];
+        const results = tasks.map((task, index) => limiter.run(() => {
+            started.push(index);
+            return task.promise;
+        }));
+
+        await Promise.resolve();
+        expect(started).toEqual([0, 1]);
+        expect([limiter.active, limiter.pending]).toEqual([2, 2]);
+
+        tasks[1].resolve('b');
+        await expect(results[1]).resolves.toBe('b');
+        await new Promise(resolve => setImmediate(resolve));
+        expect(started).toEqual([0, 1, 2]);
+
+        tasks[0].reject(new Error('HTTP 500'));
+        await expect(results[0]).rejects.toThrow('HTTP 500'); // A failed task frees its slot too
+        await new Promise(resolve => setImmediate(resolve));
+        expect(started).toEqual([0, 1, 2, 3]);
+        expect([limiter.active, limiter.pending]).toEqual([2, 0]);
+
+        tasks[2].resolve('c');
+        tasks[3].resolve('d');
+        await expect(Promise.all(results.slice(2))).resolves.toEqual(['c', 'd']);
+    });
+
+    test('a task throwing synchronously rejects its run', async () => {
+        const limiter = createLimiter(1);
+        await expect(limiter.run(() => { throw new Error('bad input'); })).rejects.toThrow('bad input');
+        await expect(limiter.run(async () => 'next')).resolves.toBe('next');
+    });
+
+    test.each([[0, 1], [-3, 1], [2.7, 2], [NaN, 1]])('limit %p becomes %p', (limit, expected) => {
+        expect(createLimiter(limit).limit).toBe(expected);
+    });
+});
+
+describe('getApiLimiter', () => {
+    afterEach(() => {
+        delete process.env.TESTAPI_CONCURRENCY;
+    });
+
+    test('returns one shared limiter per API, sized by <API>_CONCURRENCY', async () => {
+        process.env.TESTAPI_CONCURRENCY = '3';
+        const limiter = getApiLimiter('testapi');
+        expect(getApiLimiter('testapi')).toBe(limiter);
+        expect(limiter.limit).toBe(3);
+
+        process.env.TESTAPI_CONCURRENCY = '8'; // Read once, when the limiter is created
+        expect(getApiLimiter('testapi').limit).toBe(3);
+
+        await expect(withApiLimit('testapi', async () => 'ok')).resolves.toBe('ok');
+        expect(getApiLimiterStats().testapi).toEqual({ active: 0, pending: 0, limit: 3 });
+    });
+
+    test('an API gets its API_CONCURRENCY_LIMITS budget, else 1; no API no limit', async () => {
+        delete process.env.OPENAI_CONCURRENCY;
+        expect(getApiLimiter('openai').limit).toBe(API_CONCURRENCY_LIMITS.openai);
+        expect(getApiLimiter('unknownapi').limit).toBe(1);
+        await expect(withApiLimit(null, async () => 'direct')).resolves.toBe('direct');
+    });
+});
+
+describe('withTimeout', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    test('rejects with JOB_TIMEOUT when the promise does not settle in time', async () => {
+        const outcome = withTimeout(new Promise(() => {}), 30000, 'Event 7 import');
+        const rejected = expect(outcome).rejects.toMatchObject({ code: 'JOB_TIMEOUT', message: 'Event 7 import timed out after 30s' });
+        await jest.advanceTimersByTimeAsync(30000);
+        await rejected;
+    });
+
+    test('settles with the promise and clears its timer', async () => {
+        await expect(withTimeout(Promise.resolve('done'), 30000)).resolves.toBe('done');
+        await expect(withTimeout(Promise.reject(new Error('HTTP 404')), 30000)).rejects.toThrow('HTTP 404');
+        expect(jest.getTimerCount()).toBe(0);
+    });
+
+    test('a late rejection is ignored', async () => {
+        const late = deferred();
+        const outcome = withTimeout(late.promise, 1000);
+        const rejected = expect(outcome).rejects.toMatchObject({ code: 'JOB_TIMEOUT' });
+        await jest.advanceTimersByTimeAsync(1000);
+        await rejected;
+        late.reject(new Error('too late')); // Would fail the run as an unhandled rejection
+        await Promise.resolve();
+    });
+
+    test('no timeout when 0 or less', () => {
+        const promise = new Promise(() => {});
+        expect(withTimeout(promise, 0)).toBe(promise);
+        expect(withTimeout(promise, -1)).toBe(promise);
+    });
+});
+
+describe('createWorkerPool', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    /**
+     * Queue of jobs claimed by the pool, each finished from the test.
+     */
+    function createQueue(ids) {
+        const pending = [...ids];
+        const running = new Map();
+        const claimJobs = jest.fn(async count => pending.splice(0, count).map(id => ({ id })));
+        const runJob = jest.fn(job => {
+            const task = deferred();
+            running.set(job.id, task);
+            return task.promise;
+        });
+        return { pending, running, claimJobs, runJob, finish: id => running.get(id).resolve() };
+    }
+
+    test('claims up to the free slots and runs the jobs concurrently', async () => {
+        const queue = createQueue([1, 2, 3, 4, 5]);
+        const pool = createWorkerPool({ size: 3, claimJobs: queue.claimJobs, runJob: queue.runJob, pollIntervalMs: 1000, log: () => {} });
+        const started = pool.start();
+
+        await jest.advanceTimersByTimeAsync(0);
+        expect(queue.claimJobs).toHaveBeenLastCalledWith(3);
+        expect(pool.inFlight.map(job => job.id)).toEqual([1, 2, 3]);
+
+        queue.finish(2); // Wakes the pool up before the poll interval
+        await jest.advanceTimersByTimeAsync(0);
+        expect(queue.claimJobs).toHaveBeenLastCalledWith(1);
+        expect(pool.inFlight.map(job => job.id)).toEqual([1, 3, 4]);
+
+        pool.stop();
+        await started;
+        expect(pool.running).toBe(false);
+    });
+
+    test('waits for the poll interval when nothing was claimed', async () => {
+        const queue = createQueue([]);
+        const pool = createWorkerPool({ size: 2, claimJobs: queue.claimJobs, runJob: queue.runJob, pollIntervalMs: 1000, log: () => {} });
+        const started = pool.start();
+
+        await jest.advanceTimersByTimeAsync(0);
+        expect(queue.claimJobs).toHaveBeenCalledTimes(1);
+        await jest.advanceTimersByTimeAsync(999);
+        expect(queue.claimJobs).toHaveBeenCalledTimes(1);
+        await jest.advanceTimersByTimeAsync(1);
+        expect(queue.claimJobs).toHaveBeenCalledTimes(2);
+
+        pool.stop();
+        await started;
+    });
+
+    test('logs a claim error and retries after errorDelayMs', async () => {
+        const log = jest.fn();
+        const claimJobs = jest.fn()
+            .mockRejectedValueOnce(new Error('fetch failed'))
+            .mockResolvedValue([]);
+        const pool = createWorkerPool({ size: 1, claimJobs, runJob: async () => {}, pollIntervalMs: 60000, errorDelayMs: 5000, log });
+        const started = pool.start();
+
+        await jest.advanceTimersByTimeAsync(0);
+        expect(log).toHaveBeenCalledWith('❌ Error claiming jobs: fetch failed');
+        await jest.advanceTimersByTimeAsync(5000);
+        expect(claimJobs).toHaveBeenCalledTimes(2);
+
+        pool.stop();
+        await started;
+    });
+
+    test('a failed job is logged and frees its slot', async () => {
+        const log = jest.fn();
+        const claimJobs = jest.fn()
+            .mockResolvedValueOnce([{ id: 7 }])
+            .mockResolvedValue([]);
+        const pool = createWorkerPool({ size: 1, claimJobs, runJob: async () => { throw new Error('HTTP 500'); }, pollIntervalMs: 1000, log });
+        const started = pool.start();
+
+        await jest.advanceTimersByTimeAsync(0);
+        expect(log).toHaveBeenCalledWith('❌ Worker error on job 7: HTTP 500');
+        expect(pool.inFlight).toEqual([]);
+
+        pool.stop();
+        await started;
+    });
+
+    test('a timed-out job frees its slot with JOB_TIMEOUT', async () => {
+        const log = jest.fn();
+        const claimJobs = jest.fn()
+            .mockResolvedValueOnce([{ id: 7 }])
+            .mockResolvedValue([]);
+        const runJob = job => withTimeout(new Promise(() => {}), 30000, `Event ${job.id} import`);
+        const pool = createWorkerPool({ size: 1, claimJobs, runJob, pollIntervalMs: 60000, log });
+        const started = pool.start();
+
+        await jest.advanceTimersByTimeAsync(0);
+        expect(pool.inFlight.map(job => job.id)).toEqual([7]);
+        await jest.advanceTimersByTimeAsync(30000);
+        expect(log).toHaveBeenCalledWith('❌ Worker error on job 7: Event 7 import timed out after 30s');
+        expect(pool.inFlight).toEqual([]);
+        expect(claimJobs).toHaveBeenLastCalledWith(1); // Woken up by the freed slot
+
+        pool.stop();
+        await started;
+    });
+
+    test('jobs claimed while stopping still run and are drained', async () => {
+        const claim = deferred();
+        const queue = createQueue([]);
+        const claimJobs = jest.fn(() => claim.promise);
+        const pool = createWorkerPool({ size: 2, claimJobs, runJob: queue.runJob, log: () => {} });
+        const started = pool.start();
+
+        await jest.advanceTimersByTimeAsync(0);
+        pool.stop(); // The claim is in flight: its jobs are already marked processing
+        claim.resolve([{ id: 8 }, { id: 9 }]);
+        await started;
+        expect(pool.inFlight.map(job => job.id)).toEqual([8, 9]);
+        expect(claimJobs).toHaveBeenCalledTimes(1);
+
+        const drained = jest.fn();
+        pool.drain().then(drained);
+        queue.finish(8);
+        await jest.advanceTimersByTimeAsync(0);
+        expect(drained).not.toHaveBeenCalled();
+        queue.finish(9);
+        await jest.advanceTimersByTimeAsync(0);
+        expect(drained).toHaveBeenCalledWith([]);
+    });
+
+    test('drain returns the jobs still running after its timeout', async () => {
+        const queue = createQueue([1, 2]);
+        const pool = createWorkerPool({ size: 2, claimJobs: queue.claimJobs, runJob: queue.runJob, pollIntervalMs: 1000, log: () => {} });
+        const started = pool.start();
+        await jest.advanceTimersByTimeAsync(0);
+        pool.stop();
+        await started;
+
+        const remaining = pool.drain(10000);
+        queue.finish(1);
+        await jest.advanceTimersByTimeAsync(10000);
+        await expect(remaining).resolves.toEqual([{ id: 2 }]);
+        expect(jest.getTimerCount()).toBe(0);
+    });
+
+    test('size is at least 1', () => {
+        expect(createWorkerPool({ size: 0, claimJobs: async () => [], runJob: async () => {} }).size).toBe(1);
+    });
+});
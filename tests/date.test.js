@@ -0,0 +1,59 @@
+// tests/date.test.js
+// Performance times resolved in the venue timezone: ranges, nights past midnight and DST transitions
+
+import { resolvePerformanceTimes } from '../utils/date.js';
+import artistModel from '../models/artist.js';
+
+const BRUSSELS = 'Europe/Brussels';
+
+describe('resolvePerformanceTimes', () => {
+    test.each([
+        ['23:00 - 01:00'],
+        ['23h-01h'],
+        ['23:00 — 01:00'],
+        ['23:00 > 01:00'],
+        ['23:00 to 01:00'],
+        ['23h à 01h'],
+        ['23:00 tot 01:00'],
+        ['23 bis 1']
+    ])('reads the range "%s"', (time) => {
+        expect(resolvePerformanceTimes(time, null, { eventStart: '2025-03-15T22:00:00', timezone: BRUSSELS }))
+            .toEqual({ start: '2025-03-15T22:00:00Z', end: '2025-03-16T00:00:00Z' });
+    });
+
+    test('a night running into the spring-forward change ends on summer time', () => {
+        // 30 March 2025: 02:00 CET -> 03:00 CEST
+        expect(resolvePerformanceTimes('23:00 - 04:00', null, { eventStart: '2025-03-29T22:00:00', timezone: BRUSSELS }))
+            .toEqual({ start: '2025-03-29T22:00:00Z', end: '2025-03-30T02:00:00Z' });
+    });
+
+    test('a time skipped by the spring-forward change moves to the next valid hour', () => {
+        expect(resolvePerformanceTimes('02:30', null, { eventStart: '2025-03-29T22:00:00', timezone: BRUSSELS }).start)
+            .toBe('2025-03-30T01:30:00Z');
+    });
+
+    test('a night running into the fall-back change ends on winter time', () => {
+        // 26 October 2025: 03:00 CEST -> 02:00 CET
+        expect(resolvePerformanceTimes('23:00 - 04:00', null, { eventStart: '2025-10-25T22:00:00', timezone: BRUSSELS }))
+            .toEqual({ start: '2025-10-25T21:00:00Z', end: '2025-10-26T03:00:00Z' });
+    });
+
+    test('Unix event starts and other timezones use the venue wall-clock time', () => {
+        expect(resolvePerformanceTimes('23:00 - 01:00', null, { eventStart: 1743282000, timezone: BRUSSELS }))
+            .toEqual({ start: '2025-03-29T22:00:00Z', end: '2025-03-30T00:00:00Z' });
+        // 9 March 2025 in New York: 02:00 EST -> 03:00 EDT
+        expect(resolvePerformanceTimes('22:00 to 02:00', null, { eventStart: '2025-03-08T20:00:00', timezone: 'America/New_York' }))
+            .toEqual({ start: '2025-03-09T03:00:00Z', end: '2025-03-09T07:00:00Z' });
+    });
+});
+
+describe('lineup parser time ranges', () => {
+    test('the parser reads the same separators as resolvePerformanceTimes', () => {
+        const { artists } = artistModel.parseLineupRuleBased('Line-up:\n23h à 01h Amelie Lens\n01:00 tot 03:00 T78\n3 bis 5 Ben Klock');
+        expect(artists.map(artist => [artist.name, artist.time])).toEqual([
+            ['Amelie Lens', '23h à 01h'],
+            ['T78', '01:00 tot 03:00'],
+            ['Ben Klock', '3 bis 5']
+        ]);
+    });
+});
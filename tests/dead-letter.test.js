@@ -0,0 +1,165 @@
+// tests/dead-letter.test.js
+// Dead-letter tooling: CLI arguments and RPC parameters of scripts/dead_letter.js and of the dead-letter Edge Function
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import ts from 'typescript';
+
+import {
+    parseArgs,
+    parseDate,
+    buildFilterParams,
+    getClearedSteps,
+    applyBulkAction
+} from '../scripts/dead_letter.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Supabase client answering every RPC with the given IDs.
+ */
+function createSupabaseStub(ids) {
+    return { rpc: jest.fn(async () => ({ data: ids, error: null })) };
+}
+
+describe('dead_letter.js', () => {
+    test('parses the action, filters and options', () => {
+        expect(parseArgs(['--requeue', '--class=data', '--since=2026-10-01', '--ids=4,7', '--from-step=venue', '--keep-retries', '--apply']))
+            .toMatchObject({
+                action: 'requeue',
+                filters: { errorClass: 'data', since: '2026-10-01', ids: '4,7' },
+                fromStep: 'venue',
+                keepRetries: true,
+                apply: true
+            });
+        expect(parseArgs([])).toMatchObject({ action: 'groups', filters: {}, fromStep: null, apply: false, limit: 50 });
+    });
+
+    test('a date alone used as an upper bound includes that day', () => {
+        expect(parseDate('2026-10-15')).toBe('2026-10-15T00:00:00.000Z');
+        expect(parseDate('2026-10-15', true)).toBe('2026-10-16T00:00:00.000Z');
+        expect(parseDate('2026-10-15T12:00:00Z', true)).toBe('2026-10-15T12:00:00.000Z');
+        expect(() => parseDate('yesterday')).toThrow('Invalid date: yesterday');
+    });
+
+    test('builds the filter parameters of the RPCs', () => {
+        expect(buildFilterParams({ errorClass: 'lease_reclaims_exceeded', promoterId: '12', signature: 'http 404', ids: '4, 7' }, false)).toEqual({
+            filter_error_class: 'lease_reclaims_exceeded',
+            filter_promoter_id: 12,
+            filter_error_signature: 'http 404',
+            filter_ids: [4, 7]
+        });
+        expect(() => buildFilterParams({ errorClass: 'fatal' }, false)).toThrow('Invalid error class "fatal"');
+        expect(() => buildFilterParams({ promoterId: 'abc' }, false)).toThrow('Invalid promoter id: abc');
+    });
+
+    test('without filter, bulk actions need --all', () => {
+        expect(buildFilterParams({}, false)).toBeNull();
+        expect(buildFilterParams({}, true)).toEqual({ filter_failed_before: expect.any(String) });
+    });
+
+    test('--from-step clears the checkpoints of that step and the next ones', () => {
+        expect(getClearedSteps(null)).toEqual([]);
+        expect(getClearedSteps('event')).toEqual(['event', 'artists', 'genres']);
+        expect(getClearedSteps('scrape')).toEqual(['scrape', 'promoters', 'venue', 'event', 'artists', 'genres']);
+        expect(() => getClearedSteps('geocoding')).toThrow('Invalid step "geocoding"');
+    });
+
+    test('requeues with the cleared steps and the retry reset', async () => {
+        const supabase = createSupabaseStub([4, 7]);
+        const ids = await applyBulkAction(supabase, {
+            action: 'requeue',
+            params: { filter_error_class: 'data' },
+            clearSteps: ['artists', 'genres'],
+            dryRun: false
+        });
+        expect(ids).toEqual([4, 7]);
+        expect(supabase.rpc).toHaveBeenCalledWith('requeue_dead_letters', {
+            filter_error_class: 'data',
+            reset_retries: true,
+            clear_steps: ['artists', 'genres'],
+            dry_run: false
+        });
+    });
+
+    test('discards with the trimmed reason, as a preview by default', async () => {
+        const supabase = createSupabaseStub(null);
+        expect(await applyBulkAction(supabase, { action: 'discard', params: { filter_ids: [4] }, reason: ' Deleted events ' })).toEqual([]);
+        expect(supabase.rpc).toHaveBeenCalledWith('discard_dead_letters', { filter_ids: [4], reason: 'Deleted events', dry_run: true });
+    });
+
+    test('RPC errors are thrown', async () => {
+        const supabase = { rpc: async () => ({ data: null, error: new Error('At least one dead-letter filter is required') }) };
+        await expect(applyBulkAction(supabase, { action: 'requeue', params: {} })).rejects.toThrow('At least one dead-letter filter is required');
+    });
+});
+
+describe('dead-letter Edge Function requests', () => {
+    let dir;
+    let request;
+
+    // request.ts has no Deno import: transpiled and loaded as is
+    beforeAll(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'edge-dead-letter-'));
+        const source = fs.readFileSync(path.join(ROOT_DIR, 'supabase', 'functions', 'dead-letter', 'request.ts'), 'utf8');
+        const { outputText } = ts.transpileModule(source, {
+            compilerOptions: { module: ts.ModuleKind.ES2022, target: ts.ScriptTarget.ES2022 }
+        });
+        fs.writeFileSync(path.join(dir, 'request.mjs'), outputText);
+        request = await import(pathToFileURL(path.join(dir, 'request.mjs')).href);
+    });
+
+    afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test('lists every dead letter without filter', () => {
+        expect(request.buildDeadLetterRpc({})).toEqual({ name: 'get_dead_letter_groups', params: { filter_failed_before: expect.any(String) } });
+        expect(request.buildDeadLetterRpc({ action: 'list', filters: { error_class: 'auth' } }))
+            .toEqual({ name: 'find_dead_letters', params: { filter_error_class: 'auth' } });
+    });
+
+    test('requeues with the checkpoints of "step" and the next steps cleared', () => {
+        expect(request.buildDeadLetterRpc({ action: 'requeue', filters: { ids: [4] }, step: 'artists', dry_run: true })).toEqual({
+            name: 'requeue_dead_letters',
+            params: { filter_ids: [4], reset_retries: true, clear_steps: ['artists', 'genres'], dry_run: true }
+        });
+        expect(request.buildDeadLetterRpc({ action: 'requeue', filters: { failed_after: '2026-10-01' }, reset_retries: false })).toEqual({
+            name: 'requeue_dead_letters',
+            params: { filter_failed_after: '2026-10-01T00:00:00.000Z', reset_retries: false, clear_steps: [], dry_run: false }
+        });
+    });
+
+    test('discards with a reason', () => {
+        expect(request.buildDeadLetterRpc({ action: 'discard', filters: { error_signature: 'http 404' }, reason: ' Gone ' })).toEqual({
+            name: 'discard_dead_letters',
+            params: { filter_error_signature: 'http 404', reason: 'Gone', dry_run: false }
+        });
+    });
+
+    test.each([
+        [{ action: 'purge' }, 'Invalid action. Expected one of: groups, list, requeue, discard'],
+        [{ action: 'requeue' }, 'At least one filter is required, or "all": true'],
+        [{ action: 'requeue', all: true, step: 'geocoding' }, 'Invalid step. Expected one of: scrape, promoters, venue, event, artists, genres'],
+        [{ action: 'discard', all: true }, 'A reason is required to discard events'],
+        [{ action: 'discard', all: true, reason: 'Gone', step: 'scrape' }, 'step only applies to requeue'],
+        [{ filters: { error_class: 'fatal' } }, 'Invalid error_class. Expected one of: permanent, auth, transient, data, unknown, lease_reclaims_exceeded'],
+        [{ filters: { failed_before: 'yesterday' } }, 'Invalid failed_before: yesterday'],
+        [{ filters: { promoter_id: '12' } }, 'promoter_id must be an integer'],
+        [{ filters: { ids: [] } }, 'ids must be a non-empty array of integers']
+    ])('rejects %o', (body, message) => {
+        expect(request.buildDeadLetterRpc(body)).toBe(message);
+    });
+
+    test('the list limit stays between 1 and 500', () => {
+        expect([undefined, 0, 20, 5000].map(request.getListLimit)).toEqual([50, 1, 20, 500]);
+    });
+
+    test('the error classes and steps match the local ones', async () => {
+        const { ERROR_CLASSES } = await import('../utils/errors.js');
+        const { IMPORT_STEPS } = await import('../utils/constants.js');
+        expect(request.ERROR_CLASSES).toEqual(ERROR_CLASSES);
+        expect(request.IMPORT_STEPS).toEqual(IMPORT_STEPS);
+    });
+});
@@ -0,0 +1,86 @@
+// tests/errors.test.js
+// Import error classes (utils/errors.js): only the event itself is permanent, schema errors are retried
+
+import { classifyImportError, tagEventSourceError, createImportError, getRetryDecision } from '../utils/errors.js';
+
+const httpError = (message, status) => Object.assign(new Error(message), { status });
+
+describe('classifyImportError', () => {
+    test.each([
+        [{ code: '42P01', message: 'relation "public.event_artist" does not exist' }, 'db_schema_42P01'],
+        [{ code: '42883', message: 'function merge_venues(integer, integer[]) does not exist' }, 'db_schema_42883'],
+        [{ code: 'PGRST202', message: 'Could not find the function public.save_import_checkpoint in the schema cache' }, 'db_schema_PGRST202'],
+        [new Error('relation "venue_genre" does not exist'), 'message:(?:relation|function|column|table) .+ does not exist']
+    ])('schema errors are transient: %o', (error, reason) => {
+        expect(classifyImportError(error)).toEqual({ errorClass: 'transient', reason });
+    });
+
+    test('a 404 from a sub-call does not dead-letter the event', () => {
+        const soundcloud = httpError('SoundCloud user not found: HTTP 404', 404);
+        const { errorClass } = classifyImportError(soundcloud);
+
+        expect(errorClass).toBe('unknown');
+        expect(getRetryDecision(errorClass, 1).deadLetter).toBe(false);
+        expect(classifyImportError(new Error('Artist does not exist')).errorClass).toBe('unknown');
+    });
+
+    test.each([
+        [Object.assign(new Error('Invalid OAuth access token'), { code: 190 }), 'auth'],
+        [{ code: '23505', message: 'duplicate key value violates unique constraint' }, 'data'],
+        [httpError('Too Many Requests', 429), 'transient'],
+        [Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), 'transient'],
+        [createImportError('Unsupported event source URL: https://example.org', 'permanent', 'unsupported_url'), 'permanent']
+    ])('%o is %s', (error, errorClass) => {
+        expect(classifyImportError(error).errorClass).toBe(errorClass);
+    });
+
+    test.each([
+        ['invalid json response body at https://graph.facebook.com/v18.0/123 reason: Unexpected token \'<\' in JSON at position 0', 'transient'],
+        ['Unexpected end of JSON input', 'transient'],
+        ['Unexpected token < in JSON at position 0', 'transient'],
+        ['Malformed response from api.soundcloud.com', 'unknown'],
+        ['Invalid response from Google Places', 'unknown'],
+        ['Validation of the lineup response failed', 'unknown'],
+        ['name is required', 'unknown']
+    ])('upstream failure "%s" is %s, not data', (message, errorClass) => {
+        const { errorClass: actual } = classifyImportError(new Error(message));
+        expect(actual).toBe(errorClass);
+        expect(getRetryDecision(actual, 1).deadLetter).toBe(false);
+    });
+
+    test.each([
+        [{ code: '22P02', message: 'invalid input syntax for type integer: "abc"' }, 'db_22P02'],
+        [{ code: '23503', message: 'insert or update on table "event_artist" violates foreign key constraint' }, 'db_23503'],
+        [createImportError('Event has no start time', 'data', 'missing_start_time'), 'missing_start_time']
+    ])('data errors come from Postgres codes or createImportError: %o', (error, reason) => {
+        expect(classifyImportError(error)).toEqual({ errorClass: 'data', reason });
+        expect(getRetryDecision('data', 1)).toEqual({ deadLetter: true, delaySeconds: null, maxRetries: 0 });
+    });
+});
+
+describe('tagEventSourceError', () => {
+    test.each([
+        [httpError('Failed to fetch https://ra.co/events/1: HTTP 404', 404), 'event_http_404'],
+        [httpError('Failed to fetch https://dice.fm/event/x: HTTP 410', 410), 'event_http_410']
+    ])('a %s on the event page is permanent', (error, reason) => {
+        expect(classifyImportError(tagEventSourceError(error))).toEqual({ errorClass: 'permanent', reason });
+    });
+
+    test.each([
+        ['No event data found, please verify that your URL is correct and the event is accessible without authentication'],
+        ['Invalid Facebook event URL'],
+        ['This content isn\'t available right now'],
+        ['No schema.org Event found on dice page: https://dice.fm/event/x']
+    ])('"%s" is permanent', (message) => {
+        expect(classifyImportError(tagEventSourceError(new Error(message))).errorClass).toBe('permanent');
+    });
+
+    test('other scrape errors keep their class', () => {
+        const serverError = tagEventSourceError(httpError('Failed to fetch https://ra.co/events/1: HTTP 503', 503));
+        expect(serverError.errorClass).toBeUndefined();
+        expect(classifyImportError(serverError).errorClass).toBe('transient');
+
+        const tagged = createImportError('Token expired', 'auth');
+        expect(tagEventSourceError(tagged).errorClass).toBe('auth');
+    });
+});
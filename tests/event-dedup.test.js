@@ -0,0 +1,121 @@
+// tests/event-dedup.test.js
+// Cross-source event deduplication: duplicate score and metadata merge
+
+import { scoreEventDuplicate, findDuplicateEvent, mergeEventMetadata } from '../models/event.js';
+
+const report = { score: 0.91, criteria: { title: 1, venue: 1, time: 1, lineup: 0.5 } };
+
+describe('scoreEventDuplicate', () => {
+    const existing = { title: 'Fuse presents: Ben Klock', date_time: '2025-03-15T22:00:00Z', venueIds: [7], artistIds: [1, 2] };
+
+    test('the lineup counts once the incoming artists are known', () => {
+        const incoming = { title: 'Fuse presents Ben Klock', date_time: '2025-03-15T22:00:00Z', venueId: 7 };
+        const unknown = scoreEventDuplicate(existing, incoming);
+        const known = scoreEventDuplicate(existing, { ...incoming, artistIds: [1, 2] });
+
+        expect(unknown.criteria.lineup).toBe(0.5);
+        expect(known.criteria.lineup).toBe(1);
+        expect(known.score).toBeGreaterThan(unknown.score);
+    });
+
+    test('a different lineup lowers the score', () => {
+        const { criteria } = scoreEventDuplicate(existing, { title: 'Fuse', date_time: existing.date_time, venueId: 7, artistIds: [3] });
+        expect(criteria.lineup).toBe(0);
+    });
+
+    test('the same venue and time without a similar title or a shared artist is not comparable', () => {
+        const incoming = { title: 'Acid Party', date_time: existing.date_time, venueId: 7 };
+        const unknownLineup = scoreEventDuplicate(existing, incoming);
+        expect(unknownLineup.criteria).toEqual({ title: 0, venue: 1, time: 1, lineup: 0.5 });
+        expect(unknownLineup.score).toBe(0.575); // Above EVENT_REVIEW_THRESHOLD on venue and time alone
+        expect(unknownLineup.comparable).toBe(false);
+
+        expect(scoreEventDuplicate(existing, { ...incoming, artistIds: [3] }).comparable).toBe(false);
+        expect(scoreEventDuplicate(existing, { ...incoming, artistIds: [2, 3] }).comparable).toBe(true);
+        expect(scoreEventDuplicate(existing, { ...incoming, title: 'Fuse: Ben Klock' }).comparable).toBe(true);
+    });
+});
+
+describe('findDuplicateEvent', () => {
+    /**
+     * Supabase client answering every query of a table with its rows.
+     */
+    function createSupabaseStub(tables) {
+        return {
+            from(table) {
+                const result = { data: tables[table] || [], error: null };
+                const query = {
+                    select: () => query,
+                    is: () => query,
+                    gte: () => query,
+                    lte: () => query,
+                    in: () => query,
+                    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+                };
+                return query;
+            }
+        };
+    }
+
+    const supabase = createSupabaseStub({
+        events: [
+            { id: 1, title: 'Fuse presents: Ben Klock', date_time: '2025-03-15T22:00:00Z', metadata: {} },
+            { id: 2, title: 'Ostgut Ton Night', date_time: '2025-03-15T23:00:00Z', metadata: {} }
+        ],
+        event_venue: [{ event_id: 1, venue_id: 7 }, { event_id: 2, venue_id: 7 }],
+        event_artist: [{ event_id: 1, artist_id: [1, 2] }, { event_id: 2, artist_id: 5 }]
+    });
+
+    test('an unrelated title at the same venue and time is distinct', async () => {
+        const result = await findDuplicateEvent(supabase, { title: 'Acid Party', date_time: '2025-03-15T22:00:00Z', venueId: 7, artistIds: [] });
+        expect(result.decision).toBe('distinct');
+        expect(result.match).toBeNull();
+        expect(result.candidates[0]).toMatchObject({ score: 0.575, comparable: false });
+    });
+
+    test('an unrelated title sharing an artist is flagged for review', async () => {
+        const result = await findDuplicateEvent(supabase, { title: 'Acid Party', date_time: '2025-03-15T23:00:00Z', venueId: 7, artistIds: [5, 6] });
+        expect(result.decision).toBe('ambiguous');
+        expect(result.match.event.id).toBe(2);
+    });
+
+    test('a similar title is still merged', async () => {
+        const result = await findDuplicateEvent(supabase, { title: 'Fuse presents Ben Klock', date_time: '2025-03-15T22:00:00Z', venueId: 7, artistIds: [1, 2] });
+        expect(result.decision).toBe('duplicate');
+        expect(result.match.event.id).toBe(1);
+    });
+});
+
+describe('mergeEventMetadata', () => {
+    const canonical = { facebook_url: 'https://www.facebook.com/events/1', source_urls: ['https://www.facebook.com/events/1'] };
+    const duplicate = { dice_url: 'https://dice.fm/event/x9kq2-a', source_urls: ['https://dice.fm/event/x9kq2-a'], source: 'dice', ticket_link: 'https://dice.fm/t' };
+
+    test('adds the duplicate URLs to source_urls and keeps existing keys', () => {
+        const merged = mergeEventMetadata({ ...canonical, ticket_link: 'https://fb/t' }, duplicate, report);
+
+        expect(merged.source_urls).toEqual(['https://www.facebook.com/events/1', 'https://dice.fm/event/x9kq2-a']);
+        expect(merged.dice_url).toBe('https://dice.fm/event/x9kq2-a');
+        expect(merged.ticket_link).toBe('https://fb/t');
+        expect(merged.source).toBeUndefined();
+        expect(merged.merged_sources).toHaveLength(1);
+        expect(merged.merged_sources[0]).toMatchObject({ source: 'dice', score: 0.91 });
+    });
+
+    test('merging the same duplicate again replaces its entry', () => {
+        const once = mergeEventMetadata(canonical, duplicate, report);
+        const twice = mergeEventMetadata(once, duplicate, { ...report, score: 0.95 });
+
+        expect(twice.source_urls).toEqual(once.source_urls);
+        expect(twice.merged_sources).toHaveLength(1);
+        expect(twice.merged_sources[0].score).toBe(0.95);
+    });
+
+    test('another duplicate gets its own entry', () => {
+        const once = mergeEventMetadata(canonical, duplicate, report);
+        const shotgun = { shotgun_url: 'https://shotgun.live/events/a', source_urls: ['https://shotgun.live/events/a'], source: 'shotgun' };
+        const merged = mergeEventMetadata(once, shotgun, report);
+
+        expect(merged.source_urls).toHaveLength(3);
+        expect(merged.merged_sources.map(entry => entry.source)).toEqual(['dice', 'shotgun']);
+    });
+});
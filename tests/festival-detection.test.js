@@ -0,0 +1,150 @@
+// tests/festival-detection.test.js
+// Festival detection evaluation (scripts/evaluate_festival_detection.js) on the labelled fixtures, against the saved baseline,
+// and parity of the local import and Edge Function detections on the same fixtures
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import ts from 'typescript';
+
+import { detectFestival } from '../utils/festival-detection.js';
+import artistModel from '../models/artist.js';
+import {
+    loadFestivalFixtures,
+    evaluateFestivalDetection,
+    compareWithBaseline,
+    toBaseline
+} from '../scripts/evaluate_festival_detection.js';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FIXTURES_DIR = path.join(ROOT_DIR, 'fixtures', 'festival-detection');
+const EDGE_SHARED_DIR = path.join(ROOT_DIR, 'supabase', 'functions', '_shared');
+const fixtures = loadFestivalFixtures(path.join(FIXTURES_DIR, 'events'));
+const baseline = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'baseline.json'), 'utf8'));
+
+describe('festival detection fixtures', () => {
+    const evaluation = evaluateFestivalDetection(fixtures);
+
+    test('no case regresses against the baseline', () => {
+        const comparison = compareWithBaseline(evaluation, baseline);
+        expect(comparison.regressions.map(r => `${r.id} (${r.check})`)).toEqual([]);
+        expect(comparison.newCases).toEqual([]);
+    });
+
+    test('metrics are at least the baseline ones', () => {
+        for (const key of ['precision', 'recall', 'f1', 'accuracy', 'nameAccuracy']) {
+            expect(evaluation.metrics[key]).toBeGreaterThanOrEqual(baseline.metrics[key]);
+        }
+    });
+
+    test('the confusion counts add up to the fixtures', () => {
+        const { truePositives, falsePositives, falseNegatives, trueNegatives, total } = evaluation.metrics;
+        expect(truePositives + falsePositives + falseNegatives + trueNegatives).toBe(total);
+        expect(total).toBe(fixtures.length);
+    });
+});
+
+describe('evaluation helpers', () => {
+    test('precision and recall are null without predictions or positives', () => {
+        const { metrics } = evaluateFestivalDetection([
+            { id: 'club', label: { isFestival: false }, event: { name: 'Ben Klock at Berghain', description: '' } }
+        ]);
+        expect(metrics).toMatchObject({ total: 1, trueNegatives: 1, precision: null, recall: null, f1: null, accuracy: 1, nameAccuracy: null });
+    });
+
+    test('compareWithBaseline reports regressions, improvements, new cases and metric deltas', () => {
+        const current = {
+            metrics: { precision: 0.5, recall: 1 },
+            cases: [
+                { id: 'a', detectionCorrect: false, nameCorrect: null },
+                { id: 'b', detectionCorrect: true, nameCorrect: true },
+                { id: 'c', detectionCorrect: true, nameCorrect: null }
+            ]
+        };
+        const saved = {
+            metrics: { precision: 0.75, recall: 1 },
+            cases: {
+                a: { detectionCorrect: true, nameCorrect: null },
+                b: { detectionCorrect: true, nameCorrect: false }
+            }
+        };
+
+        const comparison = compareWithBaseline(current, saved);
+        expect(comparison.regressions.map(r => [r.id, r.check])).toEqual([['a', 'detectionCorrect']]);
+        expect(comparison.improvements.map(r => [r.id, r.check])).toEqual([['b', 'nameCorrect']]);
+        expect(comparison.newCases).toEqual(['c']);
+        expect(comparison.metricDeltas).toEqual({ precision: -0.25 });
+        expect(compareWithBaseline(current, null)).toEqual({ regressions: [], improvements: [], newCases: [], metricDeltas: {} });
+    });
+
+    test('a baseline written with toBaseline compares without changes', () => {
+        const evaluation = evaluateFestivalDetection(fixtures.slice(0, 4));
+        const comparison = compareWithBaseline(evaluation, JSON.parse(JSON.stringify(toBaseline(evaluation))));
+        expect(comparison).toEqual({ regressions: [], improvements: [], newCases: [], metricDeltas: {} });
+    });
+
+    test('fixtures without a label are rejected', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'festival-fixtures-'));
+        try {
+            fs.writeFileSync(path.join(dir, 'unlabelled.json'), JSON.stringify({ event: { name: 'Dour Festival' } }));
+            expect(() => loadFestivalFixtures(dir)).toThrow('Invalid fixture unlabelled.json');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+/**
+ * Loads the Edge Function detection (_shared/utils/festival-detection.ts) under Node: transpiled into `dir`
+ * next to the shared scorer and rules, with its Deno-only imports (logger, date, constants) stubbed.
+ * @param {string} dir - Temporary directory
+ * @returns {Promise<object>} The module
+ */
+async function loadEdgeFestivalDetection(dir) {
+    const source = fs.readFileSync(path.join(EDGE_SHARED_DIR, 'utils', 'festival-detection.ts'), 'utf8')
+        .replace(`from '../config/festival-rules.json' with { type: 'json' }`, `from './festival-rules.mjs'`);
+    const { outputText } = ts.transpileModule(source, {
+        compilerOptions: { module: ts.ModuleKind.ES2022, target: ts.ScriptTarget.ES2022 }
+    });
+    const rules = fs.readFileSync(path.join(EDGE_SHARED_DIR, 'config', 'festival-rules.json'), 'utf8');
+    // .mjs: the temporary directory has no package.json declaring ES modules
+    fs.writeFileSync(path.join(dir, 'festival-detection.mjs'), outputText.replace(/from '\.\/([\w-]+)\.(?:ts|js)'/g, `from './$1.mjs'`));
+    fs.copyFileSync(path.join(EDGE_SHARED_DIR, 'utils', 'festival-scorer.js'), path.join(dir, 'festival-scorer.mjs'));
+    fs.writeFileSync(path.join(dir, 'festival-rules.mjs'), `export default ${rules};`);
+    fs.writeFileSync(path.join(dir, 'logger.mjs'), 'export const logger = { info() {} };');
+    fs.writeFileSync(path.join(dir, 'date.mjs'), 'export const calculateDurationHours = () => 0;');
+    fs.writeFileSync(path.join(dir, 'constants.mjs'), 'export const FESTIVAL_DURATION_THRESHOLD_HOURS = 24;');
+    return await import(pathToFileURL(path.join(dir, 'festival-detection.mjs')).href);
+}
+
+describe('local and Edge detection parity', () => {
+    let dir;
+    let edge;
+
+    beforeAll(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'edge-festival-detection-'));
+        edge = await loadEdgeFestivalDetection(dir);
+    });
+
+    afterAll(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test.each(fixtures.map(fixture => [fixture.id, fixture]))('%s scores the same on both paths', (id, fixture) => {
+        const lineupSize = artistModel.estimateLineupSize(fixture.event.description);
+        const local = detectFestival(fixture.event, { lineupSize });
+        const remote = edge.detectFestivalFromScrapedEvent(fixture.event, { lineupSize });
+
+        const { duration, festivalName, ...localScore } = local;
+        const { duration: remoteDuration, ...remoteScore } = remote;
+        expect(remoteScore).toEqual(localScore);
+        expect(remoteDuration).toEqual(duration && { hours: duration.hours, days: duration.days });
+    });
+
+    test('forced festivals score the same on both paths', () => {
+        const event = { name: 'Ben Klock at Berghain', description: '' };
+        const { duration, festivalName, ...local } = detectFestival(event, { forceFestival: true });
+        const { duration: remoteDuration, ...remote } = edge.detectFestivalFromScrapedEvent(event, { forceFestival: true });
+        expect(remote).toEqual(local);
+        expect(local).toMatchObject({ isFestival: true, reasons: expect.arrayContaining(['Festival mode FORCED']) });
+    });
+});
@@ -0,0 +1,51 @@
+// tests/import-abort.test.js
+// An aborted import (job timeout, lost lease) stops between steps and saves no further checkpoint
+
+import { jest } from '@jest/globals';
+import { processEventImport } from '../scripts/import_event_core.js';
+
+const EVENT_URL = 'https://www.facebook.com/events/1234567890123456/';
+
+function createImport() {
+    const supabase = { from: jest.fn(() => { throw new Error('no database write expected'); }), rpc: jest.fn() };
+    const onCheckpoint = jest.fn(async () => {});
+    const scrapeEvent = jest.fn(async () => ({ id: '1234567890123456', name: 'Ben Klock at Berghain', description: '' }));
+    return {
+        supabase,
+        onCheckpoint,
+        scrapeEvent,
+        run: signal => processEventImport({ eventUrl: EVENT_URL, supabase, scrapeEvent, onCheckpoint, signal })
+    };
+}
+
+describe('processEventImport with an AbortSignal', () => {
+    test('an already aborted import runs no step', async () => {
+        const controller = new AbortController();
+        const reason = Object.assign(new Error('Event 1 import timed out after 1800s'), { code: 'JOB_TIMEOUT' });
+        controller.abort(reason);
+        const job = createImport();
+
+        await expect(job.run(controller.signal)).rejects.toBe(reason);
+        expect(job.scrapeEvent).not.toHaveBeenCalled();
+    });
+
+    test('an import aborted during a step stops before the next one', async () => {
+        const controller = new AbortController();
+        const reason = Object.assign(new Error('Lease on event 1 lost'), { code: 'LEASE_LOST' });
+        const job = createImport();
+        job.scrapeEvent.mockImplementation(async () => {
+            controller.abort(reason);
+            return { id: '1234567890123456', name: 'Ben Klock at Berghain', description: '' };
+        });
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        try {
+            await expect(job.run(controller.signal)).rejects.toBe(reason);
+        } finally {
+            log.mockRestore();
+        }
+        expect(job.scrapeEvent).toHaveBeenCalledTimes(1);
+        expect(job.onCheckpoint).not.toHaveBeenCalled();
+        expect(job.supabase.from).not.toHaveBeenCalled();
+    });
+});
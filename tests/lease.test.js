@@ -0,0 +1,135 @@
+// tests/lease.test.js
+// Job leases (utils/lease.js): heartbeats extending the lease, and a leased job aborted on a lost lease or a timeout
+
+import { jest } from '@jest/globals';
+import { startLeaseHeartbeat, runLeasedJob } from '../utils/lease.js';
+
+const LEASE = { workerId: 'worker-a', leaseSeconds: 30, intervalMs: 10000 };
+
+/**
+ * Supabase client answering extend_event_lease with the given results, one per heartbeat.
+ */
+function createSupabaseStub(results) {
+    const rpc = jest.fn(async () => results.shift() ?? { data: true, error: null });
+    return { rpc };
+}
+
+describe('startLeaseHeartbeat', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    test('extends the lease of the worker on each interval until stopped', async () => {
+        const supabase = createSupabaseStub([]);
+        const heartbeat = startLeaseHeartbeat(supabase, { id: 7, locked_by: 'worker-a' }, LEASE);
+
+        await jest.advanceTimersByTimeAsync(25000);
+        expect(supabase.rpc).toHaveBeenCalledTimes(2);
+        expect(supabase.rpc).toHaveBeenCalledWith('extend_event_lease', { event_id: 7, worker_id: 'worker-a', lease_seconds: 30 });
+
+        heartbeat.stop();
+        await jest.advanceTimersByTimeAsync(30000);
+        expect(supabase.rpc).toHaveBeenCalledTimes(2);
+    });
+
+    test('a lost lease rejects `lost` and stops the heartbeats', async () => {
+        const supabase = createSupabaseStub([{ data: true, error: null }, { data: false, error: null }]);
+        const heartbeat = startLeaseHeartbeat(supabase, { id: 7, locked_by: 'worker-a' }, LEASE);
+        const lost = expect(heartbeat.lost).rejects.toMatchObject({ code: 'LEASE_LOST', message: 'Lease on event 7 lost: reclaimed by another worker' });
+
+        await jest.advanceTimersByTimeAsync(50000);
+        await lost;
+        expect(supabase.rpc).toHaveBeenCalledTimes(2);
+    });
+
+    test('a failed heartbeat is logged and retried on the next interval', async () => {
+        const supabase = createSupabaseStub([{ data: null, error: { message: 'fetch failed' } }, { data: true, error: null }]);
+        const log = jest.fn();
+        const heartbeat = startLeaseHeartbeat(supabase, { id: 7, locked_by: 'worker-a' }, { ...LEASE, log });
+        const settled = jest.fn();
+        heartbeat.lost.catch(settled);
+
+        await jest.advanceTimersByTimeAsync(20000);
+        expect(log).toHaveBeenCalledWith('⚠️ Heartbeat failed for event 7: fetch failed');
+        expect(supabase.rpc).toHaveBeenCalledTimes(2);
+        expect(settled).not.toHaveBeenCalled();
+        heartbeat.stop();
+    });
+
+    test('an event claimed without lease sends no heartbeat', async () => {
+        const supabase = createSupabaseStub([]);
+        startLeaseHeartbeat(supabase, { id: 7, locked_by: null }, LEASE);
+        await jest.advanceTimersByTimeAsync(60000);
+        expect(supabase.rpc).not.toHaveBeenCalled();
+    });
+});
+
+describe('runLeasedJob', () => {
+    /**
+     * Job that runs until its signal is aborted, then ends after `stopDelayMs` (its current step).
+     */
+    function createJob(stopDelayMs) {
+        const events = [];
+        const run = jest.fn(signal => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => {
+                events.push('aborted');
+                setTimeout(() => {
+                    events.push('stopped');
+                    reject(signal.reason);
+                }, stopDelayMs);
+            });
+        }));
+        return { run, events };
+    }
+
+    test('returns the result of the job', async () => {
+        const result = await runLeasedJob(async () => ({ eventId: 1 }), { lost: new Promise(() => {}), timeoutMs: 1000 });
+        expect(result).toEqual({ eventId: 1 });
+    });
+
+    test('a lost lease aborts the job and throws once it has stopped', async () => {
+        jest.useFakeTimers();
+        try {
+            const job = createJob(5000);
+            const supabase = createSupabaseStub([{ data: false, error: null }]);
+            const heartbeat = startLeaseHeartbeat(supabase, { id: 7, locked_by: 'worker-a' }, LEASE);
+            const onAbort = jest.fn();
+
+            const outcome = runLeasedJob(job.run, { lost: heartbeat.lost, timeoutMs: 60000, label: 'Event 7 import', onAbort });
+            const rejected = expect(outcome).rejects.toMatchObject({ code: 'LEASE_LOST' });
+
+            await jest.advanceTimersByTimeAsync(10000);
+            expect(onAbort).toHaveBeenCalledWith(expect.objectContaining({ code: 'LEASE_LOST' }));
+            expect(job.events).toEqual(['aborted']); // Still in its current step: the slot and lease are kept
+
+            await jest.advanceTimersByTimeAsync(5000);
+            await rejected;
+            expect(job.events).toEqual(['aborted', 'stopped']);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('a timed-out job is aborted with JOB_TIMEOUT', async () => {
+        jest.useFakeTimers();
+        try {
+            const job = createJob(1000);
+            const outcome = runLeasedJob(job.run, { lost: new Promise(() => {}), timeoutMs: 30000, label: 'Event 7 import' });
+            const rejected = expect(outcome).rejects.toMatchObject({ code: 'JOB_TIMEOUT', message: 'Event 7 import timed out after 30s' });
+
+            await jest.advanceTimersByTimeAsync(31000);
+            await rejected;
+            expect(job.run.mock.calls[0][0].aborted).toBe(true);
+            expect(job.events).toEqual(['aborted', 'stopped']);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('other errors of the job are thrown without abort', async () => {
+        let signal;
+        const failure = new Error('SoundCloud user not found: HTTP 404');
+        await expect(runLeasedJob(async (s) => { signal = s; throw failure; }, { lost: new Promise(() => {}), timeoutMs: 1000 }))
+            .rejects.toBe(failure);
+        expect(signal.aborted).toBe(false);
+    });
+});
@@ -0,0 +1,62 @@
+// tests/lineup-parser.test.js
+// Rule-based lineup parser: what is never an artist, and when the LLM is skipped
+
+import artistModel from '../models/artist.js';
+import { RULE_BASED_LINEUP_CONFIDENCE } from '../utils/constants.js';
+
+const parse = (text, options) => artistModel.parseLineupRuleBased(text, options);
+const names = (text, options) => parse(text, options).artists.map(artist => artist.name);
+
+describe('parseLineupRuleBased', () => {
+    test('a titled description with date and city lines is left to the LLM', () => {
+        const result = parse('FUSE: Ben Klock All Night Long\nSaturday 15 March\nBrussels\nBen Klock');
+
+        expect(result.artists.map(artist => artist.name)).toEqual(['Ben Klock']);
+        expect(result.confidence).toBeLessThan(RULE_BASED_LINEUP_CONFIDENCE);
+    });
+
+    test('date, day and place lines are never artists', () => {
+        const text = 'Summer Closing\nVendredi 14/03 - 23h\n23:00 Amelie Lens\n01:00 Charlotte de Witte\nGent, Belgium\nFri 15.03.2025';
+        const result = parse(text);
+
+        expect(result.artists.map(artist => artist.name)).toEqual(['Amelie Lens', 'Charlotte de Witte']);
+        expect(result.confidence).toBeGreaterThanOrEqual(RULE_BASED_LINEUP_CONFIDENCE);
+    });
+
+    test('day headers of a multi-day lineup are not stages', () => {
+        const result = parse('Line-up:\nFriday:\nAmelie Lens\nT78\nSaturday:\nBen Klock\nDax J');
+
+        expect(result.artists.map(artist => artist.name)).toEqual(['Amelie Lens', 'T78', 'Ben Klock', 'Dax J']);
+        expect(result.artists.every(artist => artist.stage === '')).toBe(true);
+        expect(result.confidence).toBeGreaterThanOrEqual(RULE_BASED_LINEUP_CONFIDENCE);
+    });
+
+    test('the event title and the venue city are skipped after a header', () => {
+        const text = 'Line-up:\nTechno Night\nAmelie Lens\nT78\nHasselt';
+        expect(names(text, { title: 'TECHNO NIGHT', city: 'Hasselt' })).toEqual(['Amelie Lens', 'T78']);
+    });
+
+    test('artist names containing a weekday or a place word are kept', () => {
+        expect(names('Line-up:\nSunday Service\nParis Mauve\nDJ')).toEqual(['Sunday Service', 'Paris Mauve', 'DJ']);
+    });
+
+    test('a list without header or slot times stays below the threshold', () => {
+        const result = parse('Amelie Lens\nT78\nBen Klock\nDax J');
+        expect(result.confidence).toBeLessThan(RULE_BASED_LINEUP_CONFIDENCE);
+    });
+
+    test('names ending in "live" or "av" keep them', () => {
+        const result = parse('Line-up:\nOlive\nClive\nMirav');
+        expect(result.artists.map(artist => artist.name)).toEqual(['Olive', 'Clive', 'Mirav']);
+        expect(result.confidence).toBeGreaterThanOrEqual(RULE_BASED_LINEUP_CONFIDENCE);
+    });
+
+    test('performance suffixes after a space or in brackets are removed', () => {
+        expect(names('Line-up:\nAmelie Lens (live)\nT78 Live\nBen Klock [DJ set]\nRrose A/V\nClive live set'))
+            .toEqual(['Amelie Lens', 'T78', 'Ben Klock', 'Rrose', 'Clive']);
+    });
+
+    test('a timed first line is not taken for the title', () => {
+        expect(names('23:00 Amelie Lens\n01:00 T78')).toEqual(['Amelie Lens', 'T78']);
+    });
+});
@@ -0,0 +1,81 @@
+// tests/lineup-providers.test.js
+// Lineup providers: recorded answers replayed from fixtures/lineup, recording and fallback
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLineupProvider, createFlyerProvider, withFallback } from '../lineup/index.js';
+import { createRecordedProvider, recordProvider, getRecordingKey } from '../lineup/recorded.js';
+import { validateLineup } from '../utils/lineup.js';
+
+const FIXTURES_DIR = path.join(process.cwd(), 'fixtures', 'lineup');
+const RECORDINGS_FILE = path.join(FIXTURES_DIR, 'recordings.json');
+const description = fs.readFileSync(path.join(FIXTURES_DIR, 'description.txt'), 'utf8');
+
+describe('recorded provider', () => {
+    test('LINEUP_PROVIDER=recorded replays the saved answer', async () => {
+        const provider = createLineupProvider({ env: { LINEUP_PROVIDER: 'recorded', LINEUP_RECORDINGS_FILE: RECORDINGS_FILE } });
+        const artists = await provider.extractLineup(description);
+
+        expect(provider.name).toBe('recorded');
+        expect(artists.map(a => a.name)).toEqual(['Amelie Lens', 'Charlotte de Witte', 'Enrico Sangiuliano', 'T78']);
+    });
+
+    test('recorded entries pass the lineup validation', async () => {
+        const provider = createRecordedProvider({ filePath: RECORDINGS_FILE });
+        const lineup = validateLineup(await provider.extractLineup(description), {
+            eventStart: '2025-03-15T23:00:00+01:00',
+            timezone: 'Europe/Brussels'
+        });
+
+        expect(lineup).toHaveLength(4);
+        expect(lineup[1]).toMatchObject({ name: 'Charlotte de Witte', performance_mode: 'B2B', time: '2025-03-16T00:00:00Z' });
+    });
+
+    test('a description without recording throws, or uses the fallback', async () => {
+        const fallback = { name: 'stub', extractLineup: async () => [{ name: 'Fallback' }] };
+
+        await expect(createRecordedProvider({ filePath: RECORDINGS_FILE }).extractLineup('Unknown event'))
+            .rejects.toThrow(getRecordingKey('Unknown event'));
+        await expect(createRecordedProvider({ filePath: RECORDINGS_FILE, fallback }).extractLineup('Unknown event'))
+            .resolves.toEqual([{ name: 'Fallback' }]);
+    });
+
+    test('recordProvider saves answers that the recorded provider replays', async () => {
+        const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'lineup-')), 'recordings.json');
+        const live = { name: 'live', extractLineup: async () => [{ name: 'Ben Klock', time: '23:00' }] };
+
+        try {
+            await recordProvider(live, filePath).extractLineup('Berghain: Ben Klock');
+            const replayed = await createRecordedProvider({ filePath }).extractLineup('Berghain: Ben Klock');
+            expect(replayed).toEqual([{ name: 'Ben Klock', time: '23:00' }]);
+        } finally {
+            fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+        }
+    });
+});
+
+describe('withFallback', () => {
+    test('falls back when the primary provider fails', async () => {
+        const failing = { name: 'failing', extractLineup: async () => { throw new Error('quota'); } };
+        const fallback = { name: 'stub', extractLineup: async () => [{ name: 'Fallback' }] };
+        const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(withFallback(failing, fallback).extractLineup('text')).resolves.toEqual([{ name: 'Fallback' }]);
+        spy.mockRestore();
+    });
+});
+
+describe('createFlyerProvider', () => {
+    test('flyers are not analysed without an explicit FLYER_PROVIDER', () => {
+        expect(createFlyerProvider({ env: { OPENAI_API_KEY: 'sk-test' } })).toBeNull();
+        expect(createFlyerProvider({ openai: { chat: {} }, env: {} })).toBeNull();
+    });
+
+    test('an explicit FLYER_PROVIDER creates the provider', () => {
+        const provider = createFlyerProvider({ env: { FLYER_PROVIDER: 'tesseract' } });
+        expect(provider).not.toBeNull();
+        expect(typeof provider.extractLineupFromImage).toBe('function');
+    });
+});
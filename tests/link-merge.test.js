@@ -0,0 +1,72 @@
+// tests/link-merge.test.js
+// Link rows repointed when duplicate entities are merged (planLinkMerge, same rules as merge_entity_links)
+// and duplicate venue clusters
+
+import databaseUtils from '../utils/database.js';
+import venueModel from '../models/venue.js';
+
+/**
+ * Minimal Supabase client returning the rows of one table for select().in().order().
+ */
+function createSupabaseStub(rows) {
+    return {
+        from: () => ({
+            select: () => ({
+                in: (column, ids) => ({
+                    order: async () => ({
+                        data: rows
+                            .filter(row => ids.map(String).includes(String(row[column])))
+                            .sort((a, b) => a[column] - b[column]),
+                        error: null
+                    })
+                })
+            })
+        })
+    };
+}
+
+describe('planLinkMerge', () => {
+    test('moves the links the survivor lacks and deletes the others', async () => {
+        const supabase = createSupabaseStub([
+            { artist_id: 1, user_id: 10 },
+            { artist_id: 2, user_id: 10 }, // Survivor already followed by user 10
+            { artist_id: 2, user_id: 11 },
+            { artist_id: 3, user_id: 11 }, // Followed through two duplicates: one row kept
+            { artist_id: 3, user_id: 12 },
+            { artist_id: 4, user_id: 13 } // Not in the cluster
+        ]);
+
+        const changes = await databaseUtils.planLinkMerge(supabase, 'user_follow_artist', 'artist_id', 'user_id', 1, [2, 3]);
+
+        expect(changes.moved).toEqual([{ artist_id: 2, user_id: 11 }, { artist_id: 3, user_id: 12 }]);
+        expect(changes.deleted).toEqual([{ artist_id: 2, user_id: 10 }, { artist_id: 3, user_id: 11 }]);
+    });
+
+    test('nothing changes without links on the duplicates', async () => {
+        const supabase = createSupabaseStub([{ venue_id: 5, genre_id: 1 }]);
+        const changes = await databaseUtils.planLinkMerge(supabase, 'venue_genre', 'venue_id', 'genre_id', 5, [6]);
+        expect(changes).toEqual({ moved: [], deleted: [] });
+    });
+});
+
+describe('findVenueDuplicateClusters', () => {
+    const venues = [
+        { id: 1, name: 'Fuse', location: 'Rue Blaes 208, Brussels', geo: { place_id: 'abc' } },
+        { id: 2, name: 'Fuse Club', location: 'Rue Blaes 208, Brussels', geo: { place_id: 'abc' } },
+        { id: 3, name: 'Fuse', location: 'Rue Blaes 208, Brussels', geo: {} }
+    ];
+
+    test('only scores the candidate pairs found in SQL', () => {
+        const clusters = venueModel.findVenueDuplicateClusters(venues, {
+            candidatePairs: [{ venue_id: 1, other_venue_id: 2 }]
+        });
+        expect(clusters).toHaveLength(1);
+        expect(clusters[0].venues.map(v => v.id)).toEqual([1, 2]);
+    });
+
+    test('scores every pair without candidate pairs', () => {
+        const clusters = venueModel.findVenueDuplicateClusters(venues);
+        expect(clusters).toHaveLength(1);
+        expect(clusters[0].venues.map(v => v.id).sort()).toEqual([1, 2, 3]);
+    });
+});
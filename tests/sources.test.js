@@ -0,0 +1,146 @@
+// tests/sources.test.js
+// Event-source adapters normalized from saved pages (fixtures/sources)
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { getSourceAdapter, normalizeEventPayload, scrapeEvent, listSources } from '../sources/index.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'sources');
+
+function readFixture(file) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8');
+}
+
+describe('adapter registry', () => {
+    test.each([
+        ['https://www.facebook.com/events/1234567890123456/', 'facebook', '1234567890123456'],
+        ['https://ra.co/events/1987654', 'resident_advisor', '1987654'],
+        ['https://www.residentadvisor.net/events/1987654', 'resident_advisor', '1987654'],
+        ['https://dice.fm/event/x9kq2-dekmantel-selectors-warm-up-20th-jun-de-school-amsterdam-tickets', 'dice', 'x9kq2'],
+        ['https://shotgun.live/fr/events/possession-kobosil', 'shotgun', 'possession-kobosil'],
+        ['https://www.eventbrite.co.uk/e/jazz-on-the-roof-tickets-912345678901', 'eventbrite', '912345678901']
+    ])('%s is handled by %s', (url, name, id) => {
+        const adapter = getSourceAdapter(url);
+        expect(adapter.name).toBe(name);
+        expect(adapter.extractId(url)).toBe(id);
+        expect(adapter.metadataKey).toBe(`${name}_url`);
+    });
+
+    test('lists every source', () => {
+        expect(listSources()).toEqual(['facebook', 'resident_advisor', 'dice', 'shotgun', 'eventbrite']);
+    });
+
+    test('unsupported URLs fail as permanent import errors', async () => {
+        expect(getSourceAdapter('https://example.org/party')).toBeNull();
+        await expect(scrapeEvent('https://example.org/party')).rejects.toMatchObject({
+            errorClass: 'permanent',
+            reason: 'unsupported_url'
+        });
+    });
+});
+
+describe('Facebook', () => {
+    test('keeps the scraper shape and adds the canonical fields', () => {
+        const raw = JSON.parse(readFixture('facebook.json'));
+        const event = normalizeEventPayload('facebook', raw, 'https://www.facebook.com/events/1234567890123456');
+
+        expect(event).toMatchObject({
+            source: 'facebook',
+            id: '1234567890123456',
+            url: 'https://www.facebook.com/events/1234567890123456/',
+            name: 'Kiosk Radio 5 Years',
+            startTimestamp: 1751738400,
+            endTimestamp: 1751767200,
+            ticketUrl: 'https://kioskradio.com/tickets',
+            photo: { imageUri: 'https://scontent.xx.fbcdn.net/v/kiosk.jpg' },
+            categories: [{ label: 'Music' }],
+            lineup: []
+        });
+        expect(event.hosts[0]).toMatchObject({ id: '100064', name: 'Kiosk Radio' });
+        expect(event.location).toMatchObject({
+            name: 'Parc Royal',
+            countryCode: 'BE',
+            city: { name: 'Brussels' },
+            coordinates: { latitude: 50.8445, longitude: 4.3624 }
+        });
+    });
+});
+
+describe('JSON-LD sources', () => {
+    test('Resident Advisor', () => {
+        const url = 'https://ra.co/events/1987654';
+        const event = normalizeEventPayload('resident_advisor', readFixture('resident-advisor.html'), url);
+
+        expect(event).toEqual({
+            source: 'resident_advisor',
+            id: '1987654',
+            url,
+            name: 'Fuse presents: Ben Klock, Amelie Lens',
+            description: 'Two rooms of techno.\nBen Klock all night long in the main room & Amelie Lens in the Red Room.',
+            startTimestamp: Date.parse('2025-03-15T23:00:00+01:00') / 1000,
+            endTimestamp: Date.parse('2025-03-16T07:00:00+01:00') / 1000,
+            categories: [],
+            ticketUrl: 'https://ra.co/events/1987654#tickets',
+            photo: { imageUri: 'https://images.ra.co/1987654-flyer.jpg' },
+            hosts: [{ id: null, name: 'Fuse', url: 'https://ra.co/promoters/1234', photo: null }],
+            location: {
+                id: null,
+                name: 'Fuse',
+                address: 'Rue Blaes 208, 1000, Brussels',
+                city: { name: 'Brussels' },
+                countryCode: 'BE',
+                coordinates: { latitude: 50.8366, longitude: 4.3467 }
+            },
+            lineup: ['Ben Klock', 'Amelie Lens']
+        });
+    });
+
+    test('DICE: @graph, string performers, invalid blocks skipped', () => {
+        const url = 'https://dice.fm/event/x9kq2-dekmantel-selectors-warm-up-20th-jun-de-school-amsterdam-tickets';
+        const event = normalizeEventPayload('dice', readFixture('dice.html'), url);
+
+        expect(event.id).toBe('x9kq2');
+        expect(event.name).toBe('Dekmantel Selectors Warm-Up');
+        expect(event.description).toBe('Line-up:\nAntal\nHunee\nInterplanetary Criminal');
+        expect(event.ticketUrl).toBe('https://dice.fm/event/x9kq2-dekmantel-selectors-warm-up?tickets');
+        expect(event.hosts.map(host => host.name)).toEqual(['Dekmantel']);
+        expect(event.location).toMatchObject({ name: 'De School', countryCode: 'NL', coordinates: null });
+        expect(event.lineup).toEqual(['Antal', 'Hunee', 'Interplanetary Criminal']);
+    });
+
+    test('Shotgun: typed list, Country object, ImageObject', () => {
+        const url = 'https://shotgun.live/fr/events/possession-kobosil';
+        const event = normalizeEventPayload('shotgun', readFixture('shotgun.html'), url);
+
+        expect(event.url).toBe(url); // No url in the JSON-LD: the requested one is kept
+        expect(event.ticketUrl).toBe(url);
+        expect(event.photo).toEqual({ imageUri: 'https://res.cloudinary.com/shotgun/possession.jpg' });
+        expect(event.hosts[0].photo).toEqual({ imageUri: 'https://res.cloudinary.com/shotgun/possession-logo.png' });
+        expect(event.location).toMatchObject({ name: 'Le Bridge', countryCode: 'FR', city: { name: 'Paris' } });
+        expect(event.lineup).toEqual(['Kobosil', 'Sara Landry']);
+    });
+
+    test('Eventbrite: plain address, no image nor performers', () => {
+        const url = 'https://www.eventbrite.co.uk/e/jazz-on-the-roof-tickets-912345678901';
+        const event = normalizeEventPayload('eventbrite', readFixture('eventbrite.html'), url);
+
+        expect(event.id).toBe('912345678901');
+        expect(event.photo).toBeNull();
+        expect(event.lineup).toEqual([]);
+        expect(event.location).toEqual({
+            id: null,
+            name: 'Roof Gardens',
+            address: '99 Kensington High Street, London W8 5SA',
+            city: null,
+            countryCode: null,
+            coordinates: null
+        });
+    });
+
+    test('a page without an Event fails', () => {
+        expect(() => normalizeEventPayload('resident_advisor', readFixture('no-event.html'), 'https://ra.co/events/1'))
+            .toThrow('No schema.org Event found on resident_advisor page');
+    });
+});
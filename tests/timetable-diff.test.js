@@ -0,0 +1,91 @@
+// tests/timetable-diff.test.js
+// Timetable re-sync (timetable/diff.js): incoming acts paired with stored event_artist rows
+
+import { diffTimetable, getActKey, hasTimetableChanges, formatTimetableChangelog } from '../timetable/diff.js';
+
+const row = (id, artistIds, stage, start_time, end_time, status = null) => ({ id, artist_id: artistIds, stage, start_time, end_time, status });
+const act = (names, artistIds, stage, start, end, cancelled = false) => ({ names, artistIds, stage, start, end, cancelled });
+
+describe('getActKey', () => {
+    test('a B2B is the same act whatever the artist order', () => {
+        expect(getActKey([12, '3', 12])).toBe('12,3');
+        expect(getActKey(['3', '12'])).toBe(getActKey([12, 3]));
+    });
+});
+
+describe('diffTimetable', () => {
+    const existing = [
+        row(1, ['10'], 'Main', '2025-07-18T20:00:00+00:00', '2025-07-18T22:00:00+00:00'),
+        row(2, ['11', '12'], 'Dome', '2025-07-18T22:00:00Z', '2025-07-19T00:00:00Z'),
+        row(3, ['13'], 'Dome', '2025-07-19T00:00:00Z', '2025-07-19T02:00:00Z'),
+        row(4, ['14'], 'Main', '2025-07-18T22:00:00Z', '2025-07-19T00:00:00Z', 'cancelled')
+    ];
+
+    test('an identical timetable has no changes, with stored timestamps in the Supabase format', () => {
+        const diff = diffTimetable(existing, [
+            act(['Amelie Lens'], ['10'], 'Main', '2025-07-18T20:00:00Z', '2025-07-18T22:00:00Z'),
+            act(['Ben Klock', 'Dax J'], ['12', '11'], 'Dome', '2025-07-18T22:00:00Z', '2025-07-19T00:00:00Z'),
+            act(['T78'], ['13'], 'Dome', '2025-07-19T00:00:00Z', '2025-07-19T02:00:00Z')
+        ]);
+
+        expect(diff.unchanged).toBe(3);
+        expect(hasTimetableChanges(diff)).toBe(false);
+    });
+
+    test('classifies added, removed, moved, cancelled and restored acts', () => {
+        const diff = diffTimetable(existing, [
+            act(['Amelie Lens'], ['10'], 'Dome', '2025-07-18T20:00:00Z', '2025-07-18T22:00:00Z'),
+            act(['Ben Klock', 'Dax J'], ['11', '12'], 'Dome', '2025-07-18T22:00:00Z', '2025-07-19T00:00:00Z', true),
+            act(['Charlotte de Witte'], ['14'], 'Main', '2025-07-18T22:00:00Z', '2025-07-19T00:00:00Z'),
+            act(['New Artist'], [null], 'Main', '2025-07-19T00:00:00Z', '2025-07-19T01:00:00Z')
+        ]);
+
+        expect(diff.moved).toHaveLength(1);
+        expect(diff.moved[0]).toMatchObject({ names: ['Amelie Lens'], changes: ['stage'], before: { id: 1, stage: 'Main' }, after: { stage: 'Dome' } });
+        expect(diff.cancelled.map(e => e.before.id)).toEqual([2]);
+        expect(diff.restored.map(e => e.before.id)).toEqual([4]);
+        expect(diff.added.map(e => e.names)).toEqual([['New Artist']]);
+        expect(diff.removed.map(e => e.before.id)).toEqual([3]);
+        expect(diff.unchanged).toBe(0);
+    });
+
+    test('a moved act is paired with its closest stored slot', () => {
+        const rows = [
+            row(1, ['10'], 'Main', '2025-07-18T20:00:00Z', '2025-07-18T22:00:00Z'),
+            row(2, ['10'], 'Main', '2025-07-19T20:00:00Z', '2025-07-19T22:00:00Z')
+        ];
+        const diff = diffTimetable(rows, [
+            act(['Amelie Lens'], ['10'], 'Main', '2025-07-18T20:00:00Z', '2025-07-18T22:00:00Z'),
+            act(['Amelie Lens'], ['10'], 'Main', '2025-07-19T21:00:00Z', '2025-07-19T23:00:00Z')
+        ]);
+
+        expect(diff.unchanged).toBe(1);
+        expect(diff.moved.map(e => [e.before.id, e.changes])).toEqual([[2, ['time']]]);
+    });
+
+    test('cancelling an act that was never imported needs no change', () => {
+        const diff = diffTimetable([], [act(['Tale Of Us'], ['15'], 'Main', '2025-07-18T20:00:00Z', '2025-07-18T22:00:00Z', true)]);
+        expect(hasTimetableChanges(diff)).toBe(false);
+    });
+
+    test('lineup rows without times are moved into the timetable slots', () => {
+        const diff = diffTimetable([row(1, ['10'], null, null, null)], [
+            act(['Amelie Lens'], ['10'], 'Main', '2025-07-18T20:00:00Z', '2025-07-18T22:00:00Z')
+        ]);
+        expect(diff.moved[0].changes).toEqual(['stage', 'time']);
+    });
+});
+
+describe('formatTimetableChangelog', () => {
+    test('prints each change in the venue timezone and a summary', () => {
+        const diff = diffTimetable(
+            [row(1, ['10'], 'Main', '2025-07-18T20:00:00Z', '2025-07-18T22:00:00Z')],
+            [act(['Amelie Lens'], ['10'], 'Main', '2025-07-18T21:00:00Z', '2025-07-18T23:00:00Z')]
+        );
+
+        expect(formatTimetableChangelog(diff, 'Europe/Brussels')).toEqual([
+            '🔀 Moved (time): Amelie Lens — Main Fri 18/07 22:00-00:00 → Main Fri 18/07 23:00-01:00',
+            'Summary: 0 added, 1 moved, 0 cancelled, 0 restored, 0 removed, 0 unchanged'
+        ]);
+    });
+});
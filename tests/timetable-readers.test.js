@@ -0,0 +1,116 @@
+// tests/timetable-readers.test.js
+// Timetable file readers (timetable/csv.js, xlsx.js, ical.js) and their normalized performances (fixtures/timetable)
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ExcelJS from 'exceljs';
+
+import csvReader, { detectDelimiter } from '../timetable/csv.js';
+import xlsxReader, { cellToText } from '../timetable/xlsx.js';
+import icalReader, { parseIcalDateTime } from '../timetable/ical.js';
+import { readTimetableFile, detectTimetableFormat } from '../timetable/index.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'timetable');
+const fixturePath = file => path.join(FIXTURES_DIR, file);
+
+describe('csv reader', () => {
+    test('detects the delimiter and numbers rows as in a spreadsheet', () => {
+        const content = fs.readFileSync(fixturePath('lineup.csv'));
+        expect(detectDelimiter(content.toString('utf8'))).toBe(';');
+
+        const rows = csvReader.read(content);
+        expect(rows.map(r => r.row)).toEqual([2, 3, 4, 6]);
+        expect(rows[1].values).toEqual({ Artist: 'Blessed Madonna; The', Stage: 'Main', Date: '18/07/2025', Start: '19h30', End: '21:00' });
+    });
+
+    test('a CSV file becomes local performances, cancellations kept', async () => {
+        const { format, performances, errors } = await readTimetableFile(fixturePath('lineup.csv'), { timezone: 'Europe/Brussels' });
+        expect(format).toBe('csv');
+        expect(errors).toEqual([]);
+        expect(performances.map(p => [p.name, p.stage, p.time, p.end_time, p.status])).toEqual([
+            ['Amelie Lens', 'Main', '2025-07-18T18:00', '2025-07-18T19:30', undefined],
+            ['Blessed Madonna; The', 'Main', '2025-07-18T19:30', '2025-07-18T21:00', undefined],
+            ['Dax J b2b Ben Klock', 'Dome', '2025-07-18T23:00', '2025-07-19T01:00', undefined],
+            ['T78', 'Dome', '2025-07-19T01:00', '2025-07-19T02:00', 'cancelled']
+        ]);
+    });
+});
+
+describe('xlsx reader', () => {
+    async function createWorkbook() {
+        const workbook = new ExcelJS.Workbook();
+        workbook.addWorksheet('Notes').addRow(['Not a timetable']);
+        const sheet = workbook.addWorksheet('Timetable');
+        sheet.addRow(['Artist', 'Stage', 'Start', 'End']);
+        sheet.addRow(['Amelie Lens', 'Main', new Date(Date.UTC(2025, 6, 18, 18, 0)), new Date(Date.UTC(2025, 6, 18, 19, 30))]);
+        sheet.addRow([{ richText: [{ text: 'Charlotte ' }, { text: 'de Witte' }] }, 'Dome', '2025-07-18 20:00', '22:00']);
+        return await workbook.xlsx.writeBuffer();
+    }
+
+    test('reads the chosen worksheet keyed by its first row', async () => {
+        const buffer = await createWorkbook();
+        const rows = await xlsxReader.read(buffer, { sheet: 'Timetable' });
+        expect(rows).toEqual([
+            { row: 2, values: { Artist: 'Amelie Lens', Stage: 'Main', Start: '2025-07-18T18:00', End: '2025-07-18T19:30' } },
+            { row: 3, values: { Artist: 'Charlotte de Witte', Stage: 'Dome', Start: '2025-07-18 20:00', End: '22:00' } }
+        ]);
+        expect(await xlsxReader.read(buffer, { sheet: 2 })).toEqual(rows);
+        await expect(xlsxReader.read(buffer, { sheet: 'Day 1' })).rejects.toThrow('Worksheet not found: Day 1 (sheets: Notes, Timetable)');
+        expect(detectTimetableFormat('timetable', Buffer.from(buffer))).toBe('xlsx');
+    });
+
+    test.each([
+        [new Date(Date.UTC(2025, 6, 18, 18, 5)), '2025-07-18T18:05'],
+        [new Date(Date.UTC(2025, 6, 18)), '2025-07-18'],
+        [new Date(Date.UTC(1899, 11, 30, 23, 30)), '23:30'],
+        [{ formula: 'A1', result: 'Dax J' }, 'Dax J'],
+        [{ text: 'Ben Klock', hyperlink: 'https://soundcloud.com/benklock' }, 'Ben Klock'],
+        [null, '']
+    ])('cellToText(%o) is "%s"', (value, text) => {
+        expect(cellToText(value)).toBe(text);
+    });
+});
+
+describe('ical reader', () => {
+    const rows = icalReader.read(fs.readFileSync(fixturePath('lineup.ics')));
+
+    test('reads one row per VEVENT, alarms and time zones left out', () => {
+        expect(rows).toHaveLength(2);
+        expect(rows[0]).toEqual({
+            row: 1,
+            values: {
+                UID: '1@test',
+                SUMMARY: 'Amelie Lens',
+                LOCATION: 'Main',
+                DTSTART: '2025-07-18T18:00:00+02:00',
+                DTEND: '2025-07-18T19:30:00+02:00',
+                DESCRIPTION: 'Techno from Belgium, live. https://soundcloud.com/amelielens',
+                SOUNDCLOUD: 'https://soundcloud.com/amelielens'
+            }
+        });
+        expect(rows[1].values).toMatchObject({ SUMMARY: 'Charlotte de Witte', DTSTART: '2025-07-18T20:00:00Z' });
+    });
+
+    test('an ICS file becomes local performances in the venue timezone', async () => {
+        const { format, performances } = await readTimetableFile(fixturePath('lineup.ics'), { timezone: 'Europe/Brussels' });
+        expect(format).toBe('ical');
+        expect(performances.map(p => [p.name, p.stage, p.time, p.end_time, p.soundcloud])).toEqual([
+            ['Amelie Lens', 'Main', '2025-07-18T18:00', '2025-07-18T19:30', 'https://soundcloud.com/amelielens'],
+            ['Charlotte de Witte', 'Dome', '2025-07-18T22:00', '2025-07-19T00:00', '']
+        ]);
+    });
+
+    test('a file without VCALENDAR is rejected', () => {
+        expect(() => icalReader.read('SUMMARY:Amelie Lens')).toThrow('Not an iCalendar file');
+    });
+
+    test.each([
+        ['20250718T180000', {}, '2025-07-18T18:00'],
+        ['20250718T160000Z', {}, '2025-07-18T16:00:00Z'],
+        ['20250718T180000', { TZID: '"Europe/Brussels"' }, '2025-07-18T18:00:00+02:00'],
+        ['20250718', { VALUE: 'DATE' }, '2025-07-18']
+    ])('parseIcalDateTime("%s", %o) is "%s"', (value, params, expected) => {
+        expect(parseIcalDateTime(value, params)).toBe(expected);
+    });
+});
@@ -0,0 +1,103 @@
+// tests/timetable-validate.test.js
+// Pre-import timetable checks (timetable/validate.js): each issue type, B2B slots and the report summary
+
+import { validateTimetable, getEventTimetableContext } from '../timetable/validate.js';
+
+const perf = (name, stage, time, end_time, extra = {}) => ({ name, stage, time, end_time, ...extra });
+const types = report => report.issues.map(issue => issue.type);
+
+describe('validateTimetable', () => {
+    test('a clean timetable is valid', () => {
+        const report = validateTimetable([
+            perf('Amelie Lens', 'Main', '2025-07-18T22:00', '2025-07-19T00:00'),
+            perf('T78', 'Main', '2025-07-19T00:00', '2025-07-19T02:00'),
+            perf('Ben Klock', 'Dome', '2025-07-18T23:00', '2025-07-19T01:00')
+        ]);
+
+        expect(report.valid).toBe(true);
+        expect(report.issues).toEqual([]);
+        expect(report.summary).toEqual({ performances: 3, stages: 2, errors: 0, warnings: 0, byType: {} });
+    });
+
+    test('a B2B shares its slot without overlapping', () => {
+        const report = validateTimetable([
+            perf('Dax J', 'Dome', '2025-07-18T22:00', '2025-07-19T00:00'),
+            perf('Ben Klock', 'Dome', '2025-07-18T22:00', '2025-07-19T00:00')
+        ]);
+        expect(report.valid).toBe(true);
+    });
+
+    test('overlapping slots on a stage are reported with both acts', () => {
+        const report = validateTimetable([
+            perf('Dax J', 'Dome', '2025-07-18T22:00', '2025-07-19T00:00'),
+            perf('Ben Klock', 'Dome', '2025-07-18T22:00', '2025-07-19T00:00'),
+            perf('T78', 'Dome', '2025-07-18T23:30', '2025-07-19T01:00')
+        ]);
+
+        expect(report.valid).toBe(false);
+        expect(types(report)).toEqual(['stage_overlap']);
+        expect(report.issues[0].performances.map(p => p.name)).toEqual(['Dax J', 'Ben Klock', 'T78']);
+        expect(report.issues[0].message).toBe('Dax J & Ben Klock (Dome Fri 22:00-00:00) overlaps T78 (Dome Fri 23:30-01:00)');
+    });
+
+    test('unreadable times and sets ending before their start are errors', () => {
+        const report = validateTimetable([
+            perf('Amelie Lens', 'Main', 'tonight', '2025-07-19T00:00'),
+            perf('T78', 'Main', '2025-07-19T02:00', '2025-07-19T01:00')
+        ]);
+        expect(types(report)).toEqual(['invalid_time', 'end_before_start']);
+        expect(report.summary.errors).toBe(2);
+    });
+
+    test('an artist on two stages at once is double booked', () => {
+        const report = validateTimetable([
+            perf('Amelie Lens', 'Main', '2025-07-18T22:00', '2025-07-19T00:00'),
+            perf('AMELIE LENS', 'Dome', '2025-07-18T23:00', '2025-07-19T01:00')
+        ]);
+        expect(types(report)).toEqual(['artist_double_booked']);
+    });
+
+    test('slots outside the festival days are errors, in the venue timezone', () => {
+        const festivalDays = [{ name: 'Day 1', start: '2025-07-18T16:00:00Z', end: '2025-07-19T02:00:00Z' }];
+        const report = validateTimetable([
+            perf('Amelie Lens', 'Main', '2025-07-18T22:00', '2025-07-19T00:00'),
+            perf('T78', 'Main', '2025-07-19T03:00', '2025-07-19T05:00')
+        ], { festivalDays, timezone: 'Europe/Brussels' });
+
+        expect(types(report)).toEqual(['outside_festival_days']);
+        expect(report.issues[0].performances[0].name).toBe('T78');
+    });
+
+    test('unknown stages and suspicious durations are warnings', () => {
+        const report = validateTimetable([
+            perf('Amelie Lens', 'Main Stag', '2025-07-18T22:00', '2025-07-19T00:00'),
+            perf('T78', 'Main Stage', '2025-07-19T00:00', '2025-07-19T00:10')
+        ], { stages: [{ name: 'Main Stage' }, 'Dome'] });
+
+        expect(report.valid).toBe(true);
+        expect(types(report).sort()).toEqual(['suspicious_duration', 'unknown_stage']);
+        expect(report.issues.find(issue => issue.type === 'unknown_stage').message)
+            .toBe('Unknown stage "Main Stag" used by 1 performance(s) (did you mean "Main Stage"?)');
+        expect(report.summary).toMatchObject({ errors: 0, warnings: 2 });
+    });
+
+    test('cancelled performances are not checked and rejected rows are reported', () => {
+        const report = validateTimetable([
+            perf('Amelie Lens', 'Main', '2025-07-18T22:00', '2025-07-19T00:00'),
+            perf('Tale Of Us', 'Main', '2025-07-18T22:00', '2025-07-18T23:00', { status: 'cancelled' })
+        ], { rowErrors: [{ row: 4, field: 'time', message: 'missing start time' }] });
+
+        expect(types(report)).toEqual(['invalid_row']);
+        expect(report.issues[0]).toMatchObject({ severity: 'error', row: 4, message: 'Row 4 [time]: missing start time' });
+    });
+});
+
+describe('getEventTimetableContext', () => {
+    test('reads festival days and stages from string or object metadata', () => {
+        const metadata = { festival_days: [{ name: 'Day 1' }], stages: ['Main'] };
+        expect(getEventTimetableContext({ metadata })).toEqual({ festivalDays: [{ name: 'Day 1' }], stages: ['Main'] });
+        expect(getEventTimetableContext({ metadata: JSON.stringify(metadata) }).stages).toEqual(['Main']);
+        expect(getEventTimetableContext({ metadata: 'not json' })).toEqual({ festivalDays: [], stages: [] });
+        expect(getEventTimetableContext(null)).toEqual({ festivalDays: [], stages: [] });
+    });
+});
@@ -0,0 +1,42 @@
+// timetable/csv.js
+// CSV/TSV timetable reader (delimiter detected from the header line)
+
+import { parse } from 'csv-parse/sync';
+
+/**
+ * Detects the delimiter of a CSV file from its first non-empty line.
+ * @param {string} text
+ * @returns {string} ',', ';' or '\t'
+ */
+export function detectDelimiter(text) {
+    const header = text.split(/\r?\n/).find(line => line.trim()) || '';
+    const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: header.split(delimiter).length - 1 }));
+    counts.sort((a, b) => b.count - a.count);
+    return counts[0].count > 0 ? counts[0].delimiter : ',';
+}
+
+export default {
+    name: 'csv',
+    extensions: ['.csv', '.tsv', '.txt'],
+
+    /**
+     * Reads CSV rows keyed by the header line.
+     * @param {Buffer|string} input - File content
+     * @param {Object} options
+     * @param {string} [options.delimiter] - Forced delimiter
+     * @returns {Array<{row: number, values: Object}>} Rows numbered as in a spreadsheet (header = 1)
+     */
+    read(input, { delimiter } = {}) {
+        const text = Buffer.isBuffer(input) ? input.toString('utf8') : String(input);
+        const records = parse(text, {
+            bom: true,
+            columns: header => header.map(h => String(h).trim()),
+            delimiter: delimiter || detectDelimiter(text),
+            skip_empty_lines: true,
+            relax_column_count: true,
+            trim: true,
+            info: true
+        });
+        return records.map(({ record, info }) => ({ row: info.lines, values: record }));
+    }
+};
@@ -0,0 +1,172 @@
+// timetable/diff.js
+// Diff between an incoming timetable and the event_artist rows already stored for the event
+//
+// Acts are identified by their set of artist IDs (a B2B is one act). Each incoming act is paired
+// with a stored row: same slot (unchanged, cancelled or restored), otherwise the closest slot of the
+// same act (moved). Unpaired incoming acts are added, unpaired stored rows are removed.
+
+import { toZonedDateTime, toUtcTimestamp } from '../utils/date.js';
+import { DEFAULT_TIMEZONE } from '../utils/constants.js';
+
+/**
+ * Builds the identity key of an act from its artist IDs.
+ * @param {Array<string|number>} artistIds
+ * @returns {string}
+ */
+export function getActKey(artistIds) {
+    return [...new Set((artistIds || []).map(String))].sort().join(',');
+}
+
+/**
+ * Normalizes a stored or resolved timestamp to "2025-06-27T16:00:00Z" (null when empty).
+ * @param {string|null} value
+ * @returns {string|null}
+ */
+function normalizeTimestamp(value) {
+    return value ? toUtcTimestamp(toZonedDateTime(value, 'UTC')) : null;
+}
+
+/**
+ * Distance between two slots in milliseconds, for pairing moved performances.
+ * Rows without a start time (lineup imported before the timetable) come last.
+ * @param {string|null} a
+ * @param {string|null} b
+ * @returns {number}
+ */
+function slotDistance(a, b) {
+    if (!a || !b) return Number.MAX_SAFE_INTEGER;
+    return Math.abs(new Date(a) - new Date(b));
+}
+
+/**
+ * Diffs incoming acts against stored event_artist rows.
+ * @param {Array<{id: number, artist_id: Array<string>, stage: string|null, start_time: string|null, end_time: string|null, status: string|null}>} existingRows
+ * @param {Array<{artistIds: Array<string|null>, names: string[], stage: string|null, start: string|null, end: string|null, cancelled: boolean, custom_name?: string|null}>} incomingActs - Times in UTC
+ * @returns {{added: Array, removed: Array, moved: Array, cancelled: Array, restored: Array, unchanged: number}}
+ *   Entries: { names, artistIds, before: row|null, after: act|null, changes?: string[] }
+ */
+export function diffTimetable(existingRows, incomingActs) {
+    const diff = { added: [], removed: [], moved: [], cancelled: [], restored: [], unchanged: 0 };
+
+    const rows = (existingRows || []).map(row => ({
+        ...row,
+        actKey: getActKey(Array.isArray(row.artist_id) ? row.artist_id : [row.artist_id]),
+        stage: row.stage || null,
+        start_time: normalizeTimestamp(row.start_time),
+        end_time: normalizeTimestamp(row.end_time),
+        matched: false
+    }));
+    const rowsByAct = new Map();
+    for (const row of rows) {
+        if (!rowsByAct.has(row.actKey)) rowsByAct.set(row.actKey, []);
+        rowsByAct.get(row.actKey).push(row);
+    }
+
+    const acts = (incomingActs || []).map(act => ({
+        ...act,
+        // Artists not in the database yet cannot have a stored row
+        actKey: act.artistIds.every(Boolean) ? getActKey(act.artistIds) : null,
+        stage: act.stage || null,
+        start: normalizeTimestamp(act.start),
+        end: normalizeTimestamp(act.end)
+    }));
+    const entry = (act, row, extra = {}) => ({
+        names: act ? act.names : row.names || [],
+        artistIds: row ? row.artist_id : act.artistIds,
+        before: row ? { id: row.id, stage: row.stage, start_time: row.start_time, end_time: row.end_time, status: row.status || null } : null,
+        after: act ? { stage: act.stage, start_time: act.start, end_time: act.end, custom_name: act.custom_name || null } : null,
+        ...extra
+    });
+    const isCancelledRow = row => row.status === 'cancelled';
+
+    // Pass 1: same act in the same slot
+    const pending = [];
+    for (const act of acts) {
+        const row = act.actKey && (rowsByAct.get(act.actKey) || []).find(r => !r.matched
+            && r.stage === act.stage && r.start_time === act.start && r.end_time === act.end);
+        if (!row) {
+            pending.push(act);
+            continue;
+        }
+        row.matched = true;
+        if (act.cancelled && !isCancelledRow(row)) diff.cancelled.push(entry(act, row));
+        else if (!act.cancelled && isCancelledRow(row)) diff.restored.push(entry(act, row));
+        else diff.unchanged++;
+    }
+
+    // Pass 2: same act in another slot (closest one, same stage first)
+    for (const act of pending) {
+        const candidates = act.actKey ? (rowsByAct.get(act.actKey) || []).filter(r => !r.matched) : [];
+        if (candidates.length === 0) {
+            // A cancellation of something never imported needs no change
+            if (!act.cancelled) diff.added.push(entry(act, null));
+            continue;
+        }
+        candidates.sort((a, b) => ((a.stage === act.stage ? 0 : 1) - (b.stage === act.stage ? 0 : 1))
+            || (slotDistance(a.start_time, act.start) - slotDistance(b.start_time, act.start)));
+        const row = candidates[0];
+        row.matched = true;
+        if (act.cancelled) {
+            if (!isCancelledRow(row)) diff.cancelled.push(entry(act, row));
+            else diff.unchanged++;
+            continue;
+        }
+        const changes = [];
+        if (row.stage !== act.stage) changes.push('stage');
+        if (row.start_time !== act.start || row.end_time !== act.end) changes.push('time');
+        diff.moved.push(entry(act, row, { changes, restored: isCancelledRow(row) }));
+    }
+
+    // Stored rows absent from the timetable (already cancelled ones are left as they are)
+    for (const row of rows) {
+        if (!row.matched && !isCancelledRow(row)) diff.removed.push(entry(null, row));
+    }
+    return diff;
+}
+
+/**
+ * Whether a diff contains any change to apply.
+ * @param {Object} diff - From diffTimetable
+ * @returns {boolean}
+ */
+export function hasTimetableChanges(diff) {
+    return ['added', 'removed', 'moved', 'cancelled', 'restored'].some(type => diff[type].length > 0);
+}
+
+/**
+ * Formats a slot in the venue timezone ("Main Fri 18:00-19:30").
+ * @param {{stage: string|null, start_time: string|null, end_time: string|null}} slot
+ * @param {string} timezone
+ * @returns {string}
+ */
+function formatSlot(slot, timezone) {
+    const start = toZonedDateTime(slot.start_time, timezone);
+    const end = toZonedDateTime(slot.end_time, timezone);
+    const time = start ? `${start.toFormat('ccc dd/MM HH:mm')}${end ? `-${end.toFormat('HH:mm')}` : ''}` : 'no time';
+    return `${slot.stage || 'no stage'} ${time}`;
+}
+
+/**
+ * Formats a diff as changelog lines.
+ * @param {Object} diff - From diffTimetable
+ * @param {string} timezone - IANA timezone of the venue, for display
+ * @returns {string[]}
+ */
+export function formatTimetableChangelog(diff, timezone = DEFAULT_TIMEZONE) {
+    const name = e => e.names.join(' & ') || `artist_id=${(e.artistIds || []).join(',')}`;
+    const lines = [];
+    diff.added.forEach(e => lines.push(`➕ Added: ${name(e)} — ${formatSlot(e.after, timezone)}`));
+    diff.moved.forEach(e => lines.push(`🔀 Moved (${e.changes.join(', ')}): ${name(e)} — ${formatSlot(e.before, timezone)} → ${formatSlot(e.after, timezone)}${e.restored ? ' (restored)' : ''}`));
+    diff.cancelled.forEach(e => lines.push(`🚫 Cancelled: ${name(e)} — ${formatSlot(e.before, timezone)}`));
+    diff.restored.forEach(e => lines.push(`♻️ Restored: ${name(e)} — ${formatSlot(e.before, timezone)}`));
+    diff.removed.forEach(e => lines.push(`➖ Removed: ${name(e)} — ${formatSlot(e.before, timezone)}`));
+    lines.push(`Summary: ${diff.added.length} added, ${diff.moved.length} moved, ${diff.cancelled.length} cancelled, ${diff.restored.length} restored, ${diff.removed.length} removed, ${diff.unchanged} unchanged`);
+    return lines;
+}
+
+export default {
+    getActKey,
+    diffTimetable,
+    hasTimetableChanges,
+    formatTimetableChangelog
+};
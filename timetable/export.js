@@ -0,0 +1,279 @@
+// timetable/export.js
+// Timetable writers: iCal calendar, Clashfinder-compatible CSV and normalized JSON
+//
+// Writers take slots built from event_artist rows (see buildTimetableSlots): one slot per act,
+// a B2B being a single slot with several artists. Slot times are UTC; they are written in the
+// venue timezone where the format has no timezone (CSV).
+
+import { DateTime } from 'luxon';
+import { toZonedDateTime, toUtcTimestamp } from '../utils/date.js';
+import { DEFAULT_TIMEZONE } from '../utils/constants.js';
+
+/**
+ * Export formats and their file extension.
+ */
+export const EXPORT_FORMATS = {
+    ics: '.ics',
+    csv: '.csv',
+    json: '.json'
+};
+
+/**
+ * Builds display slots from event_artist rows.
+ * Rows sharing a stage, slot and custom_name (B2B stored one row per artist) are merged into one slot.
+ * @param {Array<{id: number, artist_id: Array<string>, stage: string|null, start_time: string|null, end_time: string|null, status: string|null, custom_name: string|null}>} rows
+ * @param {Map<string, {id: number, name: string, external_links: Object|null}>} artistsById
+ * @param {Object} options
+ * @param {Array<{name: string, start: string, end: string}>} options.festivalDays - Festival days from the event metadata
+ * @param {Array<string|{name: string}>} options.stages - Stages from the event metadata, for ordering
+ * @returns {Array<{ids: number[], name: string, artists: Array<{id: number, name: string, soundcloud: string|null}>, stage: string|null, start: string|null, end: string|null, status: string, custom_name: string|null, day: string|null}>}
+ */
+export function buildTimetableSlots(rows, artistsById, { festivalDays = [], stages = [] } = {}) {
+    const slotsByKey = new Map();
+    for (const row of rows || []) {
+        const start = row.start_time ? toUtcTimestamp(toZonedDateTime(row.start_time, 'UTC')) : null;
+        const end = row.end_time ? toUtcTimestamp(toZonedDateTime(row.end_time, 'UTC')) : null;
+        const key = row.custom_name ? `${row.stage}|${start}|${end}|${row.custom_name}` : `row:${row.id}`;
+        if (!slotsByKey.has(key)) {
+            slotsByKey.set(key, {
+                ids: [],
+                artistIds: [],
+                stage: row.stage || null,
+                start,
+                end,
+                status: row.status || 'confirmed',
+                custom_name: row.custom_name || null
+            });
+        }
+        const slot = slotsByKey.get(key);
+        slot.ids.push(row.id);
+        for (const id of (Array.isArray(row.artist_id) ? row.artist_id : [row.artist_id])) {
+            if (!slot.artistIds.includes(String(id))) slot.artistIds.push(String(id));
+        }
+    }
+
+    const days = (festivalDays || []).map(day => ({ name: day.name, start: new Date(day.start), end: new Date(day.end) }));
+    const stageOrder = (stages || []).map(stage => (typeof stage === 'string' ? stage : stage?.name));
+    const stageRank = stage => {
+        const index = stageOrder.indexOf(stage);
+        return index === -1 ? stageOrder.length : index;
+    };
+
+    return [...slotsByKey.values()]
+        .map(({ artistIds, ...slot }) => {
+            const artists = artistIds.map(id => {
+                const artist = artistsById.get(id);
+                return {
+                    id: Number(id),
+                    name: artist ? artist.name : `#${id}`,
+                    soundcloud: artist?.external_links?.soundcloud?.link || null
+                };
+            });
+            const startDate = slot.start ? new Date(slot.start) : null;
+            const day = startDate ? days.find(d => startDate >= d.start && startDate < d.end) : null;
+            return {
+                ...slot,
+                name: slot.custom_name || artists.map(a => a.name).join(' B2B '),
+                artists,
+                day: day ? day.name : null
+            };
+        })
+        .sort((a, b) => (a.start || '').localeCompare(b.start || '')
+            || stageRank(a.stage) - stageRank(b.stage)
+            || a.name.localeCompare(b.name));
+}
+
+/**
+ * Keeps the slots of one stage and/or one artist.
+ * @param {Array<object>} slots - From buildTimetableSlots
+ * @param {Object} filters
+ * @param {string|null} filters.stage - Stage name (case-insensitive)
+ * @param {string|null} filters.artist - Artist name (case-insensitive, matches B2B partners too)
+ * @param {boolean} filters.includeCancelled - Keep cancelled slots
+ * @returns {Array<object>}
+ */
+export function filterTimetableSlots(slots, { stage = null, artist = null, includeCancelled = false } = {}) {
+    const stageKey = stage ? stage.trim().toLowerCase() : null;
+    const artistKey = artist ? artist.trim().toLowerCase() : null;
+    return slots.filter(slot => (includeCancelled || slot.status !== 'cancelled')
+        && (!stageKey || (slot.stage || '').toLowerCase() === stageKey)
+        && (!artistKey || slot.artists.some(a => a.name.toLowerCase() === artistKey)));
+}
+
+/**
+ * Escapes an iCal text value.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeIcalText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds an iCal content line at 75 octets (RFC 5545 §3.1).
+ * @param {string} line
+ * @returns {string}
+ */
+function foldIcalLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74; // Continuation lines start with a space
+        if (Buffer.byteLength(current + char, 'utf8') > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Formats a UTC timestamp as an iCal UTC date-time ("20250718T160000Z").
+ * @param {string} value
+ * @returns {string}
+ */
+function toIcalDateTime(value) {
+    return DateTime.fromISO(value, { zone: 'utc' }).toFormat("yyyyMMdd'T'HHmmss'Z'");
+}
+
+/**
+ * Writes slots as an iCal calendar (one VEVENT per slot, cancelled slots with STATUS:CANCELLED).
+ * Slots without times are left out.
+ * @param {Array<object>} slots - From buildTimetableSlots
+ * @param {Object} context
+ * @param {{id: number, title: string}} context.event
+ * @param {string} context.timezone - IANA timezone of the venue (X-WR-TIMEZONE)
+ * @param {string|null} context.calendarName - Calendar name (defaults to the event title)
+ * @returns {string}
+ */
+export function toIcal(slots, { event, timezone = DEFAULT_TIMEZONE, calendarName = null } = {}) {
+    const stamp = toIcalDateTime(DateTime.utc().toISO());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//facebook-event-scraper//timetable export//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcalText(calendarName || event?.title || 'Timetable')}`,
+        `X-WR-TIMEZONE:${timezone}`
+    ];
+    for (const slot of slots) {
+        if (!slot.start || !slot.end) continue;
+        const description = [
+            event?.title,
+            slot.artists.length > 1 ? slot.artists.map(a => a.name).join(', ') : null,
+            ...slot.artists.map(a => a.soundcloud).filter(Boolean)
+        ].filter(Boolean).join('\n');
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:event-${event?.id}-slot-${slot.ids.join('-')}@timetable`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${toIcalDateTime(slot.start)}`,
+            `DTEND:${toIcalDateTime(slot.end)}`,
+            `SUMMARY:${escapeIcalText(slot.name)}`,
+            `LOCATION:${escapeIcalText(slot.stage || '')}`,
+            `DESCRIPTION:${escapeIcalText(description)}`,
+            `STATUS:${slot.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+        );
+        if (slot.day) lines.push(`CATEGORIES:${escapeIcalText(slot.day)}`);
+        lines.push('END:VEVENT');
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcalLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Quotes a CSV field when needed.
+ * @param {string} value
+ * @returns {string}
+ */
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes slots as a Clashfinder CSV ("Start,End,Name,Location", local "2025/07/18 18:00" times).
+ * Reads back with convertClashfinderToJSON (scripts/extract_events_timetable.js).
+ * @param {Array<object>} slots - From buildTimetableSlots
+ * @param {Object} context
+ * @param {string} context.timezone - IANA timezone of the venue
+ * @returns {string}
+ */
+export function toClashfinderCsv(slots, { timezone = DEFAULT_TIMEZONE } = {}) {
+    const local = value => toZonedDateTime(value, 'UTC').setZone(timezone).toFormat('yyyy/MM/dd HH:mm');
+    const lines = ['Start,End,Name,Location'];
+    for (const slot of slots) {
+        if (!slot.start || !slot.end) continue;
+        lines.push([local(slot.start), local(slot.end), slot.name, slot.stage || ''].map(csvField).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes slots as normalized JSON: event, stages, festival days and slots (UTC and local times).
+ * @param {Array<object>} slots - From buildTimetableSlots
+ * @param {Object} context
+ * @param {{id: number, title: string}} context.event
+ * @param {string} context.timezone - IANA timezone of the venue
+ * @param {Array<object>} context.stages - Stages from the event metadata
+ * @param {Array<object>} context.festivalDays - Festival days from the event metadata
+ * @returns {string}
+ */
+export function toTimetableJson(slots, { event, timezone = DEFAULT_TIMEZONE, stages = [], festivalDays = [] } = {}) {
+    const local = value => (value ? toZonedDateTime(value, 'UTC').setZone(timezone).toFormat("yyyy-MM-dd'T'HH:mm") : null);
+    return JSON.stringify({
+        event: event ? { id: event.id, title: event.title } : null,
+        timezone,
+        stages: (stages || []).map(stage => (typeof stage === 'string' ? stage : stage.name)),
+        festival_days: festivalDays || [],
+        slots: slots.map(slot => ({
+            name: slot.name,
+            artists: slot.artists,
+            stage: slot.stage,
+            day: slot.day,
+            start: slot.start,
+            end: slot.end,
+            local_start: local(slot.start),
+            local_end: local(slot.end),
+            status: slot.status,
+            custom_name: slot.custom_name
+        }))
+    }, null, 2);
+}
+
+/**
+ * Writes slots in one of the export formats.
+ * @param {Array<object>} slots - From buildTimetableSlots
+ * @param {string} format - 'ics', 'csv' or 'json'
+ * @param {Object} context - { event, timezone, stages, festivalDays, calendarName }
+ * @returns {string}
+ */
+export function writeTimetable(slots, format, context = {}) {
+    switch (format) {
+        case 'ics':
+            return toIcal(slots, context);
+        case 'csv':
+            return toClashfinderCsv(slots, context);
+        case 'json':
+            return toTimetableJson(slots, context);
+        default:
+            throw new Error(`Unknown export format "${format}" (expected: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+}
+
+export default {
+    EXPORT_FORMATS,
+    buildTimetableSlots,
+    filterTimetableSlots,
+    toIcal,
+    toClashfinderCsv,
+    toTimetableJson,
+    writeTimetable
+};
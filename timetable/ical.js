@@ -0,0 +1,105 @@
+// timetable/ical.js
+// iCalendar (.ics) timetable reader: one VEVENT per performance
+
+import { DateTime } from 'luxon';
+
+/**
+ * Unfolds continuation lines (RFC 5545 §3.1) and splits the calendar into lines.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function unfoldLines(text) {
+    return text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+}
+
+/**
+ * Unescapes an iCalendar text value.
+ * @param {string} value
+ * @returns {string}
+ */
+function unescapeText(value) {
+    return value.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+/**
+ * Converts an iCalendar date-time to an ISO string.
+ * UTC values ("...Z") and values with a TZID keep their offset; floating values stay local
+ * to the venue ("2025-07-18T18:00").
+ * @param {string} value - e.g. 20250718T180000
+ * @param {Object} params - Property parameters (TZID, VALUE)
+ * @returns {string}
+ */
+export function parseIcalDateTime(value, params = {}) {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) return value.trim();
+    const [, y, m, d, hh, mm, , utc] = match;
+    if (!hh) return `${y}-${m}-${d}`;
+    const local = `${y}-${m}-${d}T${hh}:${mm}`;
+    if (utc) return `${local}:00Z`;
+    if (params.TZID) {
+        const dt = DateTime.fromISO(local, { zone: params.TZID.replace(/^"|"$/g, '') });
+        if (dt.isValid) return dt.toISO({ suppressMilliseconds: true });
+    }
+    return local;
+}
+
+/**
+ * Parses one content line ("DTSTART;TZID=Europe/Brussels:20250718T180000").
+ * @param {string} line
+ * @returns {{name: string, params: Object, value: string}|null}
+ */
+function parseContentLine(line) {
+    const colon = line.search(/:(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    if (colon === -1) return null;
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = {};
+    for (const part of paramParts) {
+        const [key, ...rest] = part.split('=');
+        params[key.toUpperCase()] = rest.join('=');
+    }
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+export default {
+    name: 'ical',
+    extensions: ['.ics', '.ical', '.ifb'],
+
+    /**
+     * Reads the VEVENTs of a calendar as rows keyed by property name
+     * (SUMMARY, LOCATION, DTSTART, DTEND, DESCRIPTION, URL, SOUNDCLOUD).
+     * Properties of components nested in a VEVENT (VALARM) are ignored.
+     * @param {Buffer|string} input - File content
+     * @returns {Array<{row: number, values: Object}>} Rows numbered by event (first VEVENT = 1)
+     */
+    read(input) {
+        const text = Buffer.isBuffer(input) ? input.toString('utf8') : String(input);
+        if (!/BEGIN:VCALENDAR/i.test(text)) throw new Error('Not an iCalendar file (missing BEGIN:VCALENDAR)');
+
+        const rows = [];
+        const components = [];
+        let current = null;
+        for (const line of unfoldLines(text)) {
+            const property = parseContentLine(line);
+            if (!property) continue;
+            if (property.name === 'BEGIN') {
+                const component = property.value.trim().toUpperCase();
+                components.push(component);
+                if (component === 'VEVENT') current = {};
+            } else if (property.name === 'END') {
+                const component = components.pop();
+                if (component === 'VEVENT' && current) {
+                    // Artists' SoundCloud links are often pasted in the description
+                    const soundcloud = `${current.URL || ''} ${current.DESCRIPTION || ''}`.match(/https?:\/\/(?:www\.|m\.)?soundcloud\.com\/\S+/i);
+                    if (soundcloud) current.SOUNDCLOUD = soundcloud[0];
+                    rows.push({ row: rows.length + 1, values: current });
+                    current = null;
+                }
+            } else if (current && components[components.length - 1] === 'VEVENT') {
+                current[property.name] = ['DTSTART', 'DTEND'].includes(property.name)
+                    ? parseIcalDateTime(property.value, property.params)
+                    : unescapeText(property.value).trim();
+            }
+        }
+        return rows;
+    }
+};
@@ -0,0 +1,96 @@
+// timetable/index.js
+// Timetable reader registry: detects the file format and returns normalized performances
+//
+// Every reader exposes:
+//   name          - Format name ('csv', 'xlsx', 'ical', 'json')
+//   extensions    - File extensions handled by the reader
+//   read(input, options) - Raw rows ({ row, values }) keyed by column header (may be async)
+//
+// Column mapping and per-row validation are shared (see normalize.js).
+
+import fs from 'fs';
+import path from 'path';
+
+import csvReader from './csv.js';
+import jsonReader from './json.js';
+import xlsxReader from './xlsx.js';
+import icalReader from './ical.js';
+import { normalizeTimetableRows } from './normalize.js';
+
+const readers = [
+    csvReader,
+    jsonReader,
+    xlsxReader,
+    icalReader
+];
+
+/**
+ * Returns a reader by format name.
+ * @param {string} name - 'csv', 'json', 'xlsx' or 'ical' ('ics' is accepted)
+ * @returns {object|null}
+ */
+export function getTimetableReader(name) {
+    const format = name === 'ics' ? 'ical' : name;
+    return readers.find(reader => reader.name === format) || null;
+}
+
+/**
+ * Detects the format of a timetable file from its extension, then from its content.
+ * @param {string} filePath
+ * @param {Buffer} content
+ * @returns {string} Format name
+ */
+export function detectTimetableFormat(filePath, content) {
+    const extension = path.extname(filePath || '').toLowerCase();
+    const byExtension = readers.find(reader => reader.extensions.includes(extension));
+    if (byExtension) return byExtension.name;
+
+    // XLSX files are zip archives ("PK" signature)
+    if (content && content[0] === 0x50 && content[1] === 0x4b) return 'xlsx';
+    const head = content ? content.subarray(0, 512).toString('utf8').trimStart() : '';
+    if (/^BEGIN:VCALENDAR/i.test(head)) return 'ical';
+    if (head.startsWith('[') || head.startsWith('{')) return 'json';
+    return 'csv';
+}
+
+/**
+ * Reads a timetable file in any supported format.
+ * @param {string} filePath - CSV, TSV, XLSX, ICS or JSON file
+ * @param {Object} options
+ * @param {string|null} options.format - Forced format (detected when omitted)
+ * @param {string|Object|null} options.columns - Column mapping, e.g. "name:Artist,stage:Area,time:Start,end_time:End"
+ * @param {string|number|null} options.sheet - XLSX worksheet name or 1-based index
+ * @param {number|string|null} options.eventStart - Event start, anchors times of day without a date
+ * @param {string} options.timezone - IANA timezone of the venue
+ * @returns {Promise<{format: string, performances: Array<object>, errors: Array<{row: number, field: string|null, message: string}>, rowCount: number, columnMap: Object}>}
+ */
+export async function readTimetableFile(filePath, { format = null, columns = null, sheet = null, eventStart = null, timezone } = {}) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Timetable file not found: ${filePath}`);
+    }
+    const content = fs.readFileSync(filePath);
+    const formatName = format || detectTimetableFormat(filePath, content);
+    const reader = getTimetableReader(formatName);
+    if (!reader) {
+        throw new Error(`Unsupported timetable format: ${formatName} (supported: ${listTimetableFormats().join(', ')})`);
+    }
+
+    const rows = await reader.read(content, { sheet });
+    const { performances, errors, columnMap } = normalizeTimetableRows(rows, { columns, eventStart, timezone });
+    return { format: reader.name, performances, errors, rowCount: rows.length, columnMap };
+}
+
+/**
+ * Lists the supported formats.
+ * @returns {string[]}
+ */
+export function listTimetableFormats() {
+    return readers.map(reader => reader.name);
+}
+
+export default {
+    getTimetableReader,
+    detectTimetableFormat,
+    readTimetableFile,
+    listTimetableFormats
+};
@@ -0,0 +1,19 @@
+// timetable/json.js
+// JSON timetable reader: an array of performances, or { performances: [...] }
+
+export default {
+    name: 'json',
+    extensions: ['.json'],
+
+    /**
+     * Reads JSON performances as rows.
+     * @param {Buffer|string} input - File content
+     * @returns {Array<{row: number, values: Object}>} Rows numbered from 1
+     */
+    read(input) {
+        const data = JSON.parse(Buffer.isBuffer(input) ? input.toString('utf8') : String(input));
+        const list = Array.isArray(data) ? data : (data && Array.isArray(data.performances) ? data.performances : null);
+        if (!list) throw new Error('JSON timetable must be an array of performances or { "performances": [...] }');
+        return list.map((values, i) => ({ row: i + 1, values: values && typeof values === 'object' ? values : {} }));
+    }
+};
@@ -0,0 +1,270 @@
+// timetable/normalize.js
+// Column mapping and per-row validation shared by every timetable reader
+//
+// Readers return raw rows ({ row, values }) keyed by their column headers; this module maps
+// the columns to performance fields and returns the shape consumed by groupPerformancesForB2B
+// and linkArtistsToEvent: { name, stage, time, end_time, performance_mode, soundcloud }.
+// Times are local wall-clock ISO strings ("2025-07-18T18:00") in the venue timezone.
+// Cancelled performances ("Artist (cancelled)", or a status column) get status: 'cancelled'.
+
+import { DateTime } from 'luxon';
+import { DEFAULT_TIMEZONE } from '../utils/constants.js';
+import { resolvePerformanceTimes } from '../utils/date.js';
+import { PERFORMANCE_MODES } from '../utils/lineup.js';
+
+/**
+ * Column headers recognized for each field (compared lower-case, without spaces, dashes or underscores).
+ */
+const FIELD_ALIASES = {
+    name: ['name', 'artist', 'artists', 'act', 'performer', 'artiste', 'summary', 'title'],
+    stage: ['stage', 'location', 'area', 'scene', 'room', 'podium', 'zaal', 'salle'],
+    date: ['date', 'day', 'jour', 'dag'],
+    time: ['time', 'start', 'starttime', 'begin', 'from', 'debut', 'dtstart'],
+    end_time: ['end', 'endtime', 'until', 'to', 'fin', 'einde', 'dtend'],
+    performance_mode: ['performancemode', 'mode'],
+    soundcloud: ['soundcloud', 'soundcloudurl'],
+    custom_name: ['customname'],
+    status: ['status', 'state', 'statut']
+};
+
+// "Artist (cancelled)", "CANCELLED: Artist", "Artist - geannuleerd"...
+const CANCELLED_WORDS = 'cancell?ed|annul[ée]e?|geannuleerd|abgesagt';
+const CANCELLED_NAME_PATTERNS = [
+    new RegExp(`\\s*[([]\\s*(?:${CANCELLED_WORDS})\\s*[)\\]]\\s*`, 'i'),
+    new RegExp(`^\\s*(?:${CANCELLED_WORDS})\\s*[:\\-–]\\s*`, 'i'),
+    new RegExp(`\\s*[\\-–]\\s*(?:${CANCELLED_WORDS})\\s*$`, 'i')
+];
+const CANCELLED_STATUS_PATTERN = new RegExp(`^(?:${CANCELLED_WORDS}|cancel)$`, 'i');
+
+const TIMETABLE_FIELDS = Object.keys(FIELD_ALIASES);
+
+/**
+ * Normalizes a column header for alias matching.
+ * @param {string} header
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+    return String(header || '').toLowerCase().replace(/[\s_\-.]/g, '');
+}
+
+/**
+ * Parses a --columns option ("name:Artist,stage:Area,time:Start") into a field → header map.
+ * @param {string|Object|null} columns
+ * @returns {Object<string, string>}
+ */
+export function parseColumnMapping(columns) {
+    if (!columns) return {};
+    if (typeof columns === 'object') return { ...columns };
+    const mapping = {};
+    for (const pair of String(columns).split(',')) {
+        const [field, ...header] = pair.split(':');
+        if (!field || header.length === 0) continue;
+        const key = field.trim();
+        if (!TIMETABLE_FIELDS.includes(key)) {
+            throw new Error(`Unknown timetable field "${key}" in column mapping (expected: ${TIMETABLE_FIELDS.join(', ')})`);
+        }
+        mapping[key] = header.join(':').trim();
+    }
+    return mapping;
+}
+
+/**
+ * Detects a cancellation marker in an act name and removes it.
+ * @param {string} name
+ * @returns {{name: string, cancelled: boolean}}
+ */
+export function parseCancellation(name) {
+    const text = String(name || '');
+    for (const pattern of CANCELLED_NAME_PATTERNS) {
+        if (pattern.test(text)) {
+            return { name: text.replace(pattern, ' ').replace(/\s+/g, ' ').trim(), cancelled: true };
+        }
+    }
+    return { name: text.trim(), cancelled: false };
+}
+
+/**
+ * Whether a status value marks a cancelled performance ("cancelled", "annulé"...).
+ * @param {string|null} status
+ * @returns {boolean}
+ */
+export function isCancelledStatus(status) {
+    return CANCELLED_STATUS_PATTERN.test(String(status || '').trim());
+}
+
+/**
+ * Resolves which header holds each field: explicit mapping first, then the aliases.
+ * @param {string[]} headers - Headers found in the file
+ * @param {Object<string, string>} mapping - From parseColumnMapping
+ * @returns {Object<string, string>} field → header
+ */
+export function buildColumnMap(headers, mapping = {}) {
+    const columnMap = {};
+    for (const field of TIMETABLE_FIELDS) {
+        if (mapping[field]) {
+            const header = headers.find(h => normalizeHeader(h) === normalizeHeader(mapping[field]));
+            if (!header) {
+                throw new Error(`Column "${mapping[field]}" mapped to ${field} not found (columns: ${headers.join(', ')})`);
+            }
+            columnMap[field] = header;
+            continue;
+        }
+        const header = headers.find(h => FIELD_ALIASES[field].includes(normalizeHeader(h)));
+        if (header) columnMap[field] = header;
+    }
+    return columnMap;
+}
+
+/**
+ * Rewrites a spreadsheet date/time to an ISO-like string understood by resolvePerformanceTimes.
+ * Accepts ISO ("2025-07-18T18:00"), "2025/07/18 18:00", day-first "18/07/2025 18:00" or "18.07.2025",
+ * and times of day ("18:00", "18h"), combined with the date column when there is one.
+ * @param {string|null} value
+ * @param {string|null} dateValue - Value of the date column
+ * @returns {string|null}
+ */
+export function parseTimetableDateTime(value, dateValue = null) {
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (!text) return null;
+
+    const ymd = text.match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})(?:[ T](\d{1,2}[:h.]\d{2}.*))?$/);
+    if (ymd) {
+        const date = `${ymd[1]}-${ymd[2].padStart(2, '0')}-${ymd[3].padStart(2, '0')}`;
+        return ymd[4] ? `${date}T${toClock(ymd[4])}` : date;
+    }
+    const dmy = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})(?:[ T](\d{1,2}[:h.]\d{2}.*))?$/);
+    if (dmy) {
+        const date = `${dmy[3]}-${dmy[2].padStart(2, '0')}-${dmy[1].padStart(2, '0')}`;
+        return dmy[4] ? `${date}T${toClock(dmy[4])}` : date;
+    }
+    // Time of day: combine with the date column when present
+    if (dateValue) {
+        const date = parseTimetableDateTime(dateValue);
+        if (date && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            const clock = toClock(text);
+            return clock ? `${date}T${clock}` : text;
+        }
+    }
+    return text;
+}
+
+/**
+ * Converts "18:00", "18h30" or "6.30" to "HH:MM" (seconds and offsets are kept).
+ * @param {string} value
+ * @returns {string|null}
+ */
+function toClock(value) {
+    const match = value.trim().match(/^(\d{1,2})\s*[:h.]\s*(\d{2})?(.*)$/i);
+    if (!match) return null;
+    return `${match[1].padStart(2, '0')}:${match[2] || '00'}${match[3].trim()}`;
+}
+
+/**
+ * Formats a UTC timestamp as a local wall-clock ISO string in the venue timezone.
+ * @param {string|null} utc
+ * @param {string} timezone
+ * @returns {string|null}
+ */
+function toLocalIso(utc, timezone) {
+    return utc ? DateTime.fromISO(utc, { zone: 'utc' }).setZone(timezone).toFormat("yyyy-MM-dd'T'HH:mm") : null;
+}
+
+/**
+ * Maps raw rows to performances and validates them row by row.
+ * Rows with an error are left out of the performances; groupPerformancesForB2B needs
+ * name, stage, time and end_time on every performance.
+ * @param {Array<{row: number, values: Object}>} rows - Rows from a reader
+ * @param {Object} options
+ * @param {string|Object|null} options.columns - Column mapping (see parseColumnMapping)
+ * @param {number|string|null} options.eventStart - Event start, anchors times of day without a date
+ * @param {string} options.timezone - IANA timezone of the venue
+ * @returns {{performances: Array<object>, errors: Array<{row: number, field: string|null, message: string}>, columnMap: Object}}
+ */
+export function normalizeTimetableRows(rows, { columns = null, eventStart = null, timezone = DEFAULT_TIMEZONE } = {}) {
+    const headers = [...new Set(rows.flatMap(r => Object.keys(r.values)))];
+    const columnMap = buildColumnMap(headers, parseColumnMapping(columns));
+    const performances = [];
+    const errors = [];
+
+    if (!columnMap.name) {
+        errors.push({ row: 0, field: 'name', message: `No artist name column found (columns: ${headers.join(', ')})` });
+        return { performances, errors, columnMap };
+    }
+
+    const get = (values, field) => {
+        const value = columnMap[field] ? values[columnMap[field]] : null;
+        return value === null || value === undefined ? '' : String(value).trim();
+    };
+
+    for (const { row, values } of rows) {
+        const rowErrors = [];
+        const fail = (field, message) => rowErrors.push({ row, field, message });
+
+        const parsedName = parseCancellation(get(values, 'name').replace(/\s+/g, ' '));
+        const name = parsedName.name;
+        const cancelled = parsedName.cancelled || isCancelledStatus(get(values, 'status'));
+        // Blank separator rows are common in spreadsheets
+        if (!name && Object.values(values).every(v => v === null || v === undefined || String(v).trim() === '')) continue;
+        if (!name) fail('name', 'Missing artist name');
+
+        const stage = get(values, 'stage');
+        if (!stage) fail('stage', 'Missing stage');
+
+        const date = get(values, 'date') || null;
+        const rawStart = get(values, 'time');
+        const rawEnd = get(values, 'end_time');
+        let time = null;
+        let endTime = null;
+        if (!rawStart) {
+            fail('time', 'Missing start time');
+        } else {
+            const start = parseTimetableDateTime(rawStart, date);
+            // A bare end time is anchored on the start so sets past midnight roll to the next day
+            const end = rawEnd ? parseTimetableDateTime(rawEnd) : null;
+            const resolved = resolvePerformanceTimes(start, end, { eventStart, timezone });
+            time = toLocalIso(resolved.start, timezone);
+            endTime = toLocalIso(resolved.end, timezone);
+            if (!time) {
+                fail('time', `Invalid start time "${rawStart}"${!date && !eventStart ? ' (no date column or event start to anchor it)' : ''}`);
+            } else if (!rawEnd) {
+                fail('end_time', 'Missing end time');
+            } else if (!endTime) {
+                fail('end_time', `Invalid end time "${rawEnd}"`);
+            } else if (resolved.end <= resolved.start) {
+                fail('end_time', `End time ${endTime} is not after start time ${time}`);
+            }
+        }
+
+        const mode = get(values, 'performance_mode').toUpperCase();
+        if (mode && !PERFORMANCE_MODES.includes(mode)) {
+            fail('performance_mode', `Unknown performance mode "${mode}" (expected: ${PERFORMANCE_MODES.filter(Boolean).join(', ')})`);
+        }
+
+        const soundcloud = get(values, 'soundcloud');
+        if (soundcloud && !/^https?:\/\/(www\.|m\.)?soundcloud\.com\//i.test(soundcloud)) {
+            fail('soundcloud', `Not a SoundCloud URL: "${soundcloud}"`);
+        }
+
+        if (rowErrors.length > 0) {
+            errors.push(...rowErrors);
+            continue;
+        }
+        const performance = { name, stage, time, end_time: endTime, performance_mode: mode, soundcloud };
+        const customName = get(values, 'custom_name');
+        if (customName) performance.custom_name = customName;
+        if (cancelled) performance.status = 'cancelled';
+        performances.push(performance);
+    }
+
+    return { performances, errors, columnMap };
+}
+
+export default {
+    FIELD_ALIASES,
+    parseCancellation,
+    isCancelledStatus,
+    parseColumnMapping,
+    buildColumnMap,
+    parseTimetableDateTime,
+    normalizeTimetableRows
+};
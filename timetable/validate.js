@@ -0,0 +1,250 @@
+// timetable/validate.js
+// Pre-import timetable checks: stage conflicts, double bookings, slots outside the festival days
+//
+// Runs on normalized performances (see normalize.js) before anything is written and returns a
+// JSON-serializable report. Errors block the import; warnings are meant for review.
+
+import stringSimilarity from 'string-similarity';
+import { logMessage } from '../utils/logger.js';
+import { normalizeNameEnhanced } from '../utils/name.js';
+import { toZonedDateTime } from '../utils/date.js';
+import { DEFAULT_TIMEZONE, TIMETABLE_MIN_SET_MINUTES, TIMETABLE_MAX_SET_MINUTES } from '../utils/constants.js';
+
+/**
+ * Issue types and their severity.
+ */
+const ISSUE_SEVERITY = {
+    invalid_row: 'error',
+    invalid_time: 'error',
+    end_before_start: 'error',
+    stage_overlap: 'error',
+    artist_double_booked: 'error',
+    outside_festival_days: 'error',
+    unknown_stage: 'warning',
+    suspicious_duration: 'warning'
+};
+
+/**
+ * Compact description of a performance for the report.
+ * @param {object} perf
+ * @returns {{name: string, stage: string, time: string, end_time: string}}
+ */
+function describe(perf) {
+    return { name: perf.name, stage: perf.stage, time: perf.time, end_time: perf.end_time };
+}
+
+/**
+ * Whether two slots overlap (touching slots do not).
+ * @param {{start: DateTime, end: DateTime}} a
+ * @param {{start: DateTime, end: DateTime}} b
+ * @returns {boolean}
+ */
+function overlaps(a, b) {
+    return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * Formats a slot as "Stage 18:00-19:30".
+ * @param {object} slot
+ * @returns {string}
+ */
+function formatSlot(slot) {
+    return `${slot.stage} ${slot.start.toFormat('ccc HH:mm')}-${slot.end.toFormat('HH:mm')}`;
+}
+
+/**
+ * Validates a timetable before import.
+ * Performances sharing the same stage and slot are a B2B, not an overlap.
+ * @param {Array<object>} performances - { name, stage, time, end_time, ... }
+ * @param {Object} options
+ * @param {string} options.timezone - IANA timezone of the venue (performance times are local)
+ * @param {Array<{name?: string, start: string, end: string}>|null} options.festivalDays - Known festival days (skipped when empty)
+ * @param {Array<string|{name: string}>|null} options.stages - Known stages (skipped when empty)
+ * @param {number} options.minDurationMinutes - Shorter sets are suspicious
+ * @param {number} options.maxDurationMinutes - Longer sets are suspicious
+ * @param {Array<{row: number, field: string|null, message: string}>} options.rowErrors - Rows rejected while reading the file (see readTimetableFile)
+ * @returns {{valid: boolean, summary: Object, issues: Array<{type: string, severity: string, message: string, performances: Array<object>}>}}
+ */
+export function validateTimetable(performances, {
+    timezone = DEFAULT_TIMEZONE,
+    festivalDays = null,
+    stages = null,
+    minDurationMinutes = TIMETABLE_MIN_SET_MINUTES,
+    maxDurationMinutes = TIMETABLE_MAX_SET_MINUTES,
+    rowErrors = []
+} = {}) {
+    const issues = [];
+    const addIssue = (type, message, perfs) => {
+        issues.push({ type, severity: ISSUE_SEVERITY[type], message, performances: perfs.map(describe) });
+    };
+
+    // Rows dropped by the reader never reach the import either
+    for (const rowError of rowErrors) {
+        issues.push({
+            type: 'invalid_row',
+            severity: ISSUE_SEVERITY.invalid_row,
+            message: `Row ${rowError.row}${rowError.field ? ` [${rowError.field}]` : ''}: ${rowError.message}`,
+            row: rowError.row,
+            performances: []
+        });
+    }
+
+    // --- Per-slot checks ---
+    const slots = [];
+    for (const perf of performances) {
+        // A cancelled slot is usually filled by another act
+        if (perf.status === 'cancelled') continue;
+        const start = toZonedDateTime(perf.time, timezone);
+        const end = toZonedDateTime(perf.end_time, timezone);
+        if (!start || !end) {
+            addIssue('invalid_time', `${perf.name}: unreadable time "${!start ? perf.time : perf.end_time}"`, [perf]);
+            continue;
+        }
+        if (end <= start) {
+            addIssue('end_before_start', `${perf.name}: ends at ${end.toFormat('HH:mm')}, before its start at ${start.toFormat('ccc HH:mm')} on ${perf.stage}`, [perf]);
+            continue;
+        }
+        const slot = {
+            perf,
+            start,
+            end,
+            stage: (perf.stage || '').trim(),
+            artistKey: normalizeNameEnhanced(perf.name || '').toLowerCase()
+        };
+        slot.slotKey = `${slot.stage.toLowerCase()}|${start.toMillis()}|${end.toMillis()}`;
+        slots.push(slot);
+
+        const minutes = end.diff(start, 'minutes').minutes;
+        if (minutes < minDurationMinutes || minutes > maxDurationMinutes) {
+            addIssue('suspicious_duration', `${perf.name}: ${Math.round(minutes)} min set on ${formatSlot(slot)} (expected ${minDurationMinutes}-${maxDurationMinutes} min)`, [perf]);
+        }
+    }
+
+    // --- Overlapping slots on the same stage ---
+    const byStage = new Map();
+    for (const slot of slots) {
+        const stageKey = slot.stage.toLowerCase();
+        if (!byStage.has(stageKey)) byStage.set(stageKey, new Map());
+        const groups = byStage.get(stageKey);
+        if (!groups.has(slot.slotKey)) groups.set(slot.slotKey, []);
+        groups.get(slot.slotKey).push(slot);
+    }
+    for (const groups of byStage.values()) {
+        const stageSlots = [...groups.values()].sort((a, b) => a[0].start - b[0].start);
+        for (let i = 0; i < stageSlots.length; i++) {
+            for (let j = i + 1; j < stageSlots.length && stageSlots[j][0].start < stageSlots[i][0].end; j++) {
+                const [a, b] = [stageSlots[i], stageSlots[j]];
+                addIssue(
+                    'stage_overlap',
+                    `${a.map(s => s.perf.name).join(' & ')} (${formatSlot(a[0])}) overlaps ${b.map(s => s.perf.name).join(' & ')} (${formatSlot(b[0])})`,
+                    [...a, ...b].map(s => s.perf)
+                );
+            }
+        }
+    }
+
+    // --- One artist on two stages at once ---
+    const byArtist = new Map();
+    for (const slot of slots) {
+        if (!slot.artistKey) continue;
+        if (!byArtist.has(slot.artistKey)) byArtist.set(slot.artistKey, []);
+        byArtist.get(slot.artistKey).push(slot);
+    }
+    for (const artistSlots of byArtist.values()) {
+        for (let i = 0; i < artistSlots.length; i++) {
+            for (let j = i + 1; j < artistSlots.length; j++) {
+                const [a, b] = [artistSlots[i], artistSlots[j]];
+                if (a.stage.toLowerCase() === b.stage.toLowerCase() || !overlaps(a, b)) continue;
+                addIssue('artist_double_booked', `${a.perf.name} is booked on ${formatSlot(a)} and ${formatSlot(b)}`, [a.perf, b.perf]);
+            }
+        }
+    }
+
+    // --- Slots outside the festival days ---
+    const days = (festivalDays || [])
+        .map(day => ({ name: day.name, start: toZonedDateTime(day.start, timezone), end: toZonedDateTime(day.end, timezone) }))
+        .filter(day => day.start && day.end);
+    if (days.length > 0) {
+        for (const slot of slots) {
+            if (days.some(day => slot.start >= day.start && slot.end <= day.end)) continue;
+            addIssue('outside_festival_days', `${slot.perf.name}: ${formatSlot(slot)} is outside the festival days (${days.map(d => `${d.start.toFormat('ccc dd/MM HH:mm')}-${d.end.toFormat('ccc dd/MM HH:mm')}`).join(', ')})`, [slot.perf]);
+        }
+    }
+
+    // --- Stages not known for the event ---
+    const knownStages = (stages || []).map(stage => (typeof stage === 'string' ? stage : stage?.name || '').trim()).filter(Boolean);
+    if (knownStages.length > 0) {
+        const known = new Set(knownStages.map(s => s.toLowerCase()));
+        const unknown = new Map();
+        for (const slot of slots) {
+            if (known.has(slot.stage.toLowerCase())) continue;
+            if (!unknown.has(slot.stage)) unknown.set(slot.stage, []);
+            unknown.get(slot.stage).push(slot.perf);
+        }
+        for (const [stage, perfs] of unknown) {
+            const { bestMatch } = stringSimilarity.findBestMatch(stage.toLowerCase(), knownStages.map(s => s.toLowerCase()));
+            const suggestion = bestMatch.rating >= 0.5 ? ` (did you mean "${knownStages.find(s => s.toLowerCase() === bestMatch.target)}"?)` : '';
+            addIssue('unknown_stage', `Unknown stage "${stage || '(empty)'}" used by ${perfs.length} performance(s)${suggestion}`, perfs);
+        }
+    }
+
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    const byType = {};
+    for (const issue of issues) byType[issue.type] = (byType[issue.type] || 0) + 1;
+
+    return {
+        valid: errors === 0,
+        summary: {
+            performances: performances.length,
+            stages: byStage.size,
+            errors,
+            warnings: issues.length - errors,
+            byType
+        },
+        issues
+    };
+}
+
+/**
+ * Reads the known festival days and stages from the event metadata (stored by a previous import).
+ * @param {Object|null} event - Event row with metadata
+ * @returns {{festivalDays: Array<object>, stages: Array<object>}}
+ */
+export function getEventTimetableContext(event) {
+    let metadata = event?.metadata || {};
+    if (typeof metadata === 'string') {
+        try {
+            metadata = JSON.parse(metadata);
+        } catch {
+            metadata = {};
+        }
+    }
+    return {
+        festivalDays: Array.isArray(metadata.festival_days) ? metadata.festival_days : [],
+        stages: Array.isArray(metadata.stages) ? metadata.stages : []
+    };
+}
+
+/**
+ * Logs a validation report, errors first.
+ * @param {Object} report - Report from validateTimetable
+ * @param {Function} logFunction - Logging function to use (defaults to logMessage)
+ */
+export function logTimetableValidation(report, logFunction = logMessage) {
+    const { summary, issues } = report;
+    logFunction(`\n🔎 Timetable validation: ${summary.errors} error(s), ${summary.warnings} warning(s) on ${summary.performances} performances`);
+    const sorted = [...issues].sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+    for (const issue of sorted) {
+        logFunction(`   ${issue.severity === 'error' ? '❌' : '⚠️'} [${issue.type}] ${issue.message}`);
+    }
+    if (report.valid) {
+        logFunction(`✅ Timetable is valid`);
+    }
+}
+
+export default {
+    ISSUE_SEVERITY,
+    validateTimetable,
+    getEventTimetableContext,
+    logTimetableValidation
+};
@@ -0,0 +1,69 @@
+// timetable/xlsx.js
+// Excel timetable reader (first row = headers)
+
+import ExcelJS from 'exceljs';
+
+/**
+ * Converts an Excel cell value to text.
+ * Dates are stored by Excel as wall-clock times (read back as UTC): they become "2025-07-18T18:00",
+ * and time-only cells (Excel day 0, 1899-12-30) become "18:00".
+ * @param {any} value - exceljs cell value
+ * @returns {string}
+ */
+export function cellToText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        const clock = `${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}`;
+        if (value.getUTCFullYear() < 1900) return clock;
+        const date = `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`;
+        return value.getUTCHours() === 0 && value.getUTCMinutes() === 0 ? date : `${date}T${clock}`;
+    }
+    if (typeof value === 'object') {
+        if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return String(value.text);
+        if (value.result !== undefined) return cellToText(value.result);
+        if (value.hyperlink) return String(value.hyperlink);
+        return '';
+    }
+    return String(value);
+}
+
+export default {
+    name: 'xlsx',
+    extensions: ['.xlsx'],
+
+    /**
+     * Reads the rows of a worksheet keyed by its first row.
+     * @param {Buffer} input - File content
+     * @param {Object} options
+     * @param {string|number} [options.sheet] - Worksheet name or 1-based index (default: first sheet)
+     * @returns {Promise<Array<{row: number, values: Object}>>} Rows with their spreadsheet row number
+     */
+    async read(input, { sheet = null } = {}) {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(input);
+        const worksheet = sheet
+            ? (/^\d+$/.test(String(sheet)) ? workbook.worksheets[parseInt(sheet, 10) - 1] : workbook.getWorksheet(String(sheet)))
+            : workbook.worksheets[0];
+        if (!worksheet) {
+            throw new Error(`Worksheet not found: ${sheet} (sheets: ${workbook.worksheets.map(ws => ws.name).join(', ')})`);
+        }
+
+        const headers = [];
+        worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => {
+            headers[col] = cellToText(cell.value).trim();
+        });
+
+        const rows = [];
+        worksheet.eachRow((row, rowNumber) => {
+            if (rowNumber === 1) return;
+            const values = {};
+            headers.forEach((header, col) => {
+                if (header) values[header] = cellToText(row.getCell(col).value).trim();
+            });
+            rows.push({ row: rowNumber, values });
+        });
+        return rows;
+    }
+};
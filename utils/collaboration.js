@@ -0,0 +1,213 @@
+// utils/collaboration.js
+// Collaboration parsing ("A B2B B", "A x B", "A & B" between known artists) and grouping of performances into acts
+
+import { KNOWN_DUO_NAMES } from './constants.js';
+
+/**
+ * Separators and the performance mode they mean. Explicit modes win over the generic ones
+ * ("x", "&", "and"), which are recorded as B2B. "&" and "and" also join band names
+ * ("Earth, Wind & Fire", "Drum and Bass Allstars"), so they only split between known artists.
+ * Featurings ("feat.", "with", "meets", "+") are one act and are never split.
+ */
+const COLLABORATION_SEPARATORS = [
+    { pattern: 'b2b', mode: 'B2B', explicit: true },
+    { pattern: 'b3b', mode: 'B3B', explicit: true },
+    { pattern: 'f2f', mode: 'F2F', explicit: true },
+    { pattern: 'vs\\.?|versus', mode: 'VS', explicit: true },
+    { pattern: 'x', mode: 'B2B', explicit: false },
+    { pattern: '&|and', mode: 'B2B', explicit: false, knownPartsOnly: true }
+];
+const SEPARATOR_REGEX = new RegExp(`\\s+(${COLLABORATION_SEPARATORS.map(s => s.pattern).join('|')})\\s+`, 'i');
+const SPLIT_REGEX = new RegExp(SEPARATOR_REGEX.source, 'gi');
+
+// "& friends", "b2b guests", "and more": not an artist
+const FILLER_PART_REGEX = /^(?:(?:special\s+)?guests?|friends|residents?|(?:many\s+|and\s+)?more|tba|tbc|tbd|\.\.\.)$/i;
+// "Florence and the Machine", "Bob Marley & The Wailers": band names, not collaborations
+const BAND_PART_REGEX = /^the\s+/i;
+
+/**
+ * Normalizes a performance mode ("b2b", "vs.", "Face to face"...) to one of PERFORMANCE_MODES.
+ * @param {string|null} mode
+ * @returns {string} 'B2B', 'B3B', 'F2F', 'VS' or ''
+ */
+export function normalizePerformanceMode(mode) {
+    const value = String(mode || '').trim().toLowerCase().replace(/\.$/, '');
+    if (!value) return '';
+    if (value === 'vs' || value === 'versus') return 'VS';
+    if (value === 'f2f' || value === 'face to face' || value === 'face2face') return 'F2F';
+    if (value === 'b3b' || value === 'back to back to back') return 'B3B';
+    return 'B2B';
+}
+
+/**
+ * Comparison key of an act name: case and the "&"/"and" spelling are ignored.
+ * @param {string} name
+ * @returns {string}
+ */
+function getDuoKey(name) {
+    return String(name || '').toLowerCase().replace(/\s+(?:&|and)\s+/g, ' & ').replace(/\s+/g, ' ').trim();
+}
+
+const KNOWN_DUO_KEYS = new Set(KNOWN_DUO_NAMES.map(getDuoKey));
+
+/**
+ * Returns the separator entry of a matched separator.
+ * @param {string} separator
+ * @returns {{mode: string, explicit: boolean, knownPartsOnly?: boolean}}
+ */
+function getSeparator(separator) {
+    return COLLABORATION_SEPARATORS.find(s => new RegExp(`^(?:${s.pattern})$`, 'i').test(separator));
+}
+
+/**
+ * Splits an act name on every separator.
+ * @param {string} original - Act name, spaces collapsed
+ * @returns {{parts: string[], separators: string[]}} Parts and the separators between them, as written
+ */
+function splitOnSeparators(original) {
+    const tokens = original.split(SPLIT_REGEX);
+    return {
+        parts: tokens.filter((_, i) => i % 2 === 0).map(part => part.trim()),
+        separators: tokens.filter((_, i) => i % 2 === 1)
+    };
+}
+
+/**
+ * Splits a combined act name into its artists.
+ * Known duos (KNOWN_DUO_NAMES, or artists already stored under the combined name) are kept whole,
+ * and "&"/"and" only split when the artists on both sides are known.
+ * @param {string} name - Act name as written ("Ben Klock b2b Marcel Dettmann")
+ * @param {Object} options
+ * @param {Iterable<string>} options.knownNames - Stored artist names (see findStoredCollaborationNames in models/artist.js)
+ * @returns {{names: string[], mode: string, original: string, isCollaboration: boolean}}
+ */
+export function parseCollaboration(name, { knownNames = [] } = {}) {
+    const original = String(name || '').replace(/\s+/g, ' ').trim();
+    const whole = { names: original ? [original] : [], mode: '', original, isCollaboration: false };
+    if (!SEPARATOR_REGEX.test(original)) return whole;
+
+    const knownKeys = new Set([...knownNames].map(getDuoKey));
+    const isKnown = text => KNOWN_DUO_KEYS.has(getDuoKey(text)) || knownKeys.has(getDuoKey(text));
+    if (isKnown(original)) return whole;
+
+    const { parts, separators } = splitOnSeparators(original);
+    if (parts.some(part => !part)) return whole;
+
+    // Parts joined by a separator that does not split here are one name again
+    // ("Earth, Wind" & "Fire", "Bob Marley" & "The Wailers")
+    const groups = [{ name: parts[0], joined: false }];
+    const splitters = [];
+    separators.forEach((separatorText, i) => {
+        const separator = getSeparator(separatorText);
+        const part = parts[i + 1];
+        const previous = groups[groups.length - 1];
+        const splits = FILLER_PART_REGEX.test(part) || ((separator.explicit || !BAND_PART_REGEX.test(part))
+            && (!separator.knownPartsOnly || (!previous.joined && isKnown(previous.name) && isKnown(part))));
+        if (splits) {
+            groups.push({ name: part, joined: false });
+            if (!FILLER_PART_REGEX.test(part)) splitters.push(separator);
+        } else {
+            previous.name = `${previous.name} ${separatorText} ${part}`;
+            previous.joined = true;
+        }
+    });
+
+    const names = groups.map(group => group.name).filter(part => !FILLER_PART_REGEX.test(part));
+    const explicit = splitters.find(s => s.explicit);
+    const mode = names.length > 1 ? (explicit || splitters[0]).mode : '';
+    return { names, mode, original, isCollaboration: names.length > 1 };
+}
+
+/**
+ * Returns the names to look up in the artists table for an act name: the combined name and its parts,
+ * so that known duos stay whole and "&"/"and" can split between known artists.
+ * @param {string} name - Act name as written
+ * @returns {string[]} Empty when the name has no separator
+ */
+export function getCollaborationLookupNames(name) {
+    const original = String(name || '').replace(/\s+/g, ' ').trim();
+    if (!SEPARATOR_REGEX.test(original)) return [];
+    const { parts } = splitOnSeparators(original);
+    return [original, ...parts.filter(part => part && !FILLER_PART_REGEX.test(part))];
+}
+
+/**
+ * Splits the combined names of a list of performances into one performance per artist.
+ * Parts keep the slot, get the collaboration mode (unless one is already set) and the combined
+ * name as custom_name. Already expanded performances are left as they are.
+ * @param {Array<object>} performances - { name, stage, time, end_time, performance_mode, ... }
+ * @param {Object} options
+ * @param {Iterable<string>} options.knownNames - Stored artist names (see parseCollaboration)
+ * @returns {Array<object>}
+ */
+export function expandCollaborations(performances, { knownNames = [] } = {}) {
+    const expanded = [];
+    for (const perf of performances || []) {
+        if (!perf || !perf.name || perf.collaboration_parsed) {
+            if (perf) expanded.push(perf);
+            continue;
+        }
+        const { names, mode, original, isCollaboration } = parseCollaboration(perf.name, { knownNames });
+        const performanceMode = normalizePerformanceMode(perf.performance_mode) || mode;
+        if (names.length === 0) continue;
+        if (!isCollaboration) {
+            // "Ben Klock & Friends" plays as "Ben Klock"
+            const renamed = names[0] !== original;
+            expanded.push({
+                ...perf,
+                name: names[0],
+                performance_mode: performanceMode,
+                ...(renamed && !perf.custom_name ? { custom_name: original } : {}),
+                collaboration_parsed: true
+            });
+            continue;
+        }
+        for (const artistName of names) {
+            expanded.push({
+                ...perf,
+                name: artistName,
+                performance_mode: performanceMode,
+                custom_name: perf.custom_name || original,
+                collaboration_parsed: true
+            });
+        }
+    }
+    return expanded;
+}
+
+/**
+ * Groups performances into acts (one event_artist row per act).
+ * Timetable performances (stage, start and end known) are grouped by slot and mode; lineup entries
+ * without a full slot are grouped by collaboration (custom_name), the others stay alone.
+ * @param {Array<object>} performances
+ * @param {Object} options
+ * @param {Iterable<string>} options.knownNames - Stored artist names (see parseCollaboration)
+ * @returns {Array<Array<object>>} Groups of performances, duplicates of an artist within a group removed
+ */
+export function groupCollaborations(performances, { knownNames = [] } = {}) {
+    const groups = new Map();
+    expandCollaborations(performances, { knownNames }).forEach((perf, index) => {
+        const mode = normalizePerformanceMode(perf.performance_mode);
+        let key;
+        if (perf.stage && perf.time && perf.end_time) {
+            key = `slot|${perf.stage}|${perf.time}|${perf.end_time}|${mode}`;
+        } else if (perf.custom_name && mode) {
+            key = `collab|${perf.custom_name.toLowerCase()}|${perf.time || ''}|${(perf.stage || '').toLowerCase()}`;
+        } else {
+            key = `solo|${index}`;
+        }
+        if (!groups.has(key)) groups.set(key, []);
+        const group = groups.get(key);
+        if (!group.some(p => p.name.toLowerCase() === perf.name.toLowerCase())) {
+            group.push({ ...perf, performance_mode: mode });
+        }
+    });
+    return [...groups.values()];
+}
+
+export default {
+    normalizePerformanceMode,
+    parseCollaboration,
+    expandCollaborations,
+    groupCollaborations
+};
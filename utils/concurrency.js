@@ -0,0 +1,232 @@
+// utils/concurrency.js
+// Concurrency helpers: limiters, per-API budgets shared by all jobs of the process, timeouts and the worker pool
+
+import { API_CONCURRENCY_LIMITS } from './constants.js';
+
+/**
+ * Creates a limiter running at most `limit` tasks at once; the others wait in FIFO order.
+ * @param {number} limit - Maximum concurrent tasks (>= 1)
+ * @returns {{run: Function, readonly active: number, readonly pending: number, readonly limit: number}}
+ */
+export function createLimiter(limit) {
+    const max = Math.max(1, Math.floor(limit) || 1);
+    const queue = [];
+    let active = 0;
+
+    const next = () => {
+        if (active >= max || queue.length === 0) return;
+        active++;
+        const { fn, resolve, reject } = queue.shift();
+        Promise.resolve()
+            .then(fn)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return {
+        /**
+         * Runs a task when a slot is free.
+         * @param {Function} fn - Async task
+         * @returns {Promise<*>} Result of the task
+         */
+        run(fn) {
+            return new Promise((resolve, reject) => {
+                queue.push({ fn, resolve, reject });
+                next();
+            });
+        },
+        get active() { return active; },
+        get pending() { return queue.length; },
+        get limit() { return max; }
+    };
+}
+
+// One limiter per external API, shared by every job running in this process
+const apiLimiters = new Map();
+
+/**
+ * Returns the shared limiter of an external API (budget from API_CONCURRENCY_LIMITS,
+ * overridable with <API>_CONCURRENCY, e.g. SOUNDCLOUD_CONCURRENCY=2).
+ * @param {string} api - 'soundcloud', 'google', 'openai'...
+ * @returns {ReturnType<typeof createLimiter>}
+ */
+export function getApiLimiter(api) {
+    if (!apiLimiters.has(api)) {
+        const limit = parseInt(process.env[`${api.toUpperCase()}_CONCURRENCY`]) || API_CONCURRENCY_LIMITS[api] || 1;
+        apiLimiters.set(api, createLimiter(limit));
+    }
+    return apiLimiters.get(api);
+}
+
+/**
+ * Runs a call to an external API within its concurrency budget.
+ * @param {string|null} api - API name (no limit when null)
+ * @param {Function} fn - Async call
+ * @returns {Promise<*>}
+ */
+export function withApiLimit(api, fn) {
+    return api ? getApiLimiter(api).run(fn) : fn();
+}
+
+/**
+ * Usage of the API budgets, for monitoring.
+ * @returns {Object<string, {active: number, pending: number, limit: number}>}
+ */
+export function getApiLimiterStats() {
+    return Object.fromEntries([...apiLimiters.entries()].map(([api, limiter]) => [api, {
+        active: limiter.active,
+        pending: limiter.pending,
+        limit: limiter.limit
+    }]));
+}
+
+/**
+ * Rejects when a promise does not settle in time. The promise itself is not cancelled:
+ * its late result or error is ignored. Callers stop the work through an AbortSignal
+ * (see runLeasedJob in utils/lease.js).
+ * @param {Promise<*>} promise
+ * @param {number} ms - Timeout in milliseconds (no timeout when 0 or less)
+ * @param {string} label - Used in the error message
+ * @returns {Promise<*>}
+ */
+export function withTimeout(promise, ms, label = 'Operation') {
+    if (!ms || ms <= 0) return promise;
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`${label} timed out after ${Math.round(ms / 1000)}s`);
+            error.code = 'JOB_TIMEOUT';
+            reject(error);
+        }, ms);
+    });
+    promise.catch(() => {}); // A late rejection must not become an unhandled rejection
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Creates a pool of `size` workers: claims up to the number of free slots at once, runs the jobs
+ * concurrently and keeps track of the in-flight promises so that the pool can be drained.
+ * @param {Object} options
+ * @param {number} options.size - Maximum concurrent jobs
+ * @param {Function} options.claimJobs - async (count) => jobs, claims up to `count` jobs atomically
+ * @param {Function} options.runJob - async (job) => void, runs one job (its errors are logged, never thrown)
+ * @param {Function} options.getJobId - job => id, for logs and stats (default: job.id)
+ * @param {number} options.pollIntervalMs - Wait when nothing was claimed
+ * @param {number} options.errorDelayMs - Wait after a claim error
+ * @param {Function} options.log - Logger (default: console.log)
+ * @returns {{start: Function, stop: Function, drain: Function, readonly inFlight: Array, readonly size: number, readonly running: boolean}}
+ */
+export function createWorkerPool({
+    size,
+    claimJobs,
+    runJob,
+    getJobId = job => job.id,
+    pollIntervalMs = 30000,
+    errorDelayMs = 5000,
+    log = console.log
+}) {
+    const maxJobs = Math.max(1, Math.floor(size) || 1);
+    const inFlight = new Map(); // job id -> { job, promise, startedAt }
+    let running = false;
+    let wake = null;
+
+    // Sleep that ends early when a job finishes or the pool is stopped
+    const sleep = ms => new Promise(resolve => {
+        const timer = setTimeout(done, ms);
+        function done() {
+            clearTimeout(timer);
+            wake = null;
+            resolve();
+        }
+        wake = done;
+    });
+
+    const launch = (job) => {
+        const id = getJobId(job);
+        const promise = Promise.resolve()
+            .then(() => runJob(job))
+            .catch(error => log(`❌ Worker error on job ${id}: ${error.message}`))
+            .finally(() => {
+                inFlight.delete(id);
+                if (wake) wake();
+            });
+        inFlight.set(id, { job, promise, startedAt: Date.now() });
+    };
+
+    return {
+        /**
+         * Claims and runs jobs until stop() is called.
+         * @returns {Promise<void>} Resolves once stopped (in-flight jobs may still run, see drain)
+         */
+        async start() {
+            running = true;
+            while (running) {
+                const free = maxJobs - inFlight.size;
+                if (free <= 0) {
+                    await sleep(pollIntervalMs);
+                    continue;
+                }
+                let jobs;
+                try {
+                    jobs = await claimJobs(free);
+                } catch (error) {
+                    log(`❌ Error claiming jobs: ${error.message}`);
+                    if (running) await sleep(errorDelayMs);
+                    continue;
+                }
+                if (!running) {
+                    // Claimed while stopping: still run them, drain() waits for them
+                    (jobs || []).forEach(launch);
+                    break;
+                }
+                (jobs || []).slice(0, free).forEach(launch);
+                if (!jobs || jobs.length === 0) {
+                    await sleep(pollIntervalMs);
+                }
+            }
+        },
+
+        /**
+         * Stops claiming new jobs.
+         */
+        stop() {
+            running = false;
+            if (wake) wake();
+        },
+
+        /**
+         * Waits for the in-flight jobs.
+         * @param {number} timeoutMs - Maximum wait (0: no limit)
+         * @returns {Promise<Array>} Jobs still running after the timeout
+         */
+        async drain(timeoutMs = 0) {
+            const all = Promise.all([...inFlight.values()].map(entry => entry.promise));
+            if (timeoutMs > 0) {
+                let timer;
+                await Promise.race([all, new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); })]);
+                clearTimeout(timer);
+            } else {
+                await all;
+            }
+            return [...inFlight.values()].map(entry => entry.job);
+        },
+
+        get inFlight() {
+            return [...inFlight.entries()].map(([id, entry]) => ({ id, startedAt: entry.startedAt }));
+        },
+        get size() { return maxJobs; },
+        get running() { return running; }
+    };
+}
+
+export default {
+    createLimiter,
+    getApiLimiter,
+    withApiLimit,
+    getApiLimiterStats,
+    withTimeout,
+    createWorkerPool
+};
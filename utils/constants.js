@@ -4,20 +4,82 @@
 const DRY_RUN = false; // Set true for dry-run mode (no DB writes)
 const FUZZY_THRESHOLD = 0.75; // Similarity threshold for fuzzy matching
 const MIN_GENRE_OCCURRENCE = 3; // Minimum occurrences for genre assignment
+const DEFAULT_TIMEZONE = 'Europe/Brussels'; // Timezone of events when none is known
+const RULE_BASED_LINEUP_CONFIDENCE = 0.8; // Rule-based lineup confidence above which the LLM is not called
+
+// Cities the rule-based lineup parser never reads as artists (a line holding only a place, e.g. "Brussels, Belgium")
+const LINEUP_CITY_NAMES = ["Amsterdam", "Antwerp", "Antwerpen", "Anvers", "Barcelona", "Berlin", "Bruges", "Brugge", "Brussels", "Bruxelles", "Brussel", "Charleroi", "Cologne", "Köln", "Eindhoven", "Frankfurt", "Gent", "Ghent", "Gand", "Hamburg", "Hasselt", "Kortrijk", "Leuven", "Liège", "Lille", "Lisbon", "London", "Luxembourg", "Lyon", "Madrid", "Manchester", "Marseille", "Mechelen", "Mons", "Munich", "München", "Namur", "Paris", "Rotterdam", "The Hague", "Den Haag", "Utrecht", "Wien", "Vienna"];
 
 // Festival-specific constants
 const MAX_GENRES_REGULAR = 5; // Maximum genres for regular events
 const MAX_GENRES_FESTIVAL = 10; // Maximum genres for festivals
 const FESTIVAL_FALLBACK_GENRES = 5; // Fallback genres for festivals when threshold not met
 
+// Cross-source event deduplication
+const EVENT_DUPLICATE_THRESHOLD = 0.8; // Score above which an incoming event is merged into an existing one
+const EVENT_REVIEW_THRESHOLD = 0.55; // Score above which both events are kept and flagged for review
+const EVENT_DEDUP_WINDOW_HOURS = 12; // Candidates must start within this window of the incoming event
+const EVENT_MIN_TITLE_SIMILARITY = 0.25; // Below it, an event is only merged or flagged when it shares an artist
+
+// Venue matching
+const VENUE_DISTANCE_THRESHOLD_M = 500; // Max distance between two locations of the same venue (regular events)
+const FESTIVAL_VENUE_DISTANCE_THRESHOLD_M = 5000; // Same for festivals (sites spread over large grounds)
+const VENUE_MATCH_THRESHOLD = 0.75; // Score above which an incoming venue is matched to an existing one
+const VENUE_MERGE_THRESHOLD = 0.85; // Score above which two existing venues are merged by merge_venues.js
+
+// Artist merge tool
+const ARTIST_MERGE_SIMILARITY = 0.9; // Name similarity above which two artists are clustered together
+
+// Timetable validation
+const TIMETABLE_MIN_SET_MINUTES = 15; // Sets shorter than this are reported as suspicious
+const TIMETABLE_MAX_SET_MINUTES = 360; // Sets longer than this are reported as suspicious
+
+// Concurrent calls allowed per external API, shared by all the jobs of a process (override with <API>_CONCURRENCY)
+const API_CONCURRENCY_LIMITS = { soundcloud: 4, google: 4, openai: 2 };
+
+// Steps of the import pipeline, in order: each one is checkpointed on the queue row so that a retry resumes after the last completed step
+const IMPORT_STEPS = ['scrape', 'promoters', 'venue', 'event', 'artists', 'genres'];
+
+// Retry policy of a failed import per error class (see utils/errors.js): dead-lettered at once when retry is false,
+// otherwise retried after baseDelaySeconds × 2^(retries so far), capped, up to maxRetries (and the row's max_retries)
+const IMPORT_RETRY_POLICIES = {
+    permanent: { retry: false }, // Deleted or private event, unsupported URL
+    data: { retry: false }, // Invalid or inconsistent data: needs a fix, not a retry
+    transient: { retry: true, maxRetries: 5, baseDelaySeconds: 60, maxDelaySeconds: 3600 }, // Network, 5xx, rate limit, timeout
+    auth: { retry: true, maxRetries: 3, baseDelaySeconds: 1800, maxDelaySeconds: 7200 }, // Expired token: leaves time to renew it
+    unknown: { retry: true, maxRetries: 3, baseDelaySeconds: 300, maxDelaySeconds: 3600 },
+    lease_reclaims_exceeded: { retry: false } // Crashes its worker (out of memory...): requeue by hand once fixed
+};
+
+// Acts whose name contains a collaboration separator but must not be split into several artists
+const KNOWN_DUO_NAMES = ["Above & Beyond", "Aly & Fila", "Axwell & Ingrosso", "Camo & Krooked", "Chase & Status", "Dimitri Vegas & Like Mike", "Dino & Terry", "Kraak & Smaak", "Kruder & Dorfmeister", "Matisse & Sadko", "Mumford & Sons", "Ost & Kjex", "Pig & Dan", "Salt & Pepa", "Simon & Garfunkel", "Sunnery James & Ryan Marciano", "Tiga & Zyntherius"];
+
 const BANNED_GENRES = ["90s", "Disco", "Dub", "Guaracha", "Bootleg", "Montreal", "Lebanon", "Stereo", "Berghain", "Jaw", "Not", "Monster", "Dream", "Drone", "Eurodance", "Storytelling", "Nostalgic", "Guitar", "Art", "Future", "Romania", "Drums", "Atmosphere", "Emo", "Lyrical", "Indonesia", "Mood", "Mellow", "Work", "Feminism", "Download", "This", "Poetry", "Sound", "Malibu", "Twek", "Money", "Orgasm", "Cover", "Viral", "Sexy", "Z", "Nas", "Weird", "P", "Indonesion", "Funky", "Tearout", "Uplifting", "Love", "Core", "Violin", "Simpsons", "Riddim", "World Music", "Dancehall", "Gbr", "Fußball", "German", "New", "Eargasm", "Ecstasy", "Coldwave", "Brazilian", "Beat", "Song", "Soulful", "Smooth", "Contemporary", "Ballad", "Modern", "Beyonce", "Occult", "Evil", "Vinyl", "2000's", "Dog", "Gangsta", "Hair", "Soundtrack", "Hard Drance", "Bassline", "Queer", "Interview", "Krautrock", "Soundscape", "Darkwave", "Atmospheric", "Americana", "Mpc", "Detroit", "Fast", "Argentina", "Emotional", "Germany", "Frankfurt", "Karlsruhe", "Driving", "Cosmic", "Summer", "Basement", "Beachbar", "Party", "Producer", "Alive", "Pulse", "Coding", "Offensive", "Alex", "Time", "Soho", "Spring", "Aus", "X", "Modern Dancehall", "Elektra", "Piano", "Italo", "Synth", "Ghetto", "Moombahton", "Ghetto", "Chicago", "Happy", "80s", "Munich", "Melancholic", "Samples", "Madrid", "Amapiano", "00s", "Breakbeat", "Retro", "Breakz", "Spain", "Pandora", "Tropical", "Latin Pop", "Night", "Aussie", "Australian", "Fire", "Hot", "Spotify", "Ur", "2step", "Lonely", "Sad", "Angry", "Heavy", "Hex", "A", "Complex", "Freestyle", "Mainstream", "All", "Long", "Antifa", "Horror", "Scary", "Japan", "Popular", "Memphis", "Nostalgia", "Ost", "Speech", "Shoegaze", "Orchestral", "London", "Kinky", "Tresor", "Chillout", "Cool", "Sun", "Ethnic", "Banjo", "Trippy", "Persian", "Traditional", "Persian Traditional", "Bochka", "Oh", "God", "Kids", "Compilation", "Ghost", "Space", "Christ", "Based", "De", "Juke", "Gent", "Valearic", "Ebm", "Sac-sha", "Amsterdam", "Noise", "Eclectic", "Hi-nrg", "Antwerp", "Feelgood", "Body", "Indie Dance", "Barcelona", "Fusion", "C", "Comedy", "Zephyr", "E", "Tiktok", "Brasil", "O", "It", "Us", "Yes", "Scantraxx", "Qlimax", "Style", "Italian", "Spiritual", "Quiet", "Best", "Denver", "Colorado", "Soca", "Bobo", "G", "Zouk", "Booba", "Game", "Cello", "Jam", "Hardtekk", "Break", "Goa", "Boogie", "Idm", "Haldtime", "Spanish", "Screamo", "Ra", "Jersey", "Organ", "Palestine", "Congo", "Healing", "Minecraft", "Cyberpunk", "Television", "Film", "Cursed", "Crossbreed", "Funama", "Kuduro", "Mashups", "Collaboration", "France", "Alien", "Banger", "Tool", "Insomnia", "Flow", "Kafu", "Adele", "Makina", "Manchester", "Salford", "Macedonia", "Japanese", "Relax", "Relaxing", "Relaxation", "Is", "Bdr", "Bier", "Jckson", "Jersey Club", "Big Room", "Brooklyn", "Coffee", "Green", "Tekkno", "Flips", "Sia", "Ccr", "Ai", "Unicorn", "Q", "Aversion", "Gym", "Get", "Buningman", "Rotterdam", "Matrix", "Indian", "Brazil", "S", "Hybrid", "Beats", "Singer", "Ans", "Theme", "Future Bass", "Club House", "Glam", "Aggressive", "Prog", "Technoid", "Funny", "Raggamuffin", "Bangface", "Bandcamp", "Bristol", "Organic", "Brazilian Phonk", "Revolution", "Afterlife", "Rockabilly", "Tune", "Brixton", "Psydub", "Harmony", "Montana", "Imaginarium", "Cheesy", "Choral", "other", "mixtape", "world", "venice", "hate", "bbc", "original", "hip", "Indie", "dan", "wave", "J", "deep", "holiday", "berlin", "Classic", "fun", "Electric", "Leftfield", "Italo-disco", "Electronica", "Singer-songwriter", "alternative", "sampled", "anime", "hit", "speed garage", "groovy", "donk", "latin", "R", "soul", "trash", "vocal", "alternative rock", "werewolf", "christmas", "xmas", "amen", "fox", "you", "Dl", "girl", "Intelligent", "audio", "musical", "tony", "moon", "ukf", "zombies", "Complextro", "Doom", "death", "Monstercat", "cake", "scene", "queen", "slam", "fox", "Czech", "workout", "winter", "modus", "iaginarium", "avalon", "fullon", "football", "colombia", "portugal", "badass", "recorder", "chile", "road", "breton", "sufi", "chanson", "noize", "balada", "running", "footwork", "santa", "crazy", "microwave", "bop", "great", "carnaval", "standard", "demo", "twilight", "female", "hippie", "community", "meditative", "yoga", "meditation", "drop", "haunting", "chant", "Birmingham", "opium", "combo", "austria", "old", "worldwide", "free", "rap", "d", "snap", "n", "hip-hop", "hiphip", "breaks", "electronic", "belgian", "belgium", "up", "noir", "bass", "murder", "ep", "rave", "bad", "oldschool", "music", "remix", "track", "podcast", "dance", "set", "festival", "ecstacy", "uk", "live", "paris", "internet", "episode", "r", "D", "club", "dj", "mix", "radio", "soundcloud", "sesh"];
 
 export {
     DRY_RUN,
     FUZZY_THRESHOLD,
     MIN_GENRE_OCCURRENCE,
+    DEFAULT_TIMEZONE,
+    RULE_BASED_LINEUP_CONFIDENCE,
+    LINEUP_CITY_NAMES,
     MAX_GENRES_REGULAR,
     MAX_GENRES_FESTIVAL,
     FESTIVAL_FALLBACK_GENRES,
+    EVENT_DUPLICATE_THRESHOLD,
+    EVENT_REVIEW_THRESHOLD,
+    EVENT_DEDUP_WINDOW_HOURS,
+    EVENT_MIN_TITLE_SIMILARITY,
+    VENUE_DISTANCE_THRESHOLD_M,
+    FESTIVAL_VENUE_DISTANCE_THRESHOLD_M,
+    VENUE_MATCH_THRESHOLD,
+    VENUE_MERGE_THRESHOLD,
+    ARTIST_MERGE_SIMILARITY,
+    TIMETABLE_MIN_SET_MINUTES,
+    TIMETABLE_MAX_SET_MINUTES,
+    API_CONCURRENCY_LIMITS,
+    IMPORT_STEPS,
+    IMPORT_RETRY_POLICIES,
+    KNOWN_DUO_NAMES,
     BANNED_GENRES,
 };
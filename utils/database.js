@@ -1,3 +1,6 @@
+import { DEFAULT_TIMEZONE } from './constants.js';
+import { resolvePerformanceTimes } from './date.js';
+
 /**
  * Ensures a relation exists in a given table. If not, it inserts it.
  * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client.
@@ -24,32 +27,25 @@ async function ensureRelation(supabase, table, relationData, relationName) {
 
 /**
  * Creates a relationship between an event and an artist, including performance details.
+ * Performance times are resolved in the venue timezone and stored in UTC (see resolvePerformanceTimes).
  * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client.
  * @param {number} eventId - The ID of the event.
  * @param {number} artistId - The ID of the artist.
  * @param {object} artistObj - The artist object from parsing.
+ * @param {object} [options]
+ * @param {number|string|null} [options.eventStart] - Event start (Unix seconds or ISO), anchors "HH:MM" times.
+ * @param {string} [options.timezone] - IANA timezone of the venue.
  */
-async function createEventArtistRelation(supabase, eventId, artistId, artistObj) {
+async function createEventArtistRelation(supabase, eventId, artistId, artistObj, { eventStart = null, timezone = DEFAULT_TIMEZONE } = {}) {
     if (!artistId) return;
     const artistIdStr = String(artistId);
 
-    let startTime = null;
-    let endTime = null;
     const stage = artistObj.stage || null;
     const customName = null;
 
-    if (artistObj.time && artistObj.time.trim() !== "") {
-        const match = artistObj.time.match(/(\d{1,2}:\d{2})-?(\d{1,2}:\d{2})?/);
-        if (match) {
-            const startStr = match[1];
-            const endStr = match[2] || null;
-            if (startStr) {
-                startTime = `2025-06-27T${startStr}:00`;
-            }
-            if (endStr) {
-                endTime = `2025-06-27T${endStr}:00`;
-            }
-        }
+    const { start: startTime, end: endTime } = resolvePerformanceTimes(artistObj.time, artistObj.end_time, { eventStart, timezone });
+    if (artistObj.time && artistObj.time.trim() !== "" && !startTime) {
+        console.warn(`⚠️ Could not resolve performance time "${artistObj.time}" for artist_id=${artistIdStr}${eventStart ? '' : ' (no event start date)'}`);
     }
 
     let query = supabase
@@ -106,8 +102,69 @@ async function createEventArtistRelation(supabase, eventId, artistId, artistObj)
     }
 }
 
+/**
+ * Computes how the rows of a link table move when duplicates are merged into a survivor, the way
+ * merge_entity_links (supabase/migrations/20261019_artist_merge.sql) applies it: one row per other key
+ * is kept (the survivor's first, then the lowest entity id) and repointed, the other rows are deleted.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client.
+ * @param {string} table - Link table (e.g. 'user_follow_artist').
+ * @param {string} entityColumn - Column referencing the merged entity (e.g. 'artist_id').
+ * @param {string} otherColumn - Other key of the link (e.g. 'user_id').
+ * @param {number} survivorId - Entity kept.
+ * @param {Array<number>} duplicateIds - Entities merged into the survivor.
+ * @returns {Promise<{moved: Array<object>, deleted: Array<object>}>} Rows of the duplicates, as they are before the merge.
+ */
+async function planLinkMerge(supabase, table, entityColumn, otherColumn, survivorId, duplicateIds) {
+    const { data: rows, error } = await supabase
+        .from(table)
+        .select('*')
+        .in(entityColumn, [survivorId, ...duplicateIds])
+        .order(entityColumn, { ascending: true });
+    if (error) throw error;
+
+    const kept = new Set((rows || []).filter(r => String(r[entityColumn]) === String(survivorId)).map(r => String(r[otherColumn])));
+    const changes = { moved: [], deleted: [] };
+    for (const row of (rows || []).filter(r => String(r[entityColumn]) !== String(survivorId))) {
+        const key = String(row[otherColumn]);
+        if (kept.has(key)) {
+            changes.deleted.push(row);
+        } else {
+            kept.add(key);
+            changes.moved.push(row);
+        }
+    }
+    return changes;
+}
+
+/**
+ * Restores the rows of a link table changed by a merge (planLinkMerge or merge_entity_links output):
+ * moved rows point back to their entity, deleted rows are inserted again.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The Supabase client.
+ * @param {string} table - Link table.
+ * @param {string} entityColumn - Column referencing the merged entity.
+ * @param {string} otherColumn - Other key of the link.
+ * @param {number} survivorId - Entity kept by the merge.
+ * @param {{moved: Array<object>, deleted: Array<object>}} changes - Rows as they were before the merge.
+ */
+async function undoLinkMerge(supabase, table, entityColumn, otherColumn, survivorId, changes) {
+    for (const row of changes.moved || []) {
+        const { error } = await supabase
+            .from(table)
+            .update({ [entityColumn]: row[entityColumn] })
+            .match({ [entityColumn]: survivorId, [otherColumn]: row[otherColumn] });
+        if (error) throw error;
+    }
+    for (const row of changes.deleted || []) {
+        const { error } = await supabase
+            .from(table)
+            .insert(row);
+        if (error && error.code !== '23505') throw error; // Already restored
+    }
+}
 
 export default {
     ensureRelation,
     createEventArtistRelation,
+    planLinkMerge,
+    undoLinkMerge,
 };
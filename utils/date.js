@@ -1,9 +1,120 @@
 import { DateTime } from 'luxon';
+import { DEFAULT_TIMEZONE } from './constants.js';
+
+/**
+ * Separators of a time range ("23:00 - 01:00", "22:00 to 02:00", "23h à 01h", "22:00 tot 02:00", "22 bis 2"),
+ * shared by resolvePerformanceTimes and the rule-based lineup parser (models/artist.js).
+ * Words need spaces around them so that they never cut a name or a time.
+ */
+export const TIME_RANGE_SEPARATOR_SOURCE = String.raw`\s*[-–—>]\s*|\s+(?:to|à|tot|bis)\s+`;
+const TIME_RANGE_SEPARATOR_REGEX = new RegExp(`(?:${TIME_RANGE_SEPARATOR_SOURCE})`, 'i');
 
 export function toUtcIso(dateStr, timezone) {
     return DateTime.fromISO(dateStr, { zone: timezone }).toUTC().toISO({ suppressSeconds: true, suppressMilliseconds: true });
 }
 
+/**
+ * Parses a time of day ("18:00", "18h", "18h30", "6pm", "6.30 PM").
+ * @param {string} value
+ * @returns {{hour: number, minute: number}|null}
+ */
+export function parseTimeOfDay(value) {
+    const match = value.trim().match(/^(\d{1,2})(?:\s*[:hH.]\s*(\d{2})?)?\s*(am|pm)?$/i);
+    if (!match) return null;
+    let hour = parseInt(match[1], 10);
+    const minute = match[2] ? parseInt(match[2], 10) : 0;
+    const meridiem = match[3] ? match[3].toLowerCase() : null;
+    if (meridiem === 'pm' && hour < 12) hour += 12;
+    if (meridiem === 'am' && hour === 12) hour = 0;
+    if (hour === 24) hour = 0;
+    if (hour > 23 || minute > 59) return null;
+    return { hour, minute };
+}
+
+/**
+ * Converts an event start (Unix seconds, ISO string or DateTime) to a DateTime in the given timezone.
+ * ISO strings without an offset are read as wall-clock time in the timezone.
+ * @param {number|string|DateTime|null} value
+ * @param {string} timezone - IANA timezone
+ * @returns {DateTime|null}
+ */
+export function toZonedDateTime(value, timezone = DEFAULT_TIMEZONE) {
+    if (value === null || value === undefined || value === '') return null;
+    let dt;
+    if (DateTime.isDateTime(value)) {
+        dt = value.setZone(timezone);
+    } else if (typeof value === 'number') {
+        dt = DateTime.fromSeconds(value, { zone: timezone });
+    } else {
+        dt = DateTime.fromISO(String(value).trim(), { zone: timezone });
+    }
+    return dt.isValid ? dt : null;
+}
+
+/**
+ * Formats a DateTime as the UTC timestamp stored in the database ("2025-06-27T16:00:00Z").
+ * @param {DateTime|null} dt
+ * @returns {string|null}
+ */
+export function toUtcTimestamp(dt) {
+    return dt && dt.isValid ? dt.toUTC().toISO({ suppressMilliseconds: true }) : null;
+}
+
+/**
+ * Resolves one local time to a DateTime in the venue timezone.
+ * Full dates ("2025-06-27T18:00", with or without offset) are used as is; a time of day
+ * ("18:00", "2h") is anchored on the reference date, and falls on the next day when it is
+ * more than `slackHours` before the reference (nights running past midnight).
+ * Anchoring is done on wall-clock time, so DST transitions keep the announced local time.
+ * @param {string} value - Time as written
+ * @param {DateTime|null} reference - Event start or previous time, in the venue timezone
+ * @param {string} timezone - IANA timezone
+ * @param {number} slackHours - Hours before the reference still considered the same day
+ * @returns {DateTime|null}
+ */
+function resolveLocalTime(value, reference, timezone, slackHours) {
+    if (!value || !String(value).trim()) return null;
+    const text = String(value).trim();
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+        return toZonedDateTime(text, timezone);
+    }
+    const tod = parseTimeOfDay(text);
+    if (!tod || !reference) return null;
+    const dt = reference.set({ hour: tod.hour, minute: tod.minute, second: 0, millisecond: 0 });
+    return dt <= reference.minus({ hours: slackHours }) ? dt.plus({ days: 1 }) : dt;
+}
+
+/**
+ * Resolves performance start and end times to UTC timestamps.
+ * This is the single entry point for lineup and timetable times: "HH:MM" strings are anchored
+ * on the event start date in the venue timezone, end times (and starts listed after midnight)
+ * roll onto the next day, and everything is returned in UTC.
+ * @param {string|null} time - Start time ("18:00", "23h-01h", "2025-06-27T18:00", ISO with offset)
+ * @param {string|null} endTime - End time, when given separately
+ * @param {Object} context
+ * @param {number|string|null} context.eventStart - Event start (Unix seconds or ISO string)
+ * @param {string} context.timezone - IANA timezone of the venue
+ * @returns {{start: string|null, end: string|null}} UTC ISO timestamps
+ */
+export function resolvePerformanceTimes(time, endTime = null, { eventStart = null, timezone = DEFAULT_TIMEZONE } = {}) {
+    const empty = { start: null, end: null };
+    if (!time || !String(time).trim()) return empty;
+
+    let startPart = String(time).trim();
+    let endPart = endTime;
+    // A range in the start field ("23h-01h", "22:00 to 02:00", "23h à 01h"); ISO dates also contain dashes
+    if (!/^\d{4}-\d{2}-\d{2}/.test(startPart)) {
+        [startPart, endPart = endTime] = startPart.split(TIME_RANGE_SEPARATOR_REGEX);
+    }
+
+    const eventStartDt = toZonedDateTime(eventStart, timezone);
+    // Sets may start a little before the announced opening (doors vs first act)
+    const startDt = resolveLocalTime(startPart, eventStartDt, timezone, 6);
+    if (!startDt) return empty;
+    const endDt = resolveLocalTime(endPart, startDt, timezone, 0);
+    return { start: toUtcTimestamp(startDt), end: toUtcTimestamp(endDt) };
+}
+
 /**
  * Validates and sanitizes a timestamp value for database insertion
  * @param {string|null} timestampValue - The timestamp value to validate
@@ -35,9 +146,9 @@ export function validateTimestamp(timestampValue, fieldName = 'timestamp') {
     
     // Try to parse as ISO timestamp
     try {
-        const parsed = DateTime.fromISO(value);
+        const parsed = DateTime.fromISO(value, { setZone: true });
         if (parsed.isValid) {
-            return parsed.toISO();
+            return toUtcTimestamp(parsed);
         }
     } catch (error) {
         // Fall through to other validation attempts
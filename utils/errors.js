@@ -0,0 +1,173 @@
+// utils/errors.js
+// Import error taxonomy: classifies the errors of a queued import and decides its retry or dead-letter policy
+
+import { IMPORT_RETRY_POLICIES } from './constants.js';
+
+/**
+ * Error classes.
+ * - permanent: the event cannot be imported (deleted, private, unsupported URL), only decided on the event itself
+ * - auth: a token expired or was revoked
+ * - transient: network errors, 5xx, rate limits, timeouts, missing tables or functions (migrations not applied yet)
+ * - data: validation or constraint errors on the imported data (Postgres 22xxx/23xxx, or createImportError)
+ * - unknown: anything else
+ * - lease_reclaims_exceeded: the import kept stopping its worker (recorded by claim_events_for_processing, never thrown)
+ */
+export const ERROR_CLASSES = ['permanent', 'auth', 'transient', 'data', 'unknown', 'lease_reclaims_exceeded'];
+
+const NETWORK_ERROR_CODES = ['ENOTFOUND', 'ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'NETWORK_ERROR', 'JOB_TIMEOUT'];
+
+// Undefined table, function, column or object, invalid schema; PostgREST: not in the schema cache.
+// A deployment issue that a retry gets past once the migrations are applied.
+const SCHEMA_ERROR_CODES = ['42P01', '42883', '42703', '42704', '3F000', 'PGRST202', 'PGRST204', 'PGRST205'];
+
+// The event page itself is gone, private or not an event. Only checked on the errors of the event
+// scrape (see tagEventSourceError): a 404 from SoundCloud or Google says nothing about the event.
+const EVENT_UNAVAILABLE_PATTERNS = [
+    /no event data found/i, // facebook-event-scraper: deleted, private or login-only event
+    /invalid (?:facebook (?:group |page |profile )?event url|fb id)/i,
+    /no longer available/i,
+    /(?:content|page|event) (?:isn't|is not) available/i,
+    /\bprivate\b/i,
+    /no schema\.org event found/i
+];
+
+// Message patterns, checked in this order ("401 ... invalid" is an auth error).
+// No data patterns: "invalid" or "malformed" in a message is as often an upstream failure as bad data,
+// so data errors come only from Postgres 22xxx/23xxx codes or createImportError(..., 'data').
+const ERROR_PATTERNS = {
+    auth: [
+        /oauthexception/i,
+        /access token/i,
+        /session has expired/i,
+        /token (?:has )?expired/i,
+        /invalid[_ ]token/i,
+        /authentication failed/i,
+        /\b401\b/,
+        /unauthorized/i
+    ],
+    permanent: [
+        /unsupported event source/i,
+        /unknown event source/i
+    ],
+    transient: [
+        /(?:relation|function|column|table) .+ does not exist/i,
+        /schema cache/i,
+        /\b(?:429|500|502|503|504)\b/,
+        /rate limit/i,
+        /too many requests/i,
+        /server error/i,
+        /timed? ?out/i,
+        /socket hang up/i,
+        /fetch failed/i,
+        /network/i,
+        /temporarily unavailable/i,
+        // An HTML error or rate-limit page where JSON was expected ("invalid json response body ... Unexpected token '<'")
+        /invalid json/i,
+        /unexpected (?:token|end of json)/i,
+        /is not valid json/i
+    ]
+};
+
+/**
+ * Creates an error carrying its class, for callers that know why they fail.
+ * @param {string} message
+ * @param {string} errorClass - One of ERROR_CLASSES
+ * @param {string|null} reason - Short machine-readable reason (e.g. 'unsupported_url')
+ * @returns {Error}
+ */
+export function createImportError(message, errorClass, reason = null) {
+    const error = new Error(message);
+    error.errorClass = errorClass;
+    if (reason) error.reason = reason;
+    return error;
+}
+
+/**
+ * Tags an error of the event scrape as permanent when the event itself is gone: HTTP 404/410 on the
+ * event page, or a deleted, private or unavailable event. Other errors are returned untouched.
+ * @param {Error} error - Error thrown while downloading or normalizing the event
+ * @returns {Error} The same error
+ */
+export function tagEventSourceError(error) {
+    if (!error || typeof error !== 'object' || error.errorClass) return error;
+    const status = Number(error.status || error.statusCode);
+    const pattern = EVENT_UNAVAILABLE_PATTERNS.find(regex => regex.test(String(error.message || '')));
+    if (status === 404 || status === 410) {
+        error.errorClass = 'permanent';
+        error.reason = `event_http_${status}`;
+    } else if (pattern) {
+        error.errorClass = 'permanent';
+        error.reason = `event_unavailable:${pattern.source}`;
+    }
+    return error;
+}
+
+/**
+ * Classifies a Postgres/PostgREST error code (Supabase errors are plain objects with a code).
+ * @param {string} code
+ * @returns {string|null} Error class, null when the code says nothing
+ */
+function classifyDatabaseCode(code) {
+    if (!/^[0-9A-Z]{5}$/.test(code)) return null;
+    if (code === '57014' || /^(?:08|40|53)/.test(code)) return 'transient'; // Timeout, connection, deadlock, resources
+    if (/^(?:22|23)/.test(code)) return 'data'; // Data exception, integrity constraint
+    if (code === '28000' || code === '28P01') return 'auth';
+    return null;
+}
+
+/**
+ * Classifies the error of a failed import.
+ * @param {Error|object} error - Thrown error (Error instance or Supabase error object)
+ * @returns {{errorClass: string, reason: string}} Class (one of ERROR_CLASSES) and what decided it
+ */
+export function classifyImportError(error) {
+    if (!error) return { errorClass: 'unknown', reason: 'no_error' };
+    if (error.errorClass && ERROR_CLASSES.includes(error.errorClass)) {
+        return { errorClass: error.errorClass, reason: error.reason || 'tagged' };
+    }
+
+    const code = error.code !== undefined && error.code !== null ? String(error.code) : '';
+    if (NETWORK_ERROR_CODES.includes(code)) return { errorClass: 'transient', reason: `code_${code}` };
+    if (code === '190') return { errorClass: 'auth', reason: 'graph_oauth' }; // Graph API: invalid or expired access token
+    if (SCHEMA_ERROR_CODES.includes(code)) return { errorClass: 'transient', reason: `db_schema_${code}` };
+    const databaseClass = classifyDatabaseCode(code);
+    if (databaseClass) return { errorClass: databaseClass, reason: `db_${code}` };
+    if (code.startsWith('PGRST')) return { errorClass: 'unknown', reason: `db_${code}` }; // API/schema errors: a deployment issue
+
+    const status = Number(error.status || error.statusCode);
+    if (status === 401) return { errorClass: 'auth', reason: 'http_401' };
+    if (status === 429 || status >= 500) return { errorClass: 'transient', reason: `http_${status}` };
+
+    const message = String(error.message || error);
+    for (const [errorClass, patterns] of Object.entries(ERROR_PATTERNS)) {
+        const pattern = patterns.find(regex => regex.test(message));
+        if (pattern) return { errorClass, reason: `message:${pattern.source}` };
+    }
+    return { errorClass: 'unknown', reason: 'unmatched' };
+}
+
+/**
+ * Decides what happens to a failed import: retried later, or dead-lettered (left as failed).
+ * @param {string} errorClass - One of ERROR_CLASSES
+ * @param {number} retryCount - Failed attempts, including this one
+ * @param {number|null} maxRetries - max_retries of the queue row (caps the policy)
+ * @returns {{deadLetter: boolean, delaySeconds: number|null, maxRetries: number}}
+ */
+export function getRetryDecision(errorClass, retryCount, maxRetries = null) {
+    const policy = IMPORT_RETRY_POLICIES[errorClass] || IMPORT_RETRY_POLICIES.unknown;
+    if (!policy.retry) return { deadLetter: true, delaySeconds: null, maxRetries: 0 };
+
+    const limit = maxRetries !== null && maxRetries !== undefined ? Math.min(maxRetries, policy.maxRetries) : policy.maxRetries;
+    if (retryCount >= limit) return { deadLetter: true, delaySeconds: null, maxRetries: limit };
+
+    const delaySeconds = Math.min(policy.baseDelaySeconds * Math.pow(2, Math.max(0, retryCount - 1)), policy.maxDelaySeconds);
+    return { deadLetter: false, delaySeconds, maxRetries: limit };
+}
+
+export default {
+    ERROR_CLASSES,
+    createImportError,
+    tagEventSourceError,
+    classifyImportError,
+    getRetryDecision
+};
@@ -1,150 +1,74 @@
 // utils/festival-detection.js
-// Festival detection logic based on event duration and other criteria
+// Festival detection: loads festival-rules.json and scores events with the scorer shared with the Edge Functions
 
+import fs from 'fs';
+import { fileURLToPath } from 'url';
 import { DateTime } from 'luxon';
+import { DEFAULT_TIMEZONE } from './constants.js';
+// Scorer shared with the Edge Functions (supabase/functions/_shared/utils/festival-detection.ts)
+import {
+    validateFestivalRules,
+    getFestivalDetectionInput,
+    scoreFestival,
+    getConfidenceLevel as getRulesConfidenceLevel
+} from '../supabase/functions/_shared/utils/festival-scorer.js';
+
+export { getFestivalDetectionInput, scoreFestival };
+
+// Rules shared with the Edge Functions, which bundle them
+const DEFAULT_FESTIVAL_RULES_FILE = fileURLToPath(new URL('../supabase/functions/_shared/config/festival-rules.json', import.meta.url));
+const festivalRulesCache = new Map();
+
+/**
+ * Loads the festival detection rules (cached per file).
+ * @param {string} filePath - Rules file (default: FESTIVAL_RULES_FILE env variable, else the shared rules file)
+ * @returns {object} Rules config { threshold, forcedConfidence, maxConfidence, confidenceLevels, rules }
+ */
+export function loadFestivalRules(filePath = process.env.FESTIVAL_RULES_FILE || DEFAULT_FESTIVAL_RULES_FILE) {
+    if (festivalRulesCache.has(filePath)) return festivalRulesCache.get(filePath);
+    const config = validateFestivalRules(JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath);
+    festivalRulesCache.set(filePath, config);
+    return config;
+}
 
 /**
- * Detects if an event is a festival based on duration (>24h) and other criteria
+ * Detects if an event is a festival by scoring it against the festival rules
+ * (known festivals, multilingual keywords, duration, venue type, stages, lineup size)
  * @param {object} eventData - Facebook event data with startTimestamp and endTimestamp
- * @param {object} options - Detection options including forceFestival flag
- * @returns {object} Detection result with confidence score and details
+ * @param {object} options - Detection options
+ * @param {boolean} options.forceFestival - Festival regardless of the rules
+ * @param {number|null} options.lineupSize - Number of artists announced, when known
+ * @param {object|null} options.rules - Rules config (default: loadFestivalRules())
+ * @returns {object} Detection result with confidence score, per-rule explanations and details
  */
 export function detectFestival(eventData, options = {}) {
-    const { forceFestival = false } = options;
-    
-    const result = {
-        isFestival: false,
-        confidence: 0,
-        reasons: [],
-        duration: null,
-        festivalName: null
-    };
+    const { forceFestival = false, lineupSize = null, rules = null } = options;
 
     if (!eventData) {
-        result.reasons.push('No event data provided');
-        return result;
+        return { isFestival: forceFestival, confidence: 0, level: 'very_low', reasons: ['No event data provided'], rules: [], duration: null, festivalName: null };
     }
 
-    // If festival mode is forced, set high confidence
-    if (forceFestival) {
-        result.isFestival = true;
-        result.confidence = 95;
-        result.reasons.push('Festival mode FORCED by --festival flag');
+    const input = getFestivalDetectionInput(eventData, { lineupSize });
+    const result = scoreFestival(input, rules || loadFestivalRules(), { forceFestival });
+
+    let duration = null;
+    if (input.durationHours !== null) {
+        const startTime = DateTime.fromSeconds(eventData.startTimestamp);
+        const endTime = DateTime.fromSeconds(eventData.endTimestamp);
+        duration = {
+            hours: input.durationHours,
+            days: Math.floor(input.durationHours / 24),
+            startTime: startTime.toISO(),
+            endTime: endTime.toISO()
+        };
     }
 
-    // Known festivals list (case-insensitive matching)
-    const knownFestivals = [
-        'let it roll', 'tomorrowland', 'ultra', 'coachella', 'burning man',
-        'glastonbury', 'lollapalooza', 'bonnaroo', 'electric daisy carnival',
-        'edc', 'defqon', 'qlimax', 'mysteryland', 'awakenings', 'dour',
-        'rock werchter', 'pukkelpop', 'graspop', 'rampage', 'rampage open air',
-        'nature one', 'love parade', 'fusion', 'boom festival', 'ozora',
-        'psytrance', 'hadra', 'antaris', 'voov', 'garbicz', 'fusion festival'
-    ];
-
-    // Check if event name matches known festivals
-    const eventName = eventData.name || '';
-    const eventNameLower = eventName.toLowerCase();
-    
-    for (const festivalName of knownFestivals) {
-        if (eventNameLower.includes(festivalName)) {
-            if (!forceFestival) { // Don't override forced mode
-                result.isFestival = true;
-                result.confidence = Math.max(result.confidence, 85);
-            }
-            result.reasons.push(`Known festival detected: "${festivalName}"`);
-            break;
-        }
-    }
-
-    // Check if we have valid timestamps for duration calculation
-    if (!eventData.startTimestamp || !eventData.endTimestamp) {
-        if (!result.isFestival) { // Only add this reason if not already detected as festival
-            result.reasons.push('Missing start or end timestamp - unable to calculate duration');
-        }
-        // Still return result as we might have detected it as known festival or forced mode
-        if (result.isFestival) {
-            // Extract potential festival name for Clashfinder search
-            result.festivalName = extractFestivalName(eventName);
-        }
-        return result;
-    }
-
-    // Calculate duration
-    const startTime = DateTime.fromSeconds(eventData.startTimestamp);
-    const endTime = DateTime.fromSeconds(eventData.endTimestamp);
-    const durationHours = endTime.diff(startTime, 'hours').hours;
-    
-    result.duration = {
-        hours: durationHours,
-        days: Math.floor(durationHours / 24),
-        startTime: startTime.toISO(),
-        endTime: endTime.toISO()
+    return {
+        ...result,
+        duration,
+        // Potential festival name for Clashfinder search
+        festivalName: extractFestivalName(eventData.name || '')
     };
-
-    // Primary criterion: Duration > 24 hours
-    if (durationHours > 24) {
-        result.isFestival = true;
-        result.confidence += 70; // High confidence for duration
-        result.reasons.push(`Duration: ${durationHours.toFixed(1)}h (>${24}h threshold)`);
-    } else {
-        result.reasons.push(`Duration: ${durationHours.toFixed(1)}h (<${24}h threshold)`);
-    }
-
-    // Secondary criteria for confidence boosting
-    const eventDescription = eventData.description || '';
-    const combinedText = `${eventName} ${eventDescription}`.toLowerCase();
-
-    // Festival-like keywords in name/description
-    const festivalKeywords = [
-        'festival', 'fest', 'open air', 'openair', 'rave', 
-        'gathering', 'weekender', 'marathon', 'edition',
-        'day 1', 'day 2', 'jour 1', 'jour 2', 'stage',
-        'lineup', 'timetable', 'horaire', 'programme'
-    ];
-
-    const foundKeywords = festivalKeywords.filter(keyword => 
-        combinedText.includes(keyword)
-    );
-
-    if (foundKeywords.length > 0) {
-        result.confidence += Math.min(foundKeywords.length * 5, 20); // Max 20 points
-        result.reasons.push(`Festival keywords found: ${foundKeywords.join(', ')}`);
-    }
-
-    // Multi-day indicators
-    const multiDayKeywords = [
-        '2 days', '3 days', '4 days', '2 jours', '3 jours', '4 jours',
-        'weekend', 'multiple days', 'plusieurs jours'
-    ];
-
-    const foundMultiDay = multiDayKeywords.filter(keyword => 
-        combinedText.includes(keyword)
-    );
-
-    if (foundMultiDay.length > 0) {
-        result.confidence += 10;
-        result.reasons.push(`Multi-day indicators: ${foundMultiDay.join(', ')}`);
-    }
-
-    // Check for stage/venue diversity (if location data available)
-    if (eventData.location && eventData.location.name) {
-        const locationName = eventData.location.name.toLowerCase();
-        const venueKeywords = ['park', 'field', 'grounds', 'complex', 'site', 'terrain'];
-        
-        if (venueKeywords.some(keyword => locationName.includes(keyword))) {
-            result.confidence += 5;
-            result.reasons.push('Festival-type venue detected');
-        }
-    }
-
-    // Extract potential festival name for Clashfinder search
-    result.festivalName = extractFestivalName(eventName);
-
-    // Ensure confidence doesn't exceed 100
-    result.confidence = Math.min(result.confidence, 100);
-
-    return result;
 }
 
 /**
@@ -210,10 +134,10 @@ export function extractFestivalName(eventName) {
 /**
  * Analyzes festival days from event duration (simplified version)
  * @param {object} eventData - Facebook event data
- * @param {string} timezone - Timezone for analysis (default: 'Europe/Brussels')
+ * @param {string} timezone - Timezone of the venue for analysis (default: DEFAULT_TIMEZONE)
  * @returns {Array} Array of estimated festival days
  */
-export function analyzeFestivalDays(eventData, timezone = 'Europe/Brussels') {
+export function analyzeFestivalDays(eventData, timezone = DEFAULT_TIMEZONE) {
     if (!eventData.startTimestamp || !eventData.endTimestamp) {
         return [];
     }
@@ -263,17 +187,17 @@ export function analyzeFestivalDays(eventData, timezone = 'Europe/Brussels') {
 /**
  * Validates festival detection confidence
  * @param {number} confidence - Confidence score 0-100
+ * @param {Object} levels - Minimum confidence of each level (default: confidenceLevels of the rules file)
  * @returns {string} Confidence level description
  */
-export function getConfidenceLevel(confidence) {
-    if (confidence >= 80) return 'very_high';
-    if (confidence >= 60) return 'high';
-    if (confidence >= 40) return 'medium';
-    if (confidence >= 20) return 'low';
-    return 'very_low';
+export function getConfidenceLevel(confidence, levels = loadFestivalRules().confidenceLevels) {
+    return getRulesConfidenceLevel(confidence, levels);
 }
 
 export default {
+    loadFestivalRules,
+    getFestivalDetectionInput,
+    scoreFestival,
     detectFestival,
     extractFestivalName,
     analyzeFestivalDays,
@@ -48,7 +48,38 @@ async function fetchAddressFromNominatim(lat, lon) {
     return null;
 }
 
+/**
+ * Reads the coordinates of a PostGIS point as returned by Supabase.
+ * Supports EWKB hex strings, (E)WKT ("SRID=4326;POINT(lon lat)") and GeoJSON points.
+ * @param {string|object|null} value - venues.location_point
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+function parseLocationPoint(value) {
+    if (!value) return null;
+    if (typeof value === 'object' && Array.isArray(value.coordinates)) {
+        const [longitude, latitude] = value.coordinates;
+        return { latitude: Number(latitude), longitude: Number(longitude) };
+    }
+    if (typeof value !== 'string') return null;
+
+    const wkt = value.match(/POINT\s*\(\s*(-?[\d.]+)\s+(-?[\d.]+)\s*\)/i);
+    if (wkt) {
+        return { latitude: parseFloat(wkt[2]), longitude: parseFloat(wkt[1]) };
+    }
+
+    if (/^[0-9a-f]+$/i.test(value) && value.length >= 42) {
+        const buffer = Buffer.from(value, 'hex');
+        const littleEndian = buffer.readUInt8(0) === 1;
+        const type = littleEndian ? buffer.readUInt32LE(1) : buffer.readUInt32BE(1);
+        const offset = (type & 0x20000000) ? 9 : 5; // Skip the SRID when present
+        const readDouble = (pos) => (littleEndian ? buffer.readDoubleLE(pos) : buffer.readDoubleBE(pos));
+        return { latitude: readDouble(offset + 8), longitude: readDouble(offset) };
+    }
+    return null;
+}
+
 export default {
     haversineDistance,
     fetchAddressFromNominatim,
+    parseLocationPoint,
 };
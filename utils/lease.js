@@ -0,0 +1,95 @@
+// utils/lease.js
+// Job leases of the import queue: heartbeats extending the lease of a claimed import, and the run of a
+// leased job, aborted when it times out or its lease is lost
+
+import { withTimeout } from './concurrency.js';
+
+/**
+ * Renews the lease of a claimed import while it is processed (extend_event_lease, see
+ * supabase/migrations/20261019_event_import_leases.sql).
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {object} event - Claimed import (locked_by is null when claimed without lease)
+ * @param {Object} options
+ * @param {string} options.workerId - Worker holding the lease
+ * @param {number} options.leaseSeconds - Lease length, renewed on each heartbeat
+ * @param {number} options.intervalMs - Heartbeat interval (default: a third of the lease)
+ * @param {Function} options.log - Error logger (default: console.error)
+ * @returns {{lost: Promise<never>, stop: Function}} `lost` rejects (code LEASE_LOST) when another worker reclaimed the import
+ */
+export function startLeaseHeartbeat(supabase, event, {
+    workerId,
+    leaseSeconds,
+    intervalMs = Math.max(1000, Math.floor(leaseSeconds * 1000 / 3)),
+    log = console.error
+}) {
+    let rejectLost;
+    const lost = new Promise((_, reject) => { rejectLost = reject; });
+    lost.catch(() => {}); // Only observed while the job runs
+    if (!event.locked_by) {
+        return { lost, stop: () => {} };
+    }
+
+    const timer = setInterval(async () => {
+        try {
+            const { data: held, error } = await supabase.rpc('extend_event_lease', {
+                event_id: event.id,
+                worker_id: workerId,
+                lease_seconds: leaseSeconds
+            });
+            if (error) throw error;
+            if (held === false) {
+                clearInterval(timer);
+                rejectLost(createLeaseLostError(event.id));
+            }
+        } catch (error) {
+            // Transient: the lease is still valid until it expires, the next heartbeat retries
+            log(`⚠️ Heartbeat failed for event ${event.id}: ${error.message}`);
+        }
+    }, intervalMs);
+
+    return { lost, stop: () => clearInterval(timer) };
+}
+
+/**
+ * Error of a job whose import was reclaimed by another worker.
+ * @param {number} eventId
+ * @returns {Error} Error with code LEASE_LOST
+ */
+export function createLeaseLostError(eventId) {
+    const error = new Error(`Lease on event ${eventId} lost: reclaimed by another worker`);
+    error.code = 'LEASE_LOST';
+    return error;
+}
+
+/**
+ * Runs a leased job under a timeout. After a timeout (JOB_TIMEOUT) or a lost lease (LEASE_LOST) the job
+ * is aborted through its AbortSignal, and the error is only thrown once the job has stopped: the caller
+ * keeps its pool slot and the lease until then, so a retry never runs next to it.
+ * @param {Function} run - async (signal) => result
+ * @param {Object} options
+ * @param {Promise<never>} options.lost - From startLeaseHeartbeat
+ * @param {number} options.timeoutMs - Job timeout (no timeout when 0 or less)
+ * @param {string} options.label - Used in the timeout message
+ * @param {Function|null} options.onAbort - Called with the error when the job is aborted
+ * @returns {Promise<*>} Result of the job
+ */
+export async function runLeasedJob(run, { lost, timeoutMs, label = 'Job', onAbort = null }) {
+    const controller = new AbortController();
+    const jobPromise = Promise.resolve().then(() => run(controller.signal));
+    try {
+        return await withTimeout(Promise.race([jobPromise, lost]), timeoutMs, label);
+    } catch (error) {
+        if (error.code === 'JOB_TIMEOUT' || error.code === 'LEASE_LOST') {
+            controller.abort(error);
+            if (onAbort) onAbort(error);
+            await jobPromise.catch(() => {});
+        }
+        throw error;
+    }
+}
+
+export default {
+    startLeaseHeartbeat,
+    createLeaseLostError,
+    runLeasedJob
+};
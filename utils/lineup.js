@@ -0,0 +1,144 @@
+// utils/lineup.js
+// Schema, chunking and validation of artist lineups extracted from event descriptions
+
+import { DEFAULT_TIMEZONE } from './constants.js';
+import { parseTimeOfDay, resolvePerformanceTimes } from './date.js';
+import { normalizePerformanceMode } from './collaboration.js';
+
+const PERFORMANCE_MODES = ['', 'B2B', 'F2F', 'B3B', 'VS'];
+const MAX_ARTIST_NAME_LENGTH = 100;
+
+/**
+ * JSON schema of the lineup returned by the LLM (OpenAI structured outputs, strict mode).
+ * Strict mode requires every property to be listed as required: missing values are empty strings.
+ */
+const LINEUP_JSON_SCHEMA = {
+    type: 'object',
+    properties: {
+        artists: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', description: 'Artist name without suffixes such as "A/V" or "(live)"' },
+                    time: { type: 'string', description: 'Performance time as written in the text ("18:00", "23h-01h"), or empty' },
+                    soundcloud: { type: 'string', description: 'SoundCloud URL of the artist, or empty' },
+                    stage: { type: 'string', description: 'Stage of the performance, or empty' },
+                    performance_mode: { type: 'string', enum: PERFORMANCE_MODES, description: 'Collaboration indicator, or empty' },
+                    collaboration: { type: 'string', description: 'Whole collaboration as written ("A B2B B") when the artist plays one, or empty' }
+                },
+                required: ['name', 'time', 'soundcloud', 'stage', 'performance_mode', 'collaboration'],
+                additionalProperties: false
+            }
+        }
+    },
+    required: ['artists'],
+    additionalProperties: false
+};
+
+/**
+ * Splits a long description into chunks of whole lines.
+ * A single line longer than maxChars becomes its own chunk.
+ * @param {string} text - Event description
+ * @param {number} maxChars - Maximum characters per chunk
+ * @returns {string[]}
+ */
+function chunkDescription(text, maxChars = 6000) {
+    if (!text) return [];
+    const chunks = [];
+    let current = '';
+    for (const line of text.split('\n')) {
+        if (current && current.length + line.length + 1 > maxChars) {
+            chunks.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n${line}` : line;
+    }
+    if (current.trim()) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Normalizes a performance time written in an event description to UTC timestamps.
+ * See resolvePerformanceTimes (utils/date.js) for the anchoring rules.
+ * @param {string} time - Time as extracted ("18:00", "23h-01h", "2025-06-27T18:00")
+ * @param {number|string|null} eventStart - Event start (Unix seconds or ISO string)
+ * @param {string} timezone - IANA timezone of the event
+ * @returns {{start: string|null, end: string|null}}
+ */
+function normalizePerformanceTime(time, eventStart, timezone = DEFAULT_TIMEZONE) {
+    return resolvePerformanceTimes(time, null, { eventStart, timezone });
+}
+
+/**
+ * Validates one LLM lineup entry field by field.
+ * @param {object} entry - Raw entry from the model
+ * @param {Object} context
+ * @param {number|string|null} context.eventStart - Event start (Unix seconds or ISO string)
+ * @param {string} context.timezone - IANA timezone of the event
+ * @returns {{name: string, time: string|null, end_time: string|null, soundcloud: string|null, stage: string|null, performance_mode: string|null, custom_name?: string}|null}
+ *   Clean entry, or null when the entry has no usable artist name. custom_name is the collaboration the artist plays in.
+ */
+function validateLineupEntry(entry, { eventStart = null, timezone = DEFAULT_TIMEZONE } = {}) {
+    if (!entry || typeof entry !== 'object') return null;
+
+    const name = typeof entry.name === 'string' ? entry.name.replace(/\s+/g, ' ').trim() : '';
+    if (!name || name.length > MAX_ARTIST_NAME_LENGTH) return null;
+    // Reject entries that are only a time, a URL or punctuation
+    if (/^https?:\/\//i.test(name) || parseTimeOfDay(name) || !/[\p{L}\p{N}]/u.test(name)) return null;
+
+    const rawTime = typeof entry.time === 'string' ? entry.time : '';
+    const { start, end } = normalizePerformanceTime(rawTime, eventStart, timezone);
+    if (rawTime.trim() && !start) {
+        console.warn(`⚠️ Discarding unparseable time "${rawTime}" for artist "${name}"`);
+    }
+
+    const soundcloud = typeof entry.soundcloud === 'string' && /^https?:\/\/(www\.|m\.)?soundcloud\.com\/\S+$/i.test(entry.soundcloud.trim())
+        ? entry.soundcloud.trim()
+        : null;
+
+    const stage = typeof entry.stage === 'string' && entry.stage.trim() ? entry.stage.trim() : null;
+
+    const mode = typeof entry.performance_mode === 'string' ? normalizePerformanceMode(entry.performance_mode) : '';
+    const performanceMode = PERFORMANCE_MODES.includes(mode) && mode ? mode : null;
+
+    const rawCollaboration = entry.collaboration || entry.custom_name;
+    const collaboration = typeof rawCollaboration === 'string' ? rawCollaboration.replace(/\s+/g, ' ').trim() : '';
+    const customName = collaboration && collaboration.toLowerCase() !== name.toLowerCase()
+        && collaboration.length <= MAX_ARTIST_NAME_LENGTH * 3 ? collaboration : null;
+
+    const clean = { name, time: start, end_time: end, soundcloud, stage, performance_mode: performanceMode };
+    if (customName) clean.custom_name = customName;
+    return clean;
+}
+
+/**
+ * Validates a whole lineup and removes duplicate entries (same name, time and stage).
+ * @param {Array<object>} entries - Raw entries from the model
+ * @param {Object} context - See validateLineupEntry
+ * @returns {Array<object>} Clean entries
+ */
+function validateLineup(entries, context = {}) {
+    if (!Array.isArray(entries)) return [];
+    const seen = new Set();
+    const lineup = [];
+    for (const entry of entries) {
+        const clean = validateLineupEntry(entry, context);
+        if (!clean) continue;
+        const key = `${clean.name.toLowerCase()}|${clean.time}|${(clean.stage || '').toLowerCase()}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        lineup.push(clean);
+    }
+    return lineup;
+}
+
+export {
+    LINEUP_JSON_SCHEMA,
+    PERFORMANCE_MODES,
+    chunkDescription,
+    parseTimeOfDay,
+    normalizePerformanceTime,
+    validateLineupEntry,
+    validateLineup
+};
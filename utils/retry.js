@@ -2,6 +2,7 @@
 // Utility functions for retry logic with exponential backoff
 
 import { delay } from './delay.js';
+import { withApiLimit } from './concurrency.js';
 
 /**
  * Execute a function with retry logic and exponential backoff
@@ -96,13 +97,14 @@ function defaultShouldRetry(error) {
  * @param {Function} apiFn - Function that returns a fetch Response
  * @param {Object} options - Retry options
  * @param {Function} options.onAuthFailure - Function to call when 401 occurs (should refresh tokens)
+ * @param {string} options.api - External API ('soundcloud', 'google'...) whose shared concurrency budget each call counts against
  * @returns {Promise} API response or throws error
  */
 export async function withApiRetry(apiFn, options = {}) {
-    const { onAuthFailure, ...retryOptions } = options;
+    const { onAuthFailure, api = null, ...retryOptions } = options;
     
     return await withRetry(async () => {
-        const response = await apiFn();
+        const response = await withApiLimit(api, apiFn);
         
         // Handle authentication failures (401)
         if (response.status === 401 && onAuthFailure) {
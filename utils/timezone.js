@@ -0,0 +1,155 @@
+// utils/timezone.js
+// Timezone resolution for venues: Google Time Zone API from coordinates, then country table
+
+import fetch from 'node-fetch';
+import { IANAZone } from 'luxon';
+import countries from 'i18n-iso-countries';
+import { withApiRetry } from './retry.js';
+import { DEFAULT_TIMEZONE } from './constants.js';
+
+/**
+ * Timezone of countries covered by a single zone (ISO 3166-1 alpha-2 code -> IANA zone).
+ */
+const COUNTRY_TIMEZONES = {
+    AD: 'Europe/Andorra', AL: 'Europe/Tirane', AT: 'Europe/Vienna', BA: 'Europe/Sarajevo',
+    BE: 'Europe/Brussels', BG: 'Europe/Sofia', BY: 'Europe/Minsk', CH: 'Europe/Zurich',
+    CY: 'Asia/Nicosia', CZ: 'Europe/Prague', DE: 'Europe/Berlin', DK: 'Europe/Copenhagen',
+    EE: 'Europe/Tallinn', ES: 'Europe/Madrid', FI: 'Europe/Helsinki', FR: 'Europe/Paris',
+    GB: 'Europe/London', GE: 'Asia/Tbilisi', GR: 'Europe/Athens', HR: 'Europe/Zagreb',
+    HU: 'Europe/Budapest', IE: 'Europe/Dublin', IS: 'Atlantic/Reykjavik', IT: 'Europe/Rome',
+    LI: 'Europe/Vaduz', LT: 'Europe/Vilnius', LU: 'Europe/Luxembourg', LV: 'Europe/Riga',
+    MC: 'Europe/Monaco', MD: 'Europe/Chisinau', ME: 'Europe/Podgorica', MK: 'Europe/Skopje',
+    MT: 'Europe/Malta', NL: 'Europe/Amsterdam', NO: 'Europe/Oslo', PL: 'Europe/Warsaw',
+    PT: 'Europe/Lisbon', RO: 'Europe/Bucharest', RS: 'Europe/Belgrade', SE: 'Europe/Stockholm',
+    SI: 'Europe/Ljubljana', SK: 'Europe/Bratislava', TR: 'Europe/Istanbul', UA: 'Europe/Kyiv',
+    AE: 'Asia/Dubai', AR: 'America/Argentina/Buenos_Aires', CL: 'America/Santiago', CN: 'Asia/Shanghai',
+    CO: 'America/Bogota', EG: 'Africa/Cairo', GH: 'Africa/Accra', IL: 'Asia/Jerusalem',
+    IN: 'Asia/Kolkata', JP: 'Asia/Tokyo', KE: 'Africa/Nairobi', KR: 'Asia/Seoul',
+    LB: 'Asia/Beirut', MA: 'Africa/Casablanca', NG: 'Africa/Lagos', NZ: 'Pacific/Auckland',
+    PE: 'America/Lima', PH: 'Asia/Manila', SG: 'Asia/Singapore', TH: 'Asia/Bangkok',
+    TN: 'Africa/Tunis', UY: 'America/Montevideo', VN: 'Asia/Ho_Chi_Minh', ZA: 'Africa/Johannesburg'
+};
+
+/**
+ * Countries spanning several zones: zones by western longitude bound (ascending), used with coordinates.
+ * The first zone is also the fallback when no coordinates are known.
+ */
+const MULTI_ZONE_COUNTRIES = {
+    US: { fallback: 'America/New_York', bands: [[-180, 'Pacific/Honolulu'], [-170, 'America/Anchorage'], [-125, 'America/Los_Angeles'], [-114, 'America/Denver'], [-102, 'America/Chicago'], [-85, 'America/New_York']] },
+    CA: { fallback: 'America/Toronto', bands: [[-141, 'America/Vancouver'], [-120, 'America/Edmonton'], [-102, 'America/Winnipeg'], [-90, 'America/Toronto'], [-64, 'America/Halifax'], [-59, 'America/St_Johns']] },
+    MX: { fallback: 'America/Mexico_City', bands: [[-118, 'America/Tijuana'], [-109, 'America/Mazatlan'], [-105, 'America/Mexico_City'], [-88, 'America/Cancun']] },
+    BR: { fallback: 'America/Sao_Paulo', bands: [[-74, 'America/Rio_Branco'], [-66, 'America/Manaus'], [-50, 'America/Sao_Paulo']] },
+    AU: { fallback: 'Australia/Sydney', bands: [[112, 'Australia/Perth'], [129, 'Australia/Adelaide'], [141, 'Australia/Sydney']] },
+    RU: { fallback: 'Europe/Moscow', bands: [[19, 'Europe/Kaliningrad'], [23, 'Europe/Moscow'], [55, 'Asia/Yekaterinburg'], [73, 'Asia/Omsk'], [82, 'Asia/Novosibirsk'], [100, 'Asia/Irkutsk'], [118, 'Asia/Yakutsk'], [135, 'Asia/Vladivostok'], [160, 'Asia/Kamchatka']] }
+};
+
+/**
+ * Whether a string is a valid IANA timezone.
+ * @param {string|null} timezone
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+    return typeof timezone === 'string' && IANAZone.isValidZone(timezone);
+}
+
+/**
+ * Converts a country code or name ("BE", "Belgium", "Belgique") to an ISO alpha-2 code.
+ * @param {string|null} country
+ * @returns {string|null}
+ */
+export function toCountryCode(country) {
+    if (!country || typeof country !== 'string') return null;
+    const value = country.trim();
+    if (/^[A-Za-z]{2}$/.test(value)) return value.toUpperCase();
+    for (const lang of ['en', 'fr', 'nl', 'de']) {
+        const code = countries.getAlpha2Code(value, lang);
+        if (code) return code;
+    }
+    return null;
+}
+
+/**
+ * Returns the timezone of a country, using the longitude for countries spanning several zones.
+ * @param {string|null} country - Country code or name
+ * @param {number|null} longitude
+ * @returns {string|null}
+ */
+export function getTimezoneForCountry(country, longitude = null) {
+    const code = toCountryCode(country);
+    if (!code) return null;
+    if (COUNTRY_TIMEZONES[code]) return COUNTRY_TIMEZONES[code];
+    const multi = MULTI_ZONE_COUNTRIES[code];
+    if (!multi) return null;
+    if (typeof longitude !== 'number' || Number.isNaN(longitude)) return multi.fallback;
+    let zone = multi.bands[0][1];
+    for (const [bound, bandZone] of multi.bands) {
+        if (longitude >= bound) zone = bandZone;
+    }
+    return zone;
+}
+
+/**
+ * Fetches the timezone of a point from the Google Time Zone API.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {string} googleApiKey - Google Maps API key
+ * @param {number} timestamp - Unix seconds the zone is looked up for (defaults to now)
+ * @returns {Promise<string|null>} IANA timezone or null
+ */
+export async function fetchTimezoneFromGoogle(latitude, longitude, googleApiKey, timestamp = Math.floor(Date.now() / 1000)) {
+    try {
+        const response = await withApiRetry(async () => {
+            return await fetch(`https://maps.googleapis.com/maps/api/timezone/json?location=${latitude},${longitude}&timestamp=${timestamp}&key=${googleApiKey}`);
+        }, { api: 'google' });
+        const data = await response.json();
+        if (data.status === 'OK' && isValidTimezone(data.timeZoneId)) {
+            return data.timeZoneId;
+        }
+        console.error('Google Time Zone API error or no result:', data.status);
+    } catch (err) {
+        console.error('Error fetching timezone from Google:', err);
+    }
+    return null;
+}
+
+/**
+ * Resolves the timezone of a venue.
+ * Order: explicit override, timezone stored on the venue, Google Time Zone API from the
+ * coordinates, country table (longitude bands for multi-zone countries), DEFAULT_TIMEZONE.
+ * @param {Object} venue
+ * @param {number|null} venue.latitude
+ * @param {number|null} venue.longitude
+ * @param {string|null} venue.country - Country code or name
+ * @param {string|null} venue.timezone - Timezone already stored on the venue
+ * @param {Object} options
+ * @param {string|null} options.override - Timezone forced by the caller (CLI --timezone)
+ * @param {string|null} options.googleApiKey - Google Maps API key (coordinates lookup skipped without it)
+ * @param {number|null} options.timestamp - Event start (Unix seconds), for the Google lookup
+ * @returns {Promise<{timezone: string, source: string}>} source: override, venue, google, country or default
+ */
+export async function resolveVenueTimezone(venue = {}, { override = null, googleApiKey = null, timestamp = null } = {}) {
+    if (override) {
+        if (!isValidTimezone(override)) throw new Error(`Invalid timezone: ${override}`);
+        return { timezone: override, source: 'override' };
+    }
+    if (isValidTimezone(venue.timezone)) {
+        return { timezone: venue.timezone, source: 'venue' };
+    }
+    const { latitude, longitude } = venue;
+    const hasCoordinates = typeof latitude === 'number' && typeof longitude === 'number';
+    if (hasCoordinates && googleApiKey) {
+        const timezone = await fetchTimezoneFromGoogle(latitude, longitude, googleApiKey, timestamp || undefined);
+        if (timezone) return { timezone, source: 'google' };
+    }
+    const countryTimezone = getTimezoneForCountry(venue.country, hasCoordinates ? longitude : null);
+    if (countryTimezone) return { timezone: countryTimezone, source: 'country' };
+    return { timezone: DEFAULT_TIMEZONE, source: 'default' };
+}
+
+export default {
+    isValidTimezone,
+    toCountryCode,
+    getTimezoneForCountry,
+    fetchTimezoneFromGoogle,
+    resolveVenueTimezone
+};
@@ -3,6 +3,7 @@
 
 import { existsSync, readFileSync, writeFileSync } from 'fs';
 import fetch from 'node-fetch';
+import { withApiLimit } from './concurrency.js';
 const TOKEN_FILE = 'soundcloud_token.json';
 
 /**
@@ -41,9 +42,9 @@ async function getAccessToken(clientId, clientSecret) {
     if (token) return token;
     try {
         const TOKEN_URL = 'https://api.soundcloud.com/oauth2/token';
-        const response = await fetch(`${TOKEN_URL}?client_id=${clientId}&client_secret=${clientSecret}&grant_type=client_credentials`, {
+        const response = await withApiLimit('soundcloud', () => fetch(`${TOKEN_URL}?client_id=${clientId}&client_secret=${clientSecret}&grant_type=client_credentials`, {
             method: 'POST'
-        });
+        }));
         const data = await response.json();
         token = data.access_token;
         const expiresIn = data.expires_in || 3600;